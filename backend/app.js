@@ -2,9 +2,13 @@ import express from 'express';
 import cors from 'cors';
 import { errorHandler, notFound } from './middlewares/error.middleware.js';
 import * as logger from './utils/logger.js';
+import { refreshRolesIfStale } from './utils/roleCache.js';
 
 const app = express();
 
+// Behind Vercel's proxy; needed for req.ip to be the client address
+app.set('trust proxy', 1);
+
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -31,6 +35,9 @@ app.get('/', (req, res) => {
       users: '/api/users', 
       projects: '/api/projects',
       tasks: '/api/tasks',
+      invitations: '/api/invitations',
+      settings: '/api/settings',
+      roles: '/api/roles',
       health: '/health'
     }
   });
@@ -49,11 +56,27 @@ import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import projectRoutes from './routes/project.routes.js';
 import taskRoutes from './routes/task.routes.js';
+import invitationRoutes from './routes/invitation.routes.js';
+import settingsRoutes from './routes/settings.routes.js';
+import roleRoutes from './routes/role.routes.js';
+import timeEntryRoutes from './routes/timeEntry.routes.js';
+import sprintRoutes from './routes/sprint.routes.js';
+
+// Permission checks read a cached copy of the roles collection
+app.use('/api', async (req, res, next) => {
+  await refreshRolesIfStale();
+  next();
+});
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/sprints', sprintRoutes);
 
 app.use(notFound);
 
@@ -1,13 +1,23 @@
 // User roles and their permission levels
+// Roles live in the roles collection (see utils/roleCache.js); the built-in
+// roles below seed it and are the fallback until it has been loaded.
 
 const ROLES = {
   ADMIN: 'admin',
   MANAGER: 'manager', 
-  MEMBER: 'member'
+  MEMBER: 'member',
+  GUEST: 'guest'
 };
 
-// Permissions for each role
-const PERMISSIONS = {
+// Every resource and the actions a role can be granted on it
+const RESOURCE_ACTIONS = {
+  projects: ['create', 'read', 'update', 'delete'],
+  tasks: ['create', 'read', 'update', 'delete'],
+  users: ['read', 'update']
+};
+
+// Permissions for each built-in role
+const DEFAULT_PERMISSIONS = {
   [ROLES.ADMIN]: {
     projects: ['create', 'read', 'update', 'delete'],
     tasks: ['create', 'read', 'update', 'delete'],
@@ -29,25 +39,210 @@ const PERMISSIONS = {
     tasks: ['read', 'update'], // Can only update status of assigned tasks
     users: ['read'],
     global: false // Limited to assigned projects/tasks
+  },
+  
+  [ROLES.GUEST]: {
+    // Guest (e.g. a client) can only follow progress on projects they're added to
+    projects: ['read'],
+    tasks: ['read'],
+    users: [], // Cannot list users
+    global: false
   }
 };
 
+// What a guest can do inside a project. Fixed rather than editable so a project
+// guest stays read-only whatever the guest role is later given.
+const GUEST_PROJECT_PERMISSIONS = {
+  projects: ['read'],
+  tasks: ['read']
+};
+
+// Admin screens gated by role rather than by the permission matrix.
+// Routes use these lists with requireRole so GET /api/auth/me/permissions reports the same thing.
+const FEATURE_ROLES = {
+  manageUsers: [ROLES.ADMIN],
+  manageRoles: [ROLES.ADMIN],
+  viewRoles: [ROLES.ADMIN, ROLES.MANAGER],
+  manageSettings: [ROLES.ADMIN],
+  inviteUsers: [ROLES.ADMIN, ROLES.MANAGER]
+};
+
+// Task fields a role may change through PUT /api/tasks/:id
+const TASK_FIELDS = [
+  'title', 'description', 'assignedTo', 'status', 'priority',
+  'dueDate', 'startDate', 'estimatedHours', 'tags', 'dependencies', 'checklist',
+  'recurrence', 'sprint'
+];
+
+// Fields that used to be editable and may still be stored in role and project lists.
+// actualHours is now the total of the task's time entries.
+const RETIRED_TASK_FIELDS = ['actualHours'];
+
+// Editable task fields for built-in roles that haven't been given a list yet
+const DEFAULT_TASK_EDITABLE_FIELDS = {
+  [ROLES.ADMIN]: TASK_FIELDS,
+  [ROLES.MANAGER]: TASK_FIELDS,
+  [ROLES.MEMBER]: ['status', 'tags', 'checklist'],
+  [ROLES.GUEST]: []
+};
+
+// Cached permission matrix, keyed by role name
+let rolePermissions = DEFAULT_PERMISSIONS;
+
+// Replace the cached matrix with roles loaded from the database
+const setRolePermissions = (roles) => {
+  rolePermissions = Object.fromEntries(roles.map(role => [
+    role.name,
+    {
+      ...Object.fromEntries(Object.keys(RESOURCE_ACTIONS).map(resource => [resource, [...(role.permissions?.[resource] || [])]])),
+      global: !!role.global,
+      taskFields: role.taskEditableFields
+    }
+  ]));
+};
+
+// List the names of all roles
+const getRoleNames = () => Object.keys(rolePermissions);
+
+// Check if a role exists
+const isValidRole = (role) => Object.prototype.hasOwnProperty.call(rolePermissions, role);
+
+// Roles that must enroll in two-factor authentication before using the API.
+// Set TWO_FACTOR_REQUIRED_ROLES=admin,manager to enforce it for privileged roles.
+// Read on each call since this module loads before dotenv runs.
+const getTwoFactorRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(isValidRole);
+};
+
 // Check if a role has a specific permission
 const hasPermission = (role, resource, action) => {
-  if (!PERMISSIONS[role] || !PERMISSIONS[role][resource]) {
+  if (!isValidRole(role) || !Array.isArray(rolePermissions[role][resource])) {
     return false;
   }
-  return PERMISSIONS[role][resource].includes(action);
+  return rolePermissions[role][resource].includes(action);
+};
+
+// List a role's permissions as "resource:action" scopes (used by personal access tokens)
+const getRoleScopes = (role) => {
+  const permissions = isValidRole(role) ? rolePermissions[role] : {};
+  return Object.entries(permissions)
+    .filter(([, actions]) => Array.isArray(actions))
+    .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
 };
 
 // Check if role has global access (admin only)
 const hasGlobalAccess = (role) => {
-  return PERMISSIONS[role]?.global || false;
+  return isValidRole(role) && rolePermissions[role].global;
+};
+
+// Pick the most privileged of several roles: global roles first, then the one with most permissions
+const getMostPrivilegedRole = (roles) => {
+  const rank = (role) => (hasGlobalAccess(role) ? Infinity : getRoleScopes(role).length);
+  return roles.filter(isValidRole).sort((a, b) => rank(b) - rank(a))[0] || null;
+};
+
+// Resolve a user's role within a project. Global roles act on every project as 'admin',
+// the creator manages their project, and everyone else gets the role from project.members
+// (manager, member or guest). Users with the guest role are always project guests.
+// The project role limits what the user's own role allows there (see hasProjectPermission).
+const getProjectRole = (user, project) => {
+  if (hasGlobalAccess(user.role)) return ROLES.ADMIN;
+
+  const userId = user._id.toString();
+  // Works with populated and unpopulated references
+  const idOf = (ref) => String(ref?._id || ref);
+
+  if (idOf(project.createdBy) === userId) return ROLES.MANAGER;
+
+  const membership = project.members.find(member => idOf(member.user) === userId);
+  if (!membership) return null;
+
+  return user.role === ROLES.GUEST ? ROLES.GUEST : membership.role;
+};
+
+// The built-in manager and member roles are the project roles themselves, so someone with
+// either can manage one project and be a member of another. Other roles keep their own
+// permissions inside projects.
+const takesProjectRolePermissions = (role) => [ROLES.MANAGER, ROLES.MEMBER].includes(role);
+
+// Check a permission for a user within a project (see getProjectRole). The user's own role
+// decides, limited by the project role: 'admin' (global roles) adds no limit, guests are
+// read-only, and project managers and members get at most the manager and member roles' permissions.
+const hasProjectPermission = (user, projectRole, resource, action) => {
+  if (!projectRole) return false;
+
+  if (projectRole === ROLES.GUEST) {
+    return (GUEST_PROJECT_PERMISSIONS[resource] || []).includes(action);
+  }
+
+  if (projectRole !== ROLES.ADMIN && takesProjectRolePermissions(user.role)) {
+    return hasPermission(projectRole, resource, action);
+  }
+
+  return hasPermission(user.role, resource, action) &&
+    (projectRole === ROLES.ADMIN || hasPermission(projectRole, resource, action));
+};
+
+// A role's own list of editable task fields
+const getRoleTaskFields = (role) => {
+  return rolePermissions[role]?.taskFields ?? DEFAULT_TASK_EDITABLE_FIELDS[role] ?? ['status'];
+};
+
+// Task fields a user may change within a project. A project can override the list per
+// project role (project.taskEditableFields); otherwise the project role's list applies.
+// Like permissions, other than for the built-in manager and member roles, the user's own
+// role's list limits it further.
+const getTaskEditableFields = (user, projectRole, project) => {
+  if (!hasProjectPermission(user, projectRole, 'tasks', 'update')) return [];
+  if (user.role === ROLES.ADMIN) return TASK_FIELDS;
+
+  const override = project?.taskEditableFields?.find(entry => entry.role === projectRole);
+  const projectFields = override
+    ? override.fields
+    : projectRole === ROLES.ADMIN ? TASK_FIELDS : getRoleTaskFields(projectRole);
+
+  const fields = projectRole !== ROLES.ADMIN && takesProjectRolePermissions(user.role)
+    ? projectFields
+    : projectFields.filter(field => getRoleTaskFields(user.role).includes(field));
+
+  return fields.filter(field => TASK_FIELDS.includes(field));
+};
+
+// Map every resource to the actions allowed by check(resource, action)
+const listAllowedActions = (check) => Object.fromEntries(
+  Object.entries(RESOURCE_ACTIONS).map(([resource, actions]) => [
+    resource,
+    actions.filter(action => check(resource, action))
+  ])
+);
+
+// Check if role must use two-factor authentication
+const isTwoFactorRequired = (role) => {
+  return getTwoFactorRequiredRoles().includes(role);
 };
 
 export {
   ROLES,
-  PERMISSIONS,
+  RESOURCE_ACTIONS,
+  DEFAULT_PERMISSIONS,
+  FEATURE_ROLES,
+  TASK_FIELDS,
+  RETIRED_TASK_FIELDS,
+  DEFAULT_TASK_EDITABLE_FIELDS,
+  setRolePermissions,
+  getRoleNames,
+  isValidRole,
+  getTwoFactorRequiredRoles,
   hasPermission,
-  hasGlobalAccess
+  getRoleScopes,
+  hasGlobalAccess,
+  getMostPrivilegedRole,
+  getProjectRole,
+  hasProjectPermission,
+  getTaskEditableFields,
+  listAllowedActions,
+  isTwoFactorRequired
 }; 
\ No newline at end of file
@@ -0,0 +1,232 @@
+// Task workflows
+// Each project defines its own ordered task statuses. Every status belongs to a
+// category, and completion (completedAt, the completed counters, progress) follows
+// the 'done' category rather than any particular status name. Rules can put guards
+// on moving a task to a status, such as requiring a comment.
+
+const STATUS_CATEGORIES = ['todo', 'in-progress', 'done'];
+
+const MAX_STATUSES = 20;
+const MAX_STATUS_LENGTH = 30;
+const MAX_RULES = 50;
+
+// What a rule can require of a move to its status:
+// - assignee-or-manager: the task's assignee or a project manager makes the move
+// - comment: the move comes with a comment, which is added to the task
+// - field: one of GUARDED_FIELDS has been filled in
+const TRANSITION_GUARDS = ['assignee-or-manager', 'comment', 'field'];
+
+// Fields a 'field' rule can require, with what to do to meet the rule.
+// actualHours is set by logging time on the task.
+const GUARDED_FIELDS = {
+  actualHours: 'Log time on this task',
+  estimatedHours: 'Estimate this task',
+  dueDate: 'Give this task a due date',
+  startDate: 'Give this task a start date',
+  description: 'Describe this task',
+  tags: 'Tag this task'
+};
+
+// Workflow of projects that haven't defined their own; the statuses tasks always had
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: 'Pending', category: 'todo' },
+    { name: 'Ongoing', category: 'in-progress' },
+    { name: 'Blocked', category: 'todo' },
+    { name: 'Done', category: 'done' }
+  ],
+  // Statuses without an entry may move to any other status
+  transitions: [],
+  // Status tasks are moved to automatically while waiting on unfinished dependencies.
+  // Without one, tasks aren't blocked automatically.
+  blockedStatus: 'Blocked',
+  // Guards on moving tasks by hand: { from (null for any status), to, guard, field }
+  rules: []
+};
+
+// The project's workflow, or the default one
+const getWorkflow = (project) => {
+  return project?.workflow?.statuses?.length > 0 ? project.workflow : DEFAULT_WORKFLOW;
+};
+
+const getStatusNames = (workflow) => workflow.statuses.map(status => status.name);
+
+// Category of a status in the workflow, or null if the workflow doesn't have it
+const getStatusCategory = (workflow, status) => {
+  return workflow.statuses.find(entry => entry.name === status)?.category ?? null;
+};
+
+// Status new tasks start in: the first 'todo' status
+const getInitialStatus = (workflow) => {
+  return (workflow.statuses.find(status => status.category === 'todo') || workflow.statuses[0]).name;
+};
+
+// Status tasks are set to when they're completed automatically: the first 'done' status
+const getDoneStatus = (workflow) => {
+  return workflow.statuses.find(status => status.category === 'done').name;
+};
+
+// Statuses a task in the given status may be moved to by hand
+const getAllowedTransitions = (workflow, from) => {
+  const rule = workflow.transitions?.find(transition => transition.from === from);
+  return rule ? rule.to : getStatusNames(workflow).filter(name => name !== from);
+};
+
+const canTransition = (workflow, from, to) => {
+  return from === to || getAllowedTransitions(workflow, from).includes(to);
+};
+
+// Check a workflow sent by a client; returns { workflow } ready to store or { error }
+const validateWorkflow = (input) => {
+  if (!input || !Array.isArray(input.statuses)) {
+    return { error: 'Workflow statuses must be a list of { name, category }' };
+  }
+
+  if (input.statuses.length > MAX_STATUSES) {
+    return { error: `A workflow can have at most ${MAX_STATUSES} statuses` };
+  }
+
+  const statuses = [];
+  for (const status of input.statuses) {
+    const name = typeof status?.name === 'string' ? status.name.trim() : '';
+
+    if (!name || name.length > MAX_STATUS_LENGTH) {
+      return { error: `Status names must be 1 to ${MAX_STATUS_LENGTH} characters` };
+    }
+
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      return { error: `Status categories must be one of: ${STATUS_CATEGORIES.join(', ')}` };
+    }
+
+    if (statuses.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+      return { error: `The status "${name}" is listed more than once` };
+    }
+
+    statuses.push({ name, category: status.category });
+  }
+
+  if (!statuses.some(status => status.category === 'done') || !statuses.some(status => status.category !== 'done')) {
+    return { error: 'A workflow needs at least one done status and one status that is not done' };
+  }
+
+  const names = statuses.map(status => status.name);
+  const transitionInput = input.transitions ?? [];
+
+  if (!Array.isArray(transitionInput)) {
+    return { error: 'Workflow transitions must be a list of { from, to: [statuses] }' };
+  }
+
+  const transitions = [];
+  for (const transition of transitionInput) {
+    if (!names.includes(transition?.from) || !Array.isArray(transition.to) ||
+        transition.to.some(to => !names.includes(to))) {
+      return { error: 'Workflow transitions must be a list of { from, to: [statuses] } between the workflow\'s statuses' };
+    }
+
+    if (transitions.some(existing => existing.from === transition.from)) {
+      return { error: `Transitions from "${transition.from}" are listed more than once` };
+    }
+
+    transitions.push({
+      from: transition.from,
+      to: [...new Set(transition.to)].filter(to => to !== transition.from)
+    });
+  }
+
+  const blockedStatus = input.blockedStatus ?? null;
+  if (blockedStatus !== null && (!names.includes(blockedStatus) || getStatusCategory({ statuses }, blockedStatus) === 'done')) {
+    return { error: 'The blocked status must be one of the workflow\'s statuses that is not done' };
+  }
+
+  const ruleInput = input.rules ?? [];
+  if (!Array.isArray(ruleInput) || ruleInput.length > MAX_RULES) {
+    return { error: `Workflow rules must be a list of at most ${MAX_RULES} { from, to, guard, field }` };
+  }
+
+  const rules = [];
+  for (const rule of ruleInput) {
+    const from = rule?.from ?? null;
+
+    if (!names.includes(rule?.to) || (from !== null && !names.includes(from))) {
+      return { error: 'Workflow rules must be between the workflow\'s statuses' };
+    }
+
+    if (!TRANSITION_GUARDS.includes(rule.guard)) {
+      return { error: `Rule guards must be one of: ${TRANSITION_GUARDS.join(', ')}` };
+    }
+
+    if (rule.guard === 'field' && !Object.hasOwn(GUARDED_FIELDS, rule.field)) {
+      return { error: `Rules can require one of these fields: ${Object.keys(GUARDED_FIELDS).join(', ')}` };
+    }
+
+    rules.push({ from, to: rule.to, guard: rule.guard, field: rule.guard === 'field' ? rule.field : null });
+  }
+
+  return { workflow: { statuses, transitions, blockedStatus, rules } };
+};
+
+// Whether a field counts as filled in for a 'field' rule
+const isFieldSet = (field, value) => {
+  if (field === 'actualHours') return value > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '';
+};
+
+/**
+ * Check a move by hand against the workflow's rules for it
+ * @param {Object} workflow - Project workflow
+ * @param {Object} move - { task, to, changes (other fields set in the same update), comment,
+ *   isAssignee, isManager }
+ * @returns {Array} - Broken rules as { guard, field, message }; empty if the move is allowed
+ */
+const checkTransitionRules = (workflow, { task, to, changes = {}, comment, isAssignee, isManager }) => {
+  const rules = (workflow.rules || []).filter(rule => rule.to === to && (!rule.from || rule.from === task.status));
+  const violations = [];
+
+  for (const rule of rules) {
+    if (rule.guard === 'assignee-or-manager' && !isAssignee && !isManager) {
+      violations.push({
+        guard: rule.guard,
+        field: null,
+        message: `Only the assignee or a project manager can move this task to ${to}`
+      });
+    } else if (rule.guard === 'comment' && !comment?.trim()) {
+      violations.push({
+        guard: rule.guard,
+        field: null,
+        message: `Add a comment to move this task to ${to}`
+      });
+    } else if (rule.guard === 'field') {
+      const value = changes[rule.field] !== undefined ? changes[rule.field] : task[rule.field];
+      if (!isFieldSet(rule.field, value)) {
+        violations.push({
+          guard: rule.guard,
+          field: rule.field,
+          message: `${GUARDED_FIELDS[rule.field]} before moving it to ${to}`
+        });
+      }
+    }
+  }
+
+  // A rule listed twice shouldn't report the same problem twice
+  return violations.filter((violation, index) => (
+    violations.findIndex(other => other.message === violation.message) === index
+  ));
+};
+
+export {
+  STATUS_CATEGORIES,
+  TRANSITION_GUARDS,
+  GUARDED_FIELDS,
+  DEFAULT_WORKFLOW,
+  MAX_STATUS_LENGTH,
+  getWorkflow,
+  getStatusNames,
+  getStatusCategory,
+  getInitialStatus,
+  getDoneStatus,
+  getAllowedTransitions,
+  canTransition,
+  validateWorkflow,
+  checkTransitionRules
+};
@@ -1,11 +1,30 @@
 // Authentication Controller: Handles user registration, login, and profile operations
 
 import User from '../models/user.model.js';
-import { hashPassword, comparePassword, validatePassword } from '../utils/hash.js';
+import Session from '../models/session.model.js';
+import Settings from '../models/settings.model.js';
+import { hashPassword, comparePassword, validatePassword, generateRandomToken, hashToken } from '../utils/hash.js';
+import { createSession, rotateSession, revokeSessionByRefreshToken, invalidateUserTokens } from '../utils/session.js';
 import { generateToken } from '../utils/jwt.js';
+import { sendMail } from '../utils/mailer.js';
+import { isTwoFactorRequired } from '../config/roles.js';
+import {
+  getIpLockout, registerIpFailure, getAccountLockout, registerAccountFailure, resetAccountFailures
+} from '../utils/loginThrottle.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
 import * as logger from '../utils/logger.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 
+// Reply 429 with a Retry-After header while an IP or account is locked out
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
+  });
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -13,15 +32,17 @@ import { asyncHandler } from '../middlewares/error.middleware.js';
  */
 
 export const register = asyncHandler(async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, password } = req.body;
 
-  if (!name || !email || !password) {
+  if (!name || typeof req.body.email !== 'string' || !req.body.email.trim() || !password) {
     return res.status(400).json({
       success: false,
       message: 'Name, email, and password are required'
     });
   }
 
+  const email = req.body.email.trim().toLowerCase();
+
   // Validate password strength
   const passwordValidation = validatePassword(password);
   if (!passwordValidation.isValid) {
@@ -32,8 +53,31 @@ export const register = asyncHandler(async (req, res) => {
     });
   }
 
+  // Check if this is the first user (make them admin)
+  const userCount = await User.countDocuments();
+  const isFirstUser = userCount === 0;
+
+  const settings = await Settings.getSettings();
+
+  // Once the first admin exists, new accounts need an invitation unless open registration is on
+  if (!isFirstUser && !settings.openRegistration) {
+    return res.status(403).json({
+      success: false,
+      message: 'Registration is by invitation only'
+    });
+  }
+
+  // Enforce allowed/blocked signup domains
+  const domainPolicy = settings.checkEmailDomain(email);
+  if (!domainPolicy.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: domainPolicy.message
+    });
+  }
+
   // Check if user already exists
-  const existingUser = await User.findOne({ email });
+  const existingUser = await User.findByEmail(email);
   if (existingUser) {
     return res.status(400).json({
       success: false,
@@ -44,27 +88,16 @@ export const register = asyncHandler(async (req, res) => {
   // Hash password
   const hashedPassword = await hashPassword(password);
 
-  // Check if this is the first user (make them admin)
-  const userCount = await User.countDocuments();
-  const isFirstUser = userCount === 0;
-  
-  // Check if email ends with @zime.ai (make them admin)
-  const isZimeEmail = email.toLowerCase().endsWith('@zime.ai');
-
-  // Create user - all new users are 'member' by default, except first user or @zime.ai emails
+  // Create user - the first user is admin, others get their email domain's default role
   const user = await User.create({
     name,
     email,
     password: hashedPassword,
-    role: (isFirstUser || isZimeEmail) ? 'admin' : 'member' // First user or @zime.ai emails become admin, others are members
+    role: isFirstUser ? 'admin' : domainPolicy.role
   });
 
-  // Generate JWT token
-  const token = generateToken({
-    userId: user._id,
-    email: user.email,
-    role: user.role
-  });
+  // Start a session (short-lived access token + rotating refresh token)
+  const { token, refreshToken } = await createSession(user, req);
 
   // Log user registration
   logger.info('User registered successfully', {
@@ -78,7 +111,8 @@ export const register = asyncHandler(async (req, res) => {
     message: 'User registered successfully',
     data: {
       user,
-      token
+      token,
+      refreshToken
     }
   });
 });
@@ -89,27 +123,46 @@ export const register = asyncHandler(async (req, res) => {
  * @access Public
  */
 export const login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
 
   // Validate required fields
-  if (!email || !password) {
+  if (typeof req.body.email !== 'string' || !req.body.email.trim() || !password) {
     return res.status(400).json({
       success: false,
       message: 'Email and password are required'
     });
   }
 
+  const email = req.body.email.trim().toLowerCase();
+
+  // Refuse early while this IP is locked out
+  const ipLockout = await getIpLockout(req.ip);
+  if (ipLockout > 0) {
+    await recordSecurityEvent(req, { type: 'login_failure', email, method: 'password', reason: 'ip_locked_out' });
+    return sendLockedOut(res, ipLockout);
+  }
+
   // Find user and include password for comparison
-  const user = await User.findOne({ email }).select('+password');
+  const user = await User.findByEmail(email).select('+password');
   if (!user) {
+    await registerIpFailure(req.ip);
+    await recordSecurityEvent(req, { type: 'login_failure', email, method: 'password', reason: 'unknown_email' });
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password'
     });
   }
 
+  // Check account lockout before spending time on the password hash
+  const accountLockout = getAccountLockout(user);
+  if (accountLockout > 0) {
+    await recordSecurityEvent(req, { type: 'login_failure', user, method: 'password', reason: 'account_locked' });
+    return sendLockedOut(res, accountLockout);
+  }
+
   // Check if user is active
   if (!user.isActive) {
+    await recordSecurityEvent(req, { type: 'login_failure', user, method: 'password', reason: 'account_deactivated' });
     return res.status(401).json({
       success: false,
       message: 'Account is deactivated. Please contact administrator.'
@@ -119,23 +172,55 @@ export const login = asyncHandler(async (req, res) => {
   // Compare password
   const isPasswordValid = await comparePassword(password, user.password);
   if (!isPasswordValid) {
+    await registerIpFailure(req.ip);
+    const { lockedFor, failedLoginAttempts, lockedUntil } = await registerAccountFailure(user);
+    await recordSecurityEvent(req, { type: 'login_failure', user, method: 'password', reason: 'invalid_password' });
+
+    if (lockedFor > 0) {
+      await recordSecurityEvent(req, { type: 'lockout', user, reason: `${failedLoginAttempts} failed attempts` });
+      logger.warn('Account locked after failed sign-in attempts', {
+        userId: user._id,
+        email: user.email,
+        failedLoginAttempts,
+        lockedUntil,
+        ip: req.ip
+      });
+      return sendLockedOut(res, lockedFor);
+    }
+
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password'
     });
   }
 
-  // Update last login
+  // With 2FA enabled the password only earns a short-lived challenge token,
+  // exchanged for a session at POST /api/auth/2fa/verify
+  if (user.twoFactorEnabled) {
+    const challengeToken = generateToken(
+      { userId: user._id, purpose: '2fa-login' },
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  // Update last login and clear failed attempts
+  resetAccountFailures(user);
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate JWT token
-  const token = generateToken({
-    userId: user._id,
-    email: user.email,
-    role: user.role
-  });
+  // Start a session (short-lived access token + rotating refresh token)
+  const { token, refreshToken } = await createSession(user, req);
   user.password = undefined;
+  await recordSecurityEvent(req, { type: 'login_success', user, method: 'password' });
 
   // Log user login
   logger.info('User logged in successfully', {
@@ -149,11 +234,154 @@ export const login = asyncHandler(async (req, res) => {
     message: 'Login successful',
     data: {
       user,
-      token
+      token,
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorRequired(user.role)
     }
   });
 });
 
+/**
+ * Exchange a refresh token for a new token pair
+ * @route POST /api/auth/refresh
+ * @access Public (requires a valid refresh token)
+ */
+export const refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken: currentRefreshToken } = req.body;
+
+  if (!currentRefreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  const result = await rotateSession(currentRefreshToken, req);
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      message: 'Session has expired. Please sign in again.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken
+    }
+  });
+});
+
+/**
+ * Logout (revoke the session behind a refresh token)
+ * @route POST /api/auth/logout
+ * @access Public (requires a refresh token)
+ */
+export const logout = asyncHandler(async (req, res) => {
+  const { refreshToken: currentRefreshToken } = req.body;
+
+  if (currentRefreshToken) {
+    const session = await revokeSessionByRefreshToken(currentRefreshToken);
+
+    if (session) {
+      await recordSecurityEvent(req, { type: 'session_revoked', user: session.user, reason: 'logout' });
+      logger.info('User logged out', {
+        userId: session.user,
+        sessionId: session._id
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+/**
+ * Get current user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    }
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await Session.findOneAndUpdate(
+    { _id: id, user: req.user._id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await recordSecurityEvent(req, { type: 'session_revoked', user: req.user, reason: 'revoked_by_user' });
+
+  logger.info('Session revoked', {
+    userId: req.user._id,
+    sessionId: id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+/**
+ * Revoke all of the current user's sessions except the current one
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const query = { user: req.user._id, revokedAt: null };
+  if (req.sessionId) query._id = { $ne: req.sessionId };
+
+  const result = await Session.updateMany(query, { revokedAt: new Date() });
+  await recordSecurityEvent(req, { type: 'all_sessions_revoked', user: req.user, reason: 'other_devices' });
+
+  logger.info('Other sessions revoked', {
+    userId: req.user._id,
+    revokedCount: result.modifiedCount
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} session(s) revoked`
+  });
+});
+
 /**
  * Get current user profile
  * @route GET /api/auth/me
@@ -250,6 +478,11 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.password = hashedNewPassword;
   await user.save();
 
+  // Sign out every other device, then start a fresh session for this one
+  await invalidateUserTokens(user._id);
+  const { token, refreshToken } = await createSession(user, req);
+  await recordSecurityEvent(req, { type: 'password_changed', user });
+
   logger.info('User password changed', {
     userId: user._id,
     email: user.email
@@ -257,7 +490,127 @@ export const changePassword = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully',
+    data: {
+      token,
+      refreshToken
+    }
+  });
+});
+
+/**
+ * Request a password reset email
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required and must be text'
+    });
+  }
+
+  const email = req.body.email.trim().toLowerCase();
+
+  // Always answer the same way so the endpoint can't be used to discover accounts
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  };
+
+  const user = await User.findByEmail(email);
+  if (!user || !user.isActive) {
+    logger.warn('Password reset requested for unknown or inactive account', { email });
+    return res.status(200).json(genericResponse);
+  }
+
+  // Only the hash is stored; the raw token is emailed to the user
+  const resetToken = generateRandomToken();
+  const expiresInMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRES_MINUTES, 10) || 30;
+
+  user.resetPasswordToken = hashToken(resetToken);
+  user.resetPasswordExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  await user.save();
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/reset-password?token=${resetToken}`;
+
+  // Not awaited, so neither the time the transport takes nor its failures show in the response
+  sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\n` +
+      `Someone requested a password reset for your account. Use the link below to choose a new password:\n\n` +
+      `${resetUrl}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you didn't request this, you can ignore this email.`
+  }).catch(error => {
+    logger.error('Failed to send password reset email', error);
+  });
+
+  logger.info('Password reset requested', {
+    userId: user._id,
+    email: user.email
+  });
+
+  res.status(200).json(genericResponse);
+});
+
+/**
+ * Reset password with a token from the reset email
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset token and new password are required'
+    });
+  }
+
+  // Validate new password strength
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password validation failed',
+      errors: passwordValidation.errors
+    });
+  }
+
+  const user = await User.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpires: { $gt: new Date() }
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired'
+    });
+  }
+
+  // Update password and consume the token so it can't be reused
+  user.password = await hashPassword(password);
+  user.resetPasswordToken = null;
+  user.resetPasswordExpires = null;
+  await user.save();
+
+  // Anyone holding the old password may still have a session
+  await invalidateUserTokens(user._id);
+  await recordSecurityEvent(req, { type: 'password_reset', user });
+
+  logger.info('User password reset', {
+    userId: user._id,
+    email: user.email
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset successfully. You can now sign in.'
   });
 });
 
@@ -296,6 +649,16 @@ export const setupInitialAdmin = asyncHandler(async (req, res) => {
     });
   }
 
+  // Enforce allowed/blocked signup domains
+  const settings = await Settings.getSettings();
+  const domainPolicy = settings.checkEmailDomain(email);
+  if (!domainPolicy.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: domainPolicy.message
+    });
+  }
+
   // Hash password
   const hashedPassword = await hashPassword(password);
 
@@ -307,12 +670,8 @@ export const setupInitialAdmin = asyncHandler(async (req, res) => {
     role: 'admin'
   });
 
-  // Generate JWT token
-  const token = generateToken({
-    userId: user._id,
-    email: user.email,
-    role: user.role
-  });
+  // Start a session (short-lived access token + rotating refresh token)
+  const { token, refreshToken } = await createSession(user, req);
 
   logger.info('Initial admin user created', {
     userId: user._id,
@@ -324,7 +683,8 @@ export const setupInitialAdmin = asyncHandler(async (req, res) => {
     message: 'Initial admin user created successfully',
     data: {
       user,
-      token
+      token,
+      refreshToken
     }
   });
 });
\ No newline at end of file
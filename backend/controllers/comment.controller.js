@@ -0,0 +1,276 @@
+// Comment Controller: Handles task comment threads and @mentions
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { ROLES, hasGlobalAccess } from '../config/roles.js';
+import * as logger from '../utils/logger.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// "@jane" or "@jane@example.com" (the full email is only needed when two members share a handle)
+const MENTION_PATTERN = /(?<![\w.+-])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const idOf = (ref) => String(ref?._id || ref);
+
+// Project members who can read comments (not guests), with the handle used to @mention them
+const getMentionableMembers = async (project) => {
+  const memberIds = [
+    project.createdBy,
+    ...project.members.filter(member => member.role !== ROLES.GUEST).map(member => member.user)
+  ];
+
+  const users = await User.find({ _id: { $in: memberIds }, isActive: true, role: { $ne: ROLES.GUEST } })
+    .select('name email');
+
+  const localPart = (email) => email.split('@')[0].toLowerCase();
+
+  return users.map(user => {
+    const isShared = users.filter(other => localPart(other.email) === localPart(user.email)).length > 1;
+    return {
+      _id: user._id,
+      name: user.name,
+      handle: isShared ? user.email.toLowerCase() : localPart(user.email)
+    };
+  });
+};
+
+// Ids of the project members @mentioned in the content; unknown handles are left as plain text
+const resolveMentions = (content, members) => {
+  const handles = new Set(
+    [...content.matchAll(MENTION_PATTERN)].map(([, handle]) => handle.replace(/\.+$/, '').toLowerCase())
+  );
+
+  return members.filter(member => handles.has(member.handle)).map(member => member._id);
+};
+
+// Add what the current user may do with the comment
+const formatComment = (comment, user) => {
+  const isAuthor = idOf(comment.user) === user._id.toString();
+
+  return {
+    _id: comment._id,
+    user: comment.user,
+    content: comment.content,
+    parentId: comment.parentId,
+    mentions: comment.mentions,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt,
+    canEdit: isAuthor,
+    canDelete: isAuthor || hasGlobalAccess(user.role)
+  };
+};
+
+const findTaskWithComments = (id) => {
+  return Task.findById(id)
+    .select('comments projectId')
+    .populate('comments.user', 'name email')
+    .populate('comments.mentions', 'name email');
+};
+
+/**
+ * Get a task's comments as threads, oldest first
+ * @route GET /api/tasks/:id/comments
+ * @access Private (Members of project, not guests)
+ */
+export const getTaskComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  // Guests only follow progress, like task descriptions they don't see the discussion
+  if (req.projectRole === ROLES.GUEST) {
+    return res.status(403).json({
+      success: false,
+      message: 'Project guests cannot see task comments'
+    });
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const task = await findTaskWithComments(id);
+  const byDate = (a, b) => a.createdAt - b.createdAt;
+
+  // Pages are counted in threads; each thread includes all of its replies
+  const threads = task.comments.filter(comment => !comment.parentId).sort(byDate);
+  const comments = threads
+    .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+    .map(thread => ({
+      ...formatComment(thread, req.user),
+      replies: task.comments
+        .filter(comment => comment.parentId && comment.parentId.equals(thread._id))
+        .sort(byDate)
+        .map(reply => formatComment(reply, req.user))
+    }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      comments,
+      mentionable: await getMentionableMembers(req.project),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: threads.length,
+        pages: Math.ceil(threads.length / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Comment on a task, or reply to a comment with parentId
+ * @route POST /api/tasks/:id/comments
+ * @access Private (Members of project, not guests)
+ */
+export const addTaskComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { content, parentId = null } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Comment content is required and must be text'
+    });
+  }
+
+  const task = await Task.findById(id);
+
+  if (parentId) {
+    const parent = task.comments.id(parentId);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment to reply to not found'
+      });
+    }
+
+    if (parent.parentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Replies can only be added to top-level comments'
+      });
+    }
+  }
+
+  const members = await getMentionableMembers(req.project);
+
+  task.comments.push({
+    user: req.user._id,
+    content,
+    parentId,
+    mentions: resolveMentions(content, members)
+  });
+  await task.save();
+
+  const commentId = task.comments[task.comments.length - 1]._id;
+  const saved = await findTaskWithComments(id);
+
+  logger.info('Task comment added', {
+    taskId: id,
+    commentId,
+    userId: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: {
+      comment: formatComment(saved.comments.id(commentId), req.user)
+    }
+  });
+});
+
+/**
+ * Edit a comment
+ * @route PUT /api/tasks/:id/comments/:commentId
+ * @access Private (Comment author)
+ */
+export const updateTaskComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const { content } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Comment content is required and must be text'
+    });
+  }
+
+  const task = await Task.findById(id);
+  const comment = task.comments.id(commentId);
+
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  if (comment.user.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only edit your own comments'
+    });
+  }
+
+  const members = await getMentionableMembers(req.project);
+
+  comment.content = content;
+  comment.mentions = resolveMentions(content, members);
+  comment.editedAt = new Date();
+  await task.save();
+
+  const saved = await findTaskWithComments(id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: {
+      comment: formatComment(saved.comments.id(commentId), req.user)
+    }
+  });
+});
+
+/**
+ * Delete a comment and its replies
+ * @route DELETE /api/tasks/:id/comments/:commentId
+ * @access Private (Comment author/Admin)
+ */
+export const deleteTaskComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+
+  const task = await Task.findById(id);
+  const comment = task.comments.id(commentId);
+
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  if (!formatComment(comment, req.user).canDelete) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only delete your own comments'
+    });
+  }
+
+  task.comments = task.comments.filter(existing => (
+    !existing._id.equals(comment._id) && !(existing.parentId && existing.parentId.equals(comment._id))
+  ));
+  await task.save();
+
+  logger.info('Task comment deleted', {
+    taskId: id,
+    commentId,
+    deletedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
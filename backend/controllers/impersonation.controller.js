@@ -0,0 +1,199 @@
+// Impersonation Controller: Handles admins viewing the app as another user
+import Impersonation from '../models/impersonation.model.js';
+import ImpersonationRequest from '../models/impersonationRequest.model.js';
+import User from '../models/user.model.js';
+import { hasGlobalAccess } from '../config/roles.js';
+import { getImpersonationLifetimeMinutes, signImpersonationToken } from '../utils/impersonation.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import * as logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Parse page and limit query parameters
+const getPagination = ({ page = 1, limit = DEFAULT_PAGE_SIZE }) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { pageNumber, pageSize };
+};
+
+/**
+ * Start viewing the app as another user
+ * @route POST /api/users/:id/impersonate
+ * @access Private (Admin only)
+ */
+export const startImpersonation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot impersonate yourself'
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Deactivated users cannot be impersonated'
+    });
+  }
+
+  // Viewing as another admin would show nothing new and could be used to act as them
+  if (hasGlobalAccess(user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Users with access to every project cannot be impersonated'
+    });
+  }
+
+  const impersonation = await Impersonation.create({
+    impersonator: req.user._id,
+    user: user._id,
+    reason: reason || null,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    expiresAt: new Date(Date.now() + getImpersonationLifetimeMinutes() * 60 * 1000)
+  });
+
+  const token = signImpersonationToken(user, impersonation);
+  await recordSecurityEvent(req, { type: 'impersonation_started', user, reason: reason || null, actor: req.user });
+
+  logger.warn('Admin started impersonating user', {
+    adminId: req.user._id,
+    targetUserId: user._id,
+    targetUserEmail: user.email,
+    impersonationId: impersonation._id,
+    reason
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `You are now viewing the app as ${user.name}`,
+    data: {
+      user,
+      token,
+      impersonation
+    }
+  });
+});
+
+/**
+ * Stop impersonating and return to your own account
+ * @route POST /api/auth/impersonation/end
+ * @access Private (impersonation token)
+ */
+export const endImpersonation = asyncHandler(async (req, res) => {
+  if (!req.impersonation) {
+    return res.status(400).json({
+      success: false,
+      message: 'You are not impersonating anyone'
+    });
+  }
+
+  req.impersonation.endedAt = new Date();
+  await req.impersonation.save();
+  await recordSecurityEvent(req, { type: 'impersonation_ended', user: req.user, actor: req.impersonator });
+
+  logger.info('Admin stopped impersonating user', {
+    adminId: req.impersonator._id,
+    targetUserId: req.user._id,
+    impersonationId: req.impersonation._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Returned to your own account'
+  });
+});
+
+/**
+ * Get the impersonation audit trail, newest first
+ * @route GET /api/users/impersonations
+ * @access Private (Admin only)
+ */
+export const getImpersonations = asyncHandler(async (req, res) => {
+  const { userId, impersonatorId } = req.query;
+  const { pageNumber, pageSize } = getPagination(req.query);
+
+  const query = {};
+  if (userId) query.user = userId;
+  if (impersonatorId) query.impersonator = impersonatorId;
+
+  const [impersonations, total] = await Promise.all([
+    Impersonation.find(query)
+      .populate('impersonator', 'name email')
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Impersonation.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      impersonations,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Get the requests made during an impersonation, newest first
+ * @route GET /api/users/impersonations/:id/requests
+ * @access Private (Admin only)
+ */
+export const getImpersonationRequests = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { pageNumber, pageSize } = getPagination(req.query);
+
+  const impersonation = await Impersonation.findById(id)
+    .populate('impersonator', 'name email')
+    .populate('user', 'name email role');
+
+  if (!impersonation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Impersonation not found'
+    });
+  }
+
+  const [requests, total] = await Promise.all([
+    ImpersonationRequest.find({ impersonation: id })
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    ImpersonationRequest.countDocuments({ impersonation: id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      impersonation,
+      requests,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
@@ -0,0 +1,375 @@
+// Invitation Controller: Handles invite-based onboarding
+import Invitation from '../models/invitation.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { hashPassword, validatePassword, generateRandomToken, hashToken } from '../utils/hash.js';
+import { createSession } from '../utils/session.js';
+import { sendMail } from '../utils/mailer.js';
+import { ROLES, isValidRole, hasGlobalAccess, getProjectRole, hasProjectPermission } from '../config/roles.js';
+import * as logger from '../utils/logger.js';
+
+// Managers may only hand out projects they manage
+const canManageProject = (user, project) => {
+  return hasProjectPermission(user, getProjectRole(user, project), 'projects', 'update');
+};
+
+// Give the invitation a fresh token and expiry, and email the accept link
+const issueInvitationLink = async (invitation, inviter) => {
+  const token = generateRandomToken();
+  const expiresInDays = parseInt(process.env.INVITATION_EXPIRES_DAYS, 10) || 7;
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  await invitation.save();
+
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/accept-invite?token=${token}`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to the project dashboard`,
+    text: `Hi,\n\n` +
+      `${inviter.name} has invited you to join the project dashboard as a ${invitation.role}. ` +
+      `Use the link below to set your password and activate your account:\n\n` +
+      `${acceptUrl}\n\n` +
+      `This invitation expires in ${expiresInDays} day(s).`
+  });
+};
+
+/**
+ * Get invitations
+ * @route GET /api/invitations
+ * @access Private (Admin/Manager - managers see their own invitations)
+ */
+export const getInvitations = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const now = new Date();
+
+  const query = {};
+  if (!hasGlobalAccess(req.user.role)) {
+    query.invitedBy = req.user._id;
+  }
+
+  if (status === 'pending') {
+    Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+  } else if (status === 'accepted') {
+    query.acceptedAt = { $ne: null };
+  }
+
+  const invitations = await Invitation.find(query)
+    .populate('invitedBy', 'name email')
+    .populate('projects.project', 'name')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitations
+    }
+  });
+});
+
+/**
+ * Invite a user by email
+ * @route POST /api/invitations
+ * @access Private (Admin/Manager - managers can only invite members and guests)
+ */
+export const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role = ROLES.MEMBER, projects = [] } = req.body;
+
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required and must be text'
+    });
+  }
+
+  if (!Array.isArray(projects) ||
+      projects.some(entry => typeof entry !== 'string' && typeof entry?.project !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      message: 'projects must be a list of project ids or { project, role } objects'
+    });
+  }
+
+  if (!isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role ${role} does not exist`
+    });
+  }
+
+  if (!hasGlobalAccess(req.user.role) && role !== ROLES.MEMBER && role !== ROLES.GUEST) {
+    return res.status(403).json({
+      success: false,
+      message: 'Managers can only invite members and guests'
+    });
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existingUser = await User.findByEmail(normalizedEmail);
+  if (existingUser) {
+    return res.status(400).json({
+      success: false,
+      message: 'User with this email already exists'
+    });
+  }
+
+  // Accept project ids or { project, role } objects. Guests only ever join projects as guests.
+  const projectMemberships = projects.map(entry => (
+    typeof entry === 'string'
+      ? { project: entry, role: 'member' }
+      : { project: entry.project, role: entry.role || 'member' }
+  )).map(membership => (role === ROLES.GUEST ? { ...membership, role: ROLES.GUEST } : membership));
+
+  if (projectMemberships.some(membership => !['manager', 'member', 'guest'].includes(membership.role))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Project role must be one of: manager, member, guest'
+    });
+  }
+
+  if (projectMemberships.length > 0) {
+    const projectDocs = await Project.find({
+      _id: { $in: projectMemberships.map(membership => membership.project) }
+    });
+
+    if (projectDocs.length !== projectMemberships.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more projects were not found'
+      });
+    }
+
+    const unmanaged = projectDocs.filter(project => !canManageProject(req.user, project));
+    if (unmanaged.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot add members to: ${unmanaged.map(project => project.name).join(', ')}`
+      });
+    }
+  }
+
+  // A new invitation replaces any pending one for the same email
+  await Invitation.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = new Invitation({
+    email: normalizedEmail,
+    role,
+    projects: projectMemberships,
+    invitedBy: req.user._id
+  });
+  await issueInvitationLink(invitation, req.user);
+
+  await invitation.populate('invitedBy', 'name email');
+  await invitation.populate('projects.project', 'name');
+
+  logger.info('User invited', {
+    invitationId: invitation._id,
+    email: normalizedEmail,
+    role,
+    invitedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${normalizedEmail}`,
+    data: {
+      invitation
+    }
+  });
+});
+
+/**
+ * Resend an invitation with a new link
+ * @route POST /api/invitations/:id/resend
+ * @access Private (Admin/Manager who sent it)
+ */
+export const resendInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const invitation = await Invitation.findById(id);
+
+  if (!invitation || (!hasGlobalAccess(req.user.role) && invitation.invitedBy.toString() !== req.user._id.toString())) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    return res.status(400).json({
+      success: false,
+      message: `Invitation has already been ${invitation.status}`
+    });
+  }
+
+  await issueInvitationLink(invitation, req.user);
+
+  logger.info('Invitation resent', {
+    invitationId: id,
+    resentBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Invitation resent to ${invitation.email}`,
+    data: {
+      invitation
+    }
+  });
+});
+
+/**
+ * Revoke an invitation
+ * @route DELETE /api/invitations/:id
+ * @access Private (Admin/Manager who sent it)
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const invitation = await Invitation.findById(id);
+
+  if (!invitation || (!hasGlobalAccess(req.user.role) && invitation.invitedBy.toString() !== req.user._id.toString())) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  if (invitation.acceptedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation has already been accepted'
+    });
+  }
+
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  logger.info('Invitation revoked', {
+    invitationId: id,
+    revokedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation revoked successfully'
+  });
+});
+
+/**
+ * Look up an invitation from its accept link
+ * @route GET /api/invitations/accept/:token
+ * @access Public
+ */
+export const getInvitationByToken = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token) })
+    .populate('invitedBy', 'name');
+
+  if (!invitation || invitation.status !== 'pending') {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation is invalid or has expired'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?.name,
+        expiresAt: invitation.expiresAt
+      }
+    }
+  });
+});
+
+/**
+ * Accept an invitation and create the account
+ * @route POST /api/invitations/accept
+ * @access Public (requires an invitation token)
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, name, password } = req.body;
+
+  if (!token || !name || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation token, name, and password are required'
+    });
+  }
+
+  // Validate password strength
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password validation failed',
+      errors: passwordValidation.errors
+    });
+  }
+
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+
+  if (!invitation || invitation.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation is invalid or has expired'
+    });
+  }
+
+  const existingUser = await User.findByEmail(invitation.email);
+  if (existingUser) {
+    return res.status(400).json({
+      success: false,
+      message: 'User with this email already exists'
+    });
+  }
+
+  const user = await User.create({
+    name,
+    email: invitation.email,
+    password: await hashPassword(password),
+    role: invitation.role
+  });
+
+  // Grant the project memberships from the invitation
+  for (const membership of invitation.projects) {
+    await Project.updateOne(
+      { _id: membership.project, 'members.user': { $ne: user._id } },
+      { $push: { members: { user: user._id, role: membership.role, addedAt: new Date() } } }
+    );
+  }
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = user._id;
+  await invitation.save();
+
+  const { token: accessToken, refreshToken } = await createSession(user, req);
+
+  logger.info('Invitation accepted', {
+    invitationId: invitation._id,
+    userId: user._id,
+    email: user.email,
+    role: user.role
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Account created successfully',
+    data: {
+      user,
+      token: accessToken,
+      refreshToken
+    }
+  });
+});
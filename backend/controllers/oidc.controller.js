@@ -0,0 +1,270 @@
+// OIDC Controller: Handles single sign-on through an OpenID Connect identity provider
+import User from '../models/user.model.js';
+import Settings from '../models/settings.model.js';
+import OidcLoginState from '../models/oidcLoginState.model.js';
+import { hashPassword, generateRandomToken, hashToken } from '../utils/hash.js';
+import { generateToken } from '../utils/jwt.js';
+import { createSession, invalidateUserTokens } from '../utils/session.js';
+import {
+  getOidcSettings, isOidcEnabled, generatePkce, buildAuthorizationUrl, exchangeCode, verifyIdToken, mapClaimsToRole
+} from '../utils/oidc.js';
+import { isTwoFactorRequired } from '../config/roles.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import * as logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+
+const LOGIN_STATE_LIFETIME_MS = 10 * 60 * 1000;
+
+// Reply 404 when SSO isn't configured
+const sendOidcDisabled = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Single sign-on is not configured'
+  });
+};
+
+// Find the local account for an identity provider account, linking by verified email
+// or provisioning a new one. Returns { user, roleChanged } or { error, status }.
+const findOrProvisionUser = async (claims) => {
+  const { issuer } = getOidcSettings();
+  const mappedRole = mapClaimsToRole(claims);
+
+  let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+
+  if (!user) {
+    if (!claims.email || claims.email_verified !== true) {
+      return { status: 403, error: 'Your identity provider did not return a verified email address' };
+    }
+
+    user = await User.findByEmail(claims.email);
+
+    if (user) {
+      if (user.oidcSubject) {
+        return { status: 409, error: 'This account is already linked to a different single sign-on identity' };
+      }
+
+      user.oidcIssuer = issuer;
+      user.oidcSubject = claims.sub;
+
+      logger.info('Linked SSO identity to existing user', {
+        userId: user._id,
+        email: user.email
+      });
+    }
+  }
+
+  if (!user) {
+    if (process.env.OIDC_AUTO_PROVISION === 'false') {
+      return { status: 403, error: 'No account exists for this email. Ask an administrator for an invitation.' };
+    }
+
+    const settings = await Settings.getSettings();
+    const domainPolicy = settings.checkEmailDomain(claims.email);
+    if (!domainPolicy.allowed) {
+      return { status: 403, error: domainPolicy.message };
+    }
+
+    // SSO users sign in through the identity provider; the local password is random
+    // until they choose one through "forgot password"
+    user = new User({
+      name: claims.name || claims.preferred_username || claims.email.split('@')[0],
+      email: claims.email.toLowerCase(),
+      password: await hashPassword(generateRandomToken(32)),
+      role: mappedRole || domainPolicy.role,
+      oidcIssuer: issuer,
+      oidcSubject: claims.sub
+    });
+
+    logger.info('Provisioned user from SSO', {
+      email: user.email,
+      role: user.role
+    });
+
+    return { user, roleChanged: false };
+  }
+
+  // Keep the role in sync with the identity provider when a mapping applies
+  if (mappedRole && mappedRole !== user.role) {
+    logger.info('User role updated from SSO claims', {
+      userId: user._id,
+      oldRole: user.role,
+      newRole: mappedRole
+    });
+
+    user.role = mappedRole;
+    return { user, roleChanged: true };
+  }
+
+  return { user, roleChanged: false };
+};
+
+/**
+ * Get SSO availability for the login page
+ * @route GET /api/auth/oidc/config
+ * @access Public
+ */
+export const getOidcConfig = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: isOidcEnabled(),
+      providerName: getOidcSettings().providerName
+    }
+  });
+});
+
+/**
+ * Start an SSO sign-in
+ * @route POST /api/auth/oidc/login
+ * @access Public
+ */
+export const startOidcLogin = asyncHandler(async (req, res) => {
+  if (!isOidcEnabled()) {
+    return sendOidcDisabled(res);
+  }
+
+  const state = generateRandomToken(32);
+  const nonce = generateRandomToken(16);
+  const { codeVerifier, codeChallenge } = generatePkce();
+
+  await OidcLoginState.create({
+    stateHash: hashToken(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + LOGIN_STATE_LIFETIME_MS)
+  });
+
+  const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      authorizationUrl,
+      state
+    }
+  });
+});
+
+/**
+ * Finish an SSO sign-in with the code returned by the identity provider
+ * @route POST /api/auth/oidc/callback
+ * @access Public (requires a state from POST /api/auth/oidc/login)
+ */
+export const completeOidcLogin = asyncHandler(async (req, res) => {
+  if (!isOidcEnabled()) {
+    return sendOidcDisabled(res);
+  }
+
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authorization code and state are required'
+    });
+  }
+
+  // Each state can only be used once
+  const loginState = await OidcLoginState.findOneAndDelete({
+    stateHash: hashToken(state),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!loginState) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sign-in request has expired. Please try again.'
+    });
+  }
+
+  let claims;
+  try {
+    const tokens = await exchangeCode(code, loginState.codeVerifier);
+    claims = await verifyIdToken(tokens.id_token, loginState.nonce);
+  } catch (error) {
+    logger.warn('SSO sign-in failed', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Single sign-on failed. Please try again.'
+    });
+  }
+
+  const { user, roleChanged, error, status } = await findOrProvisionUser(claims);
+
+  if (error) {
+    await recordSecurityEvent(req, { type: 'login_failure', email: claims.email, method: 'sso', reason: error });
+
+    logger.warn('SSO sign-in rejected', {
+      subject: claims.sub,
+      email: claims.email,
+      reason: error
+    });
+
+    return res.status(status).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (!user.isActive) {
+    await recordSecurityEvent(req, { type: 'login_failure', user, method: 'sso', reason: 'account_deactivated' });
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated. Please contact administrator.'
+    });
+  }
+
+  // Persist a new account, identity link or role change
+  await user.save();
+
+  // A role change from the identity provider ends existing sessions, like an admin role change
+  if (roleChanged) {
+    await invalidateUserTokens(user._id);
+  }
+
+  // Local 2FA still applies on top of the identity provider
+  if (user.twoFactorEnabled) {
+    const challengeToken = generateToken(
+      { userId: user._id, purpose: '2fa-login' },
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session (short-lived access token + rotating refresh token)
+  const { token, refreshToken } = await createSession(user, req);
+  await recordSecurityEvent(req, { type: 'login_success', user, method: 'sso' });
+
+  logger.info('User logged in with SSO', {
+    userId: user._id,
+    email: user.email,
+    role: user.role
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user,
+      token,
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorRequired(user.role)
+    }
+  });
+});
@@ -0,0 +1,77 @@
+// Permission Controller: Reports what the current user is allowed to do
+import Project from '../models/project.model.js';
+import {
+  FEATURE_ROLES, hasPermission, hasGlobalAccess, getProjectRole, hasProjectPermission,
+  getTaskEditableFields, listAllowedActions
+} from '../config/roles.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+
+// Personal access tokens are further limited to their scopes
+const withinTokenScopes = (req, resource, action) => {
+  return !req.tokenScopes || req.tokenScopes.includes(`${resource}:${action}`);
+};
+
+// Permissions inside a project, mirroring requireProjectPermission
+const describeProjectAccess = (req, project) => {
+  const projectRole = getProjectRole(req.user, project);
+  const permissions = listAllowedActions((resource, action) => (
+    !!projectRole && hasProjectPermission(req.user, projectRole, resource, action) && withinTokenScopes(req, resource, action)
+  ));
+
+  return {
+    projectRole,
+    permissions,
+    // Project members only get these on tasks assigned to them
+    taskEditableFields: permissions.tasks.includes('update') ? getTaskEditableFields(req.user, projectRole, project) : []
+  };
+};
+
+/**
+ * Get the current user's effective permissions, optionally within a project
+ * @route GET /api/auth/me/permissions?projectId=
+ * @access Private
+ */
+export const getMyPermissions = asyncHandler(async (req, res) => {
+  const { projectId } = req.query;
+  const { role } = req.user;
+  const global = hasGlobalAccess(role);
+
+  const data = {
+    role,
+    global,
+    permissions: listAllowedActions((resource, action) => (
+      hasPermission(role, resource, action) && withinTokenScopes(req, resource, action)
+    )),
+    // requireRole routes never accept personal access tokens
+    features: Object.fromEntries(Object.entries(FEATURE_ROLES).map(([feature, roles]) => [
+      feature,
+      !req.tokenScopes && roles.includes(role)
+    ]))
+  };
+
+  // Global roles get the same access in every project, so clients can skip per-project lookups
+  if (global) {
+    data.everyProject = describeProjectAccess(req, { createdBy: null, members: [] });
+  }
+
+  if (projectId) {
+    const project = await Project.findById(projectId).select('createdBy members taskEditableFields');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    data.project = {
+      _id: project._id,
+      ...describeProjectAccess(req, project)
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
@@ -0,0 +1,137 @@
+// Personal Access Token Controller: Handles scoped API tokens for scripts and CI
+import PersonalAccessToken from '../models/personalAccessToken.model.js';
+import { generatePersonalAccessToken } from '../utils/personalAccessToken.js';
+import { getRoleScopes } from '../config/roles.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import * as logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+
+const MAX_TOKENS_PER_USER = 25;
+
+/**
+ * List the current user's personal access tokens
+ * @route GET /api/auth/tokens
+ * @access Private
+ */
+export const getAccessTokens = asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({
+    user: req.user._id,
+    revokedAt: null
+  }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tokens,
+      availableScopes: getRoleScopes(req.user.role)
+    }
+  });
+});
+
+/**
+ * Create a personal access token (the token is only returned once)
+ * @route POST /api/auth/tokens
+ * @access Private
+ */
+export const createAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token name and at least one scope are required'
+    });
+  }
+
+  // Tokens can only carry permissions the user's role already has
+  const availableScopes = getRoleScopes(req.user.role);
+  const invalidScopes = scopes.filter(scope => !availableScopes.includes(scope));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid scopes for your role: ${invalidScopes.join(', ')}`
+    });
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays, 10);
+    if (!days || days < 1 || days > 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be between 1 and 365 days'
+      });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const tokenCount = await PersonalAccessToken.countDocuments({ user: req.user._id, revokedAt: null });
+  if (tokenCount >= MAX_TOKENS_PER_USER) {
+    return res.status(400).json({
+      success: false,
+      message: `You can have at most ${MAX_TOKENS_PER_USER} active tokens. Revoke one first.`
+    });
+  }
+
+  const { token, tokenHash, tokenPrefix } = generatePersonalAccessToken();
+
+  const accessToken = await PersonalAccessToken.create({
+    user: req.user._id,
+    name,
+    tokenHash,
+    tokenPrefix,
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+  await recordSecurityEvent(req, { type: 'access_token_created', user: req.user, reason: accessToken.name });
+
+  logger.info('Personal access token created', {
+    userId: req.user._id,
+    accessTokenId: accessToken._id,
+    scopes: accessToken.scopes,
+    expiresAt
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Token created. Copy it now, it will not be shown again.',
+    data: {
+      accessToken,
+      token
+    }
+  });
+});
+
+/**
+ * Revoke a personal access token
+ * @route DELETE /api/auth/tokens/:id
+ * @access Private
+ */
+export const revokeAccessToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const accessToken = await PersonalAccessToken.findOneAndUpdate(
+    { _id: id, user: req.user._id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!accessToken) {
+    return res.status(404).json({
+      success: false,
+      message: 'Token not found'
+    });
+  }
+
+  await recordSecurityEvent(req, { type: 'access_token_revoked', user: req.user, reason: accessToken.name });
+
+  logger.info('Personal access token revoked', {
+    userId: req.user._id,
+    accessTokenId: accessToken._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Token revoked successfully'
+  });
+});
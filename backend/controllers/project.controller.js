@@ -1,10 +1,27 @@
 // Project Controller: Handles project management operations
 import Project from '../models/project.model.js';
 import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
+import Sprint from '../models/sprint.model.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
-import { hasGlobalAccess } from '../config/roles.js';
+import { ROLES, TASK_FIELDS, hasGlobalAccess, getProjectRole } from '../config/roles.js';
+import { validateWorkflow } from '../config/workflow.js';
+import { findRemovedStatuses, findMissingRemaps, applyWorkflow } from '../utils/workflow.js';
 import * as logger from '../utils/logger.js';
 
+const PROJECT_MEMBER_ROLES = ['manager', 'member', 'guest'];
+
+// Guests see who is on a project but not their email addresses
+const withoutEmails = (project) => {
+  const json = project.toJSON();
+  const nameOnly = (user) => (user ? { _id: user._id, name: user.name } : user);
+
+  json.createdBy = nameOnly(json.createdBy);
+  json.members = json.members.map(member => ({ ...member, user: nameOnly(member.user) }));
+  return json;
+};
+
 
 /**
  * Get all projects
@@ -50,7 +67,9 @@ export const getAllProjects = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      projects
+      projects: projects.map(project => (
+        getProjectRole(req.user, project) === ROLES.GUEST ? withoutEmails(project) : project
+      ))
     }
   });
 });
@@ -62,10 +81,11 @@ export const getAllProjects = asyncHandler(async (req, res) => {
  */
 export const getProjectById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const userFields = req.projectRole === ROLES.GUEST ? 'name' : 'name email';
 
   const project = await Project.findById(id)
-    .populate('createdBy', 'name email')
-    .populate('members.user', 'name email');
+    .populate('createdBy', userFields)
+    .populate('members.user', userFields);
 
   if (!project) {
     return res.status(404).json({
@@ -77,7 +97,8 @@ export const getProjectById = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      project
+      project,
+      projectRole: req.projectRole
     }
   });
 });
@@ -140,7 +161,7 @@ export const createProject = asyncHandler(async (req, res) => {
 /**
  * Update project
  * @route PUT /api/projects/:id
- * @access Private (Admin/Manager of project)
+ * @access Private (Admin/Project manager)
  */
 export const updateProject = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -150,6 +171,24 @@ export const updateProject = asyncHandler(async (req, res) => {
   delete updateData.createdBy;
   delete updateData.totalTasks;
   delete updateData.completedTasks;
+  // Changed through PUT /api/projects/:id/workflow, which also updates the tasks
+  delete updateData.workflow;
+
+  // Optional per-project list of task fields each project role may change
+  if (updateData.taskEditableFields !== undefined) {
+    const entries = Array.isArray(updateData.taskEditableFields) ? updateData.taskEditableFields : [null];
+    const invalidEntry = entries.find(entry => (
+      !entry || !['manager', 'member'].includes(entry.role) ||
+      !Array.isArray(entry.fields) || entry.fields.some(field => !TASK_FIELDS.includes(field))
+    ));
+
+    if (invalidEntry !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `taskEditableFields must be a list of { role: manager|member, fields: [${TASK_FIELDS.join(', ')}] }`
+      });
+    }
+  }
 
   // Transform members array if provided
   if (updateData.members && Array.isArray(updateData.members)) {
@@ -220,6 +259,8 @@ export const deleteProject = asyncHandler(async (req, res) => {
 
   // Delete all tasks associated with the project
   await Task.deleteMany({ projectId: id });
+  await TimeEntry.deleteMany({ project: id });
+  await Sprint.deleteMany({ project: id });
 
   // Delete the project
   await Project.findByIdAndDelete(id);
@@ -239,7 +280,7 @@ export const deleteProject = asyncHandler(async (req, res) => {
 /**
  * Add member to project
  * @route POST /api/projects/:id/members
- * @access Private (Admin/Manager of project)
+ * @access Private (Admin/Project manager)
  */
 export const addProjectMember = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -252,6 +293,22 @@ export const addProjectMember = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!PROJECT_MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Project role must be one of: ${PROJECT_MEMBER_ROLES.join(', ')}`
+    });
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
   const project = await Project.findById(id);
 
   if (!project) {
@@ -273,10 +330,10 @@ export const addProjectMember = asyncHandler(async (req, res) => {
     });
   }
 
-  // Add member
+  // Add member (accounts with the guest role can only join as guests)
   project.members.push({
     user: userId,
-    role,
+    role: user.role === ROLES.GUEST ? ROLES.GUEST : role,
     addedAt: new Date()
   });
 
@@ -301,7 +358,7 @@ export const addProjectMember = asyncHandler(async (req, res) => {
 /**
  * Remove member from project
  * @route DELETE /api/projects/:id/members/:userId
- * @access Private (Admin/Manager of project)
+ * @access Private (Admin/Project manager)
  */
 export const removeProjectMember = asyncHandler(async (req, res) => {
   const { id, userId } = req.params;
@@ -332,4 +389,64 @@ export const removeProjectMember = asyncHandler(async (req, res) => {
     success: true,
     message: 'Member removed successfully'
   });
-}); 
\ No newline at end of file
+}); 
+
+/**
+ * Replace the project's task workflow
+ * @route PUT /api/projects/:id/workflow
+ * @access Private (Admin/Project manager)
+ */
+export const updateProjectWorkflow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { remap = {}, ...input } = req.body;
+
+  const check = validateWorkflow(input);
+  if (check.error) {
+    return res.status(400).json({
+      success: false,
+      message: check.error
+    });
+  }
+
+  const project = await Project.findById(id);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+  }
+
+  // Tasks can't be left on statuses the workflow no longer has
+  const removedStatuses = await findRemovedStatuses(project._id, check.workflow);
+  const missingRemaps = findMissingRemaps(removedStatuses, check.workflow, remap);
+
+  if (missingRemaps.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Choose new statuses for the tasks in these removed statuses: ${missingRemaps.join(', ')}`,
+      removedStatuses: missingRemaps
+    });
+  }
+
+  await applyWorkflow(
+    project,
+    check.workflow,
+    Object.fromEntries(removedStatuses.map(status => [status, remap[status]]))
+  );
+
+  logger.info('Project workflow updated', {
+    projectId: id,
+    statuses: check.workflow.statuses.map(status => status.name),
+    remapped: removedStatuses,
+    updatedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Workflow updated successfully',
+    data: {
+      workflow: project.workflow
+    }
+  });
+});
@@ -0,0 +1,353 @@
+// Role Controller: Handles custom roles and the permission matrix
+import Role from '../models/role.model.js';
+import User from '../models/user.model.js';
+import Invitation from '../models/invitation.model.js';
+import Settings from '../models/settings.model.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { ROLES, RESOURCE_ACTIONS, TASK_FIELDS, DEFAULT_TASK_EDITABLE_FIELDS } from '../config/roles.js';
+import { loadRoles } from '../utils/roleCache.js';
+import * as logger from '../utils/logger.js';
+
+// Check a { resource: [actions] } object against RESOURCE_ACTIONS.
+// Returns { permissions } with every resource present, or { error }.
+const normalizePermissions = (permissions = {}) => {
+  if (typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return { error: 'Permissions must be an object of resource: [actions]' };
+  }
+
+  const unknownResources = Object.keys(permissions).filter(resource => !RESOURCE_ACTIONS[resource]);
+  if (unknownResources.length > 0) {
+    return { error: `Unknown resource(s): ${unknownResources.join(', ')}` };
+  }
+
+  const normalized = {};
+  for (const [resource, allowedActions] of Object.entries(RESOURCE_ACTIONS)) {
+    const actions = permissions[resource] || [];
+
+    if (!Array.isArray(actions) || actions.some(action => !allowedActions.includes(action))) {
+      return { error: `${resource} actions must be one of: ${allowedActions.join(', ')}` };
+    }
+
+    normalized[resource] = [...new Set(actions)];
+  }
+
+  return { permissions: normalized };
+};
+
+// Check a list of editable task fields against TASK_FIELDS
+const validateTaskFields = (fields) => {
+  if (!Array.isArray(fields)) {
+    return { error: 'Editable task fields must be a list' };
+  }
+
+  const unknownFields = fields.filter(field => !TASK_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return { error: `Unknown task field(s): ${unknownFields.join(', ')}` };
+  }
+
+  return { fields: [...new Set(fields)] };
+};
+
+// Role as returned by the API, with the task fields that apply when none were set
+const formatRole = (role, userCount) => ({
+  ...role.toJSON(),
+  taskEditableFields: (role.taskEditableFields ?? DEFAULT_TASK_EDITABLE_FIELDS[role.name] ?? ['status'])
+    .filter(field => TASK_FIELDS.includes(field)),
+  userCount
+});
+
+// Validate the name of a new role
+const validateRoleName = async (name) => {
+  const normalizedName = String(name || '').trim().toLowerCase();
+
+  if (!/^[a-z][a-z0-9_-]{1,31}$/.test(normalizedName)) {
+    return { error: 'Role name must be 2-32 lowercase letters, numbers, "-" or "_", starting with a letter' };
+  }
+
+  if (await Role.exists({ name: normalizedName })) {
+    return { error: 'A role with this name already exists' };
+  }
+
+  return { name: normalizedName };
+};
+
+/**
+ * Get all roles with how many users hold each
+ * @route GET /api/roles
+ * @access Private (Admin/Manager)
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+  const [roles, counts] = await Promise.all([
+    Role.find().populate('updatedBy', 'name email').sort({ isSystem: -1, name: 1 }),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  const userCounts = Object.fromEntries(counts.map(count => [count._id, count.count]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles: roles.map(role => formatRole(role, userCounts[role.name] || 0)),
+      resources: RESOURCE_ACTIONS,
+      taskFields: TASK_FIELDS
+    }
+  });
+});
+
+/**
+ * Create a role
+ * @route POST /api/roles
+ * @access Private (Admin only)
+ */
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, label, description = '', permissions, global = false, taskEditableFields = ['status'] } = req.body;
+
+  if (!name || !label) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name and label are required'
+    });
+  }
+
+  const nameCheck = await validateRoleName(name);
+  if (nameCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: nameCheck.error
+    });
+  }
+
+  const permissionCheck = normalizePermissions(permissions);
+  if (permissionCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: permissionCheck.error
+    });
+  }
+
+  const taskFieldCheck = validateTaskFields(taskEditableFields);
+  if (taskFieldCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: taskFieldCheck.error
+    });
+  }
+
+  const role = await Role.create({
+    name: nameCheck.name,
+    label,
+    description,
+    permissions: permissionCheck.permissions,
+    taskEditableFields: taskFieldCheck.fields,
+    global: !!global,
+    updatedBy: req.user._id
+  });
+
+  await loadRoles();
+
+  logger.info('Role created', {
+    roleId: role._id,
+    name: role.name,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Role ${role.label} created successfully`,
+    data: {
+      role: formatRole(role, 0)
+    }
+  });
+});
+
+/**
+ * Copy a role's permissions into a new role
+ * @route POST /api/roles/:id/clone
+ * @access Private (Admin only)
+ */
+export const cloneRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, label } = req.body;
+
+  const source = await Role.findById(id);
+
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (!name || !label) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name and label are required'
+    });
+  }
+
+  const nameCheck = await validateRoleName(name);
+  if (nameCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: nameCheck.error
+    });
+  }
+
+  const role = await Role.create({
+    name: nameCheck.name,
+    label,
+    description: source.description,
+    permissions: source.permissions.toObject(),
+    taskEditableFields: formatRole(source).taskEditableFields,
+    global: source.global,
+    updatedBy: req.user._id
+  });
+
+  await loadRoles();
+
+  logger.info('Role cloned', {
+    roleId: role._id,
+    name: role.name,
+    clonedFrom: source.name,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Role ${role.label} created from ${source.label}`,
+    data: {
+      role: formatRole(role, 0)
+    }
+  });
+});
+
+/**
+ * Update a role's label, description, permissions, editable task fields or global flag
+ * @route PUT /api/roles/:id
+ * @access Private (Admin only)
+ */
+export const updateRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { label, description, permissions, global, taskEditableFields } = req.body;
+
+  const role = await Role.findById(id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  // Keep at least one role that can always manage roles and users
+  if (role.name === ROLES.ADMIN && (permissions !== undefined || global !== undefined || taskEditableFields !== undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The admin role always has every permission'
+    });
+  }
+
+  if (permissions !== undefined) {
+    const permissionCheck = normalizePermissions(permissions);
+    if (permissionCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: permissionCheck.error
+      });
+    }
+    role.permissions = permissionCheck.permissions;
+  }
+
+  if (taskEditableFields !== undefined) {
+    const taskFieldCheck = validateTaskFields(taskEditableFields);
+    if (taskFieldCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: taskFieldCheck.error
+      });
+    }
+    role.taskEditableFields = taskFieldCheck.fields;
+  }
+
+  if (label !== undefined) role.label = label;
+  if (description !== undefined) role.description = description;
+  if (global !== undefined) role.global = !!global;
+  role.updatedBy = req.user._id;
+
+  await role.save();
+  await loadRoles();
+
+  logger.info('Role updated', {
+    roleId: id,
+    name: role.name,
+    updatedBy: req.user._id,
+    updatedFields: Object.keys(req.body)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Role ${role.label} updated successfully`,
+    data: {
+      role: formatRole(role, await User.countDocuments({ role: role.name }))
+    }
+  });
+});
+
+/**
+ * Delete a custom role nobody holds
+ * @route DELETE /api/roles/:id
+ * @access Private (Admin only)
+ */
+export const deleteRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const role = await Role.findById(id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.isSystem) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be deleted'
+    });
+  }
+
+  const [userCount, pendingInvitations, settings] = await Promise.all([
+    User.countDocuments({ role: role.name }),
+    Invitation.countDocuments({ role: role.name, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    Settings.getSettings()
+  ]);
+
+  if (userCount > 0 || pendingInvitations > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Role is still held by ${userCount} user(s) and ${pendingInvitations} pending invitation(s). Reassign them first.`
+    });
+  }
+
+  if (settings.domainRoles.some(domainRole => domainRole.role === role.name)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Role is the default for a sign-up domain. Update the registration settings first.'
+    });
+  }
+
+  await Role.findByIdAndDelete(id);
+  await loadRoles();
+
+  logger.warn('Role deleted', {
+    roleId: id,
+    name: role.name,
+    deletedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
@@ -0,0 +1,85 @@
+// Security Event Controller: Handles the per-user login and security history
+import LoginEvent from '../models/loginEvent.model.js';
+import User from '../models/user.model.js';
+import { getDeviceLabel } from '../utils/session.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Fetch one page of a user's events, newest first
+const findSecurityEvents = async (userId, { type, page = 1, limit = DEFAULT_PAGE_SIZE }) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const query = { user: userId };
+  if (type) query.type = type;
+
+  const [events, total] = await Promise.all([
+    LoginEvent.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    LoginEvent.countDocuments(query)
+  ]);
+
+  return {
+    events: events.map(event => ({
+      ...event.toJSON(),
+      device: event.userAgent ? getDeviceLabel(event.userAgent) : null
+    })),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Get the current user's security events
+ * @route GET /api/auth/me/security-events
+ * @access Private
+ */
+export const getMySecurityEvents = asyncHandler(async (req, res) => {
+  const { events, pagination } = await findSecurityEvents(req.user._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination
+    }
+  });
+});
+
+/**
+ * Get a user's security events
+ * @route GET /api/users/:id/security-events
+ * @access Private (Admin only)
+ */
+export const getUserSecurityEvents = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id).select('name email');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { events, pagination } = await findSecurityEvents(id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user,
+      events,
+      pagination
+    }
+  });
+});
@@ -0,0 +1,99 @@
+// Settings Controller: Handles admin-editable application settings
+import Settings from '../models/settings.model.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { isValidRole } from '../config/roles.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Get settings the sign-up pages need
+ * @route GET /api/settings/public
+ * @access Public
+ */
+export const getPublicSettings = asyncHandler(async (req, res) => {
+  const settings = await Settings.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      settings: {
+        openRegistration: settings.openRegistration,
+        allowedDomains: settings.allowedDomains
+      }
+    }
+  });
+});
+
+/**
+ * Get all settings
+ * @route GET /api/settings
+ * @access Private (Admin only)
+ */
+export const getSettings = asyncHandler(async (req, res) => {
+  const settings = await Settings.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      settings
+    }
+  });
+});
+
+/**
+ * Update settings
+ * @route PUT /api/settings
+ * @access Private (Admin only)
+ */
+export const updateSettings = asyncHandler(async (req, res) => {
+  const { openRegistration, allowedDomains, blockedDomains, domainRoles } = req.body;
+
+  for (const [field, domains] of Object.entries({ allowedDomains, blockedDomains })) {
+    if (domains !== undefined && (!Array.isArray(domains) || !domains.every(domain => typeof domain === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: `${field} must be a list of domains`
+      });
+    }
+  }
+
+  if (domainRoles !== undefined && (!Array.isArray(domainRoles) || !domainRoles.every(domainRole =>
+    domainRole && typeof domainRole.domain === 'string' && typeof domainRole.role === 'string'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'domainRoles must be a list of { domain, role } entries'
+    });
+  }
+
+  const unknownRoles = (domainRoles || []).map(domainRole => domainRole.role).filter(role => !isValidRole(role));
+  if (unknownRoles.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Role(s) do not exist: ${unknownRoles.join(', ')}`
+    });
+  }
+
+  const updateData = { updatedBy: req.user._id };
+  if (openRegistration !== undefined) updateData.openRegistration = openRegistration;
+  if (allowedDomains !== undefined) updateData.allowedDomains = allowedDomains;
+  if (blockedDomains !== undefined) updateData.blockedDomains = blockedDomains;
+  if (domainRoles !== undefined) updateData.domainRoles = domainRoles;
+
+  const settings = await Settings.findOneAndUpdate(
+    {},
+    updateData,
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info('Settings updated', {
+    updatedBy: req.user._id,
+    updatedFields: Object.keys(updateData).filter(field => field !== 'updatedBy')
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Settings updated successfully',
+    data: {
+      settings
+    }
+  });
+});
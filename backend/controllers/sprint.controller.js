@@ -0,0 +1,263 @@
+// Sprint Controller: Handles a project's sprints and closing them
+import Sprint from '../models/sprint.model.js';
+import Task from '../models/task.model.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { getSprintTotals, closeSprint as closeAndRollOver } from '../utils/sprints.js';
+import * as logger from '../utils/logger.js';
+
+const SPRINT_FIELDS = ['name', 'goal', 'startDate', 'endDate', 'capacityHours'];
+
+// Check sprint fields from a client against the sprint's current ones; returns { error } or { fields }
+const validateSprintFields = (input, current = {}) => {
+  const fields = Object.fromEntries(SPRINT_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+  const startDate = new Date(fields.startDate ?? current.startDate ?? NaN);
+  const endDate = new Date(fields.endDate ?? current.endDate ?? NaN);
+
+  if (!String(fields.name ?? current.name ?? '').trim()) {
+    return { error: 'Sprint name is required' };
+  }
+
+  if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+    return { error: 'Sprints need a start and an end date' };
+  }
+
+  if (endDate <= startDate) {
+    return { error: 'A sprint must end after it starts' };
+  }
+
+  if (fields.capacityHours !== undefined && fields.capacityHours !== null &&
+      !(Number(fields.capacityHours) >= 0)) {
+    return { error: 'Capacity must be a number of hours' };
+  }
+
+  return { fields };
+};
+
+/**
+ * Get a project's sprints, oldest first, with the hours planned into each and the backlog's
+ * @route GET /api/sprints/project/:projectId
+ * @access Private (Members of project)
+ */
+export const getProjectSprints = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const sprints = await Sprint.find({ project: projectId }).sort({ startDate: 1, createdAt: 1 });
+  const totals = await getSprintTotals(req.project._id);
+  const empty = { taskCount: 0, completedTaskCount: 0, estimatedHours: 0, completedHours: 0 };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sprints: sprints.map(sprint => ({ ...sprint.toJSON(), totals: totals.get(String(sprint._id)) || empty })),
+      backlog: totals.get('backlog') || empty
+    }
+  });
+});
+
+/**
+ * Create a sprint
+ * @route POST /api/sprints
+ * @access Private (Admin/Project manager)
+ */
+export const createSprint = asyncHandler(async (req, res) => {
+  const { projectId } = req.body;
+
+  const check = validateSprintFields(req.body);
+  if (check.error) {
+    return res.status(400).json({
+      success: false,
+      message: check.error
+    });
+  }
+
+  const sprint = await Sprint.create({
+    ...check.fields,
+    project: projectId,
+    createdBy: req.user._id
+  });
+
+  logger.info('Sprint created', {
+    sprintId: sprint._id,
+    projectId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Sprint created successfully',
+    data: {
+      sprint
+    }
+  });
+});
+
+/**
+ * Update a sprint's name, goal, dates or capacity
+ * @route PUT /api/sprints/:id
+ * @access Private (Admin/Project manager)
+ */
+export const updateSprint = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const sprint = await Sprint.findById(id);
+
+  if (sprint.state === 'closed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Closed sprints cannot be changed'
+    });
+  }
+
+  const check = validateSprintFields(req.body, sprint);
+  if (check.error) {
+    return res.status(400).json({
+      success: false,
+      message: check.error
+    });
+  }
+
+  sprint.set(check.fields);
+  await sprint.save();
+
+  logger.info('Sprint updated', {
+    sprintId: id,
+    updatedBy: req.user._id,
+    updatedFields: Object.keys(check.fields)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sprint updated successfully',
+    data: {
+      sprint
+    }
+  });
+});
+
+/**
+ * Start a planned sprint
+ * @route POST /api/sprints/:id/start
+ * @access Private (Admin/Project manager)
+ */
+export const startSprint = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const sprint = await Sprint.findById(id);
+
+  if (sprint.state !== 'planned') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only planned sprints can be started'
+    });
+  }
+
+  const activeSprint = await Sprint.findOne({ project: sprint.project, state: 'active' }).select('name');
+
+  if (activeSprint) {
+    return res.status(400).json({
+      success: false,
+      message: `Close ${activeSprint.name} before starting another sprint`,
+      activeSprint
+    });
+  }
+
+  sprint.state = 'active';
+  await sprint.save();
+
+  logger.info('Sprint started', {
+    sprintId: id,
+    projectId: sprint.project,
+    startedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sprint started successfully',
+    data: {
+      sprint
+    }
+  });
+});
+
+/**
+ * Close the active sprint, moving its unfinished tasks to a planned sprint or the backlog
+ * @route POST /api/sprints/:id/close
+ * @access Private (Admin/Project manager)
+ */
+export const closeSprint = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rollOverTo = null } = req.body;
+
+  const sprint = await Sprint.findById(id);
+
+  if (sprint.state !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only the active sprint can be closed'
+    });
+  }
+
+  let nextSprint = null;
+  if (rollOverTo) {
+    nextSprint = await Sprint.findOne({ _id: rollOverTo, project: sprint.project, state: 'planned' });
+
+    if (!nextSprint) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unfinished tasks can only be rolled over to a planned sprint of the project'
+      });
+    }
+  }
+
+  const rolledOver = await closeAndRollOver(sprint, nextSprint?._id ?? null);
+
+  logger.info('Sprint closed', {
+    sprintId: id,
+    projectId: sprint.project,
+    rolledOver,
+    rolledOverTo: nextSprint?._id ?? 'backlog',
+    closedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: rolledOver > 0
+      ? `Sprint closed. ${rolledOver} unfinished task(s) moved to ${nextSprint ? nextSprint.name : 'the backlog'}.`
+      : 'Sprint closed successfully',
+    data: {
+      sprint
+    }
+  });
+});
+
+/**
+ * Delete a sprint that isn't active; its tasks go back to the backlog
+ * @route DELETE /api/sprints/:id
+ * @access Private (Admin/Project manager)
+ */
+export const deleteSprint = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const sprint = await Sprint.findById(id);
+
+  if (sprint.state === 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Close the sprint before deleting it'
+    });
+  }
+
+  await Task.updateMany({ sprint: sprint._id }, { sprint: null });
+  await Sprint.findByIdAndDelete(id);
+
+  logger.warn('Sprint deleted', {
+    sprintId: id,
+    projectId: sprint.project,
+    deletedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sprint deleted successfully'
+  });
+});
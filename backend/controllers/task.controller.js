@@ -1,35 +1,156 @@
 // Task Controller: Handles task management operations
 import Task from '../models/task.model.js';
 import Project from '../models/project.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
+import { ROLES, getProjectRole, hasProjectPermission, getTaskEditableFields } from '../config/roles.js';
+import {
+  getWorkflow, getStatusNames, getStatusCategory, getInitialStatus, getDoneStatus, getAllowedTransitions, canTransition,
+  checkTransitionRules
+} from '../config/workflow.js';
+import {
+  isDependencyGated, validateDependencies, getUnfinishedDependencies, syncBlockedStatus, buildDependencyGraph
+} from '../utils/taskDependencies.js';
+import { normalizeRecurrence, anchorRecurrence, createNextOccurrence } from '../utils/recurringTasks.js';
+import { getTopRank, getRankForPosition } from '../utils/taskRanking.js';
+import { checkSprintAssignment } from '../utils/sprints.js';
 import * as logger from '../utils/logger.js';
 
+// Project guests only follow progress: no descriptions, assignees or other people's emails
+const GUEST_TASK_FIELDS = 'title status statusCategory priority dueDate completedAt projectId parentTask sprint subtaskCount completedSubtaskCount createdAt updatedAt';
+
+// Task fields the user may change. Project members may only change their own tasks.
+const getEditableFields = (user, projectRole, task, project) => {
+  const assigneeId = String(task.assignedTo?._id || task.assignedTo);
+  if (projectRole === ROLES.MEMBER && assigneeId !== user._id.toString()) return [];
+
+  return getTaskEditableFields(user, projectRole, project);
+};
+
+// Attach editableFields so clients only render controls the API will accept
+const withEditableFields = (task, user, projectRole, project) => ({
+  ...task.toJSON(),
+  editableFields: getEditableFields(user, projectRole, task, project)
+});
+
+const findPopulatedTask = (id) => {
+  return Task.findById(id)
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('projectId', 'name')
+    .populate('dependencies', 'title status')
+    .populate('parentTask', 'title status')
+    .populate('checklist.assignedTo', 'name email');
+};
+
+// Only people working on the project (not guests) can be given tasks and checklist items
+const isProjectWorker = (project, userId) => (
+  String(project.createdBy) === String(userId) ||
+  project.members.some(member => String(member.user) === String(userId) && member.role !== ROLES.GUEST)
+);
+
+const findInvalidChecklistAssignee = (checklist, project) => {
+  return checklist.find(item => item?.assignedTo && !isProjectWorker(project, item.assignedTo));
+};
+
+// Top-level tasks count toward the project's counters, subtasks toward their parent's
+const incrementCompletedCount = (task, amount) => {
+  return task.parentTask
+    ? Task.findByIdAndUpdate(task.parentTask, { $inc: { completedSubtaskCount: amount } })
+    : Project.findByIdAndUpdate(task.projectId, { $inc: { completedTasks: amount } });
+};
+
+// Complete the parent once its last subtask is done, if the project asks for it and
+// the parent's own dependencies allow it
+const completeParentIfFinished = async (parentId, project) => {
+  if (!project.completeParentWithSubtasks) return;
+
+  const parent = await Task.findById(parentId);
+  if (!parent || parent.statusCategory === 'done' || parent.completedSubtaskCount < parent.subtaskCount) return;
+
+  const workflow = getWorkflow(project);
+  const doneStatus = getDoneStatus(workflow);
+  const gate = await checkDependencyGate(doneStatus, parent.dependencies, project);
+  if (gate.error) return;
+
+  parent.status = doneStatus;
+  parent.statusCategory = 'done';
+  parent.completedAt = new Date();
+  parent.statusBeforeBlocked = null;
+  await parent.save();
+
+  await incrementCompletedCount(parent, 1);
+  await syncBlockedStatus({ dependencies: parent._id }, workflow);
+
+  logger.info('Task completed with its subtasks', { taskId: parent._id });
+};
+
+// Check a status change against the task's unfinished dependencies. Projects set to
+// 'warn' allow it and return a warning instead.
+const checkDependencyGate = async (status, dependencyIds, project) => {
+  if (!isDependencyGated(getWorkflow(project), status)) return {};
+
+  const blockedBy = await getUnfinishedDependencies(dependencyIds);
+  if (blockedBy.length === 0) return {};
+
+  const titles = blockedBy.map(task => task.title).join(', ');
+  return project?.dependencyEnforcement === 'warn'
+    ? { warning: `This task is ${status} while these dependencies aren't done: ${titles}` }
+    : { error: `This task can't be ${status} until these dependencies are done: ${titles}`, blockedBy };
+};
+
+// Check a recurrence rule for a task; returns { error } or { recurrence } ready to store
+const checkRecurrence = (input, { dueDate, parentTask }) => {
+  const check = normalizeRecurrence(input);
+  if (check.error || !check.recurrence) return check;
+
+  if (parentTask) {
+    return { error: 'Subtasks cannot repeat; make the parent task recurring instead' };
+  }
+
+  if (!dueDate) {
+    return { error: 'Recurring tasks need a due date, the date of the first occurrence' };
+  }
+
+  return { recurrence: anchorRecurrence(check.recurrence, dueDate) };
+};
+
 export const getProjectTasks = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
-  const { status, priority, assignedTo, search } = req.query;
+  const { status, priority, assignedTo, sprint, search } = req.query;
+
+  const isGuest = req.projectRole === ROLES.GUEST;
 
   let query = { projectId };
 
   if (status) query.status = status;
   if (priority) query.priority = priority;
-  if (assignedTo) query.assignedTo = assignedTo;
+  if (assignedTo && !isGuest) query.assignedTo = assignedTo;
+  // A sprint's tasks, or 'backlog' for the tasks not planned into one
+  if (sprint) query.sprint = sprint === 'backlog' ? null : sprint;
   if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } }
-    ];
+    // Guests can't see descriptions, so don't let them search them either
+    query.$or = isGuest
+      ? [{ title: { $regex: search, $options: 'i' } }]
+      : [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
   }
 
-  // Execute query
-  const tasks = await Task.find(query)
-    .populate('assignedTo', 'name email')
-    .populate('createdBy', 'name email')
-    .sort({ createdAt: -1 });
+  // Execute query, in board order
+  const tasks = isGuest
+    ? await Task.find(query).select(GUEST_TASK_FIELDS).sort({ rank: 1, createdAt: -1 })
+    : await Task.find(query)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('checklist.assignedTo', 'name email')
+      .sort({ rank: 1, createdAt: -1 });
 
   res.status(200).json({
     success: true,
     data: {
-      tasks
+      tasks: tasks.map(task => withEditableFields(task, req.user, req.projectRole, req.project))
     }
   });
 });
@@ -42,10 +163,9 @@ export const getProjectTasks = asyncHandler(async (req, res) => {
 export const getTaskById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const task = await Task.findById(id)
-    .populate('assignedTo', 'name email')
-    .populate('createdBy', 'name email')
-    .populate('projectId', 'name');
+  const task = req.projectRole === ROLES.GUEST
+    ? await Task.findById(id).select(GUEST_TASK_FIELDS).populate('projectId', 'name')
+    : await findPopulatedTask(id);
 
   if (!task) {
     return res.status(404).json({
@@ -54,10 +174,15 @@ export const getTaskById = asyncHandler(async (req, res) => {
     });
   }
 
+  const subtasks = req.projectRole === ROLES.GUEST
+    ? await Task.find({ parentTask: id }).select(GUEST_TASK_FIELDS).sort({ createdAt: 1 })
+    : await Task.find({ parentTask: id }).populate('assignedTo', 'name email').sort({ createdAt: 1 });
+
   res.status(200).json({
     success: true,
     data: {
-      task
+      task: withEditableFields(task, req.user, req.projectRole, req.project),
+      subtasks: subtasks.map(subtask => withEditableFields(subtask, req.user, req.projectRole, req.project))
     }
   });
 });
@@ -77,7 +202,12 @@ export const createTask = asyncHandler(async (req, res) => {
     priority,
     dueDate,
     estimatedHours,
-    tags
+    tags,
+    dependencies = [],
+    parentTask = null,
+    checklist = [],
+    recurrence = null,
+    sprint = null
   } = req.body;
   const userId = req.user._id;
 
@@ -89,38 +219,128 @@ export const createTask = asyncHandler(async (req, res) => {
     });
   }
 
-  // Verify project exists
-  const project = await Project.findById(projectId);
-  if (!project) {
-    return res.status(404).json({
+  if (!isProjectWorker(req.project, assignedTo)) {
+    return res.status(400).json({
       success: false,
-      message: 'Project not found'
+      message: 'Tasks can only be assigned to project members'
+    });
+  }
+
+  if (parentTask) {
+    const parent = await Task.findById(parentTask).select('projectId parentTask');
+
+    if (!parent || parent.projectId.toString() !== String(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent task must be a task in the same project'
+      });
+    }
+
+    if (parent.parentTask) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subtasks cannot have subtasks of their own'
+      });
+    }
+  }
+
+  if (!Array.isArray(checklist) || findInvalidChecklistAssignee(checklist, req.project)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checklist items can only be assigned to project members'
+    });
+  }
+
+  const workflow = getWorkflow(req.project);
+  const initialStatus = status || getInitialStatus(workflow);
+
+  if (!getStatusCategory(workflow, initialStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${getStatusNames(workflow).join(', ')}`
+    });
+  }
+
+  const recurrenceCheck = checkRecurrence(recurrence, { dueDate, parentTask });
+  if (recurrenceCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: recurrenceCheck.error
+    });
+  }
+
+  const sprintCheck = await checkSprintAssignment(sprint, { projectId, parentTask });
+  if (sprintCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: sprintCheck.error
+    });
+  }
+
+  const dependencyCheck = await validateDependencies({ projectId, dependencyIds: dependencies });
+  if (dependencyCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: dependencyCheck.error
+    });
+  }
+
+  const gate = await checkDependencyGate(initialStatus, dependencyCheck.dependencies, req.project);
+  if (gate.error) {
+    return res.status(400).json({
+      success: false,
+      message: gate.error,
+      blockedBy: gate.blockedBy
     });
   }
 
   // Create task
-  const task = await Task.create({
+  const task = new Task({
     title,
     description: description || '',
     projectId,
     assignedTo,
     createdBy: userId,
-    status: status || 'Pending',
+    status: initialStatus,
+    statusCategory: getStatusCategory(workflow, initialStatus),
     priority: priority || 'Medium',
     dueDate,
     estimatedHours,
-    tags: tags || []
+    tags: tags || [],
+    dependencies: dependencyCheck.dependencies,
+    parentTask,
+    checklist,
+    recurrence: recurrenceCheck.recurrence,
+    sprint: sprintCheck.sprint,
+    // New tasks go to the top of their board column
+    rank: await getTopRank(projectId)
   });
 
-  // Update project task count
-  await Project.findByIdAndUpdate(projectId, {
-    $inc: { totalTasks: 1 }
-  });
+  // A recurring task starts its own series
+  if (task.recurrence) {
+    task.seriesId = task._id;
+  }
+
+  await task.save();
+
+  // A new task waiting on unfinished work starts out Blocked, unless the project only warns
+  if (!gate.warning) {
+    await syncBlockedStatus({ _id: task._id }, workflow);
+  }
+
+  // Update project task count; subtasks are counted on their parent instead
+  if (parentTask) {
+    await Task.findByIdAndUpdate(parentTask, { $inc: { subtaskCount: 1 } });
+  } else {
+    await Project.findByIdAndUpdate(projectId, {
+      $inc: { totalTasks: 1 }
+    });
+  }
 
-  // Populate the created task
-  await task.populate('assignedTo', 'name email');
-  await task.populate('createdBy', 'name email');
-  await task.populate('projectId', 'name');
+  if (task.statusCategory === 'done') {
+    await incrementCompletedCount(task, 1);
+    await createNextOccurrence(task);
+  }
 
   logger.info('Task created', {
     taskId: task._id,
@@ -132,8 +352,9 @@ export const createTask = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     message: 'Task created successfully',
+    ...(gate.warning && { warnings: [gate.warning] }),
     data: {
-      task
+      task: await findPopulatedTask(task._id)
     }
   });
 });
@@ -145,9 +366,10 @@ export const createTask = asyncHandler(async (req, res) => {
  */
 export const updateTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
+  // position ({ beforeId, afterId }) moves the task on the board, and comment is added to the
+  // task along with a status change; neither is a task field
+  const { position, comment, ...updateData } = req.body;
   const userId = req.user._id;
-  const userRole = req.user.role;
 
   // Get current task
   const currentTask = await Task.findById(id);
@@ -158,56 +380,270 @@ export const updateTask = asyncHandler(async (req, res) => {
     });
   }
 
-  // For members, only allow status updates on their own tasks
-  if (userRole === 'member') {
-    if (currentTask.assignedTo.toString() !== userId.toString()) {
-      return res.status(403).json({
+  // Moving a task would bypass the access check on the target project
+  if (updateData.projectId && updateData.projectId.toString() !== currentTask.projectId.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tasks cannot be moved to another project'
+    });
+  }
+
+  delete updateData.projectId;
+
+  if (updateData.parentTask !== undefined && String(updateData.parentTask) !== String(currentTask.parentTask)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Subtasks cannot be moved to another parent task'
+    });
+  }
+
+  delete updateData.parentTask;
+
+  if (updateData.actualHours !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Actual hours are the total of the task\'s time entries. Log time on the task instead.'
+    });
+  }
+
+  if (req.projectRole === ROLES.MEMBER && String(currentTask.assignedTo) !== userId.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Project members can only update their own assigned tasks'
+    });
+  }
+
+  // Only fields on the role's (or project's) allow-list may change
+  const editableFields = getEditableFields(req.user, req.projectRole, currentTask, req.project);
+  const rejectedFields = Object.keys(updateData).filter(field => !editableFields.includes(field));
+
+  if (rejectedFields.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `You cannot change these task fields: ${rejectedFields.join(', ')}`,
+      rejectedFields,
+      editableFields
+    });
+  }
+
+  // Moving a task on the board is open to anyone who may change any of its fields
+  if (position !== undefined && editableFields.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot move this task',
+      editableFields
+    });
+  }
+
+  if (updateData.assignedTo !== undefined && !isProjectWorker(req.project, updateData.assignedTo)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tasks can only be assigned to project members'
+    });
+  }
+
+  if (updateData.checklist !== undefined &&
+      (!Array.isArray(updateData.checklist) || findInvalidChecklistAssignee(updateData.checklist, req.project))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checklist items can only be assigned to project members'
+    });
+  }
+
+  if (updateData.recurrence !== undefined) {
+    const recurrenceCheck = checkRecurrence(updateData.recurrence, {
+      dueDate: updateData.dueDate !== undefined ? updateData.dueDate : currentTask.dueDate,
+      parentTask: currentTask.parentTask
+    });
+
+    if (recurrenceCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceCheck.error
+      });
+    }
+
+    updateData.recurrence = recurrenceCheck.recurrence;
+    if (updateData.recurrence && !currentTask.seriesId) {
+      updateData.seriesId = currentTask._id;
+    }
+  }
+
+  if (updateData.dueDate === null && updateData.recurrence === undefined && currentTask.recurrence) {
+    return res.status(400).json({
+      success: false,
+      message: 'Recurring tasks need a due date. Stop the series to clear it.'
+    });
+  }
+
+  if (updateData.sprint !== undefined) {
+    const sprintCheck = await checkSprintAssignment(updateData.sprint, currentTask);
+
+    if (sprintCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: sprintCheck.error
+      });
+    }
+
+    updateData.sprint = sprintCheck.sprint;
+  }
+
+  if (updateData.dependencies !== undefined) {
+    const dependencyCheck = await validateDependencies({
+      projectId: currentTask.projectId,
+      taskId: id,
+      dependencyIds: updateData.dependencies
+    });
+
+    if (dependencyCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: dependencyCheck.error,
+        cycle: dependencyCheck.cycle
+      });
+    }
+
+    updateData.dependencies = dependencyCheck.dependencies;
+  }
+
+  const workflow = getWorkflow(req.project);
+  const statusChanged = updateData.status !== undefined && updateData.status !== currentTask.status;
+  const warnings = [];
+
+  if (comment !== undefined && (typeof comment !== 'string' || comment.trim().length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Comment must be text of at most 500 characters'
+    });
+  }
+
+  if (comment?.trim() && !statusChanged) {
+    return res.status(400).json({
+      success: false,
+      message: 'A comment can only be sent along with a status change'
+    });
+  }
+
+  if (statusChanged) {
+    if (!getStatusCategory(workflow, updateData.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${getStatusNames(workflow).join(', ')}`
+      });
+    }
+
+    if (!canTransition(workflow, currentTask.status, updateData.status)) {
+      const allowed = getAllowedTransitions(workflow, currentTask.status);
+      return res.status(400).json({
+        success: false,
+        message: allowed.length > 0
+          ? `Tasks in ${currentTask.status} can only move to: ${allowed.join(', ')}`
+          : `Tasks in ${currentTask.status} cannot move to another status`,
+        allowedStatuses: allowed
+      });
+    }
+
+    // The project's rules for moving to this status
+    const violations = checkTransitionRules(workflow, {
+      task: currentTask,
+      to: updateData.status,
+      changes: updateData,
+      comment,
+      isAssignee: String(currentTask.assignedTo) === userId.toString(),
+      isManager: hasProjectPermission(req.user, req.projectRole, 'projects', 'update')
+    });
+
+    if (violations.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Members can only update their own assigned tasks'
+        message: violations.map(violation => violation.message).join('; '),
+        violations
       });
     }
 
-    // Only allow status updates for members
-    const allowedFields = ['status'];
-    const updateFields = Object.keys(updateData);
-    const hasUnallowedFields = updateFields.some(field => 
-      !allowedFields.includes(field)
+    const gate = await checkDependencyGate(
+      updateData.status,
+      updateData.dependencies ?? currentTask.dependencies,
+      req.project
     );
 
-    if (hasUnallowedFields) {
-      return res.status(403).json({
+    if (gate.error) {
+      return res.status(400).json({
+        success: false,
+        message: gate.error,
+        blockedBy: gate.blockedBy
+      });
+    }
+
+    if (gate.warning) warnings.push(gate.warning);
+
+    // Setting the status by hand replaces any automatic block
+    updateData.statusBeforeBlocked = null;
+    updateData.statusCategory = getStatusCategory(workflow, updateData.status);
+  }
+
+  const wasDone = currentTask.statusCategory === 'done';
+  const isDone = statusChanged ? updateData.statusCategory === 'done' : wasDone;
+
+  if (position !== undefined) {
+    const placement = await getRankForPosition(currentTask, position || {});
+
+    if (placement.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Members can only update task status'
+        message: placement.error
       });
     }
+
+    updateData.rank = placement.rank;
   }
 
-  // Handle task completion
-  if (updateData.status === 'Done' && currentTask.status !== 'Done') {
+  // Handle task completion: moving into or out of the done category
+  if (isDone && !wasDone) {
     updateData.completedAt = new Date();
-    
-    // Update project completed tasks count
-    await Project.findByIdAndUpdate(currentTask.projectId, {
-      $inc: { completedTasks: 1 }
-    });
-  } else if (updateData.status !== 'Done' && currentTask.status === 'Done') {
+  } else if (!isDone && wasDone) {
     updateData.completedAt = null;
-    
-    // Decrease project completed tasks count
-    await Project.findByIdAndUpdate(currentTask.projectId, {
-      $inc: { completedTasks: -1 }
-    });
   }
 
   // Update task
-  const task = await Task.findByIdAndUpdate(
-    id,
-    updateData,
-    { new: true, runValidators: true }
-  )
-    .populate('assignedTo', 'name email')
-    .populate('createdBy', 'name email')
-    .populate('projectId', 'name');
+  await Task.findByIdAndUpdate(id, updateData, { runValidators: true });
+
+  // Update project (or parent task) completed tasks count once the task itself has changed
+  if (isDone !== wasDone) {
+    await incrementCompletedCount(currentTask, isDone ? 1 : -1);
+  }
+
+  // A comment sent with the status change is kept with the task's other comments
+  if (statusChanged && comment?.trim()) {
+    await Task.updateOne({ _id: id }, { $push: { comments: { user: userId, content: comment.trim() } } });
+  }
+
+  // Dependents start or stop waiting when this task is completed or reopened
+  if (isDone !== wasDone) {
+    await syncBlockedStatus({ dependencies: id }, workflow);
+  }
+
+  if (isDone && !wasDone && currentTask.parentTask) {
+    await completeParentIfFinished(currentTask.parentTask, req.project);
+  }
+
+  // Changing or stopping the rule applies to the whole series
+  if (updateData.recurrence !== undefined && currentTask.seriesId) {
+    await Task.updateMany({ seriesId: currentTask.seriesId }, { recurrence: updateData.recurrence });
+  }
+
+  // Completing an occurrence creates the next one
+  if (isDone && !wasDone) {
+    await createNextOccurrence(await Task.findById(id));
+  }
+
+  // New dependencies may block this task, unless its status was just set despite them
+  if (updateData.dependencies !== undefined && warnings.length === 0) {
+    await syncBlockedStatus({ _id: id }, workflow);
+  }
+
+  const task = await findPopulatedTask(id);
 
   logger.info('Task updated', {
     taskId: id,
@@ -218,8 +654,9 @@ export const updateTask = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Task updated successfully',
+    ...(warnings.length > 0 && { warnings }),
     data: {
-      task
+      task: withEditableFields(task, req.user, req.projectRole, req.project)
     }
   });
 });
@@ -241,20 +678,37 @@ export const deleteTask = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update project task counts
-  const updateData = { $inc: { totalTasks: -1 } };
-  if (task.status === 'Done') {
-    updateData.$inc.completedTasks = -1;
+  // Update project (or parent task) task counts. Subtasks aren't in the project's counts.
+  if (task.parentTask) {
+    await Task.findByIdAndUpdate(task.parentTask, {
+      $inc: { subtaskCount: -1, completedSubtaskCount: task.statusCategory === 'done' ? -1 : 0 }
+    });
+  } else {
+    const updateData = { $inc: { totalTasks: -1 } };
+    if (task.statusCategory === 'done') {
+      updateData.$inc.completedTasks = -1;
+    }
+
+    await Project.findByIdAndUpdate(task.projectId, updateData);
   }
-  
-  await Project.findByIdAndUpdate(task.projectId, updateData);
 
-  // Delete the task
-  await Task.findByIdAndDelete(id);
+  // Delete the task along with its subtasks
+  const subtasks = await Task.find({ parentTask: id }).select('_id');
+  const deletedIds = [task._id, ...subtasks.map(subtask => subtask._id)];
+  await Task.deleteMany({ _id: { $in: deletedIds } });
+  await TimeEntry.deleteMany({ task: { $in: deletedIds } });
+
+  // Tasks that waited on them no longer do
+  const dependents = await Task.find({ dependencies: { $in: deletedIds } }).select('_id');
+  if (dependents.length > 0) {
+    await Task.updateMany({ dependencies: { $in: deletedIds } }, { $pull: { dependencies: { $in: deletedIds } } });
+    await syncBlockedStatus({ _id: { $in: dependents.map(dependent => dependent._id) } }, getWorkflow(req.project));
+  }
 
   logger.warn('Task deleted', {
     taskId: id,
     projectId: task.projectId,
+    subtasksDeleted: subtasks.length,
     deletedBy: req.user._id
   });
 
@@ -281,14 +735,325 @@ export const getMyTasks = asyncHandler(async (req, res) => {
 
   // Execute query
   const tasks = await Task.find(query)
-    .populate('projectId', 'name')
+    .populate('projectId', 'name createdBy members taskEditableFields workflow')
     .populate('createdBy', 'name email')
+    .populate('parentTask', 'title')
+    .populate('checklist.assignedTo', 'name email')
     .sort({ dueDate: 1, createdAt: -1 });
 
   res.status(200).json({
     success: true,
     data: {
-      tasks
+      tasks: tasks.map(task => {
+        const project = task.projectId;
+        const json = withEditableFields(task, req.user, project && getProjectRole(req.user, project), project);
+        // Clients only need the project's name, and its workflow for the status choices
+        json.projectId = project && { _id: project._id, name: project.name, workflow: getWorkflow(project) };
+        return json;
+      })
     }
   });
-});
\ No newline at end of file
+});
+/**
+ * Add a prerequisite to a task
+ * @route POST /api/tasks/:id/dependencies
+ * @access Private (Roles that may edit the task's dependencies)
+ */
+export const addTaskDependency = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { dependencyId } = req.body;
+
+  const task = await Task.findById(id);
+
+  if (!getEditableFields(req.user, req.projectRole, task, req.project).includes('dependencies')) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change this task\'s dependencies'
+    });
+  }
+
+  if (!dependencyId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dependency ID is required'
+    });
+  }
+
+  if (task.dependencies.some(existing => existing.toString() === String(dependencyId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'The task already depends on this task'
+    });
+  }
+
+  const dependencyCheck = await validateDependencies({
+    projectId: task.projectId,
+    taskId: id,
+    dependencyIds: [...task.dependencies, dependencyId]
+  });
+
+  if (dependencyCheck.error) {
+    return res.status(400).json({
+      success: false,
+      message: dependencyCheck.error,
+      cycle: dependencyCheck.cycle
+    });
+  }
+
+  task.dependencies = dependencyCheck.dependencies;
+  await task.save();
+  await syncBlockedStatus({ _id: task._id }, getWorkflow(req.project));
+
+  logger.info('Task dependency added', {
+    taskId: id,
+    dependencyId,
+    addedBy: req.user._id
+  });
+
+  const updated = await findPopulatedTask(id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Dependency added successfully',
+    data: {
+      task: withEditableFields(updated, req.user, req.projectRole, req.project)
+    }
+  });
+});
+
+/**
+ * Remove a prerequisite from a task
+ * @route DELETE /api/tasks/:id/dependencies/:dependencyId
+ * @access Private (Roles that may edit the task's dependencies)
+ */
+export const removeTaskDependency = asyncHandler(async (req, res) => {
+  const { id, dependencyId } = req.params;
+
+  const task = await Task.findById(id);
+
+  if (!getEditableFields(req.user, req.projectRole, task, req.project).includes('dependencies')) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change this task\'s dependencies'
+    });
+  }
+
+  if (!task.dependencies.some(existing => existing.toString() === dependencyId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'The task does not depend on this task'
+    });
+  }
+
+  task.dependencies = task.dependencies.filter(existing => existing.toString() !== dependencyId);
+  await task.save();
+  await syncBlockedStatus({ _id: task._id }, getWorkflow(req.project));
+
+  logger.info('Task dependency removed', {
+    taskId: id,
+    dependencyId,
+    removedBy: req.user._id
+  });
+
+  const updated = await findPopulatedTask(id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Dependency removed successfully',
+    data: {
+      task: withEditableFields(updated, req.user, req.projectRole, req.project)
+    }
+  });
+});
+
+/**
+ * Get the dependency graph of a project's tasks
+ * @route GET /api/tasks/project/:projectId/dependency-graph
+ * @access Private (Members of project)
+ */
+export const getDependencyGraph = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const tasks = req.projectRole === ROLES.GUEST
+    ? await Task.find({ projectId }).select(`${GUEST_TASK_FIELDS} dependencies`).sort({ createdAt: 1 })
+    : await Task.find({ projectId })
+      .select('title status priority dueDate assignedTo dependencies')
+      .populate('assignedTo', 'name')
+      .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: buildDependencyGraph(tasks.map(task => task.toJSON()))
+  });
+});
+
+// Checklist changes need the 'checklist' task field
+const canEditChecklist = (req, task) => {
+  return getEditableFields(req.user, req.projectRole, task, req.project).includes('checklist');
+};
+
+const respondWithTask = async (req, res, id, message) => {
+  const task = await findPopulatedTask(id);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      task: withEditableFields(task, req.user, req.projectRole, req.project)
+    }
+  });
+};
+
+/**
+ * Add an item to the end of a task's checklist
+ * @route POST /api/tasks/:id/checklist
+ * @access Private (Roles that may edit the task's checklist)
+ */
+export const addChecklistItem = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { text, assignedTo = null } = req.body;
+
+  const task = await Task.findById(id);
+
+  if (!canEditChecklist(req, task)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change this task\'s checklist'
+    });
+  }
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checklist item text is required and must be text'
+    });
+  }
+
+  if (assignedTo && !isProjectWorker(req.project, assignedTo)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checklist items can only be assigned to project members'
+    });
+  }
+
+  task.checklist.push({ text, assignedTo });
+  await task.save();
+
+  await respondWithTask(req, res, id, 'Checklist item added successfully');
+});
+
+/**
+ * Reorder a task's checklist
+ * @route PUT /api/tasks/:id/checklist/order
+ * @access Private (Roles that may edit the task's checklist)
+ */
+export const reorderChecklist = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { itemIds } = req.body;
+
+  const task = await Task.findById(id);
+
+  if (!canEditChecklist(req, task)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change this task\'s checklist'
+    });
+  }
+
+  const currentIds = task.checklist.map(item => item._id.toString()).sort();
+  if (!Array.isArray(itemIds) || itemIds.map(String).sort().join() !== currentIds.join()) {
+    return res.status(400).json({
+      success: false,
+      message: 'itemIds must list every checklist item exactly once'
+    });
+  }
+
+  task.checklist = itemIds.map(itemId => task.checklist.id(itemId));
+  await task.save();
+
+  await respondWithTask(req, res, id, 'Checklist reordered successfully');
+});
+
+/**
+ * Update a checklist item
+ * @route PUT /api/tasks/:id/checklist/:itemId
+ * @access Private (Roles that may edit the task's checklist; the item's assignee may tick it off)
+ */
+export const updateChecklistItem = asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+  const { text, done, assignedTo } = req.body;
+
+  const task = await Task.findById(id);
+  const item = task.checklist.id(itemId);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checklist item not found'
+    });
+  }
+
+  const isItemAssignee = String(item.assignedTo) === req.user._id.toString();
+  const onlyTicking = text === undefined && assignedTo === undefined;
+
+  if (!canEditChecklist(req, task) && !(isItemAssignee && onlyTicking)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change this checklist item'
+    });
+  }
+
+  if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checklist item text is required and must be text'
+    });
+  }
+
+  if (assignedTo && !isProjectWorker(req.project, assignedTo)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checklist items can only be assigned to project members'
+    });
+  }
+
+  if (text !== undefined) item.text = text;
+  if (assignedTo !== undefined) item.assignedTo = assignedTo || null;
+  if (done !== undefined && !!done !== item.done) {
+    item.done = !!done;
+    item.completedAt = item.done ? new Date() : null;
+  }
+  await task.save();
+
+  await respondWithTask(req, res, id, 'Checklist item updated successfully');
+});
+
+/**
+ * Delete a checklist item
+ * @route DELETE /api/tasks/:id/checklist/:itemId
+ * @access Private (Roles that may edit the task's checklist)
+ */
+export const deleteChecklistItem = asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+
+  const task = await Task.findById(id);
+
+  if (!canEditChecklist(req, task)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change this task\'s checklist'
+    });
+  }
+
+  if (!task.checklist.id(itemId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checklist item not found'
+    });
+  }
+
+  task.checklist.pull(itemId);
+  await task.save();
+
+  await respondWithTask(req, res, id, 'Checklist item deleted successfully');
+});
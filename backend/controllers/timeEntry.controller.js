@@ -0,0 +1,369 @@
+// Time Entry Controller: Handles timers, logged time and weekly timesheets
+import TimeEntry from '../models/timeEntry.model.js';
+import Task from '../models/task.model.js';
+import Project from '../models/project.model.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { ROLES, hasGlobalAccess } from '../config/roles.js';
+import { recalculateActualHours, getWeekRange, buildTimesheet } from '../utils/timeTracking.js';
+import * as logger from '../utils/logger.js';
+
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Add what the current user may do with the entry
+const formatEntry = (entry, user) => ({
+  ...entry.toJSON(),
+  canEdit: String(entry.user?._id || entry.user) === user._id.toString() || hasGlobalAccess(user.role)
+});
+
+// Check a manual duration and start time; returns { error } or { durationMinutes, startedAt }
+const validateManualTime = ({ durationMinutes, startedAt }) => {
+  const minutes = Math.round(Number(durationMinutes));
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_ENTRY_MINUTES) {
+    return { error: `Duration must be between 1 and ${MAX_ENTRY_MINUTES} minutes` };
+  }
+
+  const start = startedAt ? new Date(startedAt) : new Date(Date.now() - minutes * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || start > new Date()) {
+    return { error: 'Start time must be a date that is not in the future' };
+  }
+
+  return { durationMinutes: minutes, startedAt: start };
+};
+
+/**
+ * Get the time logged on a task, newest first
+ * @route GET /api/tasks/:id/time-entries
+ * @access Private (Members of project, not guests)
+ */
+export const getTaskTimeEntries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (req.projectRole === ROLES.GUEST) {
+    return res.status(403).json({
+      success: false,
+      message: 'Project guests cannot see logged time'
+    });
+  }
+
+  const entries = await TimeEntry.find({ task: id })
+    .populate('user', 'name email')
+    .sort({ startedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      timeEntries: entries.map(entry => formatEntry(entry, req.user)),
+      totalMinutes: entries.reduce((sum, entry) => sum + entry.durationMinutes, 0)
+    }
+  });
+});
+
+/**
+ * Log time on a task by hand
+ * @route POST /api/tasks/:id/time-entries
+ * @access Private (Members of project, not guests)
+ */
+export const addTimeEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note = '' } = req.body;
+
+  const time = validateManualTime(req.body);
+  if (time.error) {
+    return res.status(400).json({
+      success: false,
+      message: time.error
+    });
+  }
+
+  const task = await Task.findById(id).select('projectId');
+
+  const entry = await TimeEntry.create({
+    user: req.user._id,
+    task: task._id,
+    project: task.projectId,
+    startedAt: time.startedAt,
+    endedAt: new Date(time.startedAt.getTime() + time.durationMinutes * 60 * 1000),
+    durationMinutes: time.durationMinutes,
+    source: 'manual',
+    note
+  });
+
+  const actualHours = await recalculateActualHours(task._id);
+  await entry.populate('user', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Time logged successfully',
+    data: {
+      timeEntry: formatEntry(entry, req.user),
+      actualHours
+    }
+  });
+});
+
+/**
+ * Start a timer on a task. Each user can have one timer running.
+ * @route POST /api/tasks/:id/timer
+ * @access Private (Members of project, not guests)
+ */
+export const startTimer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note = '' } = req.body;
+
+  const running = await TimeEntry.findOne({ user: req.user._id, endedAt: null }).populate('task', 'title');
+
+  if (running) {
+    return res.status(400).json({
+      success: false,
+      message: `Your timer is already running on "${running.task?.title || 'another task'}". Stop it first.`,
+      data: {
+        timeEntry: running
+      }
+    });
+  }
+
+  const task = await Task.findById(id).select('projectId title');
+
+  let entry;
+  try {
+    entry = await TimeEntry.create({
+      user: req.user._id,
+      task: task._id,
+      project: task.projectId,
+      startedAt: new Date(),
+      source: 'timer',
+      note
+    });
+  } catch (error) {
+    // Another request started a timer first
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your timer is already running. Stop it first.'
+      });
+    }
+    throw error;
+  }
+
+  logger.info('Timer started', {
+    userId: req.user._id,
+    taskId: task._id,
+    timeEntryId: entry._id
+  });
+
+  await entry.populate('task', 'title projectId');
+
+  res.status(201).json({
+    success: true,
+    message: `Timer started on "${task.title}"`,
+    data: {
+      timeEntry: entry
+    }
+  });
+});
+
+/**
+ * Get the current user's running timer, if any
+ * @route GET /api/time-entries/timer
+ * @access Private
+ */
+export const getRunningTimer = asyncHandler(async (req, res) => {
+  const entry = await TimeEntry.findOne({ user: req.user._id, endedAt: null }).populate('task', 'title projectId');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      timeEntry: entry
+    }
+  });
+});
+
+/**
+ * Stop the current user's running timer
+ * @route POST /api/time-entries/timer/stop
+ * @access Private
+ */
+export const stopTimer = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const entry = await TimeEntry.findOne({ user: req.user._id, endedAt: null });
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'You have no timer running'
+    });
+  }
+
+  entry.endedAt = new Date();
+  // Timers left running for more than a day are capped like manual entries
+  entry.durationMinutes = Math.min(Math.round((entry.endedAt - entry.startedAt) / 60000), MAX_ENTRY_MINUTES);
+  if (note !== undefined) entry.note = note;
+  await entry.save();
+
+  const actualHours = await recalculateActualHours(entry.task);
+  await entry.populate('task', 'title projectId');
+
+  logger.info('Timer stopped', {
+    userId: req.user._id,
+    taskId: entry.task._id,
+    timeEntryId: entry._id,
+    durationMinutes: entry.durationMinutes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Logged ${entry.durationMinutes} minutes on "${entry.task.title}"`,
+    data: {
+      timeEntry: entry,
+      actualHours
+    }
+  });
+});
+
+/**
+ * Update a time entry's note, duration or start time
+ * @route PUT /api/time-entries/:id
+ * @access Private (Entry owner/Admin)
+ */
+export const updateTimeEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note, durationMinutes, startedAt } = req.body;
+
+  const entry = await TimeEntry.findById(id);
+
+  if (!entry || !formatEntry(entry, req.user).canEdit) {
+    return res.status(404).json({
+      success: false,
+      message: 'Time entry not found'
+    });
+  }
+
+  if (durationMinutes !== undefined || startedAt !== undefined) {
+    if (!entry.endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer before changing its time'
+      });
+    }
+
+    const time = validateManualTime({
+      durationMinutes: durationMinutes ?? entry.durationMinutes,
+      startedAt: startedAt ?? entry.startedAt
+    });
+    if (time.error) {
+      return res.status(400).json({
+        success: false,
+        message: time.error
+      });
+    }
+
+    entry.startedAt = time.startedAt;
+    entry.durationMinutes = time.durationMinutes;
+    entry.endedAt = new Date(time.startedAt.getTime() + time.durationMinutes * 60 * 1000);
+  }
+
+  if (note !== undefined) entry.note = note;
+  await entry.save();
+
+  const actualHours = await recalculateActualHours(entry.task);
+  await entry.populate('user', 'name email');
+
+  res.status(200).json({
+    success: true,
+    message: 'Time entry updated successfully',
+    data: {
+      timeEntry: formatEntry(entry, req.user),
+      actualHours
+    }
+  });
+});
+
+/**
+ * Delete a time entry
+ * @route DELETE /api/time-entries/:id
+ * @access Private (Entry owner/Admin)
+ */
+export const deleteTimeEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const entry = await TimeEntry.findById(id);
+
+  if (!entry || !formatEntry(entry, req.user).canEdit) {
+    return res.status(404).json({
+      success: false,
+      message: 'Time entry not found'
+    });
+  }
+
+  await TimeEntry.findByIdAndDelete(id);
+  const actualHours = await recalculateActualHours(entry.task);
+
+  logger.info('Time entry deleted', {
+    timeEntryId: id,
+    taskId: entry.task,
+    deletedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Time entry deleted successfully',
+    data: {
+      actualHours
+    }
+  });
+});
+
+/**
+ * Get a weekly timesheet: each user's logged time by project and day
+ * @route GET /api/time-entries/timesheet?week=YYYY-MM-DD&userId=&projectId=
+ * @access Private (own time; project managers also see their projects; admins see everyone)
+ */
+export const getTimesheet = asyncHandler(async (req, res) => {
+  const { week, userId, projectId } = req.query;
+
+  const range = getWeekRange(week);
+  if (!range) {
+    return res.status(400).json({
+      success: false,
+      message: 'week must be a date in the form YYYY-MM-DD'
+    });
+  }
+
+  const query = { startedAt: { $gte: range.start, $lt: range.end }, endedAt: { $ne: null } };
+  if (userId) query.user = userId;
+  if (projectId) query.project = projectId;
+
+  // Other people's time is only visible to admins and to managers of the project it was logged on
+  if (!hasGlobalAccess(req.user.role)) {
+    const managedProjects = await Project.find({
+      $or: [
+        { createdBy: req.user._id },
+        { members: { $elemMatch: { user: req.user._id, role: ROLES.MANAGER } } }
+      ]
+    }).select('_id');
+
+    query.$or = [
+      { user: req.user._id },
+      { project: { $in: managedProjects.map(project => project._id) } }
+    ];
+  }
+
+  const entries = await TimeEntry.find(query)
+    .populate('user', 'name email')
+    .populate('project', 'name')
+    .populate('task', 'title estimatedHours actualHours');
+
+  const users = buildTimesheet(entries, range);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      weekStart: range.days[0],
+      weekEnd: range.days[6],
+      days: range.days,
+      users,
+      totalMinutes: users.reduce((sum, row) => sum + row.totalMinutes, 0)
+    }
+  });
+});
@@ -0,0 +1,350 @@
+// Two-Factor Controller: Handles TOTP enrollment, backup codes and the second login step
+
+import User from '../models/user.model.js';
+import { comparePassword, generateRandomToken, hashToken } from '../utils/hash.js';
+import { verifyToken } from '../utils/jwt.js';
+import { createSession } from '../utils/session.js';
+import { generateSecret, verifyCode, buildProvisioningUri } from '../utils/totp.js';
+import { isTwoFactorRequired } from '../config/roles.js';
+import {
+  getIpLockout, registerIpFailure, getAccountLockout, registerAccountFailure, resetAccountFailures
+} from '../utils/loginThrottle.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import * as logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Generate plain backup codes (shown once) and their hashes (stored)
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = generateRandomToken(4);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+// Check a TOTP code or a backup code against the user, consuming whichever was used.
+// The caller must save the user afterwards.
+const verifySecondFactor = (user, { code, backupCode }) => {
+  if (backupCode) {
+    const normalized = String(backupCode).trim().toLowerCase();
+    const backupCodeHash = hashToken(normalized);
+    const index = user.twoFactorBackupCodes.indexOf(backupCodeHash);
+
+    if (index === -1) return false;
+
+    user.twoFactorBackupCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code);
+
+  // Reject codes from a step that has already been used
+  if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+/**
+ * Start 2FA enrollment (generates a new secret)
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  user.twoFactorSecret = generateSecret();
+  user.twoFactorLastUsedStep = null;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret: user.twoFactorSecret,
+      otpauthUri: buildProvisioningUri(user.twoFactorSecret, user.email)
+    }
+  });
+});
+
+/**
+ * Confirm enrollment with a first code and enable 2FA
+ * @route POST /api/auth/2fa/enable
+ * @access Private
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  if (!user.twoFactorSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start two-factor setup before enabling it'
+    });
+  }
+
+  if (!verifySecondFactor(user, { code })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorBackupCodes = hashes;
+  await user.save();
+  await recordSecurityEvent(req, { type: 'two_factor_enabled', user });
+
+  logger.info('Two-factor authentication enabled', {
+    userId: user._id,
+    email: user.email
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+    data: {
+      user,
+      backupCodes: codes
+    }
+  });
+});
+
+/**
+ * Disable 2FA (requires password and a current code or backup code)
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+
+  if (!password || (!code && !backupCode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password and an authentication code are required'
+    });
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (isTwoFactorRequired(user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Two-factor authentication is required for the ${user.role} role`
+    });
+  }
+
+  const isPasswordValid = await comparePassword(password, user.password);
+  if (!isPasswordValid || !verifySecondFactor(user, { code, backupCode })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password or authentication code'
+    });
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorBackupCodes = [];
+  user.twoFactorLastUsedStep = null;
+  await user.save();
+  await recordSecurityEvent(req, { type: 'two_factor_disabled', user });
+
+  logger.warn('Two-factor authentication disabled', {
+    userId: user._id,
+    email: user.email
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Replace all backup codes
+ * @route POST /api/auth/2fa/backup-codes
+ * @access Private
+ */
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!verifySecondFactor(user, { code })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorBackupCodes = hashes;
+  await user.save();
+
+  logger.info('Two-factor backup codes regenerated', {
+    userId: user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated. Previous codes no longer work.',
+    data: {
+      backupCodes: codes
+    }
+  });
+});
+
+/**
+ * Complete a 2FA login with the challenge token from POST /api/auth/login
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires a challenge token)
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!challengeToken || (!code && !backupCode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Challenge token and an authentication code are required'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login challenge has expired. Please sign in again.'
+    });
+  }
+
+  if (decoded.purpose !== '2fa-login') {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid login challenge'
+    });
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid login challenge'
+    });
+  }
+
+  // Code guesses count towards the same lockout as password guesses
+  const lockout = Math.max(await getIpLockout(req.ip), getAccountLockout(user));
+  if (lockout > 0) {
+    await recordSecurityEvent(req, { type: 'login_failure', user, method: '2fa', reason: 'account_locked' });
+    res.set('Retry-After', String(lockout));
+    return res.status(429).json({
+      success: false,
+      message: `Too many failed sign-in attempts. Try again in ${Math.ceil(lockout / 60)} minute(s).`,
+      retryAfter: lockout
+    });
+  }
+
+  if (!verifySecondFactor(user, { code, backupCode })) {
+    await registerIpFailure(req.ip);
+    const { lockedFor, failedLoginAttempts } = await registerAccountFailure(user);
+    await recordSecurityEvent(req, { type: 'login_failure', user, method: '2fa', reason: 'invalid_code' });
+    if (lockedFor > 0) {
+      await recordSecurityEvent(req, { type: 'lockout', user, reason: `${failedLoginAttempts} failed attempts` });
+    }
+
+    logger.warn('Two-factor verification failed', {
+      userId: user._id,
+      failedLoginAttempts,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  // Update last login and clear failed attempts
+  resetAccountFailures(user);
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await createSession(user, req);
+  await recordSecurityEvent(req, { type: 'login_success', user, method: backupCode ? 'backup_code' : '2fa' });
+
+  logger.info('User logged in successfully', {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    usedBackupCode: !!backupCode
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user,
+      token,
+      refreshToken,
+      backupCodesRemaining: user.twoFactorBackupCodes.length
+    }
+  });
+});
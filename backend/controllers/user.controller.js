@@ -1,6 +1,10 @@
 // User Controller: Handles user management operations
 import User from '../models/user.model.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
+import { invalidateUserTokens } from '../utils/session.js';
+import { resetAccountFailures } from '../utils/loginThrottle.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import { isValidRole } from '../config/roles.js';
 import * as logger from '../utils/logger.js';
 
 /**
@@ -68,6 +72,13 @@ export const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { name, email, role, isActive } = req.body;
 
+  if (role && !isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role ${role} does not exist`
+    });
+  }
+
   // Build update object
   const updateData = {};
   if (name) updateData.name = name;
@@ -75,6 +86,15 @@ export const updateUser = asyncHandler(async (req, res) => {
   if (role) updateData.role = role;
   if (isActive !== undefined) updateData.isActive = isActive;
 
+  const existingUser = await User.findById(id);
+
+  if (!existingUser) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
   // Update user
   const user = await User.findByIdAndUpdate(
     id,
@@ -82,10 +102,16 @@ export const updateUser = asyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   ).select('-password');
 
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found'
+  // Deactivation or a role change logs the user out everywhere
+  const roleChanged = updateData.role && updateData.role !== existingUser.role;
+  const deactivated = updateData.isActive === false && existingUser.isActive;
+  if (roleChanged || deactivated) {
+    await invalidateUserTokens(id);
+    await recordSecurityEvent(req, {
+      type: 'all_sessions_revoked',
+      user,
+      reason: deactivated ? 'account_deactivated' : 'role_changed',
+      actor: req.user
     });
   }
 
@@ -129,6 +155,8 @@ export const deleteUser = asyncHandler(async (req, res) => {
     });
   }
 
+  await invalidateUserTokens(id);
+
   logger.warn('User deleted by admin', {
     adminId: req.user._id,
     deletedUserId: id,
@@ -151,10 +179,10 @@ export const updateUserRole = asyncHandler(async (req, res) => {
   const { role } = req.body;
 
   // Validate role
-  if (!['admin', 'manager', 'member'].includes(role)) {
+  if (!isValidRole(role)) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid role. Must be admin, manager, or member'
+      message: `Role ${role} does not exist`
     });
   }
 
@@ -166,20 +194,28 @@ export const updateUserRole = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update user role
-  const user = await User.findByIdAndUpdate(
+  // Update user role (returns the previous document)
+  const previousUser = await User.findByIdAndUpdate(
     id,
     { role },
-    { new: true, runValidators: true }
-  ).select('-password');
+    { runValidators: true }
+  );
 
-  if (!user) {
+  if (!previousUser) {
     return res.status(404).json({
       success: false,
       message: 'User not found'
     });
   }
 
+  // Existing tokens carry the old role claim
+  if (previousUser.role !== role) {
+    await invalidateUserTokens(id);
+    await recordSecurityEvent(req, { type: 'all_sessions_revoked', user: previousUser, reason: 'role_changed', actor: req.user });
+  }
+
+  const user = await User.findById(id).select('-password');
+
   logger.info('User role updated', {
     adminId: req.user._id,
     targetUserId: id,
@@ -196,6 +232,75 @@ export const updateUserRole = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Force logout a user from every device
+ * @route POST /api/users/:id/force-logout
+ * @access Private (Admin only)
+ */
+export const forceLogoutUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const revokedSessions = await invalidateUserTokens(id);
+  await recordSecurityEvent(req, { type: 'all_sessions_revoked', user, reason: 'forced_logout', actor: req.user });
+
+  logger.warn('User force logged out by admin', {
+    adminId: req.user._id,
+    targetUserId: id,
+    targetUserEmail: user.email,
+    revokedSessions
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.name} has been signed out of all devices`
+  });
+});
+
+/**
+ * Unlock an account locked by failed sign-in attempts
+ * @route POST /api/users/:id/unlock
+ * @access Private (Admin only)
+ */
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  resetAccountFailures(user);
+  await user.save();
+  await recordSecurityEvent(req, { type: 'account_unlocked', user, actor: req.user });
+
+  logger.info('User account unlocked by admin', {
+    adminId: req.user._id,
+    targetUserId: id,
+    targetUserEmail: user.email
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.name}'s account has been unlocked`,
+    data: {
+      user
+    }
+  });
+});
+
 /**
  * Get user statistics
  * @route GET /api/users/stats
@@ -3,6 +3,10 @@ dotenv.config();
 
 import app from './app.js';
 import connectDatabase from './config/database.js';
+import { loadRoles } from './utils/roleCache.js';
+import { startRecurrenceScheduler, stopRecurrenceScheduler } from './utils/recurringTasks.js';
+import { backfillStatusCategories } from './utils/workflow.js';
+import { backfillRanks } from './utils/taskRanking.js';
 import * as logger from './utils/logger.js';
 
 const PORT = process.env.PORT || 8000;
@@ -13,6 +17,15 @@ const startServer = async () => {
     await connectDatabase();
     logger.info('Database connected successfully');
     
+    await loadRoles();
+    logger.info('Roles loaded');
+
+    await backfillStatusCategories();
+    await backfillRanks();
+
+    startRecurrenceScheduler();
+    logger.info('Recurring task scheduler started');
+    
     const server = app.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
       logger.info(`Health check available at: http://localhost:${PORT}/health`);
@@ -20,6 +33,7 @@ const startServer = async () => {
     
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
+      stopRecurrenceScheduler();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
@@ -28,6 +42,7 @@ const startServer = async () => {
     
     process.on('SIGINT', () => {
       logger.info('SIGINT received. Shutting down gracefully...');
+      stopRecurrenceScheduler();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
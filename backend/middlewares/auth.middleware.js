@@ -1,6 +1,10 @@
 // Authentication middleware
 import { verifyToken, extractTokenFromHeader } from '../utils/jwt.js';
 import User from '../models/user.model.js';
+import { isSessionActive } from '../utils/session.js';
+import { isPersonalAccessToken, verifyPersonalAccessToken } from '../utils/personalAccessToken.js';
+import { verifyImpersonation, isBlockedWhileImpersonating, logImpersonatedRequest } from '../utils/impersonation.js';
+import { isTwoFactorRequired } from '../config/roles.js';
 import * as logger from '../utils/logger.js';
 
 const authenticate = async (req, res, next) => {
@@ -15,31 +19,135 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = verifyToken(token);
+    let user;
+    let decoded = {};
+    let accessToken = null;
+    let impersonation = null;
+    let impersonator = null;
     
-    const user = await User.findById(decoded.userId).select('-password');
+    if (isPersonalAccessToken(token)) {
+      // Personal access tokens are for API automation, not for managing the account itself
+      if (req.baseUrl === '/api/auth') {
+        return res.status(403).json({
+          success: false,
+          message: 'Personal access tokens cannot be used for account management.'
+        });
+      }
+      
+      const result = await verifyPersonalAccessToken(token, req.ip);
+      
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Invalid, expired or revoked access token.'
+        });
+      }
+      
+      ({ user, accessToken } = result);
+    } else {
+      decoded = verifyToken(token);
+      
+      // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Invalid token.'
+        });
+      }
+      
+      // Tokens tied to a session stop working as soon as the session is revoked
+      if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Session has been revoked.'
+        });
+      }
+      
+      // Impersonation tokens stop working once the impersonation is ended
+      if (decoded.impersonationId) {
+        const result = await verifyImpersonation(decoded);
+        
+        if (!result) {
+          return res.status(401).json({
+            success: false,
+            message: 'Access denied. Impersonation has ended.'
+          });
+        }
+        
+        ({ impersonation, impersonator } = result);
+      }
+      
+      user = await User.findById(decoded.userId).select('-password');
+      
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. User not found.'
+        });
+      }
+      
+      // Reject tokens issued before a password change, role change or forced logout
+      // (JWT iat has second precision)
+      if (user.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Token has been invalidated.'
+        });
+      }
+    }
     
-    if (!user) {
+    if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Access denied. User not found.'
+        message: 'Access denied. User account is deactivated.'
       });
     }
     
-    if (!user.isActive) {
-      return res.status(401).json({
+    // Roles that require 2FA can only reach /api/auth (profile, 2FA setup) until enrolled.
+    // An admin viewing as the user can't enroll for them, so impersonation skips this.
+    if (!impersonation && isTwoFactorRequired(user.role) && !user.twoFactorEnabled && req.baseUrl !== '/api/auth') {
+      return res.status(403).json({
         success: false,
-        message: 'Access denied. User account is deactivated.'
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled for your role before continuing.'
       });
     }
     
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
+    // Set for personal access tokens; requirePermission limits the request to these scopes
+    req.accessToken = accessToken;
+    req.tokenScopes = accessToken ? accessToken.scopes : null;
+    // Set while an admin is viewing the app as this user
+    req.impersonation = impersonation;
+    req.impersonator = impersonator;
+    
+    if (impersonation) {
+      logImpersonatedRequest(req, res, impersonation);
+      
+      if (isBlockedWhileImpersonating(req)) {
+        logger.warn('Request blocked while impersonating', {
+          impersonatorId: impersonator._id,
+          userId: user._id,
+          method: req.method,
+          endpoint: req.originalUrl
+        });
+        
+        return res.status(403).json({
+          success: false,
+          code: 'IMPERSONATION_RESTRICTED',
+          message: 'This action is not allowed while viewing as another user.'
+        });
+      }
+    }
     
     logger.debug('User authenticated successfully', {
       userId: user._id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      accessTokenId: accessToken?._id,
+      impersonatorId: impersonator?._id
     });
     
     next();
@@ -1,5 +1,8 @@
 // Role-based authorization middleware
-import { hasPermission, hasGlobalAccess } from '../config/roles.js';
+import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+import Sprint from '../models/sprint.model.js';
+import { hasPermission, hasGlobalAccess, getProjectRole, hasProjectPermission } from '../config/roles.js';
 import * as logger from '../utils/logger.js';
 
 const requireRole = (requiredRoles) => {
@@ -14,6 +17,14 @@ const requireRole = (requiredRoles) => {
         });
       }
       
+      // Personal access tokens only reach endpoints covered by a scope (see requirePermission)
+      if (req.tokenScopes) {
+        return res.status(403).json({
+          success: false,
+          message: 'This endpoint cannot be used with a personal access token'
+        });
+      }
+      
       const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
       
       if (!roles.includes(userRole)) {
@@ -69,6 +80,21 @@ const requirePermission = (resource, action) => {
         });
       }
       
+      // Personal access tokens are further limited to the scopes they were created with
+      if (req.tokenScopes && !req.tokenScopes.includes(`${resource}:${action}`)) {
+        logger.warn('Access token scope denied', {
+          userId: req.user._id,
+          accessTokenId: req.accessToken?._id,
+          scope: `${resource}:${action}`,
+          endpoint: req.originalUrl
+        });
+        
+        return res.status(403).json({
+          success: false,
+          message: `Access token is missing the ${resource}:${action} scope`
+        });
+      }
+      
       next();
     } catch (error) {
       logger.error('Permission check failed', error);
@@ -80,7 +106,118 @@ const requirePermission = (resource, action) => {
   };
 };
 
+// Find the project id a request targets.
+// source: 'params.id' | 'params.projectId' | 'body.projectId' | 'task' (project of the task in params.id)
+//   | 'sprint' (project of the sprint in params.id)
+const resolveProjectId = async (req, source) => {
+  if (source === 'task') {
+    const task = await Task.findById(req.params.id).select('projectId');
+    if (!task) return { status: 404, message: 'Task not found' };
+    return { projectId: task.projectId };
+  }
+
+  if (source === 'sprint') {
+    const sprint = await Sprint.findById(req.params.id).select('project');
+    if (!sprint) return { status: 404, message: 'Sprint not found' };
+    return { projectId: sprint.project };
+  }
+
+  const [location, key] = source.split('.');
+  const projectId = req[location]?.[key];
+  if (!projectId) return { status: 400, message: 'Project ID is required' };
+  return { projectId };
+};
+
+// Check a permission against the user's role within the targeted project rather than
+// their global role, so someone can manage one project and be a member of another.
+// Sets req.project and req.projectRole for the controller.
+const requireProjectPermission = (resource, action, source = 'params.id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+      
+      const { projectId, status, message } = await resolveProjectId(req, source);
+      if (!projectId) {
+        return res.status(status).json({
+          success: false,
+          message
+        });
+      }
+      
+      const project = await Project.findById(projectId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      
+      const projectRole = getProjectRole(req.user, project);
+      
+      if (!projectRole) {
+        logger.warn('Project access denied', {
+          userId: req.user._id,
+          projectId: project._id,
+          endpoint: req.originalUrl
+        });
+        
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this project'
+        });
+      }
+      
+      if (!hasProjectPermission(req.user, projectRole, resource, action)) {
+        logger.warn('Project permission denied', {
+          userId: req.user._id,
+          projectId: project._id,
+          projectRole,
+          resource,
+          action,
+          endpoint: req.originalUrl
+        });
+        
+        return res.status(403).json({
+          success: false,
+          message: `Insufficient permissions. A project ${projectRole} cannot ${action} ${resource}`
+        });
+      }
+      
+      // Personal access tokens are further limited to the scopes they were created with
+      if (req.tokenScopes && !req.tokenScopes.includes(`${resource}:${action}`)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access token is missing the ${resource}:${action} scope`
+        });
+      }
+      
+      req.project = project;
+      req.projectRole = projectRole;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid resource ID'
+        });
+      }
+      
+      logger.error('Project permission check failed', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Permission authorization failed'
+      });
+    }
+  };
+};
+
 export {
   requireRole,
-  requirePermission
+  requirePermission,
+  requireProjectPermission
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Impersonation Schema (an admin viewing the app as another user, kept as an audit trail)
+import mongoose from 'mongoose';
+
+const impersonationSchema = new mongoose.Schema({
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Impersonator is required'],
+    index: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Impersonated user is required'],
+    index: true
+  },
+
+  // Why the admin needed to see the app as this user
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  requestCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+impersonationSchema.virtual('status').get(function() {
+  if (this.endedAt) return 'ended';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+export default Impersonation;
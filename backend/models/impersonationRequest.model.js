@@ -0,0 +1,38 @@
+// Impersonation Request Schema (every API request made while impersonating)
+import mongoose from 'mongoose';
+
+const impersonationRequestSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    required: true
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  statusCode: {
+    type: Number,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+impersonationRequestSchema.index({ impersonation: 1, createdAt: -1 });
+
+const ImpersonationRequest = mongoose.model('ImpersonationRequest', impersonationRequestSchema);
+
+export default ImpersonationRequest;
@@ -0,0 +1,94 @@
+// Invitation Schema
+import mongoose from 'mongoose';
+import { ROLES, isValidRole } from '../config/roles.js';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  // Any role from the roles collection
+  role: {
+    type: String,
+    validate: {
+      validator: isValidRole,
+      message: props => `Role ${props.value} does not exist`
+    },
+    default: ROLES.MEMBER,
+    required: true
+  },
+
+  // Project memberships granted when the invitation is accepted
+  projects: [{
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['manager', 'member', 'guest'],
+      default: 'member'
+    }
+  }],
+
+  // SHA-256 of the token in the accept link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
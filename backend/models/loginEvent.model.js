@@ -0,0 +1,77 @@
+// Login Event Schema (per-user security log: sign-ins, lockouts, password and token changes)
+import mongoose from 'mongoose';
+
+const EVENT_TYPES = [
+  'login_success',
+  'login_failure',
+  'lockout',
+  'password_changed',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'session_revoked',
+  'all_sessions_revoked',
+  'refresh_token_reuse',
+  'access_token_created',
+  'access_token_revoked',
+  'account_unlocked',
+  'impersonation_started',
+  'impersonation_ended'
+];
+
+const loginEventSchema = new mongoose.Schema({
+  // null when a sign-in was attempted for an unknown email
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  email: {
+    type: String,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+
+  // How the user authenticated, e.g. password, 2fa, backup_code, sso
+  method: {
+    type: String,
+    default: null
+  },
+
+  // Why a failure happened or who triggered an action, e.g. invalid_password, admin
+  reason: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Admin who performed the action, if not the user themselves
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
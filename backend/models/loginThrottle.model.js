@@ -0,0 +1,35 @@
+// Login Throttle Schema (shared failed-attempt counters for the Mongo throttle store)
+import mongoose from 'mongoose';
+
+const loginThrottleSchema = new mongoose.Schema({
+  // e.g. "ip:203.0.113.7"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop counters once their window has passed
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
@@ -0,0 +1,35 @@
+// OIDC Login State Schema (PKCE verifier and nonce for an SSO sign-in in progress)
+import mongoose from 'mongoose';
+
+const oidcLoginStateSchema = new mongoose.Schema({
+  // SHA-256 of the state parameter sent to the identity provider
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop abandoned sign-ins
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
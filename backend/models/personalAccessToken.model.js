@@ -0,0 +1,70 @@
+// Personal Access Token Schema (long-lived, scoped API credentials for scripts and CI)
+import mongoose from 'mongoose';
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required'],
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+
+  // SHA-256 of the full token; the token itself is only shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // First characters of the token, shown so users can tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+
+  // "resource:action" pairs from the PERMISSIONS matrix, e.g. "tasks:create"
+  scopes: [{
+    type: String
+  }],
+
+  // null means the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+export default PersonalAccessToken;
@@ -1,5 +1,9 @@
 // Project Schema
 import mongoose from 'mongoose';
+import { TASK_FIELDS, RETIRED_TASK_FIELDS } from '../config/roles.js';
+import {
+  STATUS_CATEGORIES, TRANSITION_GUARDS, GUARDED_FIELDS, DEFAULT_WORKFLOW, MAX_STATUS_LENGTH
+} from '../config/workflow.js';
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -34,9 +38,10 @@ const projectSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Guests can only view the project and task progress
     role: {
       type: String,
-      enum: ['manager', 'member'],
+      enum: ['manager', 'member', 'guest'],
       default: 'member'
     },
     addedAt: {
@@ -45,6 +50,106 @@ const projectSchema = new mongoose.Schema({
     }
   }],
   
+  // Per-project override of which task fields each project role may change
+  taskEditableFields: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: ['manager', 'member'],
+      required: true
+    },
+    fields: [{
+      type: String,
+      enum: {
+        // Retired fields are accepted so older lists still save; they're ignored when checking access
+        values: [...TASK_FIELDS, ...RETIRED_TASK_FIELDS],
+        message: `Task fields must be one of: ${TASK_FIELDS.join(', ')}`
+      }
+    }]
+  }],
+  
+  // Whether starting or finishing a task with unfinished dependencies is rejected or only warned about
+  dependencyEnforcement: {
+    type: String,
+    enum: {
+      values: ['block', 'warn'],
+      message: 'Dependency enforcement must be one of: block, warn'
+    },
+    default: 'block'
+  },
+
+  // Ordered task statuses, each in a category, and the moves allowed between them.
+  // Change it through PUT /api/projects/:id/workflow, which moves tasks off removed statuses.
+  workflow: {
+    statuses: {
+      type: [{
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [MAX_STATUS_LENGTH, `Status names cannot exceed ${MAX_STATUS_LENGTH} characters`]
+        },
+        category: {
+          type: String,
+          enum: {
+            values: STATUS_CATEGORIES,
+            message: `Status categories must be one of: ${STATUS_CATEGORIES.join(', ')}`
+          },
+          required: true
+        }
+      }],
+      default: () => DEFAULT_WORKFLOW.statuses
+    },
+    // Statuses without an entry may move to any other status
+    transitions: [{
+      _id: false,
+      from: {
+        type: String,
+        required: true
+      },
+      to: [String]
+    }],
+    // Status tasks are moved to while waiting on unfinished dependencies; null turns that off
+    blockedStatus: {
+      type: String,
+      default: DEFAULT_WORKFLOW.blockedStatus
+    },
+    // Guards on moving a task to a status by hand, checked when the task is updated
+    rules: [{
+      _id: false,
+      // null for a move from any status
+      from: {
+        type: String,
+        default: null
+      },
+      to: {
+        type: String,
+        required: true
+      },
+      guard: {
+        type: String,
+        enum: {
+          values: TRANSITION_GUARDS,
+          message: `Rule guards must be one of: ${TRANSITION_GUARDS.join(', ')}`
+        },
+        required: true
+      },
+      // Field a 'field' guard requires
+      field: {
+        type: String,
+        enum: [...Object.keys(GUARDED_FIELDS), null],
+        default: null
+      }
+    }]
+  },
+
+  // Move a task to the workflow's first done status automatically when its last subtask is completed
+  completeParentWithSubtasks: {
+    type: Boolean,
+    default: false
+  },
+
   startDate: {
     type: Date,
     default: null
@@ -0,0 +1,88 @@
+// Role Schema (a named set of permissions users can be given)
+import mongoose from 'mongoose';
+import { RESOURCE_ACTIONS, TASK_FIELDS, RETIRED_TASK_FIELDS } from '../config/roles.js';
+
+// One list of granted actions per resource, limited to the actions that resource supports
+const permissionsSchema = new mongoose.Schema(
+  Object.fromEntries(Object.entries(RESOURCE_ACTIONS).map(([resource, actions]) => [
+    resource,
+    {
+      type: [{
+        type: String,
+        enum: {
+          values: actions,
+          message: `${resource} actions must be one of: ${actions.join(', ')}`
+        }
+      }],
+      default: []
+    }
+  ])),
+  { _id: false }
+);
+
+const roleSchema = new mongoose.Schema({
+  // Stored on users and checked by the API, e.g. "qa-lead"
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name must be 2-32 lowercase letters, numbers, "-" or "_", starting with a letter']
+  },
+
+  // Shown in the UI, e.g. "QA lead"
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  permissions: {
+    type: permissionsSchema,
+    default: () => ({})
+  },
+
+  // Task fields holders may change when updating a task. Unset on built-in roles
+  // until edited, which means the defaults in config/roles.js.
+  taskEditableFields: {
+    type: [{
+      type: String,
+      enum: {
+        // Retired fields are accepted so older lists still save; they're ignored when checking access
+        values: [...TASK_FIELDS, ...RETIRED_TASK_FIELDS],
+        message: `Task fields must be one of: ${TASK_FIELDS.join(', ')}`
+      }
+    }],
+    default: undefined
+  },
+
+  // Access to every project and task regardless of membership
+  global: {
+    type: Boolean,
+    default: false
+  },
+
+  // Built-in roles (admin, manager, member) can't be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,71 @@
+// Session Schema (one per signed-in device, backs the rotating refresh token)
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required'],
+    index: true
+  },
+
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Hash of the refresh token this one replaced, used to detect token reuse
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.refreshTokenHash;
+      delete ret.previousRefreshTokenHash;
+      return ret;
+    }
+  }
+});
+
+// Let MongoDB remove sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,91 @@
+// Settings Schema (single document holding admin-editable app settings)
+import mongoose from 'mongoose';
+import { ROLES, isValidRole } from '../config/roles.js';
+
+// Store domains as "example.com" whether entered as "@Example.com" or "example.com"
+const normalizeDomain = (domain) => String(domain || '').trim().toLowerCase().replace(/^@/, '');
+
+// A domain entry matches the domain itself and any of its subdomains
+const matchesDomain = (emailDomain, domain) => {
+  return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+};
+
+const settingsSchema = new mongoose.Schema({
+  // When false, accounts can only be created through an invitation
+  openRegistration: {
+    type: Boolean,
+    default: true
+  },
+
+  // Only emails from these domains may sign up (empty allows any domain)
+  allowedDomains: [{
+    type: String,
+    set: normalizeDomain
+  }],
+
+  // Emails from these domains may never sign up, even if otherwise allowed
+  blockedDomains: [{
+    type: String,
+    set: normalizeDomain
+  }],
+
+  // Role given to new self-registered users from a domain (default: member)
+  domainRoles: [{
+    _id: false,
+    domain: {
+      type: String,
+      required: [true, 'Domain is required'],
+      set: normalizeDomain
+    },
+    role: {
+      type: String,
+      validate: {
+        validator: isValidRole,
+        message: props => `Role ${props.value} does not exist`
+      },
+      default: ROLES.MEMBER
+    }
+  }],
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Fetch the settings document, creating it with defaults on first use
+settingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    {},
+    { $setOnInsert: {} },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Check an email against the domain policy
+// Returns { allowed, message, role } where role is the domain's default role
+settingsSchema.methods.checkEmailDomain = function(email) {
+  const emailDomain = normalizeDomain(String(email).split('@').pop());
+
+  if (this.blockedDomains.some(domain => matchesDomain(emailDomain, domain))) {
+    return { allowed: false, message: `Sign-ups from ${emailDomain} are not allowed` };
+  }
+
+  if (this.allowedDomains.length > 0 && !this.allowedDomains.some(domain => matchesDomain(emailDomain, domain))) {
+    return { allowed: false, message: `Sign-ups are restricted to: ${this.allowedDomains.join(', ')}` };
+  }
+
+  // Prefer the most specific matching domain
+  const domainRole = this.domainRoles
+    .filter(entry => matchesDomain(emailDomain, entry.domain))
+    .sort((a, b) => b.domain.length - a.domain.length)[0];
+
+  return { allowed: true, role: domainRole?.role || ROLES.MEMBER };
+};
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+export default Settings;
@@ -0,0 +1,87 @@
+// Sprint Schema (a time-boxed iteration of a project; tasks not in a sprint are its backlog)
+import mongoose from 'mongoose';
+
+const sprintSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot exceed 100 characters']
+  },
+
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sprint goal cannot exceed 500 characters'],
+    default: ''
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Sprint start date is required']
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'Sprint end date is required']
+  },
+
+  // planned -> active -> closed; a project has at most one active sprint
+  state: {
+    type: String,
+    enum: {
+      values: ['planned', 'active', 'closed'],
+      message: 'Sprint state must be one of: planned, active, closed'
+    },
+    default: 'planned'
+  },
+
+  // Hours the team has for the sprint, planned against the tasks' estimated hours
+  capacityHours: {
+    type: Number,
+    min: [0, 'Capacity cannot be negative'],
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  closedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Recorded when the sprint is closed, since its unfinished tasks leave it then
+  completedTaskCount: {
+    type: Number,
+    default: 0
+  },
+
+  completedHours: {
+    type: Number,
+    default: 0
+  },
+
+  rolledOverTaskCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+sprintSchema.index({ project: 1, startDate: 1 });
+sprintSchema.index({ project: 1 }, { unique: true, partialFilterExpression: { state: 'active' } });
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+export default Sprint;
@@ -1,5 +1,6 @@
 // Task Schema
 import mongoose from 'mongoose';
+import { STATUS_CATEGORIES, MAX_STATUS_LENGTH } from '../config/workflow.js';
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -12,15 +13,25 @@ const taskSchema = new mongoose.Schema({
     default: ''
   },
   
+  // One of the project's workflow statuses, checked when the task is saved through the API
   status: {
     type: String,
-    enum: {
-      values: ['Pending', 'Ongoing', 'Done', 'Blocked'],
-      message: 'Status must be one of: Pending, Ongoing, Done, Blocked'
-    },
+    trim: true,
+    maxlength: [MAX_STATUS_LENGTH, `Status cannot exceed ${MAX_STATUS_LENGTH} characters`],
     default: 'Pending',
     required: true
   },
+
+  // Workflow category of the status, kept alongside it so completion can be queried
+  // without the project's workflow
+  statusCategory: {
+    type: String,
+    enum: {
+      values: STATUS_CATEGORIES,
+      message: `Status category must be one of: ${STATUS_CATEGORIES.join(', ')}`
+    },
+    default: 'todo'
+  },
   
   priority: {
     type: String,
@@ -77,11 +88,128 @@ const taskSchema = new mongoose.Schema({
     default: null
   },
   
+  // Position on the project's board, lowest first; shared by everyone viewing the project
+  rank: {
+    type: Number,
+    default: null
+  },
+
+  // Sprint the task is planned into; null while it's in the project's backlog.
+  // Subtasks go with their parent and aren't planned on their own.
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+
+  // Set on subtasks; subtasks are one level deep and can't have subtasks of their own
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // Kept up to date as subtasks are added, completed, reopened and deleted
+  subtaskCount: {
+    type: Number,
+    default: 0
+  },
+
+  completedSubtaskCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Ordered steps within the task
+  checklist: [{
+    text: {
+      type: String,
+      required: [true, 'Checklist item text is required'],
+      trim: true,
+      maxlength: [200, 'Checklist item cannot exceed 200 characters']
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+
+  // Repeat rule; the next occurrence is created when this one is done or falls due
+  recurrence: {
+    type: new mongoose.Schema({
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: true
+      },
+      interval: {
+        type: Number,
+        min: [1, 'Recurrence interval must be at least 1'],
+        default: 1
+      },
+      // 0 (Sunday) to 6 (Saturday), for weekly rules
+      weekdays: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      // For monthly rules; short months use their last day
+      monthDay: {
+        type: Number,
+        min: 1,
+        max: 31,
+        default: null
+      },
+      until: {
+        type: Date,
+        default: null
+      },
+      // Total occurrences in the series
+      count: {
+        type: Number,
+        min: 1,
+        default: null
+      }
+    }, { _id: false }),
+    default: null
+  },
+
+  // First task of the recurring series this task belongs to
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // Set once the occurrence after this one has been created
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // Prerequisites in the same project that must be done before this task starts
   dependencies: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Task'
   }],
 
+  // Status to return to once the task is no longer waiting on its dependencies.
+  // Only set while the task was blocked automatically.
+  statusBeforeBlocked: {
+    type: String,
+    default: null
+  },
+
   tags: [{
     type: String,
     trim: true,
@@ -100,9 +228,23 @@ const taskSchema = new mongoose.Schema({
       trim: true,
       maxlength: [500, 'Comment cannot exceed 500 characters']
     },
+    // Set on replies; threads are one level deep
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Project members @mentioned in the content
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
     createdAt: {
       type: Date,
       default: Date.now
+    },
+    editedAt: {
+      type: Date,
+      default: null
     }
   }],
   
@@ -111,9 +253,30 @@ const taskSchema = new mongoose.Schema({
     default: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Percentage done: from subtasks if the task has any, otherwise from its checklist,
+// otherwise from its own status
+taskSchema.virtual('progress').get(function() {
+  if (this.subtaskCount > 0) {
+    return Math.round((this.completedSubtaskCount / this.subtaskCount) * 100);
+  }
+
+  if (this.checklist?.length > 0) {
+    return Math.round((this.checklist.filter(item => item.done).length / this.checklist.length) * 100);
+  }
+
+  return this.statusCategory === 'done' ? 100 : 0;
 });
 
+taskSchema.index({ projectId: 1, rank: 1 });
+taskSchema.index({ projectId: 1, sprint: 1 });
+taskSchema.index({ seriesId: 1 });
+// Recurring tasks waiting for their next occurrence
+taskSchema.index({ nextOccurrence: 1, dueDate: 1 }, { partialFilterExpression: { recurrence: { $type: 'object' } } });
+
 const Task = mongoose.model('Task', taskSchema);
 
 export default Task; 
\ No newline at end of file
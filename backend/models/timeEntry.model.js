@@ -0,0 +1,72 @@
+// Time Entry Schema (time a user spent on a task, from a timer or entered by hand)
+import mongoose from 'mongoose';
+
+const timeEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+
+  // Copied from the task so timesheets can group by project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  // Null while the timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the timer stops, or entered directly for manual entries
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    max: [24 * 60, 'Duration cannot exceed 24 hours'],
+    default: 0
+  },
+
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+timeEntrySchema.virtual('isRunning').get(function() {
+  return !this.endedAt;
+});
+
+// One running timer per user
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } });
+timeEntrySchema.index({ user: 1, startedAt: 1 });
+timeEntrySchema.index({ project: 1, startedAt: 1 });
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
@@ -1,6 +1,6 @@
 // User Schema
 import mongoose from 'mongoose';
-import { ROLES } from '../config/roles.js';
+import { ROLES, isValidRole } from '../config/roles.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -8,10 +8,13 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Name is required'],
   },
   
+  // Stored trimmed and lowercased so one mailbox can't hold two accounts
   email: {
     type: String,
     required: [true, 'Email is required'],
     unique: true,
+    lowercase: true,
+    trim: true,
   },
   
   password: {
@@ -20,11 +23,12 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters long']
   },
   
+  // Any role from the roles collection
   role: {
     type: String,
-    enum: {
-      values: Object.values(ROLES),
-      message: 'Role must be one of: admin, manager, member'
+    validate: {
+      validator: isValidRole,
+      message: props => `Role ${props.value} does not exist`
     },
     default: ROLES.MEMBER,
     required: true
@@ -45,6 +49,61 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Base32 TOTP secret (set during enrollment, active once twoFactorEnabled is true)
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  
+  // SHA-256 hashes of unused single-use backup codes
+  twoFactorBackupCodes: [{
+    type: String
+  }],
+  
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  
+  // Access tokens issued before this moment are rejected (password/role change, deactivation)
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  
+  // Failed sign-in tracking for account lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  
+  // Identity provider account linked through OIDC single sign-on
+  oidcIssuer: {
+    type: String,
+    default: null
+  },
+  
+  oidcSubject: {
+    type: String,
+    default: null
+  },
+  
   resetPasswordToken: {
     type: String,
     default: null
@@ -62,11 +121,27 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorBackupCodes;
+      delete ret.twoFactorLastUsedStep;
       return ret;
     }
   }
 });
 
+// One local account per identity provider account
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
+// Find the account for an email address. Matches case-insensitively so accounts
+// stored before emails were lowercased are still found.
+userSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: String(email).trim().toLowerCase() })
+    .collation({ locale: 'en', strength: 2 });
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User; 
\ No newline at end of file
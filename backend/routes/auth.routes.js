@@ -1,5 +1,18 @@
 import express from 'express';
-import { register, login, getProfile, updateProfile, changePassword, setupInitialAdmin } from '../controllers/auth.controller.js';
+import {
+  register, login, getProfile, updateProfile, changePassword, setupInitialAdmin, forgotPassword, resetPassword,
+  refreshToken, logout, getSessions, revokeSession, revokeOtherSessions
+} from '../controllers/auth.controller.js';
+import {
+  setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateBackupCodes, verifyTwoFactorLogin
+} from '../controllers/twoFactor.controller.js';
+import {
+  getAccessTokens, createAccessToken, revokeAccessToken
+} from '../controllers/personalAccessToken.controller.js';
+import { getOidcConfig, startOidcLogin, completeOidcLogin } from '../controllers/oidc.controller.js';
+import { getMySecurityEvents } from '../controllers/securityEvent.controller.js';
+import { getMyPermissions } from '../controllers/permission.controller.js';
+import { endImpersonation } from '../controllers/impersonation.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 
 const router = express.Router();
@@ -8,10 +21,37 @@ const router = express.Router();
 router.post('/setup-admin', setupInitialAdmin);
 router.post('/register', register);
 router.post('/login', login);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// Single sign-on (OpenID Connect authorization code + PKCE)
+router.get('/oidc/config', getOidcConfig);
+router.post('/oidc/login', startOidcLogin);
+router.post('/oidc/callback', completeOidcLogin);
 
 // Protected routes (require authentication)
 router.get('/me', authenticate, getProfile);
 router.put('/me', authenticate, updateProfile);
+router.get('/me/security-events', authenticate, getMySecurityEvents);
+router.get('/me/permissions', authenticate, getMyPermissions);
+router.post('/impersonation/end', authenticate, endImpersonation);
 router.put('/change-password', authenticate, changePassword);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
+
+// Two-factor authentication enrollment
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, enableTwoFactor);
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+router.post('/2fa/backup-codes', authenticate, regenerateBackupCodes);
+
+// Personal access tokens (for scripts and CI)
+router.get('/tokens', authenticate, getAccessTokens);
+router.post('/tokens', authenticate, createAccessToken);
+router.delete('/tokens/:id', authenticate, revokeAccessToken);
 
 export default router;
\ No newline at end of file
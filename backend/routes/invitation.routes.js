@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} from '../controllers/invitation.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/role.middleware.js';
+import { FEATURE_ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+// Public routes (invitee following the accept link)
+router.get('/accept/:token', getInvitationByToken);
+router.post('/accept', acceptInvitation);
+
+// Manage invitations (Admin and Manager)
+router.get('/', authenticate, requireRole(FEATURE_ROLES.inviteUsers), getInvitations);
+router.post('/', authenticate, requireRole(FEATURE_ROLES.inviteUsers), createInvitation);
+router.post('/:id/resend', authenticate, requireRole(FEATURE_ROLES.inviteUsers), resendInvitation);
+router.delete('/:id', authenticate, requireRole(FEATURE_ROLES.inviteUsers), revokeInvitation);
+
+export default router;
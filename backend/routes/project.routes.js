@@ -1,7 +1,7 @@
 import express from 'express';
-import {getAllProjects, getProjectById, createProject, updateProject, deleteProject, addProjectMember, removeProjectMember} from '../controllers/project.controller.js';
+import {getAllProjects, getProjectById, createProject, updateProject, deleteProject, addProjectMember, removeProjectMember, updateProjectWorkflow} from '../controllers/project.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole, requirePermission } from '../middlewares/role.middleware.js';
+import { requirePermission, requireProjectPermission } from '../middlewares/role.middleware.js';
 
 const router = express.Router();
 
@@ -10,19 +10,22 @@ router.use(authenticate);
 router.get('/', requirePermission('projects', 'read'), getAllProjects);
 
 // Create project (Admin only)
-router.post('/', requireRole('admin'), createProject);
+router.post('/', requirePermission('projects', 'create'), createProject);
 
-// Get specific project
-router.get('/:id', requirePermission('projects', 'read'), getProjectById);
+// Get specific project (project members)
+router.get('/:id', requireProjectPermission('projects', 'read'), getProjectById);
 
-// Update project (Admin/Manager with access)
-router.put('/:id', requirePermission('projects', 'update'), updateProject);
+// Update project (Admin/Project manager)
+router.put('/:id', requireProjectPermission('projects', 'update'), updateProject);
+
+// Replace the project's task workflow (Admin/Project manager)
+router.put('/:id/workflow', requireProjectPermission('projects', 'update'), updateProjectWorkflow);
 
 // Delete project (Admin only)
-router.delete('/:id', requireRole('admin'), deleteProject);
+router.delete('/:id', requireProjectPermission('projects', 'delete'), deleteProject);
 
-// Project member management
-router.post('/:id/members', requirePermission('projects', 'update'), addProjectMember);
-router.delete('/:id/members/:userId', requirePermission('projects', 'update'), removeProjectMember);
+// Project member management (Admin/Project manager)
+router.post('/:id/members', requireProjectPermission('projects', 'update'), addProjectMember);
+router.delete('/:id/members/:userId', requireProjectPermission('projects', 'update'), removeProjectMember);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+import express from 'express';
+import { getRoles, createRole, cloneRole, updateRole, deleteRole } from '../controllers/role.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/role.middleware.js';
+import { FEATURE_ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// List roles (Admin/Manager - used for role pickers)
+router.get('/', requireRole(FEATURE_ROLES.viewRoles), getRoles);
+
+// Create, clone, update and delete roles (Admin only)
+router.post('/', requireRole(FEATURE_ROLES.manageRoles), createRole);
+router.post('/:id/clone', requireRole(FEATURE_ROLES.manageRoles), cloneRole);
+router.put('/:id', requireRole(FEATURE_ROLES.manageRoles), updateRole);
+router.delete('/:id', requireRole(FEATURE_ROLES.manageRoles), deleteRole);
+
+export default router;
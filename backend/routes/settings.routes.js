@@ -0,0 +1,16 @@
+import express from 'express';
+import { getPublicSettings, getSettings, updateSettings } from '../controllers/settings.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/role.middleware.js';
+import { FEATURE_ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+// Public settings used by the sign-up pages
+router.get('/public', getPublicSettings);
+
+// Get and update settings (Admin only)
+router.get('/', authenticate, requireRole(FEATURE_ROLES.manageSettings), getSettings);
+router.put('/', authenticate, requireRole(FEATURE_ROLES.manageSettings), updateSettings);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getProjectSprints, createSprint, updateSprint, startSprint, closeSprint, deleteSprint
+} from '../controllers/sprint.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requireProjectPermission } from '../middlewares/role.middleware.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Get a project's sprints and backlog totals (project members)
+router.get('/project/:projectId', requireProjectPermission('tasks', 'read', 'params.projectId'), getProjectSprints);
+
+// Plan sprints (Admin/Project manager)
+router.post('/', requireProjectPermission('projects', 'update', 'body.projectId'), createSprint);
+router.put('/:id', requireProjectPermission('projects', 'update', 'sprint'), updateSprint);
+router.delete('/:id', requireProjectPermission('projects', 'update', 'sprint'), deleteSprint);
+
+// Start a planned sprint, or close the active one (Admin/Project manager)
+router.post('/:id/start', requireProjectPermission('projects', 'update', 'sprint'), startSprint);
+router.post('/:id/close', requireProjectPermission('projects', 'update', 'sprint'), closeSprint);
+
+export default router;
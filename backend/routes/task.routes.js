@@ -1,30 +1,61 @@
 import express from 'express';
 import {
-  getProjectTasks, getTaskById, createTask, updateTask, deleteTask, getMyTasks
+  getProjectTasks, getTaskById, createTask, updateTask, deleteTask, getMyTasks,
+  addTaskDependency, removeTaskDependency, getDependencyGraph,
+  addChecklistItem, reorderChecklist, updateChecklistItem, deleteChecklistItem
 } from '../controllers/task.controller.js';
+import {
+  getTaskComments, addTaskComment, updateTaskComment, deleteTaskComment
+} from '../controllers/comment.controller.js';
+import { getTaskTimeEntries, addTimeEntry, startTimer } from '../controllers/timeEntry.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requirePermission } from '../middlewares/role.middleware.js';
+import { requirePermission, requireProjectPermission } from '../middlewares/role.middleware.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 
 // Get users tasks
-router.get('/my-tasks', getMyTasks);
+router.get('/my-tasks', requirePermission('tasks', 'read'), getMyTasks);
+
+// Get tasks for a specific project (project members)
+router.get('/project/:projectId', requireProjectPermission('tasks', 'read', 'params.projectId'), getProjectTasks);
+
+// Dependency graph of a project's tasks (project members)
+router.get('/project/:projectId/dependency-graph', requireProjectPermission('tasks', 'read', 'params.projectId'), getDependencyGraph);
+
+// Create task (Admin/Project manager)
+router.post('/', requireProjectPermission('tasks', 'create', 'body.projectId'), createTask);
+
+// Get specific task (project members)
+router.get('/:id', requireProjectPermission('tasks', 'read', 'task'), getTaskById);
+
+// Update task (Admin/Project manager/Assigned user with restrictions)
+router.put('/:id', requireProjectPermission('tasks', 'update', 'task'), updateTask);
 
-// Get tasks for a specific project
-router.get('/project/:projectId', requirePermission('tasks', 'read'), getProjectTasks);
+// Delete task (Admin/Project manager)
+router.delete('/:id', requireProjectPermission('tasks', 'delete', 'task'), deleteTask);
 
-// Create task (Admin/Manager)
-router.post('/', requirePermission('tasks', 'create'), createTask);
+// Task dependencies (roles that may edit the task's dependencies field)
+router.post('/:id/dependencies', requireProjectPermission('tasks', 'update', 'task'), addTaskDependency);
+router.delete('/:id/dependencies/:dependencyId', requireProjectPermission('tasks', 'update', 'task'), removeTaskDependency);
 
-// Get specific task
-router.get('/:id', requirePermission('tasks', 'read'), getTaskById);
+// Task checklist (roles that may edit the checklist field; item assignees may tick off their items)
+router.post('/:id/checklist', requireProjectPermission('tasks', 'update', 'task'), addChecklistItem);
+router.put('/:id/checklist/order', requireProjectPermission('tasks', 'update', 'task'), reorderChecklist);
+router.put('/:id/checklist/:itemId', requireProjectPermission('tasks', 'update', 'task'), updateChecklistItem);
+router.delete('/:id/checklist/:itemId', requireProjectPermission('tasks', 'update', 'task'), deleteChecklistItem);
 
-// Update task (Admin/Manager/Assigned user with restrictions)
-router.put('/:id', requirePermission('tasks', 'update'), updateTask);
+// Task comments (project members; commenting counts as updating the task, but is
+// allowed on any task in the project and doesn't touch the task's own fields)
+router.get('/:id/comments', requireProjectPermission('tasks', 'read', 'task'), getTaskComments);
+router.post('/:id/comments', requireProjectPermission('tasks', 'update', 'task'), addTaskComment);
+router.put('/:id/comments/:commentId', requireProjectPermission('tasks', 'update', 'task'), updateTaskComment);
+router.delete('/:id/comments/:commentId', requireProjectPermission('tasks', 'update', 'task'), deleteTaskComment);
 
-// Delete task (Admin/Manager)
-router.delete('/:id', requirePermission('tasks', 'delete'), deleteTask);
+// Time tracking (project members, not guests; anyone on the project can log time on its tasks)
+router.get('/:id/time-entries', requireProjectPermission('tasks', 'read', 'task'), getTaskTimeEntries);
+router.post('/:id/time-entries', requireProjectPermission('tasks', 'update', 'task'), addTimeEntry);
+router.post('/:id/timer', requireProjectPermission('tasks', 'update', 'task'), startTimer);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getRunningTimer, stopTimer, getTimesheet, updateTimeEntry, deleteTimeEntry
+} from '../controllers/timeEntry.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Current user's running timer
+router.get('/timer', requirePermission('tasks', 'read'), getRunningTimer);
+router.post('/timer/stop', requirePermission('tasks', 'update'), stopTimer);
+
+// Weekly timesheet (own time; project managers and admins also see others)
+router.get('/timesheet', requirePermission('tasks', 'read'), getTimesheet);
+
+// Edit or delete a time entry (entry owner/Admin)
+router.put('/:id', requirePermission('tasks', 'update'), updateTimeEntry);
+router.delete('/:id', requirePermission('tasks', 'update'), deleteTimeEntry);
+
+export default router;
@@ -1,14 +1,21 @@
 import express from 'express';
-import { getAllUsers, getUserById, updateUser, deleteUser, getUserStats, updateUserRole } from '../controllers/user.controller.js';
+import { getAllUsers, getUserById, updateUser, deleteUser, getUserStats, updateUserRole, forceLogoutUser, unlockUser } from '../controllers/user.controller.js';
+import { getUserSecurityEvents } from '../controllers/securityEvent.controller.js';
+import { startImpersonation, getImpersonations, getImpersonationRequests } from '../controllers/impersonation.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { requireRole, requirePermission } from '../middlewares/role.middleware.js';
+import { FEATURE_ROLES } from '../config/roles.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 
 // Get user statistics (Admin only)
-router.get('/stats', requireRole('admin'), getUserStats);
+router.get('/stats', requireRole(FEATURE_ROLES.manageUsers), getUserStats);
+
+// Impersonation audit trail (Admin only)
+router.get('/impersonations', requireRole(FEATURE_ROLES.manageUsers), getImpersonations);
+router.get('/impersonations/:id/requests', requireRole(FEATURE_ROLES.manageUsers), getImpersonationRequests);
 
 // Get all users (Admin and Manager can view users)
 router.get('/', requirePermission('users', 'read'), getAllUsers);
@@ -16,13 +23,25 @@ router.get('/', requirePermission('users', 'read'), getAllUsers);
 // Get user by ID (Admin and Manager can view users)
 router.get('/:id', requirePermission('users', 'read'), getUserById);
 
+// Login and security history (Admin only)
+router.get('/:id/security-events', requireRole(FEATURE_ROLES.manageUsers), getUserSecurityEvents);
+
+// View the app as this user (Admin only)
+router.post('/:id/impersonate', requireRole(FEATURE_ROLES.manageUsers), startImpersonation);
+
 // Update user (Admin only)
-router.put('/:id', requireRole('admin'), updateUser);
+router.put('/:id', requireRole(FEATURE_ROLES.manageUsers), updateUser);
 
 // Update user role (Admin only)
-router.put('/:id/role', requireRole('admin'), updateUserRole);
+router.put('/:id/role', requireRole(FEATURE_ROLES.manageUsers), updateUserRole);
+
+// Sign user out of every device (Admin only)
+router.post('/:id/force-logout', requireRole(FEATURE_ROLES.manageUsers), forceLogoutUser);
+
+// Unlock account after failed sign-in lockout (Admin only)
+router.post('/:id/unlock', requireRole(FEATURE_ROLES.manageUsers), unlockUser);
 
 // Delete user (Admin only)
-router.delete('/:id', requireRole('admin'), deleteUser);
+router.delete('/:id', requireRole(FEATURE_ROLES.manageUsers), deleteUser);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Mock OpenID Connect issuer for trying out SSO locally.
+ * Not for production: it signs in whoever fills out the form.
+ *
+ * Run:  npm run mock-oidc --workspace=backend
+ * Then: OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=project-dashboard
+ *       OIDC_ROLE_CLAIM=groups OIDC_ROLE_MAPPING=admins:admin,managers:manager
+ */
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const KEY_ID = 'mock-key-1';
+const CODE_LIFETIME_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const authorizationCodes = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Sign-in form standing in for the identity provider's login page
+app.get('/authorize', (req, res) => {
+  const hiddenFields = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 48px auto;">
+    <h2>Mock identity provider</h2>
+    <form method="post" action="/authorize">
+      ${hiddenFields}
+      <p><label>Email<br><input name="email" type="email" required value="sso.user@example.com"></label></p>
+      <p><label>Name<br><input name="name" value="SSO User"></label></p>
+      <p><label>Groups (comma-separated)<br><input name="groups" value="managers"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, email } = req.body;
+  const code = crypto.randomBytes(16).toString('hex');
+
+  authorizationCodes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    claims: {
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name,
+      groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    },
+    expiresAt: Date.now() + CODE_LIFETIME_MS
+  });
+
+  const params = new URLSearchParams({ code, state });
+  res.redirect(`${redirectUri}?${params.toString()}`);
+});
+
+app.post('/token', (req, res) => {
+  const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+  const entry = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  // Confidential clients send client_id in Basic auth, public clients in the body
+  const basicAuth = (req.get('Authorization') || '').replace(/^Basic /, '');
+  const clientId = req.body.client_id ||
+    decodeURIComponent(Buffer.from(basicAuth, 'base64').toString().split(':')[0]);
+
+  if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== redirectUri || entry.clientId !== clientId) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.claims, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER}`);
+});
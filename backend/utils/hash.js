@@ -1,5 +1,6 @@
 // Password hashing using bcryptjs
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 // Hash a plain text password
 const hashPassword = async (password) => {
@@ -52,8 +53,20 @@ const validatePassword = (password) => {
   };
 };
 
+// Generate a random URL-safe token (sent to the user, never stored as-is)
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a random token for storage (SHA-256 is enough for high-entropy tokens)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 export {
   hashPassword,
   comparePassword,
-  validatePassword
+  validatePassword,
+  generateRandomToken,
+  hashToken
 }; 
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Impersonation utility
+ * Admins can "view as" another user with a short-lived access token that carries
+ * the impersonator's id and the Impersonation record it belongs to. There is no
+ * refresh token: when the access token expires the impersonation is over.
+ */
+import Impersonation from '../models/impersonation.model.js';
+import ImpersonationRequest from '../models/impersonationRequest.model.js';
+import User from '../models/user.model.js';
+import { generateToken } from './jwt.js';
+import { FEATURE_ROLES } from '../config/roles.js';
+import * as logger from './logger.js';
+
+// Requests an impersonated session may not make: deleting anything, changing roles,
+// and managing the impersonated user's account
+const BLOCKED_REQUESTS = [
+  { method: 'DELETE', path: /^\/api\// },
+  { method: 'PUT', path: /^\/api\/users\/[^/]+\/role$/ },
+  { method: 'POST', path: /^\/api\/users\/[^/]+\/impersonate$/ },
+  { method: 'POST', path: /^\/api\/projects\/[^/]+\/members$/ },
+  { method: /^(POST|PUT|PATCH)$/, path: /^\/api\/roles/ },
+  { method: /^(POST|PUT|PATCH)$/, path: /^\/api\/auth\/(?!impersonation\/end$)/ }
+];
+
+/**
+ * Get the impersonation token lifetime in minutes
+ * @returns {number} - Lifetime in minutes
+ */
+const getImpersonationLifetimeMinutes = () => {
+  return parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES, 10) || 30;
+};
+
+/**
+ * Sign the access token used while impersonating
+ * @param {Object} user - Impersonated user
+ * @param {Object} impersonation - Impersonation document
+ * @returns {string} - Signed JWT
+ */
+const signImpersonationToken = (user, impersonation) => {
+  return generateToken({
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    impersonatorId: impersonation.impersonator,
+    impersonationId: impersonation._id
+  }, { expiresIn: `${getImpersonationLifetimeMinutes()}m` });
+};
+
+/**
+ * Check that an impersonation token is still usable: the record hasn't ended and the
+ * impersonator is still active and still allowed to manage users
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Object|null>} - { impersonation, impersonator } or null
+ */
+const verifyImpersonation = async (decoded) => {
+  const impersonation = await Impersonation.findById(decoded.impersonationId);
+
+  if (!impersonation || impersonation.status !== 'active' ||
+      impersonation.impersonator.toString() !== decoded.impersonatorId ||
+      impersonation.user.toString() !== decoded.userId) {
+    return null;
+  }
+
+  const impersonator = await User.findById(impersonation.impersonator).select('name email role isActive');
+  if (!impersonator || !impersonator.isActive || !FEATURE_ROLES.manageUsers.includes(impersonator.role)) {
+    return null;
+  }
+
+  return { impersonation, impersonator };
+};
+
+/**
+ * Check whether a request is off-limits while impersonating
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const isBlockedWhileImpersonating = (req) => {
+  const path = req.originalUrl.split('?')[0];
+
+  return BLOCKED_REQUESTS.some(rule => (
+    (rule.method instanceof RegExp ? rule.method.test(req.method) : rule.method === req.method) &&
+    rule.path.test(path)
+  ));
+};
+
+/**
+ * Record the request in the impersonation's audit trail once the response is sent.
+ * Recording never throws.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} impersonation - Impersonation document
+ */
+const logImpersonatedRequest = (req, res, impersonation) => {
+  res.on('finish', async () => {
+    try {
+      await ImpersonationRequest.create({
+        impersonation: impersonation._id,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip
+      });
+      await Impersonation.updateOne({ _id: impersonation._id }, { $inc: { requestCount: 1 } });
+    } catch (error) {
+      logger.error('Failed to record impersonated request', error);
+    }
+  });
+};
+
+export {
+  getImpersonationLifetimeMinutes,
+  signImpersonationToken,
+  verifyImpersonation,
+  isBlockedWhileImpersonating,
+  logImpersonatedRequest
+};
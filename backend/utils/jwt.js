@@ -1,13 +1,14 @@
 // Generate JWT token for user authentication
 import jwt from 'jsonwebtoken';
 
-const generateToken = (payload) => {
+// Pass options.expiresIn to override the default access token lifetime
+const generateToken = (payload, options = {}) => {
   try {
     return jwt.sign(
       payload,
       process.env.JWT_SECRET,
       { 
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+        expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '15m',
         issuer: 'project-management-app'
       }
     );
@@ -0,0 +1,245 @@
+/**
+ * Login throttling utility
+ * Tracks failed sign-in attempts per IP (in a pluggable store) and per account
+ * (on the User document) and locks them out with exponential backoff.
+ *
+ * LOGIN_THROTTLE_STORE selects the IP counter store:
+ *  - memory (default): per process, fine for a single server
+ *  - mongo: shared between instances (serverless / multiple servers)
+ */
+import LoginThrottle from '../models/loginThrottle.model.js';
+import User from '../models/user.model.js';
+
+/**
+ * Read throttling settings (read per call since env loads after imports)
+ * @returns {Object} - Throttle settings
+ */
+const getSettings = () => ({
+  accountMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  baseLockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 30) * 1000,
+  maxLockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 60) * 60 * 1000
+});
+
+/**
+ * Compute when a lockout ends for a failure count
+ * (base, 2x base, 4x base, ... once the limit is reached, capped at the max)
+ * @param {number} failures - Failures in the current window
+ * @param {number} maxAttempts - Failures allowed before locking
+ * @returns {Date|null} - Lockout end, or null if not locked
+ */
+const computeLockout = (failures, maxAttempts) => {
+  if (failures < maxAttempts) return null;
+
+  const { baseLockoutMs, maxLockoutMs } = getSettings();
+  const exponent = Math.min(failures - maxAttempts, 20);
+  const lockoutMs = Math.min(baseLockoutMs * 2 ** exponent, maxLockoutMs);
+
+  return new Date(Date.now() + lockoutMs);
+};
+
+/**
+ * In-process counter store
+ */
+const memoryEntries = new Map();
+
+const memoryStore = {
+  async get(key) {
+    const entry = memoryEntries.get(key);
+    if (entry && entry.expiresAt <= new Date()) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    return entry || null;
+  },
+
+  async hit(key, maxAttempts, windowMs) {
+    const now = new Date();
+    const existing = await memoryStore.get(key);
+    const count = (existing?.count || 0) + 1;
+    const lockedUntil = computeLockout(count, maxAttempts);
+    const windowEnd = new Date(now.getTime() + windowMs);
+
+    const entry = {
+      count,
+      lockedUntil,
+      expiresAt: lockedUntil && lockedUntil > windowEnd ? lockedUntil : windowEnd
+    };
+    memoryEntries.set(key, entry);
+
+    // Drop expired entries now and then so the map doesn't grow forever
+    if (memoryEntries.size > 10000) {
+      for (const [entryKey, value] of memoryEntries) {
+        if (value.expiresAt <= now) memoryEntries.delete(entryKey);
+      }
+    }
+
+    return entry;
+  },
+
+  async reset(key) {
+    memoryEntries.delete(key);
+  }
+};
+
+/**
+ * MongoDB counter store (shared between instances)
+ */
+const mongoStore = {
+  async get(key) {
+    return LoginThrottle.findOne({ key, expiresAt: { $gt: new Date() } });
+  },
+
+  async hit(key, maxAttempts, windowMs) {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + windowMs);
+
+    // Increment a live counter, or start a new window if it has expired
+    let entry = await LoginThrottle.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (!entry) {
+      entry = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { count: 1, lockedUntil: null, expiresAt: windowEnd },
+        { new: true, upsert: true }
+      );
+    }
+
+    const lockedUntil = computeLockout(entry.count, maxAttempts);
+    entry.lockedUntil = lockedUntil;
+    entry.expiresAt = lockedUntil && lockedUntil > windowEnd ? lockedUntil : windowEnd;
+    await entry.save();
+
+    return entry;
+  },
+
+  async reset(key) {
+    await LoginThrottle.deleteOne({ key });
+  }
+};
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+/**
+ * Get the configured counter store
+ * @returns {Object} - Store with get/hit/reset
+ */
+const getStore = () => {
+  const storeName = process.env.LOGIN_THROTTLE_STORE || 'memory';
+  const store = stores[storeName];
+
+  if (!store) {
+    throw new Error(`Unknown login throttle store: ${storeName}`);
+  }
+
+  return store;
+};
+
+/**
+ * Seconds until a lockout ends
+ * @param {Date|null} lockedUntil - Lockout end
+ * @returns {number} - Seconds remaining (0 if not locked)
+ */
+const secondsUntil = (lockedUntil) => {
+  if (!lockedUntil) return 0;
+  return Math.max(0, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Check whether an IP is currently locked out
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} - Seconds remaining (0 if allowed)
+ */
+const getIpLockout = async (ip) => {
+  const entry = await getStore().get(`ip:${ip}`);
+  return secondsUntil(entry?.lockedUntil);
+};
+
+/**
+ * Record a failed attempt from an IP
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} - Seconds the IP is now locked for (0 if not locked)
+ */
+const registerIpFailure = async (ip) => {
+  const { ipMaxAttempts, windowMs } = getSettings();
+  const entry = await getStore().hit(`ip:${ip}`, ipMaxAttempts, windowMs);
+  return secondsUntil(entry.lockedUntil);
+};
+
+/**
+ * Check whether an account is currently locked out
+ * @param {Object} user - User document
+ * @returns {number} - Seconds remaining (0 if allowed)
+ */
+const getAccountLockout = (user) => {
+  return secondsUntil(user.lockedUntil);
+};
+
+/**
+ * Record a failed attempt against an account. The counter is updated atomically so
+ * parallel attempts all count; the user document isn't changed and needn't be saved.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { lockedFor: seconds the account is now locked for (0 if not
+ *   locked), failedLoginAttempts, lockedUntil }
+ */
+const registerAccountFailure = async (user) => {
+  const { accountMaxAttempts, windowMs } = getSettings();
+  const now = new Date();
+
+  // Start counting again once the previous failures are outside the window
+  await User.updateOne(
+    {
+      _id: user._id,
+      $and: [
+        { $or: [{ lastFailedLoginAt: null }, { lastFailedLoginAt: { $lte: new Date(now.getTime() - windowMs) } }] },
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+      ]
+    },
+    { $set: { failedLoginAttempts: 0 } }
+  );
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true, projection: 'failedLoginAttempts lockedUntil' }
+  );
+
+  const lockedUntil = computeLockout(updated.failedLoginAttempts, accountMaxAttempts);
+  if (lockedUntil) {
+    // A parallel attempt may have set a later lockout already
+    await User.updateOne({ _id: user._id }, { $max: { lockedUntil } });
+  }
+
+  return {
+    lockedFor: secondsUntil(lockedUntil),
+    failedLoginAttempts: updated.failedLoginAttempts,
+    lockedUntil: lockedUntil || updated.lockedUntil
+  };
+};
+
+/**
+ * Clear an account's failed attempts (successful login or admin unlock).
+ * The caller must save the user.
+ * @param {Object} user - User document
+ */
+const resetAccountFailures = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+};
+
+export {
+  getIpLockout,
+  registerIpFailure,
+  getAccountLockout,
+  registerAccountFailure,
+  resetAccountFailures
+};
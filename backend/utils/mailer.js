@@ -0,0 +1,80 @@
+/**
+ * Pluggable mail utility
+ * Transports are registered by name and selected with MAIL_TRANSPORT
+ * (defaults to 'console'). Register a custom transport (SMTP, SES, ...)
+ * at startup with registerTransport.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import * as logger from './logger.js';
+
+/**
+ * Console transport - logs the message instead of sending it (local development).
+ * Outside development only the recipient and subject are logged, since bodies carry
+ * reset and invitation links.
+ * @param {Object} message - { to, subject, text }
+ */
+const consoleTransport = async (message) => {
+  if (process.env.NODE_ENV === 'development') {
+    logger.info('Mail sent (console transport)', message);
+    return;
+  }
+
+  logger.info('Mail not sent (console transport, body withheld)', { to: message.to, subject: message.subject });
+};
+
+/**
+ * File transport - writes each message as a JSON file into MAIL_OUTBOX_DIR
+ * @param {Object} message - { to, subject, text }
+ */
+const fileTransport = async (message) => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, '_')}.json`;
+  await fs.writeFile(
+    path.join(outboxDir, fileName),
+    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+  );
+
+  logger.info('Mail written to outbox', { to: message.to, file: fileName });
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Register (or replace) a mail transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => void
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@project-management-app',
+    to,
+    subject,
+    text
+  });
+};
+
+export {
+  registerTransport,
+  sendMail
+};
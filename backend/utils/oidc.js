@@ -0,0 +1,243 @@
+/**
+ * OpenID Connect utility (authorization code flow with PKCE)
+ * Endpoints come from the issuer's discovery document and ID tokens are
+ * verified against its JWKS. Both are cached in memory.
+ *
+ * Configured through env (read per call since env loads after imports):
+ *  - OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET (optional for public clients)
+ *  - OIDC_REDIRECT_URI (defaults to the frontend /auth/sso/callback page)
+ *  - OIDC_SCOPES, OIDC_PROVIDER_NAME
+ *  - OIDC_ROLE_CLAIM + OIDC_ROLE_MAPPING ("claimValue:role,...") for role mapping
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { isValidRole, getMostPrivilegedRole } from '../config/roles.js';
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * Read OIDC settings from env
+ * @returns {Object} - OIDC settings
+ */
+const getOidcSettings = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/sso/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || '',
+  roleMapping: process.env.OIDC_ROLE_MAPPING || ''
+});
+
+/**
+ * Check whether SSO is configured
+ * @returns {boolean}
+ */
+const isOidcEnabled = () => {
+  const { issuer, clientId } = getOidcSettings();
+  return !!(issuer && clientId);
+};
+
+/**
+ * Fetch JSON, throwing on non-2xx responses
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed body
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+
+  return body;
+};
+
+/**
+ * Get the issuer's discovery document
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const discover = async () => {
+  const { issuer } = getOidcSettings();
+
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+
+  discoveryCache = { issuer, metadata, expiresAt: Date.now() + CACHE_TTL_MS };
+  return metadata;
+};
+
+/**
+ * Find the public key an ID token was signed with, refetching the JWKS once
+ * if the key id is unknown (the provider may have rotated keys)
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await discover();
+
+  for (const forceRefresh of [false, true]) {
+    if (forceRefresh || !jwksCache || jwksCache.uri !== jwksUri || jwksCache.expiresAt <= Date.now()) {
+      const { keys } = await fetchJson(jwksUri);
+      jwksCache = { uri: jwksUri, keys, expiresAt: Date.now() + CACHE_TTL_MS };
+    }
+
+    const signingKeys = jwksCache.keys.filter(key => !key.use || key.use === 'sig');
+    const jwk = kid ? signingKeys.find(key => key.kid === kid) : signingKeys[0];
+
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error(`No OIDC signing key found for kid ${kid}`);
+};
+
+/**
+ * Generate a PKCE verifier and its S256 challenge
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+const generatePkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the URL that sends the browser to the identity provider
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} - Authorization URL
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { clientId, redirectUri, scopes } = getOidcSettings();
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Code from the callback
+ * @param {string} codeVerifier - PKCE verifier saved when the flow started
+ * @returns {Promise<Object>} - Token response (id_token, access_token, ...)
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const { clientId, clientSecret, redirectUri } = getOidcSettings();
+  const { token_endpoint: tokenEndpoint } = await discover();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (clientSecret) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(tokenEndpoint, { method: 'POST', headers, body });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce saved when the flow started
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const { issuer, clientId } = getOidcSettings();
+  const metadata = await discover();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SUPPORTED_ALGORITHMS,
+    issuer: [issuer, metadata.issuer],
+    audience: clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * Map the configured role claim onto an app role.
+ * With several matches the most privileged role wins.
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string|null} - Role, or null if mapping is not configured or nothing matched
+ */
+const mapClaimsToRole = (claims) => {
+  const { roleClaim, roleMapping } = getOidcSettings();
+  if (!roleClaim || !roleMapping) return null;
+
+  const rawValue = claims[roleClaim];
+  const values = (Array.isArray(rawValue) ? rawValue : [rawValue])
+    .filter(value => value !== undefined && value !== null)
+    .map(String);
+
+  const mapping = roleMapping
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return { value: entry.slice(0, separator).trim(), role: entry.slice(separator + 1).trim() };
+    })
+    .filter(({ value, role }) => value && isValidRole(role));
+
+  const matchedRoles = mapping
+    .filter(({ value }) => values.includes(value))
+    .map(({ role }) => role);
+
+  return getMostPrivilegedRole(matchedRoles);
+};
+
+export {
+  getOidcSettings,
+  isOidcEnabled,
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapClaimsToRole
+};
@@ -0,0 +1,76 @@
+/**
+ * Personal access token utility
+ * Tokens look like "pat_<64 hex chars>" so they can be told apart from JWTs
+ * in the Authorization header. Only their SHA-256 hash is stored.
+ */
+import PersonalAccessToken from '../models/personalAccessToken.model.js';
+import User from '../models/user.model.js';
+import { generateRandomToken, hashToken } from './hash.js';
+
+const TOKEN_PREFIX = 'pat_';
+
+// Skip the lastUsedAt write when the token was used within this window
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether a bearer token is a personal access token
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isPersonalAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+/**
+ * Generate a new personal access token
+ * @returns {Object} - { token, tokenHash, tokenPrefix }
+ */
+const generatePersonalAccessToken = () => {
+  const token = `${TOKEN_PREFIX}${generateRandomToken(32)}`;
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  };
+};
+
+/**
+ * Look up a personal access token and its owner, recording its use
+ * @param {string} token - Raw token from the Authorization header
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} - { accessToken, user } or null if unusable
+ */
+const verifyPersonalAccessToken = async (token, ip) => {
+  const now = new Date();
+
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken || accessToken.revokedAt || (accessToken.expiresAt && accessToken.expiresAt <= now)) {
+    return null;
+  }
+
+  const user = await User.findById(accessToken.user).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  // Logging out everywhere (password change or reset, forced logout) also retires existing tokens
+  if (user.tokensValidAfter && accessToken.createdAt < user.tokensValidAfter) {
+    return null;
+  }
+
+  if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+    accessToken.lastUsedAt = now;
+    accessToken.lastUsedIp = ip;
+    await accessToken.save();
+  }
+
+  return { accessToken, user };
+};
+
+export {
+  isPersonalAccessToken,
+  generatePersonalAccessToken,
+  verifyPersonalAccessToken
+};
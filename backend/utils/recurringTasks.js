@@ -0,0 +1,372 @@
+/**
+ * Recurring tasks utility
+ * A recurring task carries its rule in `recurrence` and is one occurrence of a
+ * series identified by `seriesId` (the first task's id). The next occurrence is
+ * created when the latest one is done or when its due date arrives,
+ * whichever comes first; `nextOccurrence` records that it was created so each
+ * occurrence is only followed once, even with several server instances.
+ * Dates are calculated in UTC and weeks start on Monday.
+ */
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Project from '../models/project.model.js';
+import { getWorkflow, getInitialStatus, getStatusCategory } from '../config/workflow.js';
+import { getTopRank } from './taskRanking.js';
+import * as logger from './logger.js';
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RECURRENCE_CHECK_MS = 60 * 1000;
+const MAX_INTERVAL = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// RFC 5545 weekday codes, indexed like Date#getUTCDay()
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Monday 00:00 UTC of the date's week
+const startOfWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return addDays(start, -((start.getUTCDay() + 6) % 7));
+};
+
+// The day of month in the given month, moved back to its last day for short months
+const dayInMonth = (date, monthOffset, monthDay) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + monthOffset;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year, month, Math.min(monthDay, lastDay),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Parse the supported subset of an RFC 5545 RRULE: FREQ (DAILY, WEEKLY or MONTHLY),
+ * INTERVAL, BYDAY (weekly only, without ordinals), BYMONTHDAY (monthly only, one day),
+ * UNTIL and COUNT
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+ * @returns {Object} - { recurrence } or { error }
+ */
+const parseRRule = (rrule) => {
+  const parts = String(rrule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = {};
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+
+    switch (key?.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = value?.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY': {
+        const weekdays = value?.toUpperCase().split(',').map(day => RRULE_WEEKDAYS.indexOf(day));
+        if (!weekdays || weekdays.includes(-1)) {
+          return { error: `Unsupported BYDAY value "${value}"; use weekday codes like MO,WE` };
+        }
+        rule.weekdays = weekdays;
+        break;
+      }
+      case 'BYMONTHDAY':
+        rule.monthDay = Number(value);
+        break;
+      case 'UNTIL': {
+        // 20261231 or 20261231T170000Z
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value || '');
+        if (!match) {
+          return { error: `Invalid UNTIL value "${value}"` };
+        }
+        const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+        rule.until = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+        break;
+      }
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday
+        if (value?.toUpperCase() !== 'MO') {
+          return { error: 'Only WKST=MO is supported' };
+        }
+        break;
+      default:
+        return { error: `Unsupported RRULE part "${part}"` };
+    }
+  }
+
+  return normalizeRecurrence(rule);
+};
+
+/**
+ * Validate a recurrence rule from a request
+ * @param {Object|string|null} input - A rule object, an RRULE string, { rrule }, or null to stop repeating
+ * @returns {Object} - { recurrence } with the stored form of the rule (null for none), or { error }
+ */
+const normalizeRecurrence = (input) => {
+  if (input === null || input === false || input === '') return { recurrence: null };
+  if (typeof input === 'string') return parseRRule(input);
+  if (typeof input !== 'object') return { error: 'Recurrence must be a rule object or an RRULE string' };
+  if (typeof input.rrule === 'string') return parseRRule(input.rrule);
+
+  const { frequency, interval = 1, weekdays = [], monthDay = null, until = null, count = null } = input;
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(Number(interval)) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+  }
+
+  if (!Array.isArray(weekdays) || weekdays.some(day => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+    return { error: 'Recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  if (weekdays.length > 0 && frequency !== 'weekly') {
+    return { error: 'Weekdays can only be set on weekly recurrences' };
+  }
+
+  if (monthDay !== null && (frequency !== 'monthly' || !Number.isInteger(Number(monthDay)) || monthDay < 1 || monthDay > 31)) {
+    return { error: 'Day of month must be from 1 to 31 and only set on monthly recurrences' };
+  }
+
+  const untilDate = until === null ? null : new Date(until);
+  if (untilDate && Number.isNaN(untilDate.getTime())) {
+    return { error: 'Recurrence end date is invalid' };
+  }
+
+  // A plain date ends the series at the end of that day
+  if (untilDate && typeof until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(until)) {
+    untilDate.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (count !== null && (!Number.isInteger(Number(count)) || count < 1)) {
+    return { error: 'Recurrence count must be a whole number of at least 1' };
+  }
+
+  return {
+    recurrence: {
+      frequency,
+      interval: Number(interval),
+      weekdays: [...new Set(weekdays.map(Number))].sort((a, b) => a - b),
+      monthDay: monthDay === null ? null : Number(monthDay),
+      until: untilDate,
+      count: count === null ? null : Number(count)
+    }
+  };
+};
+
+/**
+ * Pin a rule's unset weekday or day of month to the first occurrence's due date, so
+ * "monthly" from the 31st stays on the 31st after a short month
+ * @param {Object} recurrence - Stored rule
+ * @param {Date} dueDate - Due date of the first occurrence
+ * @returns {Object} - The rule with its defaults filled in
+ */
+const anchorRecurrence = (recurrence, dueDate) => {
+  const date = new Date(dueDate);
+
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays.length === 0) {
+    return { ...recurrence, weekdays: [date.getUTCDay()] };
+  }
+
+  if (recurrence.frequency === 'monthly' && !recurrence.monthDay) {
+    return { ...recurrence, monthDay: date.getUTCDate() };
+  }
+
+  return recurrence;
+};
+
+/**
+ * Find the first date the rule falls on after a date, keeping its time of day
+ * @param {Object} recurrence - Stored rule
+ * @param {Date} date - Date to start from
+ * @returns {Date|null} - The date, or null once the rule's end date has passed
+ */
+const getNextOccurrenceDate = (recurrence, date) => {
+  const from = new Date(date);
+  let next = null;
+
+  if (recurrence.frequency === 'daily') {
+    next = addDays(from, recurrence.interval);
+  } else if (recurrence.frequency === 'weekly') {
+    const weekdays = recurrence.weekdays?.length > 0 ? recurrence.weekdays : [from.getUTCDay()];
+
+    // Only weeks that are a whole number of intervals after the starting week count
+    for (let offset = 1; !next && offset <= 7 * recurrence.interval + 7; offset++) {
+      const day = addDays(from, offset);
+      const weeks = Math.round((startOfWeek(day) - startOfWeek(from)) / WEEK_MS);
+      if (weekdays.includes(day.getUTCDay()) && weeks % recurrence.interval === 0) next = day;
+    }
+  } else if (recurrence.frequency === 'monthly') {
+    const monthDay = recurrence.monthDay || from.getUTCDate();
+    const sameMonth = dayInMonth(from, 0, monthDay);
+
+    next = sameMonth > from ? sameMonth : dayInMonth(from, recurrence.interval, monthDay);
+  }
+
+  if (!next || (recurrence.until && next > recurrence.until)) return null;
+  return next;
+};
+
+/**
+ * Create the occurrence that follows a task in its series, carrying over its title,
+ * description, priority, assignee, tags, estimate, project and rule. Occurrences missed
+ * while nothing checked the series are skipped rather than created in bulk.
+ * @param {Object} task - Task document, as recently loaded as possible
+ * @returns {Promise<Object|null>} - The new task, or null if the series has ended or was already followed
+ */
+const createNextOccurrence = async (task) => {
+  if (!task.recurrence || task.nextOccurrence || !task.dueDate) return null;
+
+  // Claim the task first so concurrent checks can't both follow it
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, nextOccurrence: null, recurrence: { $ne: null }, dueDate: { $ne: null } },
+    { nextOccurrence: nextId }
+  );
+  if (!claimed) return null;
+
+  const seriesId = claimed.seriesId || claimed._id;
+  let next;
+
+  // Release the claim if the occurrence couldn't be created, so a later check can retry
+  try {
+    const now = new Date();
+
+    let dueDate = getNextOccurrenceDate(claimed.recurrence, claimed.dueDate);
+    for (let skipped = 0; dueDate && dueDate <= now && skipped < 1000; skipped++) {
+      dueDate = getNextOccurrenceDate(claimed.recurrence, dueDate);
+    }
+
+    const ended = !dueDate ||
+      (claimed.recurrence.count && await Task.countDocuments({ seriesId }) >= claimed.recurrence.count);
+
+    if (ended) {
+      await Task.updateOne({ _id: claimed._id }, { nextOccurrence: null });
+      await Task.updateMany({ seriesId }, { recurrence: null });
+      logger.info('Recurring task series ended', { seriesId, taskId: claimed._id });
+      return null;
+    }
+
+    // Occurrences start in the first status of the project's workflow
+    const workflow = getWorkflow(await Project.findById(claimed.projectId).select('workflow'));
+    const status = getInitialStatus(workflow);
+
+    next = await Task.create({
+      _id: nextId,
+      title: claimed.title,
+      description: claimed.description,
+      projectId: claimed.projectId,
+      assignedTo: claimed.assignedTo,
+      createdBy: claimed.createdBy,
+      status,
+      statusCategory: getStatusCategory(workflow, status),
+      priority: claimed.priority,
+      dueDate,
+      // Keep the same lead time between start and due date
+      startDate: claimed.startDate ? new Date(dueDate.getTime() - (claimed.dueDate - claimed.startDate)) : null,
+      estimatedHours: claimed.estimatedHours,
+      tags: claimed.tags,
+      recurrence: claimed.recurrence,
+      seriesId,
+      rank: await getTopRank(claimed.projectId)
+    });
+  } catch (error) {
+    await Task.updateOne({ _id: claimed._id, nextOccurrence: nextId }, { nextOccurrence: null });
+    throw error;
+  }
+
+  await Project.findByIdAndUpdate(claimed.projectId, { $inc: { totalTasks: 1 } });
+
+  logger.info('Recurring task occurrence created', {
+    seriesId,
+    previousTaskId: claimed._id,
+    taskId: next._id,
+    dueDate
+  });
+
+  return next;
+};
+
+/**
+ * Create the next occurrence of every recurring task whose due date has arrived
+ * @returns {Promise<number>} - Number of occurrences created
+ */
+const createDueOccurrences = async () => {
+  const dueTasks = await Task.find({
+    recurrence: { $type: 'object' },
+    nextOccurrence: null,
+    dueDate: { $lte: new Date() }
+  });
+
+  let created = 0;
+  for (const task of dueTasks) {
+    // One broken series shouldn't hold up the rest
+    try {
+      if (await createNextOccurrence(task)) created++;
+    } catch (error) {
+      logger.error(`Failed to create the next occurrence of task ${task._id}`, error);
+    }
+  }
+
+  return created;
+};
+
+let schedulerTimer = null;
+let checking = false;
+
+/**
+ * Check for due recurring tasks now and then every RECURRENCE_CHECK_MS
+ */
+const startRecurrenceScheduler = () => {
+  if (schedulerTimer) return;
+
+  const check = async () => {
+    // Skip a tick rather than overlap a slow check
+    if (checking) return;
+    checking = true;
+
+    try {
+      const created = await createDueOccurrences();
+      if (created > 0) {
+        logger.info('Recurring tasks created', { count: created });
+      }
+    } catch (error) {
+      logger.error('Recurring task check failed', error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  check();
+  schedulerTimer = setInterval(check, RECURRENCE_CHECK_MS);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+};
+
+/**
+ * Stop the scheduler started by startRecurrenceScheduler
+ */
+const stopRecurrenceScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+export {
+  RECURRENCE_FREQUENCIES,
+  parseRRule,
+  normalizeRecurrence,
+  anchorRecurrence,
+  getNextOccurrenceDate,
+  createNextOccurrence,
+  createDueOccurrences,
+  startRecurrenceScheduler,
+  stopRecurrenceScheduler
+};
@@ -0,0 +1,79 @@
+/**
+ * Role cache
+ * Keeps the permission matrix in config/roles.js in sync with the roles
+ * collection so permission checks stay synchronous. Each instance reloads
+ * after its own role changes and otherwise at most once per CACHE_TTL_MS,
+ * which also picks up changes made by other instances.
+ */
+import Role from '../models/role.model.js';
+import { ROLES, DEFAULT_PERMISSIONS, RESOURCE_ACTIONS, setRolePermissions } from '../config/roles.js';
+import * as logger from './logger.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Create any missing built-in roles from the default matrix
+ * @returns {Promise<void>}
+ */
+const seedSystemRoles = async () => {
+  for (const name of Object.values(ROLES)) {
+    const { global, ...permissions } = DEFAULT_PERMISSIONS[name];
+
+    await Role.updateOne(
+      { name },
+      {
+        $setOnInsert: {
+          name,
+          label: name.charAt(0).toUpperCase() + name.slice(1),
+          permissions: Object.fromEntries(Object.keys(RESOURCE_ACTIONS).map(resource => [resource, permissions[resource] || []])),
+          global,
+          isSystem: true
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Load all roles into the permission cache, seeding the built-in roles first
+ * @returns {Promise<void>}
+ */
+const loadRoles = async () => {
+  // Share one reload between concurrent callers
+  if (!loading) {
+    loading = (async () => {
+      await seedSystemRoles();
+      const roles = await Role.find().lean();
+      setRolePermissions(roles);
+      loadedAt = Date.now();
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+};
+
+/**
+ * Reload roles if the cache is older than its TTL. Failures keep the previous
+ * cache so a database hiccup doesn't lock everyone out.
+ * @returns {Promise<void>}
+ */
+const refreshRolesIfStale = async () => {
+  if (Date.now() - loadedAt < CACHE_TTL_MS) return;
+
+  try {
+    await loadRoles();
+  } catch (error) {
+    logger.error('Failed to refresh role cache', error);
+  }
+};
+
+export {
+  loadRoles,
+  refreshRolesIfStale
+};
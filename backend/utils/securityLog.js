@@ -0,0 +1,34 @@
+/**
+ * Security log utility
+ * Records LoginEvent entries for the per-user security history. Recording
+ * never throws: a failed write is logged but must not break sign-in.
+ */
+import LoginEvent from '../models/loginEvent.model.js';
+import * as logger from './logger.js';
+
+/**
+ * Record a security event
+ * @param {Object} req - Express request object (for IP and User-Agent), or null
+ * @param {Object} event - { type, user, email, method, reason, actor }
+ * @returns {Promise<void>}
+ */
+const recordSecurityEvent = async (req, { type, user = null, email = null, method = null, reason = null, actor = null }) => {
+  try {
+    await LoginEvent.create({
+      type,
+      user: user?._id || user,
+      email: email || user?.email || null,
+      method,
+      reason,
+      actor: actor?._id || actor,
+      ip: req?.ip || null,
+      userAgent: req?.get('User-Agent') || null
+    });
+  } catch (error) {
+    logger.error(`Failed to record security event: ${type}`, error);
+  }
+};
+
+export {
+  recordSecurityEvent
+};
@@ -0,0 +1,205 @@
+/**
+ * Session utility
+ * Issues short-lived access tokens paired with rotating refresh tokens.
+ * Each refresh token belongs to a Session document; only its hash is stored.
+ */
+import Session from '../models/session.model.js';
+import User from '../models/user.model.js';
+import { generateToken } from './jwt.js';
+import { generateRandomToken, hashToken } from './hash.js';
+import { recordSecurityEvent } from './securityLog.js';
+import * as logger from './logger.js';
+
+/**
+ * Get refresh token lifetime in milliseconds
+ * @returns {number} - Lifetime in ms
+ */
+const getRefreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Build a short human-readable device label from a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} - e.g. "Chrome on macOS"
+ */
+const getDeviceLabel = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /curl\//],
+    ['Node.js', /node|axios/i]
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown browser';
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  return system ? `${browser} on ${system}` : browser;
+};
+
+/**
+ * Sign an access token for a user and session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user, session) => {
+  return generateToken({
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    sid: session._id
+  });
+};
+
+/**
+ * Start a new session for a user (login, register, admin setup)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRandomToken(48);
+  const userAgent = req.get('User-Agent') || null;
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: getDeviceLabel(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime())
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since that means the token was copied.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - { token, refreshToken, session, user } or null if rejected
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reusedSession) {
+      reusedSession.revokedAt = now;
+      await reusedSession.save();
+      await recordSecurityEvent(req, { type: 'refresh_token_reuse', user: reusedSession.user });
+
+      logger.warn('Refresh token reuse detected, session revoked', {
+        sessionId: reusedSession._id,
+        userId: reusedSession.user,
+        ip: req.ip
+      });
+    }
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt <= now) {
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  const newRefreshToken = generateRandomToken(48);
+  const userAgent = req.get('User-Agent') || session.userAgent;
+
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = now;
+  session.ip = req.ip;
+  session.userAgent = userAgent;
+  session.device = getDeviceLabel(userAgent);
+  session.expiresAt = new Date(Date.now() + getRefreshTokenLifetime());
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: newRefreshToken,
+    session,
+    user
+  };
+};
+
+/**
+ * Revoke the session that owns a refresh token
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Promise<Object|null>} - Revoked session, or null if none matched
+ */
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  return Session.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Check whether a session is still usable
+ * @param {string} sessionId - Session id from the access token
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+};
+
+/**
+ * Log a user out everywhere: reject every access token and personal access
+ * token issued so far and revoke all of their sessions
+ * @param {string} userId - User id
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const invalidateUserTokens = async (userId) => {
+  const now = new Date();
+
+  await User.findByIdAndUpdate(userId, { tokensValidAfter: now });
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return result.modifiedCount;
+};
+
+export {
+  getDeviceLabel,
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  isSessionActive,
+  invalidateUserTokens
+};
@@ -0,0 +1,90 @@
+/**
+ * Sprint utility
+ * Top-level tasks are planned into a project's sprints through their `sprint`
+ * field; tasks without one are the project's backlog. Subtasks go with their
+ * parent rather than being planned on their own. Closing a sprint records what it
+ * finished and moves its unfinished tasks to the next sprint or back to the backlog.
+ */
+import Task from '../models/task.model.js';
+import Sprint from '../models/sprint.model.js';
+
+/**
+ * Check that a task can be planned into a sprint
+ * @param {string|null} sprintId - Sprint id, or null for the backlog
+ * @param {Object} task - { projectId, parentTask } of the task
+ * @returns {Promise<Object>} - { sprint } (null for the backlog) or { error }
+ */
+const checkSprintAssignment = async (sprintId, { projectId, parentTask }) => {
+  if (!sprintId) return { sprint: null };
+
+  if (parentTask) {
+    return { error: 'Subtasks are planned along with their parent task' };
+  }
+
+  const sprint = await Sprint.findOne({ _id: sprintId, project: projectId }).select('state');
+
+  if (!sprint) {
+    return { error: 'Sprint must be one of the project\'s sprints' };
+  }
+
+  if (sprint.state === 'closed') {
+    return { error: 'Tasks cannot be added to a closed sprint' };
+  }
+
+  return { sprint: sprint._id };
+};
+
+/**
+ * Add up the project's top-level tasks per sprint
+ * @param {ObjectId} projectId - Project id
+ * @returns {Promise<Map>} - Sprint id (or 'backlog') to { taskCount, completedTaskCount,
+ *   estimatedHours, completedHours }
+ */
+const getSprintTotals = async (projectId) => {
+  const groups = await Task.aggregate([
+    { $match: { projectId, parentTask: null } },
+    {
+      $group: {
+        _id: '$sprint',
+        taskCount: { $sum: 1 },
+        completedTaskCount: { $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] } },
+        estimatedHours: { $sum: { $ifNull: ['$estimatedHours', 0] } },
+        completedHours: {
+          $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, { $ifNull: ['$estimatedHours', 0] }, 0] }
+        }
+      }
+    }
+  ]);
+
+  return new Map(groups.map(({ _id, ...totals }) => [_id ? String(_id) : 'backlog', totals]));
+};
+
+/**
+ * Close an active sprint
+ * @param {Object} sprint - Sprint document
+ * @param {ObjectId|null} rollOverTo - Planned sprint to move unfinished tasks to, or null for the backlog
+ * @returns {Promise<number>} - Number of unfinished tasks moved
+ */
+const closeSprint = async (sprint, rollOverTo = null) => {
+  const totals = (await getSprintTotals(sprint.project)).get(String(sprint._id));
+
+  const { modifiedCount } = await Task.updateMany(
+    { sprint: sprint._id, parentTask: null, statusCategory: { $ne: 'done' } },
+    { sprint: rollOverTo }
+  );
+
+  sprint.state = 'closed';
+  sprint.closedAt = new Date();
+  sprint.completedTaskCount = totals?.completedTaskCount || 0;
+  sprint.completedHours = totals?.completedHours || 0;
+  sprint.rolledOverTaskCount = modifiedCount;
+  await sprint.save();
+
+  return modifiedCount;
+};
+
+export {
+  checkSprintAssignment,
+  getSprintTotals,
+  closeSprint
+};
@@ -0,0 +1,187 @@
+/**
+ * Task dependency utility
+ * A task's dependencies are prerequisites in the same project that must be done
+ * (in a status of the 'done' category) before it can start. A task waiting on an
+ * unfinished prerequisite is moved to its workflow's blocked status automatically,
+ * remembering the status it had, and moved back once every prerequisite is done.
+ * Tasks someone moved to the blocked status by hand are left alone.
+ */
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import { getStatusCategory, getInitialStatus } from '../config/workflow.js';
+
+// Categories of the statuses a task can't move to while a prerequisite isn't done
+const DEPENDENCY_GATED_CATEGORIES = ['in-progress', 'done'];
+
+/**
+ * Whether moving to a status needs the task's prerequisites to be done
+ * @param {Object} workflow - Project workflow
+ * @param {string} status - Status the task moves to
+ * @returns {boolean}
+ */
+const isDependencyGated = (workflow, status) => {
+  return status !== workflow.blockedStatus &&
+    DEPENDENCY_GATED_CATEGORIES.includes(getStatusCategory(workflow, status));
+};
+
+/**
+ * Check a list of dependency ids for a task
+ * @param {Object} options - { projectId, taskId (omit for new tasks), dependencyIds }
+ * @returns {Promise<Object>} - { dependencies } or { error, cycle }
+ */
+const validateDependencies = async ({ projectId, taskId = null, dependencyIds }) => {
+  if (!Array.isArray(dependencyIds) || dependencyIds.some(id => !mongoose.isValidObjectId(id))) {
+    return { error: 'Dependencies must be a list of task IDs' };
+  }
+
+  const dependencies = [...new Set(dependencyIds.map(String))];
+
+  if (taskId && dependencies.includes(String(taskId))) {
+    return { error: 'A task cannot depend on itself' };
+  }
+
+  const found = await Task.countDocuments({ _id: { $in: dependencies }, projectId });
+  if (found !== dependencies.length) {
+    return { error: 'Dependencies must be existing tasks in the same project' };
+  }
+
+  if (taskId) {
+    const cycle = await findDependencyCycle(projectId, taskId, dependencies);
+    if (cycle) {
+      return {
+        error: `These dependencies would create a cycle: ${cycle.map(task => task.title).join(' → ')}`,
+        cycle
+      };
+    }
+  }
+
+  return { dependencies };
+};
+
+/**
+ * Find the cycle, if any, that giving a task these dependencies would create
+ * @param {string} projectId - Project of the task
+ * @param {string} taskId - Task whose dependencies change
+ * @param {Array<string>} dependencyIds - Its new dependencies
+ * @returns {Promise<Array|null>} - Tasks on the cycle as { _id, title }, starting and ending with the task
+ */
+const findDependencyCycle = async (projectId, taskId, dependencyIds) => {
+  const tasks = await Task.find({ projectId }).select('title dependencies');
+  const byId = new Map(tasks.map(task => [String(task._id), task]));
+  const edges = new Map(tasks.map(task => [String(task._id), task.dependencies.map(String)]));
+  edges.set(String(taskId), dependencyIds.map(String));
+
+  // Depth-first search from the task; reaching it again means a cycle
+  const visited = new Set();
+  const walk = (id, path) => {
+    for (const next of edges.get(id) || []) {
+      if (next === String(taskId)) return [...path, next];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      const cycle = walk(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  const cycle = walk(String(taskId), [String(taskId)]);
+  return cycle && cycle.map(id => ({ _id: id, title: byId.get(id)?.title }));
+};
+
+/**
+ * Get the prerequisites that aren't done yet
+ * @param {Array} dependencyIds - Task ids
+ * @returns {Promise<Array>} - Tasks as { _id, title, status }
+ */
+const getUnfinishedDependencies = async (dependencyIds) => {
+  if (!dependencyIds?.length) return [];
+
+  return Task.find({ _id: { $in: dependencyIds }, statusCategory: { $ne: 'done' } }).select('title status');
+};
+
+/**
+ * Block or unblock tasks to match their prerequisites
+ * @param {Object} filter - Which tasks to check, e.g. { dependencies: taskId } for a task's dependents
+ * @param {Object} workflow - Workflow of the tasks' project
+ * @returns {Promise<number>} - Number of tasks whose status changed
+ */
+const syncBlockedStatus = async (filter, workflow) => {
+  const { blockedStatus } = workflow;
+  if (!blockedStatus) return 0;
+
+  const tasks = await Task.find({ ...filter, statusCategory: { $ne: 'done' } })
+    .select('status statusBeforeBlocked dependencies');
+
+  const unfinished = new Set(
+    (await getUnfinishedDependencies(tasks.flatMap(task => task.dependencies))).map(task => String(task._id))
+  );
+
+  const updates = [];
+  for (const task of tasks) {
+    const isWaiting = task.dependencies.some(id => unfinished.has(String(id)));
+
+    if (isWaiting && task.status !== blockedStatus) {
+      updates.push({
+        _id: task._id,
+        status: blockedStatus,
+        statusCategory: getStatusCategory(workflow, blockedStatus),
+        statusBeforeBlocked: task.status
+      });
+    } else if (!isWaiting && task.status === blockedStatus && task.statusBeforeBlocked) {
+      const status = getStatusCategory(workflow, task.statusBeforeBlocked)
+        ? task.statusBeforeBlocked
+        : getInitialStatus(workflow);
+
+      updates.push({
+        _id: task._id,
+        status,
+        statusCategory: getStatusCategory(workflow, status),
+        statusBeforeBlocked: null
+      });
+    }
+  }
+
+  if (updates.length > 0) {
+    await Task.bulkWrite(updates.map(({ _id, ...update }) => ({
+      updateOne: { filter: { _id }, update: { $set: update } }
+    })));
+  }
+
+  return updates.length;
+};
+
+/**
+ * Build the project's dependency graph. Each task gets a level: 0 for tasks with no
+ * prerequisites, otherwise one more than its deepest prerequisite.
+ * @param {Array} tasks - Project tasks with dependencies
+ * @returns {Object} - { nodes, edges } with edges pointing from prerequisite to dependent
+ */
+const buildDependencyGraph = (tasks) => {
+  const dependenciesById = new Map(tasks.map(task => [String(task._id), task.dependencies.map(String)]));
+  const levels = new Map();
+
+  // Dependencies are kept acyclic, so this always terminates
+  const levelOf = (id) => {
+    if (!levels.has(id)) {
+      const dependencies = (dependenciesById.get(id) || []).filter(dependency => dependenciesById.has(dependency));
+      levels.set(id, dependencies.length ? Math.max(...dependencies.map(levelOf)) + 1 : 0);
+    }
+    return levels.get(id);
+  };
+
+  return {
+    nodes: tasks.map(task => ({ ...task, level: levelOf(String(task._id)) })),
+    edges: tasks.flatMap(task => task.dependencies
+      .filter(dependency => dependenciesById.has(String(dependency)))
+      .map(dependency => ({ from: dependency, to: task._id })))
+  };
+};
+
+export {
+  isDependencyGated,
+  validateDependencies,
+  findDependencyCycle,
+  getUnfinishedDependencies,
+  syncBlockedStatus,
+  buildDependencyGraph
+};
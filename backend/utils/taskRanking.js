@@ -0,0 +1,127 @@
+/**
+ * Task ranking utility
+ * Tasks are ordered on the board by a numeric `rank`, shared by everyone
+ * viewing the project. A moved task gets the midpoint of its new neighbours'
+ * ranks; once two neighbours are too close to split, the project's ranks are
+ * spread out again. New tasks are ranked when they're created; tasks created
+ * before ranks existed are ranked once at startup, after the ranked ones and
+ * newest first, which is the order they used to be listed in.
+ */
+import Task from '../models/task.model.js';
+
+const RANK_STEP = 1024;
+// Below this gap a midpoint may not be distinguishable from its neighbours
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Rank for a new task at the top of its project
+ * @param {string} projectId - Project id
+ * @returns {Promise<number>} - A rank lower than every ranked task in the project
+ */
+const getTopRank = async (projectId) => {
+  const first = await Task.findOne({ projectId, rank: { $ne: null } }).sort({ rank: 1 }).select('rank');
+  return first ? first.rank - RANK_STEP : 0;
+};
+
+/**
+ * Rank the project's unranked tasks after its ranked ones, newest first
+ * @param {string} projectId - Project id
+ * @returns {Promise<void>}
+ */
+const assignMissingRanks = async (projectId) => {
+  const unranked = await Task.find({ projectId, rank: null }).sort({ createdAt: -1 }).select('_id');
+  if (unranked.length === 0) return;
+
+  const last = await Task.findOne({ projectId, rank: { $ne: null } }).sort({ rank: -1 }).select('rank');
+  const start = last ? last.rank + RANK_STEP : 0;
+
+  await Task.bulkWrite(unranked.map((task, index) => ({
+    updateOne: {
+      // Leave tasks alone if another request ranked them meanwhile
+      filter: { _id: task._id, rank: null },
+      update: { rank: start + index * RANK_STEP }
+    }
+  })));
+};
+
+/**
+ * Rank the tasks of every project that still has tasks from before ranks existed
+ * @returns {Promise<void>}
+ */
+const backfillRanks = async () => {
+  const projectIds = await Task.distinct('projectId', { rank: null });
+
+  for (const projectId of projectIds) {
+    await assignMissingRanks(projectId);
+  }
+};
+
+/**
+ * Give the project's tasks evenly spaced ranks, keeping their order
+ * @param {string} projectId - Project id
+ * @returns {Promise<void>}
+ */
+const rebalanceRanks = async (projectId) => {
+  const tasks = await Task.find({ projectId }).sort({ rank: 1, createdAt: -1 }).select('_id');
+
+  await Task.bulkWrite(tasks.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { rank: index * RANK_STEP }
+    }
+  })));
+};
+
+// Rank between two neighbours (either may be missing), or null if they're too close
+const rankBetween = (before, after) => {
+  if (before == null && after == null) return 0;
+  if (before == null) return after - RANK_STEP;
+  if (after == null) return before + RANK_STEP;
+  if (after - before < MIN_RANK_GAP) return null;
+  return (before + after) / 2;
+};
+
+/**
+ * Work out the rank that places a task between two others of its project
+ * @param {Object} task - Task being moved
+ * @param {Object} position - { beforeId, afterId }: the tasks that will be directly above
+ *   and below it; leave one out to move it to the top or bottom
+ * @returns {Promise<Object>} - { rank } or { error }
+ */
+const getRankForPosition = async (task, { beforeId = null, afterId = null } = {}) => {
+  if ([beforeId, afterId].some(id => id && String(id) === String(task._id))) {
+    return { error: 'A task cannot be positioned next to itself' };
+  }
+
+  const findNeighbours = async () => {
+    const ids = [beforeId, afterId].filter(Boolean);
+    const neighbours = await Task.find({ _id: { $in: ids }, projectId: task.projectId }).select('rank');
+    const rankOf = (id) => neighbours.find(neighbour => String(neighbour._id) === String(id))?.rank;
+    return { found: neighbours.length === ids.length, before: rankOf(beforeId), after: rankOf(afterId) };
+  };
+
+  let neighbours = await findNeighbours();
+  if (!neighbours.found) {
+    return { error: 'Tasks to position next to must be in the same project' };
+  }
+
+  if (neighbours.before != null && neighbours.after != null && neighbours.before > neighbours.after) {
+    return { error: 'The task above must come before the task below' };
+  }
+
+  let rank = rankBetween(neighbours.before, neighbours.after);
+  if (rank === null) {
+    await rebalanceRanks(task.projectId);
+    neighbours = await findNeighbours();
+    rank = rankBetween(neighbours.before, neighbours.after);
+  }
+
+  return { rank };
+};
+
+export {
+  getTopRank,
+  backfillRanks,
+  rebalanceRanks,
+  getRankForPosition
+};
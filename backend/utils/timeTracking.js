@@ -0,0 +1,120 @@
+/**
+ * Time tracking utility
+ * Task.actualHours is the total of the task's finished time entries and is
+ * recalculated whenever one of them changes. Timesheets cover a Monday-to-Sunday
+ * week in UTC.
+ */
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recalculate a task's actualHours from its time entries
+ * @param {string} taskId - Task id
+ * @returns {Promise<number|null>} - Hours, rounded to two decimals, or null without entries
+ */
+const recalculateActualHours = async (taskId) => {
+  const [total] = await TimeEntry.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(String(taskId)), endedAt: { $ne: null } } },
+    { $group: { _id: null, minutes: { $sum: '$durationMinutes' } } }
+  ]);
+
+  const actualHours = total ? Math.round((total.minutes / 60) * 100) / 100 : null;
+  await Task.updateOne({ _id: taskId }, { actualHours });
+
+  return actualHours;
+};
+
+/**
+ * Get the week containing a date
+ * @param {string} [date] - Any day of the week as YYYY-MM-DD; defaults to today
+ * @returns {Object|null} - { start, end, days } with days as YYYY-MM-DD, or null for an invalid date
+ */
+const getWeekRange = (date) => {
+  const day = date ? new Date(`${date}T00:00:00.000Z`) : new Date();
+  if (Number.isNaN(day.getTime())) return null;
+
+  const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+  // getUTCDay() is 0 on Sunday; weeks start on Monday
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+
+  const days = Array.from({ length: 7 }, (_, index) => (
+    new Date(start.getTime() + index * DAY_MS).toISOString().slice(0, 10)
+  ));
+
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS), days };
+};
+
+// Total of an hours column, rounded to two decimals
+const sumHours = (rows, key) => Math.round(rows.reduce((sum, row) => sum + (row[key] || 0), 0) * 100) / 100;
+
+// Sort helper for rows keyed by a populated document with a name or title
+const byName = (key) => (a, b) => String(a[key]?.name || a[key]?.title || '').localeCompare(String(b[key]?.name || b[key]?.title || ''));
+
+/**
+ * Total finished time entries per user, project and day
+ * @param {Array} entries - Time entries with user, project and task populated
+ * @param {Object} range - Week from getWeekRange
+ * @returns {Array} - Users, each with totals by day and a breakdown by project and task
+ */
+const buildTimesheet = (entries, range) => {
+  const users = new Map();
+
+  for (const entry of entries) {
+    const day = Math.floor((entry.startedAt - range.start) / DAY_MS);
+    const minutes = entry.durationMinutes;
+    const userId = String(entry.user?._id || entry.user);
+    const projectId = String(entry.project?._id || entry.project);
+    const taskId = String(entry.task?._id || entry.task);
+
+    if (!users.has(userId)) {
+      users.set(userId, { user: entry.user, totalMinutes: 0, days: Array(7).fill(0), projects: new Map() });
+    }
+    const userRow = users.get(userId);
+
+    if (!userRow.projects.has(projectId)) {
+      userRow.projects.set(projectId, { project: entry.project, totalMinutes: 0, days: Array(7).fill(0), tasks: new Map() });
+    }
+    const projectRow = userRow.projects.get(projectId);
+
+    if (!projectRow.tasks.has(taskId)) {
+      projectRow.tasks.set(taskId, {
+        task: entry.task && { _id: entry.task._id, title: entry.task.title },
+        // Estimate and actual cover the whole task, not only this week
+        estimatedHours: entry.task?.estimatedHours ?? null,
+        actualHours: entry.task?.actualHours ?? null,
+        totalMinutes: 0
+      });
+    }
+    const taskRow = projectRow.tasks.get(taskId);
+
+    for (const row of [userRow, projectRow]) {
+      row.totalMinutes += minutes;
+      row.days[day] += minutes;
+    }
+    taskRow.totalMinutes += minutes;
+  }
+
+  return [...users.values()]
+    .map(userRow => ({
+      ...userRow,
+      projects: [...userRow.projects.values()]
+        .map(projectRow => ({
+          ...projectRow,
+          // Estimate and actual of the tasks worked on this week
+          estimatedHours: sumHours([...projectRow.tasks.values()], 'estimatedHours'),
+          actualHours: sumHours([...projectRow.tasks.values()], 'actualHours'),
+          tasks: [...projectRow.tasks.values()].sort(byName('task'))
+        }))
+        .sort(byName('project'))
+    }))
+    .sort(byName('user'));
+};
+
+export {
+  recalculateActualHours,
+  getWeekRange,
+  buildTimesheet
+};
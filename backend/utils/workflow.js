@@ -0,0 +1,134 @@
+/**
+ * Task workflow utility
+ * Applies a project's new workflow to its tasks. Tasks on statuses the workflow no
+ * longer has are moved to the statuses they're remapped to, every task's category is
+ * brought in line with its status, and whatever follows from the 'done' category
+ * (completedAt, the project's and parents' completed counters, automatic blocking)
+ * is worked out again.
+ */
+import Task from '../models/task.model.js';
+import Project from '../models/project.model.js';
+import { DEFAULT_WORKFLOW, getStatusCategory, getStatusNames } from '../config/workflow.js';
+import { syncBlockedStatus } from './taskDependencies.js';
+
+/**
+ * Give tasks from before workflows existed the category of their status. Every
+ * project used the default workflow then.
+ * @returns {Promise<void>}
+ */
+const backfillStatusCategories = async () => {
+  await Task.bulkWrite(DEFAULT_WORKFLOW.statuses.map(({ name, category }) => ({
+    updateMany: {
+      filter: { statusCategory: { $exists: false }, status: name },
+      update: { $set: { statusCategory: category } },
+      timestamps: false
+    }
+  })));
+};
+
+/**
+ * Find the statuses a project's tasks use that a new workflow doesn't have
+ * @param {string} projectId - Project id
+ * @param {Object} workflow - New workflow
+ * @returns {Promise<Array<string>>} - Statuses that need to be remapped
+ */
+const findRemovedStatuses = async (projectId, workflow) => {
+  const names = getStatusNames(workflow);
+  const used = [
+    ...await Task.distinct('status', { projectId }),
+    ...await Task.distinct('statusBeforeBlocked', { projectId, statusBeforeBlocked: { $ne: null } })
+  ];
+
+  return [...new Set(used)].filter(status => !names.includes(status));
+};
+
+/**
+ * Save a project's new workflow and bring its tasks in line with it
+ * @param {Object} project - Project document
+ * @param {Object} workflow - New, validated workflow
+ * @param {Object} remap - { removedStatus: newStatus } for every status findRemovedStatuses returned
+ * @returns {Promise<void>}
+ */
+const applyWorkflow = async (project, workflow, remap = {}) => {
+  const projectId = project._id;
+  const previousBlockedStatus = project.workflow?.blockedStatus ?? null;
+
+  for (const [from, to] of Object.entries(remap)) {
+    await Task.updateMany({ projectId, status: from }, { status: to });
+    await Task.updateMany({ projectId, statusBeforeBlocked: from }, { statusBeforeBlocked: to });
+  }
+
+  // Tasks blocked automatically under a blocked status that's no longer the one in use
+  // go back to where they were; those still waiting are blocked again below
+  if (previousBlockedStatus !== workflow.blockedStatus) {
+    const blocked = await Task.find({
+      projectId,
+      status: remap[previousBlockedStatus] || previousBlockedStatus,
+      statusBeforeBlocked: { $ne: null }
+    }).select('statusBeforeBlocked');
+
+    if (blocked.length > 0) {
+      await Task.bulkWrite(blocked.map(task => ({
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { status: task.statusBeforeBlocked, statusBeforeBlocked: null } }
+        }
+      })));
+    }
+  }
+
+  await Task.bulkWrite(workflow.statuses.map(({ name, category }) => ({
+    updateMany: {
+      filter: { projectId, status: name, statusCategory: { $ne: category } },
+      update: { $set: { statusCategory: category } }
+    }
+  })));
+
+  // Tasks whose status became done count as completed from now on
+  await Task.updateMany({ projectId, statusCategory: 'done', completedAt: null }, { completedAt: new Date() });
+  await Task.updateMany({ projectId, statusCategory: { $ne: 'done' }, completedAt: { $ne: null } }, { completedAt: null });
+
+  await recountCompletedTasks(projectId);
+
+  project.workflow = workflow;
+  await project.save();
+
+  await syncBlockedStatus({ projectId }, workflow);
+};
+
+// Count the project's completed tasks, and each parent's completed subtasks, again
+const recountCompletedTasks = async (projectId) => {
+  const completedTasks = await Task.countDocuments({ projectId, parentTask: null, statusCategory: 'done' });
+  await Project.findByIdAndUpdate(projectId, { completedTasks });
+
+  const parents = await Task.aggregate([
+    { $match: { projectId, parentTask: { $ne: null } } },
+    {
+      $group: {
+        _id: '$parentTask',
+        completed: { $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  if (parents.length > 0) {
+    await Task.bulkWrite(parents.map(parent => ({
+      updateOne: {
+        filter: { _id: parent._id },
+        update: { $set: { completedSubtaskCount: parent.completed } }
+      }
+    })));
+  }
+};
+
+// Removed statuses the remap doesn't send to one of the new workflow's statuses
+const findMissingRemaps = (removedStatuses, workflow, remap = {}) => {
+  return removedStatuses.filter(status => !getStatusCategory(workflow, remap?.[status]));
+};
+
+export {
+  backfillStatusCategories,
+  findRemovedStatuses,
+  findMissingRemaps,
+  applyWorkflow
+};
@@ -0,0 +1,223 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import { invitationsAPI } from '@/lib/api';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Card, { CardContent } from '@/components/ui/Card';
+
+function AcceptInviteForm() {
+  const [invitation, setInvitation] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [formData, setFormData] = useState({
+    name: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [serverErrors, setServerErrors] = useState([]);
+
+  const { acceptInvitation } = useAuth();
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (!token) {
+      setChecking(false);
+      return;
+    }
+
+    invitationsAPI.getByToken(token)
+      .then(response => setInvitation(response.data.data.invitation))
+      .catch(() => setInvitation(null))
+      .finally(() => setChecking(false));
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    // Clear error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    }
+
+    if (!formData.confirmPassword) {
+      newErrors.confirmPassword = 'Please confirm your password';
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setServerErrors([]);
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await acceptInvitation(token, formData.name, formData.password);
+
+      if (result.success) {
+        router.push('/dashboard');
+      } else {
+        setMessage(result.error);
+        setServerErrors(result.errors);
+      }
+    } catch (error) {
+      setMessage('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (checking) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!invitation) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <p className="text-sm text-red-600">
+          This invitation link is invalid or has expired. Ask the person who invited you to send a new one.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <form className="space-y-6" onSubmit={handleSubmit}>
+      <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
+        <p className="text-sm text-blue-600">
+          {invitation.invitedBy ? `${invitation.invitedBy} invited` : 'You have been invited'}{' '}
+          <strong>{invitation.email}</strong> to join as a{' '}
+          <strong className="capitalize">{invitation.role}</strong>.
+        </p>
+      </div>
+
+      {message && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-600">{message}</p>
+          {serverErrors.length > 0 && (
+            <ul className="mt-2 text-sm text-red-600 space-y-1">
+              {serverErrors.map((err) => (
+                <li key={err}>• {err}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <Input
+        label="Full Name"
+        name="name"
+        type="text"
+        value={formData.name}
+        onChange={handleChange}
+        error={errors.name}
+        placeholder="Enter your full name"
+        required
+      />
+
+      <Input
+        label="Password"
+        name="password"
+        type="password"
+        value={formData.password}
+        onChange={handleChange}
+        error={errors.password}
+        placeholder="Create a password (min 8 characters)"
+        required
+      />
+
+      <Input
+        label="Confirm Password"
+        name="confirmPassword"
+        type="password"
+        value={formData.confirmPassword}
+        onChange={handleChange}
+        error={errors.confirmPassword}
+        placeholder="Confirm your password"
+        required
+      />
+
+      <Button
+        type="submit"
+        className="w-full"
+        loading={loading}
+        disabled={loading}
+      >
+        {loading ? 'Creating account...' : 'Accept invitation'}
+      </Button>
+
+      <div className="mt-4">
+        <ul className="text-sm text-gray-600 space-y-1">
+          <li>• At least 8 characters long</li>
+          <li>• Include uppercase and lowercase letters</li>
+          <li>• Include at least one number</li>
+          <li>• Include at least one special character</li>
+        </ul>
+      </div>
+    </form>
+  );
+}
+
+export default function AcceptInvitePage() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Accept your invitation
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          Already have an account?{' '}
+          <Link href="/auth/login" className="font-medium text-blue-600 hover:text-blue-500">
+            Sign in
+          </Link>
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          <CardContent className="py-8">
+            {/* useSearchParams needs a Suspense boundary for static rendering */}
+            <Suspense fallback={null}>
+              <AcceptInviteForm />
+            </Suspense>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '@/contexts/AuthContext';
+import { authAPI } from '@/lib/api';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
@@ -16,8 +17,10 @@ export default function LoginPage() {
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [sso, setSso] = useState({ enabled: false, providerName: 'SSO' });
+  const [ssoLoading, setSsoLoading] = useState(false);
 
-  const { login, isAuthenticated } = useAuth();
+  const { login, startSsoLogin, isAuthenticated } = useAuth();
   const router = useRouter();
 
   useEffect(() => {
@@ -26,6 +29,14 @@ export default function LoginPage() {
     }
   }, [isAuthenticated, router]);
 
+  useEffect(() => {
+    authAPI.getOidcConfig()
+      .then(response => setSso(response.data.data))
+      .catch(() => {
+        // SSO button stays hidden
+      });
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
@@ -65,7 +76,13 @@ export default function LoginPage() {
     try {
       const result = await login(formData.email, formData.password);
       
-      if (result.success) {
+      if (result.success && result.twoFactorRequired) {
+        // Hand the challenge to the verification step
+        sessionStorage.setItem('twoFactorChallenge', result.challengeToken);
+        router.push('/auth/two-factor');
+      } else if (result.success && result.twoFactorSetupRequired) {
+        router.push('/auth/two-factor/setup');
+      } else if (result.success) {
         router.push('/dashboard');
       } else {
         setMessage(result.error);
@@ -77,6 +94,19 @@ export default function LoginPage() {
     }
   };
 
+  const handleSsoLogin = async () => {
+    setMessage('');
+    setSsoLoading(true);
+
+    const result = await startSsoLogin();
+
+    // On success the browser is already leaving for the identity provider
+    if (!result.success) {
+      setMessage(result.error);
+      setSsoLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
       <div className="sm:mx-auto sm:w-full sm:max-w-md">
@@ -101,14 +131,6 @@ export default function LoginPage() {
                 </div>
               )}
 
-              {formData.email.toLowerCase().endsWith('@zime.ai') && (
-                <div className="bg-green-50 border border-green-200 rounded-md p-4">
-                  <p className="text-sm text-green-600">
-                    <strong>🎉 Zime Team Member!</strong> Your @zime.ai email grants you Admin access.
-                  </p>
-                </div>
-              )}
-
               <Input
                 label="Email address"
                 name="email"
@@ -131,6 +153,12 @@ export default function LoginPage() {
                 required
               />
 
+              <div className="flex justify-end">
+                <Link href="/auth/forgot-password" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+                  Forgot your password?
+                </Link>
+              </div>
+
               <Button
                 type="submit"
                 className="w-full"
@@ -141,6 +169,29 @@ export default function LoginPage() {
               </Button>
             </form>
 
+            {sso.enabled && (
+              <div className="mt-6 space-y-6">
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-300" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-2 bg-white text-gray-500">Or</span>
+                  </div>
+                </div>
+
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={handleSsoLogin}
+                  loading={ssoLoading}
+                  disabled={ssoLoading}
+                >
+                  Sign in with {sso.providerName}
+                </Button>
+              </div>
+            )}
+
             <div className="mt-6">
               <div className="relative">
                 <div className="absolute inset-0 flex items-center">
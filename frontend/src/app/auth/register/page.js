@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '@/contexts/AuthContext';
+import { settingsAPI } from '@/lib/api';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Card, { CardContent } from '@/components/ui/Card';
@@ -18,6 +19,8 @@ export default function RegisterPage() {
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [openRegistration, setOpenRegistration] = useState(true);
+  const [allowedDomains, setAllowedDomains] = useState([]);
 
   const { register, isAuthenticated } = useAuth();
   const router = useRouter();
@@ -28,6 +31,18 @@ export default function RegisterPage() {
     }
   }, [isAuthenticated, router]);
 
+  useEffect(() => {
+    settingsAPI.getPublic()
+      .then(response => {
+        const { settings } = response.data.data;
+        setOpenRegistration(settings.openRegistration);
+        setAllowedDomains(settings.allowedDomains || []);
+      })
+      .catch(() => {
+        // Fall back to showing the form; the server still enforces the setting
+      });
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
@@ -108,102 +123,116 @@ export default function RegisterPage() {
       <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
         <Card>
           <CardContent className="py-8">
-            <form className="space-y-6" onSubmit={handleSubmit}>
-              {message && (
-                <div className="bg-red-50 border border-red-200 rounded-md p-4">
-                  <p className="text-sm text-red-600">{message}</p>
-                </div>
-              )}
-
-              <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
-                <p className="text-sm text-blue-600">
-                  <strong>Note:</strong> New users are registered as &quot;Member&quot; by default. 
-                  Admins can promote users to Manager or Admin roles later.
+            {!openRegistration ? (
+              <div className="text-center space-y-4">
+                <h3 className="text-lg font-medium text-gray-900">Registration is by invitation only</h3>
+                <p className="text-sm text-gray-600">
+                  Ask an administrator or project manager to send you an invitation.
+                  The invitation email contains a link to set up your account.
                 </p>
+                <Link href="/auth/login" className="inline-block font-medium text-blue-600 hover:text-blue-500">
+                  Back to sign in
+                </Link>
               </div>
-
-              {formData.email.toLowerCase().endsWith('@zime.ai') && (
-                <div className="bg-green-50 border border-green-200 rounded-md p-4">
-                  <p className="text-sm text-green-600">
-                    <strong>🎉 Zime Team Member Detected!</strong> Users with @zime.ai email addresses 
-                    are automatically granted Admin privileges.
-                  </p>
+            ) : (
+              <>
+                <form className="space-y-6" onSubmit={handleSubmit}>
+                  {message && (
+                    <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                      <p className="text-sm text-red-600">{message}</p>
+                    </div>
+                  )}
+
+                  <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
+                    <p className="text-sm text-blue-600">
+                      <strong>Note:</strong> New users are registered as &quot;Member&quot; unless their email domain has a different default role. 
+                      Admins can promote users to Manager or Admin roles later.
+                    </p>
+                  </div>
+
+                  {allowedDomains.length > 0 && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                      <p className="text-sm text-yellow-700">
+                        Sign-ups are limited to email addresses at: {allowedDomains.join(', ')}
+                      </p>
+                    </div>
+                  )}
+
+                  <Input
+                    label="Full Name"
+                    name="name"
+                    type="text"
+                    value={formData.name}
+                    onChange={handleChange}
+                    error={errors.name}
+                    placeholder="Enter your full name"
+                    required
+                  />
+
+                  <Input
+                    label="Email address"
+                    name="email"
+                    type="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    error={errors.email}
+                    placeholder="Enter your email"
+                    required
+                  />
+
+                  <Input
+                    label="Password"
+                    name="password"
+                    type="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    error={errors.password}
+                    placeholder="Create a password (min 8 characters)"
+                    required
+                  />
+
+                  <Input
+                    label="Confirm Password"
+                    name="confirmPassword"
+                    type="password"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    error={errors.confirmPassword}
+                    placeholder="Confirm your password"
+                    required
+                  />
+
+                  <Button
+                    type="submit"
+                    className="w-full"
+                    loading={loading}
+                    disabled={loading}
+                  >
+                    {loading ? 'Creating account...' : 'Create account'}
+                  </Button>
+                </form>
+
+                <div className="mt-6">
+                  <div className="relative">
+                    <div className="absolute inset-0 flex items-center">
+                      <div className="w-full border-t border-gray-300" />
+                    </div>
+                    <div className="relative flex justify-center text-sm">
+                      <span className="px-2 bg-white text-gray-500">Password Requirements</span>
+                    </div>
+                  </div>
+
+                  <div className="mt-4">
+                    <ul className="text-sm text-gray-600 space-y-1">
+                      <li>• At least 8 characters long</li>
+                      <li>• Include uppercase and lowercase letters</li>
+                      <li>• Include at least one number</li>
+                      <li>• Include at least one special character</li>
+                    </ul>
+                  </div>
                 </div>
-              )}
-
-              <Input
-                label="Full Name"
-                name="name"
-                type="text"
-                value={formData.name}
-                onChange={handleChange}
-                error={errors.name}
-                placeholder="Enter your full name"
-                required
-              />
-
-              <Input
-                label="Email address"
-                name="email"
-                type="email"
-                value={formData.email}
-                onChange={handleChange}
-                error={errors.email}
-                placeholder="Enter your email"
-                required
-              />
-
-              <Input
-                label="Password"
-                name="password"
-                type="password"
-                value={formData.password}
-                onChange={handleChange}
-                error={errors.password}
-                placeholder="Create a password (min 8 characters)"
-                required
-              />
-
-              <Input
-                label="Confirm Password"
-                name="confirmPassword"
-                type="password"
-                value={formData.confirmPassword}
-                onChange={handleChange}
-                error={errors.confirmPassword}
-                placeholder="Confirm your password"
-                required
-              />
-
-              <Button
-                type="submit"
-                className="w-full"
-                loading={loading}
-                disabled={loading}
-              >
-                {loading ? 'Creating account...' : 'Create account'}
-              </Button>
-            </form>
-
-            <div className="mt-6">
-              <div className="relative">
-                <div className="absolute inset-0 flex items-center">
-                  <div className="w-full border-t border-gray-300" />
-                </div>
-                <div className="relative flex justify-center text-sm">
-                  <span className="px-2 bg-white text-gray-500">Password Requirements</span>
-                </div>
-              </div>
-
-              <div className="mt-4">
-                <ul className="text-sm text-gray-600 space-y-1">
-                  <li>• At least 8 characters long</li>
-                  <li>• Include uppercase and lowercase letters</li>
-                  <li>• Include at least one number</li>
-                  <li>• Include at least one special character</li>
-                </ul>
-              </div>
-            </div>
+              </>
+            )}
           </CardContent>
         </Card>
       </div>
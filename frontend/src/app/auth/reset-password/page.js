@@ -0,0 +1,193 @@
+'use client';
+
+import { useState, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Card, { CardContent } from '@/components/ui/Card';
+
+function ResetPasswordForm() {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [serverErrors, setServerErrors] = useState([]);
+  const [completed, setCompleted] = useState(false);
+
+  const { resetPassword } = useAuth();
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    // Clear error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    }
+
+    if (!formData.confirmPassword) {
+      newErrors.confirmPassword = 'Please confirm your password';
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setServerErrors([]);
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await resetPassword(token, formData.password);
+
+      if (result.success) {
+        setCompleted(true);
+        setMessage(result.message);
+      } else {
+        setMessage(result.error);
+        setServerErrors(result.errors);
+      }
+    } catch (error) {
+      setMessage('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <p className="text-sm text-red-600">
+          This password reset link is missing its token.{' '}
+          <Link href="/auth/forgot-password" className="font-medium underline">
+            Request a new link
+          </Link>
+        </p>
+      </div>
+    );
+  }
+
+  if (completed) {
+    return (
+      <div className="space-y-6">
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <p className="text-sm text-green-600">{message}</p>
+        </div>
+        <Link href="/auth/login" className="block text-center font-medium text-blue-600 hover:text-blue-500">
+          Go to sign in
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <form className="space-y-6" onSubmit={handleSubmit}>
+      {message && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-600">{message}</p>
+          {serverErrors.length > 0 && (
+            <ul className="mt-2 text-sm text-red-600 space-y-1">
+              {serverErrors.map((err) => (
+                <li key={err}>• {err}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <Input
+        label="New Password"
+        name="password"
+        type="password"
+        value={formData.password}
+        onChange={handleChange}
+        error={errors.password}
+        placeholder="Create a password (min 8 characters)"
+        required
+      />
+
+      <Input
+        label="Confirm New Password"
+        name="confirmPassword"
+        type="password"
+        value={formData.confirmPassword}
+        onChange={handleChange}
+        error={errors.confirmPassword}
+        placeholder="Confirm your new password"
+        required
+      />
+
+      <Button
+        type="submit"
+        className="w-full"
+        loading={loading}
+        disabled={loading}
+      >
+        {loading ? 'Resetting password...' : 'Reset password'}
+      </Button>
+
+      <div className="mt-4">
+        <ul className="text-sm text-gray-600 space-y-1">
+          <li>• At least 8 characters long</li>
+          <li>• Include uppercase and lowercase letters</li>
+          <li>• Include at least one number</li>
+          <li>• Include at least one special character</li>
+        </ul>
+      </div>
+    </form>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          Or{' '}
+          <Link href="/auth/login" className="font-medium text-blue-600 hover:text-blue-500">
+            back to sign in
+          </Link>
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          <CardContent className="py-8">
+            {/* useSearchParams needs a Suspense boundary for static rendering */}
+            <Suspense fallback={null}>
+              <ResetPasswordForm />
+            </Suspense>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+'use client';
+
+import { useState, useEffect, useRef, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import Card, { CardContent } from '@/components/ui/Card';
+
+function SsoCallback() {
+  const [message, setMessage] = useState('');
+  const handled = useRef(false);
+
+  const { completeSsoLogin } = useAuth();
+  const router = useRouter();
+  const searchParams = useSearchParams();
+
+  useEffect(() => {
+    // The code can only be exchanged once, so guard against effects running twice
+    if (handled.current) return;
+    handled.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    const error = searchParams.get('error');
+
+    if (error) {
+      setMessage(searchParams.get('error_description') || 'Sign-in was cancelled at the identity provider.');
+      return;
+    }
+
+    if (!code || !state) {
+      setMessage('The sign-in response is missing its code. Please try again.');
+      return;
+    }
+
+    completeSsoLogin(code, state).then((result) => {
+      if (result.success && result.twoFactorRequired) {
+        // Hand the challenge to the verification step
+        sessionStorage.setItem('twoFactorChallenge', result.challengeToken);
+        router.push('/auth/two-factor');
+      } else if (result.success && result.twoFactorSetupRequired) {
+        router.push('/auth/two-factor/setup');
+      } else if (result.success) {
+        router.push('/dashboard');
+      } else {
+        setMessage(result.error);
+      }
+    });
+  }, [searchParams, completeSsoLogin, router]);
+
+  if (message) {
+    return (
+      <div className="space-y-6">
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-600">{message}</p>
+        </div>
+        <Link href="/auth/login" className="block text-center font-medium text-blue-600 hover:text-blue-500">
+          Back to sign in
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col items-center justify-center py-8 space-y-4">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      <p className="text-sm text-gray-600">Completing sign-in...</p>
+    </div>
+  );
+}
+
+export default function SsoCallbackPage() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Signing you in
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          <CardContent className="py-8">
+            {/* useSearchParams needs a Suspense boundary for static rendering */}
+            <Suspense fallback={null}>
+              <SsoCallback />
+            </Suspense>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
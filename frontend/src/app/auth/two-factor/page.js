@@ -0,0 +1,134 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Card, { CardContent } from '@/components/ui/Card';
+
+export default function TwoFactorVerifyPage() {
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const { verifyTwoFactor } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    // The challenge is handed over by the login page
+    const storedChallenge = sessionStorage.getItem('twoFactorChallenge');
+    if (!storedChallenge) {
+      router.push('/auth/login');
+      return;
+    }
+    setChallengeToken(storedChallenge);
+  }, [router]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+
+    if (!code) {
+      setMessage(useBackupCode ? 'Backup code is required' : 'Authentication code is required');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(
+        challengeToken,
+        useBackupCode ? { backupCode: code } : { code }
+      );
+
+      if (result.success) {
+        sessionStorage.removeItem('twoFactorChallenge');
+        if (useBackupCode) {
+          alert(`Backup code accepted. You have ${result.backupCodesRemaining} backup code(s) left.`);
+        }
+        router.push('/dashboard');
+      } else {
+        setMessage(result.error);
+      }
+    } catch (error) {
+      setMessage('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Two-factor authentication
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          Not you?{' '}
+          <Link href="/auth/login" className="font-medium text-blue-600 hover:text-blue-500">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          <CardContent className="py-8">
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {message && (
+                <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                  <p className="text-sm text-red-600">{message}</p>
+                </div>
+              )}
+
+              <p className="text-sm text-gray-600">
+                {useBackupCode
+                  ? 'Enter one of the backup codes you saved when enabling two-factor authentication.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </p>
+
+              <Input
+                label={useBackupCode ? 'Backup code' : 'Authentication code'}
+                name="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useBackupCode ? 'xxxx-xxxx' : '123456'}
+                autoComplete="one-time-code"
+                inputMode={useBackupCode ? 'text' : 'numeric'}
+                autoFocus
+                required
+              />
+
+              <Button
+                type="submit"
+                className="w-full"
+                loading={loading}
+                disabled={loading || !challengeToken}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+            </form>
+
+            <div className="mt-6 text-center">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseBackupCode(!useBackupCode);
+                  setCode('');
+                  setMessage('');
+                }}
+                className="text-sm font-medium text-blue-600 hover:text-blue-500"
+              >
+                {useBackupCode ? 'Use your authenticator app instead' : 'Use a backup code instead'}
+              </button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Image from 'next/image';
+import QRCode from 'qrcode';
+import { useAuth } from '@/contexts/AuthContext';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Card, { CardContent } from '@/components/ui/Card';
+
+export default function TwoFactorSetupPage() {
+  const [setup, setSetup] = useState(null);
+  const [qrCodeUrl, setQrCodeUrl] = useState('');
+  const [code, setCode] = useState('');
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const { user, isAuthenticated, loading: authLoading, setupTwoFactor, enableTwoFactor } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      return;
+    }
+
+    if (user?.twoFactorEnabled) {
+      router.push('/dashboard/profile');
+      return;
+    }
+
+    const startSetup = async () => {
+      const result = await setupTwoFactor();
+      if (result.success) {
+        setSetup(result);
+        setQrCodeUrl(await QRCode.toDataURL(result.otpauthUri));
+      } else {
+        setMessage(result.error);
+      }
+    };
+    startSetup();
+  }, [authLoading, isAuthenticated]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+
+    if (!code) {
+      setMessage('Authentication code is required');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await enableTwoFactor(code);
+
+      if (result.success) {
+        setBackupCodes(result.backupCodes);
+      } else {
+        setMessage(result.error);
+      }
+    } catch (error) {
+      setMessage('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Set up two-factor authentication
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          Protect your account with an authenticator app
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          <CardContent className="py-8">
+            {backupCodes.length > 0 ? (
+              <div className="space-y-6">
+                <div className="bg-green-50 border border-green-200 rounded-md p-4">
+                  <p className="text-sm text-green-600">
+                    <strong>Two-factor authentication is on.</strong> Save these backup codes somewhere safe.
+                    Each code works once if you lose access to your authenticator app.
+                  </p>
+                </div>
+
+                <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+                  {backupCodes.map((backupCode) => (
+                    <li key={backupCode} className="bg-gray-100 rounded px-3 py-2 text-center">
+                      {backupCode}
+                    </li>
+                  ))}
+                </ul>
+
+                <Button className="w-full" onClick={() => router.push('/dashboard')}>
+                  I&apos;ve saved my backup codes
+                </Button>
+              </div>
+            ) : (
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                {message && (
+                  <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-sm text-red-600">{message}</p>
+                  </div>
+                )}
+
+                <ol className="text-sm text-gray-600 space-y-1 list-decimal list-inside">
+                  <li>Scan the QR code with your authenticator app</li>
+                  <li>Enter the 6-digit code it shows to confirm</li>
+                </ol>
+
+                {setup ? (
+                  <div className="flex flex-col items-center space-y-3">
+                    {qrCodeUrl && (
+                      <Image src={qrCodeUrl} alt="Two-factor QR code" width={192} height={192} unoptimized />
+                    )}
+                    <p className="text-xs text-gray-500 text-center">
+                      Can&apos;t scan it? Enter this key manually:
+                    </p>
+                    <code className="text-sm bg-gray-100 rounded px-3 py-1 text-gray-900 break-all">
+                      {setup.secret}
+                    </code>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                  </div>
+                )}
+
+                <Input
+                  label="Authentication code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  inputMode="numeric"
+                  required
+                />
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  loading={loading}
+                  disabled={loading || !setup}
+                >
+                  {loading ? 'Verifying...' : 'Enable two-factor authentication'}
+                </Button>
+              </form>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
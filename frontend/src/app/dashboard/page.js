@@ -1,24 +1,27 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import { projectsAPI, tasksAPI, usersAPI } from '@/lib/api';
+import { getWorkflow, getStatusBadgeClass } from '@/lib/workflow';
 
 export default function DashboardPage() {
   const [stats, setStats] = useState({
     projects: { total: 0, inProgress: 0, completed: 0 },
-    tasks: { total: 0, pending: 0, completed: 0 },
+    tasks: { total: 0, todo: 0, completed: 0 },
     users: { total: 0, active: 0, roles: {} },
   });
   const [recentProjects, setRecentProjects] = useState([]);
   const [myTasks, setMyTasks] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  const { user, isAuthenticated, isAdmin, isManager } = useAuth();
+  const { user, isAuthenticated } = useAuth();
+  const { can, canUse } = usePermissions();
+  const canViewUserStats = canUse('manageUsers');
   const router = useRouter();
 
   useEffect(() => {
@@ -29,6 +32,15 @@ export default function DashboardPage() {
     fetchDashboardData();
   }, [isAuthenticated, router]);
 
+  // User stats are only available to user administrators
+  useEffect(() => {
+    if (!canViewUserStats) return;
+
+    usersAPI.getStats()
+      .then(response => setStats(prev => ({ ...prev, users: response.data.data })))
+      .catch(error => console.log('Could not fetch user stats:', error));
+  }, [canViewUserStats]);
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
@@ -53,27 +65,15 @@ export default function DashboardPage() {
       // Calculate task stats
       const taskStats = {
         total: tasks.length,
-        pending: tasks.filter(t => t.status === 'Pending').length,
-        completed: tasks.filter(t => t.status === 'Done').length,
+        todo: tasks.filter(t => t.statusCategory === 'todo').length,
+        completed: tasks.filter(t => t.statusCategory === 'done').length,
       };
 
-      let userStats = { total: 0, active: 0, roles: {} };
-      
-      // Fetch user stats (admin only)
-      if (isAdmin()) {
-        try {
-          const usersStatsResponse = await usersAPI.getStats();
-          userStats = usersStatsResponse.data.data;
-        } catch (error) {
-          console.log('Could not fetch user stats:', error);
-        }
-      }
-
-      setStats({
+      setStats(prev => ({
+        ...prev,
         projects: projectStats,
         tasks: taskStats,
-        users: userStats,
-      });
+      }));
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -84,16 +84,12 @@ export default function DashboardPage() {
   const getStatusBadgeColor = (status) => {
     switch (status) {
       case 'Completed':
-      case 'Done':
         return 'bg-green-100 text-green-800';
       case 'In Progress':
-      case 'Ongoing':
         return 'bg-blue-100 text-blue-800';
       case 'Planned':
-      case 'Pending':
         return 'bg-yellow-100 text-yellow-800';
       case 'On Hold':
-      case 'Blocked':
         return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
@@ -178,7 +174,7 @@ export default function DashboardPage() {
               </div>
               <div className="mt-4">
                 <div className="flex justify-between text-sm text-gray-600">
-                  <span>Pending: {stats.tasks.pending}</span>
+                  <span>To Do: {stats.tasks.todo}</span>
                   <span>Completed: {stats.tasks.completed}</span>
                 </div>
               </div>
@@ -186,7 +182,7 @@ export default function DashboardPage() {
           </Card>
 
           {/* User Stats (Admin only) */}
-          {isAdmin() && (
+          {canViewUserStats && (
             <Card>
               <CardContent className="p-6">
                 <div className="flex items-center">
@@ -215,7 +211,7 @@ export default function DashboardPage() {
             <CardContent className="p-6">
               <h3 className="text-sm font-medium text-gray-600 mb-4">Quick Actions</h3>
               <div className="space-y-2">
-                {(isAdmin() || isManager()) && (
+                {can('projects', 'create') && (
                   <Button 
                     variant="outline" 
                     size="sm" 
@@ -302,7 +298,7 @@ export default function DashboardPage() {
                         <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getPriorityBadgeColor(task.priority)}`}>
                           {task.priority}
                         </span>
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeColor(task.status)}`}>
+                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(getWorkflow(task.projectId), task.status)}`}>
                           {task.status}
                         </span>
                       </div>
@@ -0,0 +1,505 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import DashboardLayout from '@/components/layout/DashboardLayout';
+import Card, { CardContent, CardHeader } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import SecurityEventList from '@/components/security/SecurityEventList';
+import { authAPI } from '@/lib/api';
+
+export default function ProfilePage() {
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('account');
+
+  const { user, isAuthenticated } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      return;
+    }
+    fetchSessions();
+  }, [isAuthenticated, router]);
+
+  const fetchSessions = async () => {
+    try {
+      setSessionsLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await authAPI.revokeSession(sessionId);
+      fetchSessions(); // Refresh the list
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      alert('Failed to revoke session. Please try again.');
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    if (!window.confirm('Sign out of all other devices?')) {
+      return;
+    }
+
+    try {
+      await authAPI.revokeOtherSessions();
+      fetchSessions(); // Refresh the list
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      alert('Failed to revoke sessions. Please try again.');
+    }
+  };
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Profile</h1>
+          <p className="text-gray-600">Manage your account and signed-in devices</p>
+        </div>
+
+        {/* Tabs */}
+        <div className="border-b border-gray-200">
+          <nav className="-mb-px flex space-x-8">
+            {[
+              { id: 'account', name: 'Account' },
+              { id: 'security', name: 'Security' }
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                  activeTab === tab.id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.name}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {activeTab === 'security' ? (
+          <Card>
+            <CardHeader>
+              <h3 className="text-lg font-medium text-gray-900">Security Activity</h3>
+              <p className="text-sm text-gray-500">Sign-ins and account changes. Contact an administrator if you don&apos;t recognise something.</p>
+            </CardHeader>
+            <CardContent className="p-0">
+              <SecurityEventList fetchEvents={authAPI.getSecurityEvents} />
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Account Details */}
+            <Card>
+              <CardHeader>
+                <h3 className="text-lg font-medium text-gray-900">Account</h3>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Name</label>
+                    <p className="text-sm text-gray-900">{user?.name}</p>
+                  </div>
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Email</label>
+                    <p className="text-sm text-gray-900">{user?.email}</p>
+                  </div>
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Role</label>
+                    <p className="text-sm text-gray-900 capitalize">{user?.role}</p>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Two-Factor Authentication */}
+            <TwoFactorCard />
+
+            {/* Personal Access Tokens */}
+            <AccessTokensCard />
+
+            {/* Active Sessions */}
+            <Card>
+              <CardHeader>
+                <div className="flex justify-between items-center">
+                  <h3 className="text-lg font-medium text-gray-900">Active Sessions ({sessions.length})</h3>
+                  {sessions.length > 1 && (
+                    <Button variant="outline" size="sm" onClick={handleRevokeOtherSessions}>
+                      Sign out other devices
+                    </Button>
+                  )}
+                </div>
+              </CardHeader>
+              <CardContent className="p-0">
+                {sessionsLoading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                  </div>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {sessions.map((session) => (
+                      <li key={session._id} className="px-6 py-4 flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {session.device}
+                            {session.isCurrent && (
+                              <span className="ml-2 text-xs text-blue-600">(This device)</span>
+                            )}
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            {session.ip || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                          </p>
+                          <p className="text-xs text-gray-400">
+                            Signed in {new Date(session.createdAt).toLocaleString()}
+                          </p>
+                        </div>
+                        {!session.isCurrent && (
+                          <Button variant="danger" size="sm" onClick={() => handleRevokeSession(session._id)}>
+                            Revoke
+                          </Button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+}
+
+function TwoFactorCard() {
+  const [formData, setFormData] = useState({
+    password: '',
+    code: '',
+  });
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const { user, disableTwoFactor, regenerateBackupCodes } = useAuth();
+  const router = useRouter();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDisable = async () => {
+    setMessage('');
+    if (!formData.password || !formData.code) {
+      setMessage('Enter your password and a current authentication code');
+      return;
+    }
+
+    setLoading(true);
+    const result = await disableTwoFactor(formData.password, formData.code);
+    setLoading(false);
+
+    if (result.success) {
+      setFormData({ password: '', code: '' });
+      setBackupCodes([]);
+    } else {
+      setMessage(result.error);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setMessage('');
+    if (!formData.code) {
+      setMessage('Enter a current authentication code');
+      return;
+    }
+
+    setLoading(true);
+    const result = await regenerateBackupCodes(formData.code);
+    setLoading(false);
+
+    if (result.success) {
+      setFormData({ password: '', code: '' });
+      setBackupCodes(result.backupCodes);
+    } else {
+      setMessage(result.error);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h3>
+          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${user?.twoFactorEnabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+            {user?.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+          </span>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!user?.twoFactorEnabled ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              Require a code from an authenticator app in addition to your password when signing in.
+            </p>
+            <Button size="sm" onClick={() => router.push('/auth/two-factor/setup')}>
+              Set up
+            </Button>
+          </div>
+        ) : (
+          <>
+            {message && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                <p className="text-sm text-red-600">{message}</p>
+              </div>
+            )}
+
+            {backupCodes.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-600">New backup codes (previous codes no longer work):</p>
+                <ul className="grid grid-cols-2 md:grid-cols-5 gap-2 font-mono text-sm text-gray-900">
+                  {backupCodes.map((backupCode) => (
+                    <li key={backupCode} className="bg-gray-100 rounded px-3 py-2 text-center">
+                      {backupCode}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Input
+                label="Authentication code"
+                name="code"
+                value={formData.code}
+                onChange={handleChange}
+                placeholder="123456"
+                autoComplete="one-time-code"
+              />
+              <Input
+                label="Password (to disable)"
+                name="password"
+                type="password"
+                value={formData.password}
+                onChange={handleChange}
+                placeholder="Enter your password"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" size="sm" onClick={handleRegenerate} disabled={loading}>
+                Regenerate backup codes
+              </Button>
+              <Button variant="danger" size="sm" onClick={handleDisable} disabled={loading}>
+                Disable
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function AccessTokensCard() {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [formData, setFormData] = useState({
+    name: '',
+    expiresInDays: '30',
+  });
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  const [newToken, setNewToken] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await authAPI.getAccessTokens();
+      setTokens(response.data.data.tokens);
+      setAvailableScopes(response.data.data.availableScopes);
+    } catch (error) {
+      console.error('Error fetching access tokens:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleScope = (scope) => {
+    setSelectedScopes(prev => (
+      prev.includes(scope)
+        ? prev.filter(s => s !== scope)
+        : [...prev, scope]
+    ));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setNewToken('');
+
+    if (!formData.name || selectedScopes.length === 0) {
+      setMessage('Enter a name and choose at least one scope');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.createAccessToken({
+        name: formData.name,
+        scopes: selectedScopes,
+        expiresInDays: formData.expiresInDays ? parseInt(formData.expiresInDays, 10) : null,
+      });
+
+      setNewToken(response.data.data.token);
+      setFormData({ name: '', expiresInDays: '30' });
+      setSelectedScopes([]);
+      fetchTokens();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to create token');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) {
+      return;
+    }
+
+    try {
+      await authAPI.revokeAccessToken(tokenId);
+      fetchTokens(); // Refresh the list
+    } catch (error) {
+      console.error('Error revoking access token:', error);
+      alert('Failed to revoke token. Please try again.');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-medium text-gray-900">Personal Access Tokens ({tokens.length})</h3>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Tokens let scripts and CI call the API as you, limited to the scopes you choose.
+          Send them as <code className="font-mono">Authorization: Bearer pat_...</code>.
+        </p>
+
+        {newToken && (
+          <div className="bg-green-50 border border-green-200 rounded-md p-4 space-y-2">
+            <p className="text-sm text-green-700">Copy your new token now. It will not be shown again.</p>
+            <p className="font-mono text-sm text-gray-900 break-all bg-white rounded px-3 py-2">{newToken}</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-sm text-red-600">{message}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Token name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="e.g. CI task sync"
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expiration</label>
+              <select
+                name="expiresInDays"
+                value={formData.expiresInDays}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+              >
+                <option value="7">7 days</option>
+                <option value="30">30 days</option>
+                <option value="90">90 days</option>
+                <option value="365">1 year</option>
+                <option value="">No expiration</option>
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Scopes</label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {availableScopes.map(scope => (
+                <label key={scope} className="flex items-center text-sm text-gray-900 font-mono cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selectedScopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="mr-2"
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" loading={loading}>
+              Generate token
+            </Button>
+          </div>
+        </form>
+
+        {tokens.length > 0 && (
+          <ul className="divide-y divide-gray-200 border-t border-gray-200">
+            {tokens.map((token) => (
+              <li key={token._id} className="py-4 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {token.name}
+                    <span className="ml-2 font-mono text-xs text-gray-500">{token.tokenPrefix}…</span>
+                  </p>
+                  <p className="text-xs text-gray-500 font-mono">{token.scopes.join(', ')}</p>
+                  <p className="text-xs text-gray-400">
+                    Created {new Date(token.createdAt).toLocaleDateString()}
+                    {' · '}
+                    {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+                    {' · '}
+                    {token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'No expiration'}
+                  </p>
+                </div>
+                <Button variant="danger" size="sm" onClick={() => handleRevoke(token._id)}>
+                  Revoke
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,23 +1,38 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import { useRouter, useParams } from 'next/navigation';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
-import { projectsAPI, tasksAPI } from '@/lib/api';
+import TaskCommentsModal from '@/components/tasks/TaskCommentsModal';
+import TaskDependenciesModal from '@/components/tasks/TaskDependenciesModal';
+import TaskChecklistModal from '@/components/tasks/TaskChecklistModal';
+import DependencyGraph from '@/components/tasks/DependencyGraph';
+import TaskBoard from '@/components/tasks/TaskBoard';
+import WorkflowModal from '@/components/projects/WorkflowModal';
+import { describeRecurrence } from '@/components/tasks/RecurrenceFields';
+import { projectsAPI, tasksAPI, usersAPI } from '@/lib/api';
+import { CATEGORY_LABELS, getWorkflow, getStatusNames, getStatusBadgeClass, describeRule } from '@/lib/workflow';
 
 export default function ProjectDetailPage() {
   const [project, setProject] = useState(null);
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [tasksLoading, setTasksLoading] = useState(false);
+  const [commentsTask, setCommentsTask] = useState(null);
+  const [dependenciesTask, setDependenciesTask] = useState(null);
+  const [checklistTask, setChecklistTask] = useState(null);
+  const [dependencyGraph, setDependencyGraph] = useState({ nodes: [], edges: [] });
+  const [taskView, setTaskView] = useState('list');
+  const [showWorkflowModal, setShowWorkflowModal] = useState(false);
 
-  const { user, isAuthenticated, isAdmin, isManager } = useAuth();
+  const { isAuthenticated } = useAuth();
   const router = useRouter();
   const params = useParams();
   const projectId = params.id;
+  const { loading: permissionsLoading, can, projectRole } = usePermissions(projectId);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -38,7 +53,7 @@ export default function ProjectDetailPage() {
       setProject(response.data.data.project);
     } catch (error) {
       console.error('Error fetching project:', error);
-      if (error.response?.status === 404) {
+      if (error.response?.status === 404 || error.response?.status === 403) {
         router.push('/dashboard/projects');
       }
     } finally {
@@ -49,8 +64,12 @@ export default function ProjectDetailPage() {
   const fetchProjectTasks = async () => {
     try {
       setTasksLoading(true);
-      const response = await tasksAPI.getByProject(projectId);
-      setTasks(response.data.data.tasks);
+      const [tasksResponse, graphResponse] = await Promise.all([
+        tasksAPI.getByProject(projectId),
+        tasksAPI.getDependencyGraph(projectId)
+      ]);
+      setTasks(tasksResponse.data.data.tasks);
+      setDependencyGraph(graphResponse.data.data);
     } catch (error) {
       console.error('Error fetching project tasks:', error);
     } finally {
@@ -90,28 +109,123 @@ export default function ProjectDetailPage() {
     }
   };
 
-  const getTaskStatusBadgeColor = (status) => {
-    switch (status) {
-      case 'Done':
-        return 'bg-green-100 text-green-800';
-      case 'Ongoing':
-        return 'bg-blue-100 text-blue-800';
-      case 'Pending':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'Blocked':
-        return 'bg-red-100 text-red-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+  // Task statuses come from the project's workflow
+  const workflow = getWorkflow(project);
+  const getTaskStatusBadgeColor = (status) => getStatusBadgeClass(workflow, status);
+
+  const handleRemoveMember = async (userId) => {
+    if (!window.confirm('Remove this member from the project?')) {
+      return;
+    }
+
+    try {
+      await projectsAPI.removeMember(projectId, userId);
+      fetchProject(); // Refresh members
+    } catch (error) {
+      console.error('Error removing member:', error);
+      alert(error.response?.data?.message || 'Failed to remove member. Please try again.');
     }
   };
 
-  const canManageProject = () => {
-    if (isAdmin()) return true;
-    if (isManager() && project?.createdBy?._id === user._id) return true;
-    return false;
+  const canManageProject = () => can('projects', 'update');
+
+  const handleSettingChange = async (setting) => {
+    try {
+      const response = await projectsAPI.update(projectId, setting);
+      setProject(response.data.data.project);
+    } catch (error) {
+      console.error('Error updating project:', error);
+      alert(error.response?.data?.message || 'Failed to update project. Please try again.');
+    }
   };
 
-  if (loading) {
+  // Subtasks are listed under their parent and don't count toward the project's totals
+  const topLevelTasks = tasks.filter(task => !task.parentTask);
+  const getSubtasks = (task) => tasks.filter(other => other.parentTask === task._id);
+
+  // Prerequisites of a task that aren't done yet
+  const getWaitingOn = (task) => tasks.filter(other => (
+    task.dependencies?.includes(other._id) && other.statusCategory !== 'done'
+  ));
+
+  const countByCategory = (category) => topLevelTasks.filter(t => t.statusCategory === category).length;
+
+  const handleWorkflowSaved = (savedWorkflow) => {
+    setProject({ ...project, workflow: savedWorkflow });
+    setShowWorkflowModal(false);
+    fetchProjectTasks(); // Statuses may have been remapped
+  };
+
+  const renderTask = (task) => (
+    <div className="flex items-start justify-between">
+      <div className="flex-1">
+        <div className="flex items-center space-x-2 mb-2">
+          <h4 className="text-sm font-medium text-gray-900">{task.title}</h4>
+          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getTaskStatusBadgeColor(task.status)}`}>
+            {task.status}
+          </span>
+          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getPriorityBadgeColor(task.priority)}`}>
+            {task.priority}
+          </span>
+        </div>
+        <p className="text-sm text-gray-600 mb-2">{task.description}</p>
+        <div className="flex items-center space-x-4 text-xs text-gray-500">
+          <span>Assigned to: {task.assignedTo?.name || 'Unassigned'}</span>
+          <span>Created by: {task.createdBy?.name}</span>
+          {task.dueDate && (
+            <span>Due: {new Date(task.dueDate).toLocaleDateString()}</span>
+          )}
+          {task.recurrence && (
+            <span>Repeats: {describeRecurrence(task.recurrence)}</span>
+          )}
+        </div>
+        {(task.subtaskCount > 0 || task.checklist?.length > 0) && (
+          <div className="mt-2 flex items-center space-x-2">
+            <div className="w-32 bg-gray-200 rounded-full h-1.5">
+              <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${task.progress}%` }}></div>
+            </div>
+            <span className="text-xs text-gray-500">
+              {task.progress}%
+              {task.subtaskCount > 0
+                ? ` · ${task.completedSubtaskCount}/${task.subtaskCount} subtasks`
+                : ` · ${task.checklist.filter(item => item.done).length}/${task.checklist.length} checklist items`}
+            </span>
+          </div>
+        )}
+        {getWaitingOn(task).length > 0 && (
+          <p className="mt-2 text-xs text-red-600">
+            Waiting on: {getWaitingOn(task).map(other => other.title).join(', ')}
+          </p>
+        )}
+      </div>
+      <div className="ml-4 flex flex-col items-end space-y-1">
+        <button
+          onClick={() => setCommentsTask(task)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Comments
+        </button>
+        {(task.editableFields?.includes('checklist') || task.checklist?.length > 0) && (
+          <button
+            onClick={() => setChecklistTask(task)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Checklist
+          </button>
+        )}
+        {task.editableFields?.includes('dependencies') && (
+          <button
+            onClick={() => setDependenciesTask(task)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Dependencies
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  if (loading || permissionsLoading) {
     return (
       <DashboardLayout>
         <div className="flex items-center justify-center h-64">
@@ -121,6 +235,21 @@ export default function ProjectDetailPage() {
     );
   }
 
+  if (project && projectRole === 'guest') {
+    return (
+      <DashboardLayout>
+        <GuestProjectView
+          project={project}
+          tasks={tasks}
+          workflow={workflow}
+          onBack={() => router.push('/dashboard/projects')}
+          getStatusBadgeColor={getStatusBadgeColor}
+          getTaskStatusBadgeColor={getTaskStatusBadgeColor}
+        />
+      </DashboardLayout>
+    );
+  }
+
   if (!project) {
     return (
       <DashboardLayout>
@@ -161,12 +290,19 @@ export default function ProjectDetailPage() {
             </div>
             <p className="text-gray-600">{project.description}</p>
           </div>
-          {canManageProject() && (
-            <div className="flex space-x-2">
-              <Button variant="outline">Edit Project</Button>
-              <Button onClick={() => router.push(`/dashboard/tasks`)}>Add Task</Button>
-            </div>
-          )}
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={() => router.push(`/dashboard/projects/${projectId}/planning`)}>
+              Sprints
+            </Button>
+            {canManageProject() && (
+              <>
+                <Button variant="outline">Edit Project</Button>
+                {can('tasks', 'create') && (
+                  <Button onClick={() => router.push(`/dashboard/tasks`)}>Add Task</Button>
+                )}
+              </>
+            )}
+          </div>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -199,10 +335,87 @@ export default function ProjectDetailPage() {
                       <p className="text-sm text-gray-900">{new Date(project.endDate).toLocaleDateString()}</p>
                     </div>
                   )}
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Unfinished Dependencies</label>
+                    {canManageProject() ? (
+                      <select
+                        value={project.dependencyEnforcement || 'block'}
+                        onChange={(e) => handleSettingChange({ dependencyEnforcement: e.target.value })}
+                        className="block mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="block">Block starting or finishing a task</option>
+                        <option value="warn">Only warn</option>
+                      </select>
+                    ) : (
+                      <p className="text-sm text-gray-900">
+                        {project.dependencyEnforcement === 'warn' ? 'Only warn' : 'Block starting or finishing a task'}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Finished Subtasks</label>
+                    {canManageProject() ? (
+                      <label className="flex items-center mt-1 space-x-2 text-sm text-gray-900">
+                        <input
+                          type="checkbox"
+                          checked={!!project.completeParentWithSubtasks}
+                          onChange={(e) => handleSettingChange({ completeParentWithSubtasks: e.target.checked })}
+                          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        <span>Complete a task when its last subtask is done</span>
+                      </label>
+                    ) : (
+                      <p className="text-sm text-gray-900">
+                        {project.completeParentWithSubtasks ? 'Complete the parent task' : 'Leave the parent task open'}
+                      </p>
+                    )}
+                  </div>
                 </div>
               </CardContent>
             </Card>
 
+            {/* Workflow */}
+            <Card>
+              <CardHeader>
+                <div className="flex justify-between items-center">
+                  <h3 className="text-lg font-medium text-gray-900">Workflow</h3>
+                  {canManageProject() && (
+                    <Button size="sm" variant="outline" onClick={() => setShowWorkflowModal(true)}>
+                      Edit Workflow
+                    </Button>
+                  )}
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="flex flex-wrap items-center gap-2">
+                  {workflow.statuses.map((status, index) => (
+                    <div key={status.name} className="flex items-center gap-2">
+                      {index > 0 && <span className="text-gray-300">→</span>}
+                      <span
+                        title={CATEGORY_LABELS[status.category]}
+                        className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getTaskStatusBadgeColor(status.name)}`}
+                      >
+                        {status.name}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-3">
+                  {workflow.blockedStatus
+                    ? `Tasks waiting on unfinished dependencies are moved to ${workflow.blockedStatus}.`
+                    : 'Tasks waiting on unfinished dependencies keep their status.'}
+                  {workflow.transitions?.length > 0 && ' Some statuses can only move to certain others.'}
+                </p>
+                {workflow.rules?.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs text-gray-600 list-disc list-inside">
+                    {workflow.rules.map((rule, index) => (
+                      <li key={index}>{describeRule(rule)}</li>
+                    ))}
+                  </ul>
+                )}
+              </CardContent>
+            </Card>
+
             {/* Tasks */}
             <Card>
               <CardHeader>
@@ -210,9 +423,22 @@ export default function ProjectDetailPage() {
                   <h3 className="text-lg font-medium text-gray-900">
                     Tasks ({tasks.length})
                   </h3>
-                  {canManageProject() && (
-                    <Button onClick={() => router.push(`/dashboard/tasks`)} size="sm">Add Task</Button>
-                  )}
+                  <div className="flex items-center space-x-2">
+                    <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                      {['list', 'board'].map(view => (
+                        <button
+                          key={view}
+                          onClick={() => setTaskView(view)}
+                          className={`px-3 py-1 capitalize ${taskView === view ? 'bg-gray-100 text-gray-900 font-medium' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                        >
+                          {view}
+                        </button>
+                      ))}
+                    </div>
+                    {can('tasks', 'create') && (
+                      <Button onClick={() => router.push(`/dashboard/tasks`)} size="sm">Add Task</Button>
+                    )}
+                  </div>
                 </div>
               </CardHeader>
               <CardContent>
@@ -220,31 +446,26 @@ export default function ProjectDetailPage() {
                   <div className="flex items-center justify-center py-8">
                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
                   </div>
+                ) : tasks.length > 0 && taskView === 'board' ? (
+                  <TaskBoard
+                    workflow={workflow}
+                    tasks={tasks}
+                    setTasks={setTasks}
+                    canMove={can('tasks', 'update')}
+                    onMoved={fetchProjectTasks}
+                  />
                 ) : tasks.length > 0 ? (
                   <div className="space-y-3">
-                    {tasks.map((task) => (
+                    {topLevelTasks.map((task) => (
                       <div key={task._id} className="border border-gray-200 rounded-lg p-4">
-                        <div className="flex items-start justify-between">
-                          <div className="flex-1">
-                            <div className="flex items-center space-x-2 mb-2">
-                              <h4 className="text-sm font-medium text-gray-900">{task.title}</h4>
-                              <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getTaskStatusBadgeColor(task.status)}`}>
-                                {task.status}
-                              </span>
-                              <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getPriorityBadgeColor(task.priority)}`}>
-                                {task.priority}
-                              </span>
-                            </div>
-                            <p className="text-sm text-gray-600 mb-2">{task.description}</p>
-                            <div className="flex items-center space-x-4 text-xs text-gray-500">
-                              <span>Assigned to: {task.assignedTo?.name || 'Unassigned'}</span>
-                              <span>Created by: {task.createdBy?.name}</span>
-                              {task.dueDate && (
-                                <span>Due: {new Date(task.dueDate).toLocaleDateString()}</span>
-                              )}
-                            </div>
+                        {renderTask(task)}
+                        {getSubtasks(task).length > 0 && (
+                          <div className="mt-3 ml-4 pl-4 border-l-2 border-gray-100 space-y-3">
+                            {getSubtasks(task).map(subtask => (
+                              <div key={subtask._id}>{renderTask(subtask)}</div>
+                            ))}
                           </div>
-                        </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -257,6 +478,18 @@ export default function ProjectDetailPage() {
                 )}
               </CardContent>
             </Card>
+
+            {/* Dependency Graph */}
+            {tasks.length > 0 && (
+              <Card>
+                <CardHeader>
+                  <h3 className="text-lg font-medium text-gray-900">Dependencies</h3>
+                </CardHeader>
+                <CardContent>
+                  <DependencyGraph workflow={workflow} nodes={dependencyGraph.nodes} edges={dependencyGraph.edges} />
+                </CardContent>
+              </Card>
+            )}
           </div>
 
           {/* Sidebar */}
@@ -280,6 +513,14 @@ export default function ProjectDetailPage() {
                           <p className="text-sm font-medium text-gray-900">{member.user?.name || member.name}</p>
                           <p className="text-xs text-gray-500">{member.role}</p>
                         </div>
+                        {canManageProject() && member.user && (
+                          <button
+                            onClick={() => handleRemoveMember(member.user._id)}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -289,6 +530,9 @@ export default function ProjectDetailPage() {
                     <p className="text-sm text-gray-600">No team members assigned</p>
                   </div>
                 )}
+                {canManageProject() && (
+                  <AddMemberForm project={project} onAdded={setProject} />
+                )}
               </CardContent>
             </Card>
 
@@ -301,39 +545,39 @@ export default function ProjectDetailPage() {
                 <div className="space-y-3">
                   <div className="flex justify-between">
                     <span className="text-sm text-gray-600">Total Tasks</span>
-                    <span className="text-sm font-medium text-gray-900">{tasks.length}</span>
+                    <span className="text-sm font-medium text-gray-900">{topLevelTasks.length}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-sm text-gray-600">Completed</span>
                     <span className="text-sm font-medium text-green-600">
-                      {tasks.filter(t => t.status === 'Done').length}
+                      {countByCategory('done')}
                     </span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-sm text-gray-600">In Progress</span>
                     <span className="text-sm font-medium text-blue-600">
-                      {tasks.filter(t => t.status === 'Ongoing').length}
+                      {countByCategory('in-progress')}
                     </span>
                   </div>
                   <div className="flex justify-between">
-                    <span className="text-sm text-gray-600">Pending</span>
+                    <span className="text-sm text-gray-600">To Do</span>
                     <span className="text-sm font-medium text-yellow-600">
-                      {tasks.filter(t => t.status === 'Pending').length}
+                      {countByCategory('todo')}
                     </span>
                   </div>
-                  {tasks.length > 0 && (
+                  {topLevelTasks.length > 0 && (
                     <div className="pt-3 border-t">
                       <div className="flex justify-between mb-2">
                         <span className="text-sm text-gray-600">Progress</span>
                         <span className="text-sm font-medium text-gray-900">
-                          {Math.round((tasks.filter(t => t.status === 'Done').length / tasks.length) * 100)}%
+                          {Math.round((countByCategory('done') / topLevelTasks.length) * 100)}%
                         </span>
                       </div>
                       <div className="w-full bg-gray-200 rounded-full h-2">
                         <div
                           className="bg-blue-600 h-2 rounded-full"
                           style={{
-                            width: `${(tasks.filter(t => t.status === 'Done').length / tasks.length) * 100}%`
+                            width: `${(countByCategory('done') / topLevelTasks.length) * 100}%`
                           }}
                         ></div>
                       </div>
@@ -345,6 +589,198 @@ export default function ProjectDetailPage() {
           </div>
         </div>
       </div>
+
+      {/* Workflow Modal */}
+      {showWorkflowModal && (
+        <WorkflowModal
+          project={project}
+          workflow={workflow}
+          onClose={() => setShowWorkflowModal(false)}
+          onSaved={handleWorkflowSaved}
+        />
+      )}
+
+      {/* Task Comments Modal */}
+      {commentsTask && (
+        <TaskCommentsModal
+          task={commentsTask}
+          onClose={() => setCommentsTask(null)}
+        />
+      )}
+
+      {/* Task Checklist Modal */}
+      {checklistTask && (
+        <TaskChecklistModal
+          task={checklistTask}
+          onClose={() => setChecklistTask(null)}
+          onChange={fetchProjectTasks}
+        />
+      )}
+
+      {/* Task Dependencies Modal */}
+      {dependenciesTask && (
+        <TaskDependenciesModal
+          task={dependenciesTask}
+          projectTasks={tasks}
+          onClose={() => setDependenciesTask(null)}
+          onChange={fetchProjectTasks}
+        />
+      )}
     </DashboardLayout>
   );
-} 
\ No newline at end of file
+} 
+
+function AddMemberForm({ project, onAdded }) {
+  const [users, setUsers] = useState([]);
+  const [formData, setFormData] = useState({ userId: '', role: 'member' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    usersAPI.getAll()
+      .then(response => setUsers(response.data.data.users))
+      .catch(error => console.error('Error fetching users:', error));
+  }, []);
+
+  const memberIds = project.members.map(member => member.user?._id);
+  const availableUsers = users.filter(user => !memberIds.includes(user._id) && user._id !== project.createdBy?._id);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.userId) return;
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await projectsAPI.addMember(project._id, formData);
+      onAdded(response.data.data.project);
+      setFormData({ userId: '', role: 'member' });
+    } catch (error) {
+      console.error('Error adding member:', error);
+      setError(error.response?.data?.message || 'Failed to add member. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 pt-4 border-t space-y-2">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <select
+        name="userId"
+        value={formData.userId}
+        onChange={handleChange}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black text-sm"
+      >
+        <option value="">Add a member...</option>
+        {availableUsers.map(user => (
+          <option key={user._id} value={user._id}>{user.name} ({user.email})</option>
+        ))}
+      </select>
+      <div className="flex space-x-2">
+        <select
+          name="role"
+          value={formData.role}
+          onChange={handleChange}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black text-sm"
+        >
+          <option value="member">Member</option>
+          <option value="manager">Manager</option>
+          <option value="guest">Guest (read-only)</option>
+        </select>
+        <Button type="submit" size="sm" loading={loading} disabled={!formData.userId}>
+          Add
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Read-only view for project guests (e.g. clients following progress)
+function GuestProjectView({ project, tasks, workflow, onBack, getStatusBadgeColor, getTaskStatusBadgeColor }) {
+  // Subtasks roll up into their parent and aren't counted separately
+  const topLevelTasks = tasks.filter(t => !t.parentTask);
+  const completedCount = topLevelTasks.filter(t => t.statusCategory === 'done').length;
+  const progress = topLevelTasks.length > 0 ? Math.round((completedCount / topLevelTasks.length) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <div className="flex items-center space-x-3 mb-2">
+          <button onClick={onBack} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">{project.name}</h1>
+          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeColor(project.status)}`}>
+            {project.status}
+          </span>
+        </div>
+        <p className="text-gray-600">{project.description}</p>
+        <p className="text-xs text-gray-500 mt-1">You have read-only guest access to this project.</p>
+      </div>
+
+      {/* Progress */}
+      <Card>
+        <CardHeader>
+          <h3 className="text-lg font-medium text-gray-900">Progress</h3>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="flex justify-between">
+            <span className="text-sm text-gray-600">{completedCount} of {topLevelTasks.length} tasks done</span>
+            <span className="text-sm font-medium text-gray-900">{progress}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${progress}%` }}></div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 pt-2">
+            {getStatusNames(workflow).map(status => (
+              <div key={status}>
+                <p className="text-xs text-gray-500">{status}</p>
+                <p className="text-lg font-semibold text-gray-900">{topLevelTasks.filter(t => t.status === status).length}</p>
+              </div>
+            ))}
+          </div>
+          {(project.startDate || project.endDate) && (
+            <p className="text-sm text-gray-500 pt-2 border-t">
+              {project.startDate && `Started ${new Date(project.startDate).toLocaleDateString()}`}
+              {project.startDate && project.endDate && ' · '}
+              {project.endDate && `Due ${new Date(project.endDate).toLocaleDateString()}`}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Tasks */}
+      <Card>
+        <CardHeader>
+          <h3 className="text-lg font-medium text-gray-900">Tasks ({tasks.length})</h3>
+        </CardHeader>
+        <CardContent className="p-0">
+          {tasks.length > 0 ? (
+            <ul className="divide-y divide-gray-200">
+              {tasks.map(task => (
+                <li key={task._id} className="px-6 py-3 flex items-center justify-between">
+                  <span className="text-sm text-gray-900">{task.title}</span>
+                  <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getTaskStatusBadgeColor(task.status)}`}>
+                    {task.status}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="px-6 py-4 text-sm text-gray-500">No tasks yet.</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
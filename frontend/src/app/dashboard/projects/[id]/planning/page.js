@@ -0,0 +1,451 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
+import { useRouter, useParams } from 'next/navigation';
+import DashboardLayout from '@/components/layout/DashboardLayout';
+import Card, { CardContent, CardHeader } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import SprintModal from '@/components/sprints/SprintModal';
+import CloseSprintModal from '@/components/sprints/CloseSprintModal';
+import { projectsAPI, tasksAPI, sprintsAPI } from '@/lib/api';
+import { getWorkflow, getStatusBadgeClass } from '@/lib/workflow';
+
+const STATE_BADGES = {
+  planned: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-blue-100 text-blue-800',
+  closed: 'bg-gray-100 text-gray-800'
+};
+
+const formatHours = (hours) => `${Math.round(hours * 10) / 10}h`;
+
+const formatDates = (sprint) => (
+  `${new Date(sprint.startDate).toLocaleDateString()} – ${new Date(sprint.endDate).toLocaleDateString()}`
+);
+
+// Estimated hours of a list of tasks, and how many of them aren't estimated
+const sumEstimates = (tasks) => ({
+  hours: tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0),
+  unestimated: tasks.filter(task => task.estimatedHours == null).length
+});
+
+export default function SprintPlanningPage() {
+  const [project, setProject] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [sprints, setSprints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  // Sprint id, or 'backlog', the dragged task is over
+  const [dropZone, setDropZone] = useState(null);
+  // undefined while closed, null for a new sprint, or the sprint being edited
+  const [editingSprint, setEditingSprint] = useState(undefined);
+  const [closingSprint, setClosingSprint] = useState(null);
+
+  const { isAuthenticated } = useAuth();
+  const router = useRouter();
+  const params = useParams();
+  const projectId = params.id;
+  const { loading: permissionsLoading, can } = usePermissions(projectId);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      return;
+    }
+
+    if (projectId) {
+      fetchPlanning();
+    }
+  }, [isAuthenticated, projectId, router]);
+
+  const fetchPlanning = async () => {
+    try {
+      const [projectResponse, tasksResponse, sprintsResponse] = await Promise.all([
+        projectsAPI.getById(projectId),
+        tasksAPI.getByProject(projectId),
+        sprintsAPI.getByProject(projectId)
+      ]);
+      setProject(projectResponse.data.data.project);
+      setTasks(tasksResponse.data.data.tasks);
+      setSprints(sprintsResponse.data.data.sprints);
+    } catch (error) {
+      console.error('Error fetching sprint planning:', error);
+      if (error.response?.status === 404 || error.response?.status === 403) {
+        router.push('/dashboard/projects');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canManageSprints = can('projects', 'update');
+  const workflow = getWorkflow(project);
+
+  // Subtasks go with their parent, so only top-level tasks are planned
+  const topLevelTasks = tasks.filter(task => !task.parentTask);
+  const backlog = topLevelTasks.filter(task => !task.sprint && task.statusCategory !== 'done');
+  const getSprintTasks = (sprintId) => topLevelTasks.filter(task => task.sprint === sprintId);
+
+  const openSprints = [
+    ...sprints.filter(sprint => sprint.state === 'active'),
+    ...sprints.filter(sprint => sprint.state === 'planned')
+  ];
+  const closedSprints = sprints.filter(sprint => sprint.state === 'closed').reverse();
+
+  const canPlan = (task) => canManageSprints && task.editableFields?.includes('sprint');
+
+  const handleDragOver = (e, zone) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    if (dropZone !== zone) setDropZone(zone);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropZone(null);
+  };
+
+  // Dropping a task on a sprint plans it into that sprint; on the backlog, takes it out
+  const handleDrop = async (e, sprintId) => {
+    e.preventDefault();
+    const task = tasks.find(other => other._id === draggedId);
+    handleDragEnd();
+    if (!task || (task.sprint || null) === sprintId) return;
+
+    const previousTasks = tasks;
+    setMessage(null);
+    setTasks(tasks.map(other => (other._id === task._id ? { ...other, sprint: sprintId } : other)));
+
+    try {
+      await tasksAPI.update(task._id, { sprint: sprintId });
+    } catch (error) {
+      console.error('Error planning task:', error);
+      setTasks(previousTasks);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to move the task. Please try again.'
+      });
+    }
+  };
+
+  const handleStartSprint = async (sprint) => {
+    setMessage(null);
+    try {
+      await sprintsAPI.start(sprint._id);
+      fetchPlanning();
+    } catch (error) {
+      console.error('Error starting sprint:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to start the sprint. Please try again.'
+      });
+    }
+  };
+
+  const handleDeleteSprint = async (sprint) => {
+    if (!window.confirm(`Delete ${sprint.name}? Its tasks go back to the backlog.`)) {
+      return;
+    }
+
+    setMessage(null);
+    try {
+      await sprintsAPI.delete(sprint._id);
+      fetchPlanning();
+    } catch (error) {
+      console.error('Error deleting sprint:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to delete the sprint. Please try again.'
+      });
+    }
+  };
+
+  const handleSprintSaved = () => {
+    setEditingSprint(undefined);
+    fetchPlanning();
+  };
+
+  const handleSprintClosed = (text) => {
+    setClosingSprint(null);
+    setMessage({ type: 'success', text });
+    fetchPlanning();
+  };
+
+  const renderTask = (task) => (
+    <div
+      key={task._id}
+      draggable={canPlan(task)}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        setDraggedId(task._id);
+      }}
+      onDragEnd={handleDragEnd}
+      className={`bg-white border border-gray-200 rounded-md p-3 shadow-sm ${canPlan(task) ? 'cursor-grab hover:border-gray-300' : ''} ${task._id === draggedId ? 'opacity-50' : ''}`}
+    >
+      <div className="flex justify-between items-start gap-2">
+        <p className="text-sm font-medium text-gray-900">{task.title}</p>
+        <span className="text-xs text-gray-500 whitespace-nowrap">
+          {task.estimatedHours != null ? formatHours(task.estimatedHours) : 'No estimate'}
+        </span>
+      </div>
+      <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+        <span>{task.assignedTo?.name || 'Unassigned'}</span>
+        <span className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium ${getStatusBadgeClass(workflow, task.status)}`}>
+          {task.status}
+        </span>
+      </div>
+    </div>
+  );
+
+  // Planned hours against the sprint's capacity, and how they're spread over the team
+  const renderCapacity = (sprint, sprintTasks) => {
+    const { hours, unestimated } = sumEstimates(sprintTasks);
+    const capacity = sprint.capacityHours;
+    const ratio = capacity ? hours / capacity : 0;
+    const barColor = ratio > 1 ? 'bg-red-500' : ratio > 0.85 ? 'bg-yellow-500' : 'bg-green-500';
+
+    const byAssignee = Object.entries(sprintTasks.reduce((totals, task) => {
+      const name = task.assignedTo?.name || 'Unassigned';
+      totals[name] = (totals[name] || 0) + (task.estimatedHours || 0);
+      return totals;
+    }, {}));
+
+    return (
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs text-gray-600">
+          <span>
+            {formatHours(hours)} planned
+            {unestimated > 0 && ` · ${unestimated} without an estimate`}
+          </span>
+          <span>{capacity != null ? `${formatHours(capacity)} capacity` : 'No capacity set'}</span>
+        </div>
+        {capacity != null && (
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className={`${barColor} h-2 rounded-full`} style={{ width: `${Math.min(ratio, 1) * 100}%` }}></div>
+          </div>
+        )}
+        {ratio > 1 && (
+          <p className="text-xs text-red-600">{formatHours(hours - capacity)} over capacity</p>
+        )}
+        {byAssignee.length > 0 && (
+          <p className="text-xs text-gray-500">
+            {byAssignee.map(([name, assigneeHours]) => `${name} ${formatHours(assigneeHours)}`).join(' · ')}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  if (loading || permissionsLoading) {
+    return (
+      <DashboardLayout>
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  if (!project) {
+    return (
+      <DashboardLayout>
+        <div className="flex flex-col items-center justify-center h-64">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Project not found</h3>
+          <Button onClick={() => router.push('/dashboard/projects')}>
+            Back to Projects
+          </Button>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  const backlogHours = sumEstimates(backlog);
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="flex items-center space-x-3 mb-2">
+              <button
+                onClick={() => router.push(`/dashboard/projects/${projectId}`)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+              </button>
+              <h1 className="text-2xl font-bold text-gray-900">Sprints</h1>
+            </div>
+            <p className="text-gray-600">
+              {project.name}
+              {canManageSprints && ' · Drag tasks between the backlog and sprints to plan them.'}
+            </p>
+          </div>
+          {canManageSprints && (
+            <Button onClick={() => setEditingSprint(null)}>New Sprint</Button>
+          )}
+        </div>
+
+        {message && (
+          <div className={`p-3 rounded-lg text-sm ${
+            message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+          }`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+          {/* Backlog */}
+          <Card>
+            <CardHeader>
+              <div className="flex justify-between items-center">
+                <h3 className="text-lg font-medium text-gray-900">Backlog ({backlog.length})</h3>
+                <span className="text-sm text-gray-500">{formatHours(backlogHours.hours)}</span>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <div
+                onDragOver={(e) => canManageSprints && handleDragOver(e, 'backlog')}
+                onDrop={(e) => handleDrop(e, null)}
+                className={`space-y-2 min-h-[8rem] rounded-lg p-1 ${dropZone === 'backlog' ? 'ring-2 ring-blue-300' : ''}`}
+              >
+                {backlog.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-8">Every unfinished task is planned into a sprint.</p>
+                ) : (
+                  backlog.map(renderTask)
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Sprints */}
+          <div className="lg:col-span-2 space-y-6">
+            {openSprints.length === 0 && (
+              <Card>
+                <CardContent>
+                  <p className="text-sm text-gray-500 text-center py-8">
+                    No sprints planned.{canManageSprints && ' Create one to start planning.'}
+                  </p>
+                </CardContent>
+              </Card>
+            )}
+
+            {openSprints.map(sprint => {
+              const sprintTasks = getSprintTasks(sprint._id);
+              const done = sprintTasks.filter(task => task.statusCategory === 'done').length;
+
+              return (
+                <Card key={sprint._id}>
+                  <CardHeader>
+                    <div className="flex justify-between items-start gap-4">
+                      <div>
+                        <div className="flex items-center space-x-2">
+                          <h3 className="text-lg font-medium text-gray-900">{sprint.name}</h3>
+                          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${STATE_BADGES[sprint.state]}`}>
+                            {sprint.state}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-500">{formatDates(sprint)}</p>
+                        {sprint.goal && <p className="text-sm text-gray-700 mt-1">{sprint.goal}</p>}
+                      </div>
+                      {canManageSprints && (
+                        <div className="flex space-x-2">
+                          <Button size="sm" variant="ghost" onClick={() => setEditingSprint(sprint)}>
+                            Edit
+                          </Button>
+                          {sprint.state === 'planned' && (
+                            <>
+                              <Button size="sm" variant="outline" onClick={() => handleStartSprint(sprint)}>
+                                Start
+                              </Button>
+                              <Button size="sm" variant="danger" onClick={() => handleDeleteSprint(sprint)}>
+                                Delete
+                              </Button>
+                            </>
+                          )}
+                          {sprint.state === 'active' && (
+                            <Button size="sm" variant="outline" onClick={() => setClosingSprint(sprint)}>
+                              Close
+                            </Button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    {renderCapacity(sprint, sprintTasks)}
+                    <div
+                      onDragOver={(e) => canManageSprints && handleDragOver(e, sprint._id)}
+                      onDrop={(e) => handleDrop(e, sprint._id)}
+                      className={`grid grid-cols-1 md:grid-cols-2 gap-2 min-h-[5rem] rounded-lg p-1 ${dropZone === sprint._id ? 'ring-2 ring-blue-300' : ''}`}
+                    >
+                      {sprintTasks.length === 0 ? (
+                        <p className="md:col-span-2 text-sm text-gray-500 text-center py-6">
+                          {canManageSprints ? 'Drag tasks from the backlog here.' : 'No tasks in this sprint yet.'}
+                        </p>
+                      ) : (
+                        sprintTasks.map(renderTask)
+                      )}
+                    </div>
+                    {sprintTasks.length > 0 && (
+                      <p className="text-xs text-gray-500">{done} of {sprintTasks.length} tasks done</p>
+                    )}
+                  </CardContent>
+                </Card>
+              );
+            })}
+
+            {closedSprints.length > 0 && (
+              <Card>
+                <CardHeader>
+                  <h3 className="text-lg font-medium text-gray-900">Closed Sprints</h3>
+                </CardHeader>
+                <CardContent>
+                  <div className="divide-y divide-gray-200">
+                    {closedSprints.map(sprint => (
+                      <div key={sprint._id} className="py-3 flex justify-between items-center gap-4">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{sprint.name}</p>
+                          <p className="text-xs text-gray-500">{formatDates(sprint)}</p>
+                        </div>
+                        <div className="text-right text-xs text-gray-600">
+                          <p>{sprint.completedTaskCount} tasks done · {formatHours(sprint.completedHours)}</p>
+                          {sprint.rolledOverTaskCount > 0 && (
+                            <p>{sprint.rolledOverTaskCount} rolled over</p>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {editingSprint !== undefined && (
+        <SprintModal
+          project={project}
+          sprint={editingSprint}
+          sprints={sprints}
+          onClose={() => setEditingSprint(undefined)}
+          onSaved={handleSprintSaved}
+        />
+      )}
+
+      {closingSprint && (
+        <CloseSprintModal
+          sprint={closingSprint}
+          unfinishedTasks={getSprintTasks(closingSprint._id).filter(task => task.statusCategory !== 'done')}
+          plannedSprints={sprints.filter(sprint => sprint.state === 'planned')}
+          onClose={() => setClosingSprint(null)}
+          onClosed={handleSprintClosed}
+        />
+      )}
+    </DashboardLayout>
+  );
+}
@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
@@ -24,7 +24,9 @@ export default function NewProjectPage() {
   const [errors, setErrors] = useState({});
   const [selectedUser, setSelectedUser] = useState('');
 
-  const { user, isAuthenticated, isAdmin, isManager } = useAuth();
+  const { isAuthenticated } = useAuth();
+  const { loading: permissionsLoading, can } = usePermissions();
+  const canCreateProject = can('projects', 'create');
   const router = useRouter();
 
   useEffect(() => {
@@ -33,13 +35,15 @@ export default function NewProjectPage() {
       return;
     }
     
-    if (!isAdmin() && !isManager()) {
+    if (permissionsLoading) return;
+
+    if (!canCreateProject) {
       router.push('/dashboard');
       return;
     }
     
     fetchUsers();
-  }, [isAuthenticated, isAdmin, isManager, router]);
+  }, [isAuthenticated, permissionsLoading, canCreateProject, router]);
 
   const fetchUsers = async () => {
     try {
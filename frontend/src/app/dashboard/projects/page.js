@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
@@ -15,7 +15,8 @@ export default function ProjectsPage() {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
 
-  const { user, isAuthenticated, isAdmin, isManager } = useAuth();
+  const { isAuthenticated } = useAuth();
+  const { can } = usePermissions(projects.map(project => project._id));
   const router = useRouter();
 
   useEffect(() => {
@@ -115,7 +116,7 @@ export default function ProjectsPage() {
             <h1 className="text-2xl font-bold text-gray-900">Projects</h1>
             <p className="text-gray-600">Manage your projects and track progress</p>
           </div>
-          {(isAdmin() || isManager()) && (
+          {can('projects', 'create') && (
             <Button onClick={() => router.push('/dashboard/projects/new')}>
               Create Project
             </Button>
@@ -160,7 +161,7 @@ export default function ProjectsPage() {
                       <h3 className="text-lg font-semibold text-gray-900 mb-2">{project.name}</h3>
                       <p className="text-gray-600 text-sm line-clamp-2">{project.description}</p>
                     </div>
-                    {isAdmin() && (
+                    {can('projects', 'delete', project._id) && (
                       <button
                         onClick={(e) => {
                           e.stopPropagation();
@@ -226,7 +227,7 @@ export default function ProjectsPage() {
                   ? 'Try adjusting your search criteria.'
                   : 'Get started by creating your first project.'}
               </p>
-              {(isAdmin() || isManager()) && !searchTerm && !statusFilter && (
+              {can('projects', 'create') && !searchTerm && !statusFilter && (
                 <Button onClick={() => router.push('/dashboard/projects/new')}>
                   Create Your First Project
                 </Button>
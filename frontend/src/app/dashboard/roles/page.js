@@ -0,0 +1,372 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import DashboardLayout from '@/components/layout/DashboardLayout';
+import Card, { CardContent, CardHeader } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import { rolesAPI } from '@/lib/api';
+
+export default function RolesPage() {
+  const [roles, setRoles] = useState([]);
+  const [resources, setResources] = useState({});
+  const [taskFields, setTaskFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // { mode: 'create' | 'edit' | 'clone', role }
+  const [modal, setModal] = useState(null);
+
+  const { isAuthenticated } = useAuth();
+  const { loading: permissionsLoading, canUse } = usePermissions();
+  const canManageRoles = canUse('manageRoles');
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      return;
+    }
+
+    if (permissionsLoading) return;
+
+    if (!canManageRoles) {
+      router.push('/dashboard');
+      return;
+    }
+
+    fetchRoles();
+  }, [isAuthenticated, permissionsLoading, canManageRoles, router]);
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      const response = await rolesAPI.getAll();
+      setRoles(response.data.data.roles);
+      setResources(response.data.data.resources);
+      setTaskFields(response.data.data.taskFields);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Delete the ${role.label} role?`)) {
+      return;
+    }
+
+    try {
+      await rolesAPI.delete(role._id);
+      fetchRoles(); // Refresh the list
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      alert(error.response?.data?.message || 'Failed to delete role. Please try again.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <DashboardLayout>
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Roles</h1>
+            <p className="text-gray-600">Decide what each role can do. Changes apply to everyone holding the role.</p>
+          </div>
+          <Button onClick={() => setModal({ mode: 'create', role: null })}>
+            New Role
+          </Button>
+        </div>
+
+        {/* Roles */}
+        <Card>
+          <CardHeader>
+            <h3 className="text-lg font-medium text-gray-900">All Roles ({roles.length})</h3>
+          </CardHeader>
+          <CardContent className="p-0">
+            <ul className="divide-y divide-gray-200">
+              {roles.map((role) => (
+                <li key={role._id} className="px-6 py-4">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {role.label}
+                        <span className="ml-2 text-xs font-normal text-gray-500">{role.name}</span>
+                        {role.isSystem && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                            Built-in
+                          </span>
+                        )}
+                        {role.global && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            All projects
+                          </span>
+                        )}
+                      </p>
+                      {role.description && (
+                        <p className="text-sm text-gray-500">{role.description}</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">
+                        {Object.keys(resources)
+                          .map(resource => `${resource}: ${role.permissions[resource]?.length ? role.permissions[resource].join(', ') : 'none'}`)
+                          .join(' · ')}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Editable task fields: {role.taskEditableFields?.length ? role.taskEditableFields.join(', ') : 'none'}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-4">
+                      <span className="text-sm text-gray-500 whitespace-nowrap mr-2">
+                        {role.userCount} {role.userCount === 1 ? 'user' : 'users'}
+                      </span>
+                      <Button variant="outline" size="sm" onClick={() => setModal({ mode: 'edit', role })}>
+                        Edit
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => setModal({ mode: 'clone', role })}>
+                        Clone
+                      </Button>
+                      {!role.isSystem && (
+                        <Button
+                          variant="danger"
+                          size="sm"
+                          onClick={() => handleDeleteRole(role)}
+                          disabled={role.userCount > 0}
+                        >
+                          Delete
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Role Modal */}
+      {modal && (
+        <RoleModal
+          mode={modal.mode}
+          role={modal.role}
+          resources={resources}
+          taskFields={taskFields}
+          onClose={() => setModal(null)}
+          onSuccess={() => {
+            setModal(null);
+            fetchRoles();
+          }}
+        />
+      )}
+    </DashboardLayout>
+  );
+}
+
+function RoleModal({ mode, role, resources, taskFields, onClose, onSuccess }) {
+  const [formData, setFormData] = useState({
+    name: mode === 'edit' ? role.name : '',
+    label: mode === 'edit' ? role.label : '',
+    description: role?.description || '',
+    global: role?.global || false,
+  });
+  const [permissions, setPermissions] = useState(() => Object.fromEntries(
+    Object.keys(resources).map(resource => [resource, role?.permissions[resource] || []])
+  ));
+  const [taskEditableFields, setTaskEditableFields] = useState(role?.taskEditableFields || ['status']);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // The admin role always keeps every permission
+  const permissionsLocked = mode === 'edit' && role.name === 'admin';
+
+  const titles = {
+    create: 'New Role',
+    edit: `Edit ${role?.label}`,
+    clone: `Clone ${role?.label}`,
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const togglePermission = (resource, action) => {
+    setPermissions(prev => ({
+      ...prev,
+      [resource]: prev[resource].includes(action)
+        ? prev[resource].filter(existing => existing !== action)
+        : [...prev[resource], action],
+    }));
+  };
+
+  const toggleTaskField = (field) => {
+    setTaskEditableFields(prev => (
+      prev.includes(field) ? prev.filter(existing => existing !== field) : [...prev, field]
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      if (mode === 'create') {
+        await rolesAPI.create({ ...formData, permissions, taskEditableFields });
+      } else if (mode === 'clone') {
+        await rolesAPI.clone(role._id, { name: formData.name, label: formData.label });
+      } else {
+        const { label, description, global } = formData;
+        await rolesAPI.update(role._id, permissionsLocked
+          ? { label, description }
+          : { label, description, global, permissions, taskEditableFields });
+      }
+      onSuccess();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      setError(error.response?.data?.message || 'Failed to save role. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-gray-900">{titles[mode]}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-4">
+              <p className="text-sm text-red-600">{error}</p>
+            </div>
+          )}
+
+          <Input
+            label="Name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            placeholder="e.g. qa-lead"
+            disabled={mode === 'edit'}
+            required
+          />
+
+          <Input
+            label="Label"
+            name="label"
+            value={formData.label}
+            onChange={handleChange}
+            placeholder="e.g. QA lead"
+            required
+          />
+
+          {mode === 'clone' ? (
+            <p className="text-sm text-gray-500">
+              The new role starts with the permissions of {role.label}. You can edit them afterwards.
+            </p>
+          ) : (
+            <>
+              <Input
+                label="Description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                placeholder="What is this role for?"
+              />
+
+              <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  name="global"
+                  checked={formData.global}
+                  onChange={handleChange}
+                  disabled={permissionsLocked}
+                  className="mr-2"
+                />
+                Access every project and task, not only ones the user is a member of
+              </label>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Permissions</label>
+                <div className="border border-gray-300 rounded-lg divide-y divide-gray-100">
+                  {Object.entries(resources).map(([resource, actions]) => (
+                    <div key={resource} className="px-3 py-2 flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900 capitalize w-20">{resource}</span>
+                      <div className="flex flex-wrap gap-3">
+                        {actions.map(action => (
+                          <label key={action} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={permissions[resource].includes(action)}
+                              onChange={() => togglePermission(resource, action)}
+                              disabled={permissionsLocked}
+                              className="mr-1"
+                            />
+                            {action}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {permissionsLocked && (
+                  <p className="text-xs text-gray-500 mt-1">The admin role always has every permission.</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Editable task fields</label>
+                <div className="border border-gray-300 rounded-lg px-3 py-2 flex flex-wrap gap-3">
+                  {taskFields.map(field => (
+                    <label key={field} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={taskEditableFields.includes(field)}
+                        onChange={() => toggleTaskField(field)}
+                        disabled={permissionsLocked}
+                        className="mr-1"
+                      />
+                      {field}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Fields this role can change on tasks it may update. Projects can override this per role.
+                </p>
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="outline" onClick={onClose} type="button">
+              Cancel
+            </Button>
+            <Button type="submit" loading={loading}>
+              {mode === 'edit' ? 'Save Role' : 'Create Role'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
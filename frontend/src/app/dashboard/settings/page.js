@@ -0,0 +1,231 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import DashboardLayout from '@/components/layout/DashboardLayout';
+import Card, { CardContent, CardHeader } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import { settingsAPI, rolesAPI } from '@/lib/api';
+
+// "acme.com, @partner.io" -> ['acme.com', 'partner.io']
+const parseDomains = (value) => value
+  .split(/[\s,]+/)
+  .map(domain => domain.trim().replace(/^@/, ''))
+  .filter(Boolean);
+
+export default function SettingsPage() {
+  const [formData, setFormData] = useState({
+    openRegistration: true,
+    allowedDomains: '',
+    blockedDomains: '',
+  });
+  const [domainRoles, setDomainRoles] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const { isAuthenticated } = useAuth();
+  const { loading: permissionsLoading, canUse } = usePermissions();
+  const canManageSettings = canUse('manageSettings');
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      return;
+    }
+
+    if (permissionsLoading) return;
+
+    if (!canManageSettings) {
+      router.push('/dashboard');
+      return;
+    }
+
+    fetchSettings();
+    rolesAPI.getAll()
+      .then(response => setRoles(response.data.data.roles))
+      .catch(error => console.error('Error fetching roles:', error));
+  }, [isAuthenticated, permissionsLoading, canManageSettings, router]);
+
+  const applySettings = (settings) => {
+    setFormData({
+      openRegistration: settings.openRegistration,
+      allowedDomains: settings.allowedDomains.join(', '),
+      blockedDomains: settings.blockedDomains.join(', '),
+    });
+    setDomainRoles(settings.domainRoles);
+  };
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      const response = await settingsAPI.get();
+      applySettings(response.data.data.settings);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleDomainRoleChange = (index, field, value) => {
+    setDomainRoles(prev => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const handleAddDomainRole = () => {
+    setDomainRoles(prev => [...prev, { domain: '', role: 'member' }]);
+  };
+
+  const handleRemoveDomainRole = (index) => {
+    setDomainRoles(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage({ type: '', text: '' });
+    setSaving(true);
+
+    try {
+      const response = await settingsAPI.update({
+        openRegistration: formData.openRegistration,
+        allowedDomains: parseDomains(formData.allowedDomains),
+        blockedDomains: parseDomains(formData.blockedDomains),
+        domainRoles: domainRoles.filter(entry => entry.domain.trim()),
+      });
+
+      applySettings(response.data.data.settings);
+      setMessage({ type: 'success', text: 'Settings saved' });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to save settings. Please try again.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <DashboardLayout>
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  return (
+    <DashboardLayout>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+            <p className="text-gray-600">Control who can sign up and which role they get</p>
+          </div>
+          <Button type="submit" loading={saving}>
+            Save Settings
+          </Button>
+        </div>
+
+        {message.text && (
+          <div className={`rounded-md p-4 border ${message.type === 'success' ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+            <p className={`text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{message.text}</p>
+          </div>
+        )}
+
+        {/* Registration */}
+        <Card>
+          <CardHeader>
+            <h3 className="text-lg font-medium text-gray-900">Registration</h3>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                name="openRegistration"
+                checked={formData.openRegistration}
+                onChange={handleChange}
+                className="mr-2"
+              />
+              Allow open registration (when off, accounts can only be created by invitation)
+            </label>
+
+            <Input
+              label="Allowed Domains"
+              name="allowedDomains"
+              value={formData.allowedDomains}
+              onChange={handleChange}
+              placeholder="e.g. example.com, partner.io (leave empty to allow any domain)"
+            />
+
+            <Input
+              label="Blocked Domains"
+              name="blockedDomains"
+              value={formData.blockedDomains}
+              onChange={handleChange}
+              placeholder="e.g. mailinator.com"
+            />
+
+            <p className="text-sm text-gray-500">
+              Domains also cover their subdomains. Blocked domains win over allowed domains.
+            </p>
+          </CardContent>
+        </Card>
+
+        {/* Domain Roles */}
+        <Card>
+          <CardHeader>
+            <div className="flex justify-between items-center">
+              <h3 className="text-lg font-medium text-gray-900">Default Role by Domain</h3>
+              <Button type="button" variant="outline" size="sm" onClick={handleAddDomainRole}>
+                Add Domain
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {domainRoles.length > 0 ? (
+              <div className="space-y-3">
+                {domainRoles.map((entry, index) => (
+                  <div key={index} className="flex items-center space-x-3">
+                    <div className="flex-1">
+                      <Input
+                        value={entry.domain}
+                        onChange={(e) => handleDomainRoleChange(index, 'domain', e.target.value)}
+                        placeholder="example.com"
+                      />
+                    </div>
+                    <select
+                      value={entry.role}
+                      onChange={(e) => handleDomainRoleChange(index, 'role', e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+                    >
+                      {roles.map((role) => (
+                        <option key={role.name} value={role.name}>{role.label}</option>
+                      ))}
+                    </select>
+                    <Button type="button" variant="danger" size="sm" onClick={() => handleRemoveDomainRole(index)}>
+                      Remove
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Self-registered users join as members. Add a domain to give its users a different role.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </form>
+    </DashboardLayout>
+  );
+}
@@ -1,13 +1,21 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
-import { tasksAPI, projectsAPI, usersAPI } from '@/lib/api';
+import TaskCommentsModal from '@/components/tasks/TaskCommentsModal';
+import TaskChecklistModal from '@/components/tasks/TaskChecklistModal';
+import TaskTimeModal, { formatMinutes } from '@/components/tasks/TaskTimeModal';
+import RecurrenceFields, { toRecurrenceForm, toRecurrencePayload, describeRecurrence } from '@/components/tasks/RecurrenceFields';
+import StatusMovePanel from '@/components/tasks/StatusMovePanel';
+import { tasksAPI, projectsAPI, usersAPI, timeEntriesAPI } from '@/lib/api';
+import {
+  getWorkflow, getStatusNames, getInitialStatus, getAvailableStatuses, getStatusBadgeClass, getTransitionRules
+} from '@/lib/workflow';
 
 export default function TasksPage() {
   const [tasks, setTasks] = useState([]);
@@ -18,8 +26,18 @@ export default function TasksPage() {
   const [priorityFilter, setPriorityFilter] = useState('');
   const [projectFilter, setProjectFilter] = useState('');
   const [showCreateModal, setShowCreateModal] = useState(false);
-
-  const { user, isAuthenticated, isAdmin, isManager } = useAuth();
+  const [editingTask, setEditingTask] = useState(null);
+  const [commentsTask, setCommentsTask] = useState(null);
+  const [checklistTask, setChecklistTask] = useState(null);
+  const [timeTask, setTimeTask] = useState(null);
+  const [runningTimer, setRunningTimer] = useState(null);
+  // Per task: the outcome of its last status change, or a move waiting for a comment
+  const [statusMoves, setStatusMoves] = useState({});
+  const [movingTaskId, setMovingTaskId] = useState(null);
+
+  const { isAuthenticated } = useAuth();
+  const { can } = usePermissions(projects.map(project => project._id));
+  const creatableProjects = projects.filter(project => can('tasks', 'create', project._id));
   const router = useRouter();
 
   useEffect(() => {
@@ -29,6 +47,7 @@ export default function TasksPage() {
     }
     fetchTasks();
     fetchProjects();
+    fetchRunningTimer();
   }, [isAuthenticated, router]);
 
   const fetchTasks = async () => {
@@ -58,6 +77,15 @@ export default function TasksPage() {
     }
   };
 
+  const fetchRunningTimer = async () => {
+    try {
+      const response = await timeEntriesAPI.getRunningTimer();
+      setRunningTimer(response.data.data.timeEntry);
+    } catch (error) {
+      console.error('Error fetching running timer:', error);
+    }
+  };
+
   useEffect(() => {
     const timeoutId = setTimeout(() => {
       fetchTasks();
@@ -66,18 +94,12 @@ export default function TasksPage() {
     return () => clearTimeout(timeoutId);
   }, [searchTerm, statusFilter, priorityFilter, projectFilter]);
 
-  const getStatusBadgeColor = (status) => {
-    switch (status) {
-      case 'Done':
-        return 'bg-green-100 text-green-800';
-      case 'Ongoing':
-        return 'bg-blue-100 text-blue-800';
-      case 'Pending':
-        return 'bg-yellow-100 text-yellow-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
+  // Each project has its own statuses; the filter offers those of the projects in view
+  const filterStatuses = [...new Set(
+    projects
+      .filter(project => !projectFilter || project._id === projectFilter)
+      .flatMap(project => getStatusNames(getWorkflow(project)))
+  )];
 
   const getPriorityBadgeColor = (priority) => {
     switch (priority) {
@@ -92,13 +114,70 @@ export default function TasksPage() {
     }
   };
 
-  const handleStatusUpdate = async (taskId, newStatus) => {
+  const setStatusMove = (taskId, move) => {
+    setStatusMoves(prev => {
+      const moves = { ...prev };
+      if (move) {
+        moves[taskId] = move;
+      } else {
+        delete moves[taskId];
+      }
+      return moves;
+    });
+  };
+
+  const handleStatusChange = (task, newStatus) => {
+    // Ask for the comment the project's workflow requires before trying the move
+    const needsComment = getTransitionRules(getWorkflow(task.projectId), task.status, newStatus)
+      .some(rule => rule.guard === 'comment');
+
+    if (needsComment) {
+      setStatusMove(task._id, { status: newStatus, needsComment, comment: '' });
+      return;
+    }
+
+    handleStatusUpdate(task._id, newStatus);
+  };
+
+  const handleStatusUpdate = async (taskId, newStatus, comment) => {
+    setMovingTaskId(taskId);
     try {
-      await tasksAPI.update(taskId, { status: newStatus });
+      const response = await tasksAPI.update(taskId, { status: newStatus, ...(comment && { comment }) });
+      // Projects that only warn about unfinished dependencies still accept the change
+      setStatusMove(taskId, response.data.warnings && { status: newStatus, warnings: response.data.warnings });
       fetchTasks(); // Refresh the list
     } catch (error) {
       console.error('Error updating task status:', error);
-      alert('Failed to update task status. Please try again.');
+      const { message, violations } = error.response?.data || {};
+      setStatusMove(taskId, {
+        status: newStatus,
+        comment: comment || '',
+        needsComment: !!comment || !!violations?.some(violation => violation.guard === 'comment'),
+        errors: violations?.map(violation => violation.message) || [message || 'Failed to update task status. Please try again.']
+      });
+    } finally {
+      setMovingTaskId(null);
+    }
+  };
+
+  const handleStartTimer = async (taskId) => {
+    try {
+      const response = await tasksAPI.startTimer(taskId);
+      setRunningTimer(response.data.data.timeEntry);
+    } catch (error) {
+      console.error('Error starting timer:', error);
+      alert(error.response?.data?.message || 'Failed to start the timer. Please try again.');
+    }
+  };
+
+  const handleStopTimer = async () => {
+    try {
+      await timeEntriesAPI.stopTimer();
+      setRunningTimer(null);
+      fetchTasks(); // Actual hours changed
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+      alert(error.response?.data?.message || 'Failed to stop the timer. Please try again.');
     }
   };
 
@@ -116,17 +195,15 @@ export default function TasksPage() {
     }
   };
 
-  const canModifyTask = (task) => {
-    if (isAdmin() || isManager()) return true;
-    if (task.projectId?.createdBy?._id === user._id) return true;
-    return task.assignedTo && task.assignedTo._id === user._id;
-  };
+  const canEditField = (task, field) => task.editableFields?.includes(field);
 
-  const canDeleteTask = (task) => {
-    if (isAdmin()) return true;
-    if (isManager() && task.projectId?.createdBy?._id === user._id) return true;
-    return false;
-  };
+  const canDeleteTask = (task) => !!task.projectId && can('tasks', 'delete', task.projectId._id);
+
+  // Guests can't join the discussion, and they're the only project role without task updates
+  const canComment = (task) => !!task.projectId && can('tasks', 'update', task.projectId._id);
+
+  // Logging time follows the same rule as commenting
+  const canLogTime = canComment;
 
   if (loading) {
     return (
@@ -147,13 +224,26 @@ export default function TasksPage() {
             <h1 className="text-2xl font-bold text-gray-900">My Tasks</h1>
             <p className="text-gray-600">Manage your assigned tasks and track progress</p>
           </div>
-          {(isAdmin() || isManager()) && (
+          {creatableProjects.length > 0 && (
             <Button onClick={() => setShowCreateModal(true)}>
               Create Task
             </Button>
           )}
         </div>
 
+        {/* Running Timer */}
+        {runningTimer && (
+          <div className="flex items-center justify-between p-4 rounded-lg bg-blue-50 border border-blue-200">
+            <p className="text-sm text-blue-800">
+              <span className="font-medium">Timer running</span> on &quot;{runningTimer.task?.title}&quot; since{' '}
+              {new Date(runningTimer.startedAt).toLocaleTimeString()}
+            </p>
+            <Button size="sm" variant="outline" onClick={handleStopTimer}>
+              Stop Timer
+            </Button>
+          </div>
+        )}
+
         {/* Filters */}
         <Card>
           <CardContent className="p-4">
@@ -170,9 +260,9 @@ export default function TasksPage() {
                 className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
               >
                 <option value="">All Statuses</option>
-                <option value="Pending">Pending</option>
-                <option value="Ongoing">Ongoing</option>
-                <option value="Done">Done</option>
+                {filterStatuses.map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
               </select>
 
               <select
@@ -212,7 +302,7 @@ export default function TasksPage() {
                     <div className="flex-1">
                       <div className="flex items-center space-x-2 mb-2">
                         <h3 className="text-lg font-semibold text-gray-900">{task.title}</h3>
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeColor(task.status)}`}>
+                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(getWorkflow(task.projectId), task.status)}`}>
                           {task.status}
                         </span>
                         <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getPriorityBadgeColor(task.priority)}`}>
@@ -240,6 +330,34 @@ export default function TasksPage() {
                         </div>
                       )}
 
+                      {(task.actualHours != null || task.estimatedHours != null) && (
+                        <div className="mt-2 text-sm text-gray-600">
+                          <span className="font-medium">Time:</span> {formatMinutes((task.actualHours || 0) * 60)} logged
+                          {task.estimatedHours != null && ` of ${task.estimatedHours}h estimated`}
+                        </div>
+                      )}
+
+                      {task.recurrence && (
+                        <div className="mt-2 text-sm text-gray-600">
+                          <span className="font-medium">Repeats:</span> {describeRecurrence(task.recurrence)}
+                        </div>
+                      )}
+
+                      {task.parentTask?.title && (
+                        <div className="mt-2 text-sm text-gray-600">
+                          <span className="font-medium">Subtask of:</span> {task.parentTask.title}
+                        </div>
+                      )}
+
+                      {(task.subtaskCount > 0 || task.checklist?.length > 0) && (
+                        <div className="mt-2 flex items-center space-x-2">
+                          <div className="w-40 bg-gray-200 rounded-full h-2">
+                            <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${task.progress}%` }}></div>
+                          </div>
+                          <span className="text-sm text-gray-600">{task.progress}%</span>
+                        </div>
+                      )}
+
                       {task.tags && task.tags.length > 0 && (
                         <div className="mt-3 flex flex-wrap gap-1">
                           {task.tags.map((tag, index) => (
@@ -252,18 +370,78 @@ export default function TasksPage() {
                     </div>
 
                     <div className="flex items-center space-x-2 ml-4">
-                      {canModifyTask(task) && (
+                      {canEditField(task, 'status') && (
                         <select
                           value={task.status}
-                          onChange={(e) => handleStatusUpdate(task._id, e.target.value)}
+                          onChange={(e) => handleStatusChange(task, e.target.value)}
                           className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
                         >
-                          <option value="Pending">Pending</option>
-                          <option value="Ongoing">Ongoing</option>
-                          <option value="Done">Done</option>
+                          {getAvailableStatuses(getWorkflow(task.projectId), task.status).map(status => (
+                            <option key={status} value={status}>{status}</option>
+                          ))}
                         </select>
                       )}
 
+                      {task.editableFields?.some(field => field !== 'status') && (
+                        <button
+                          onClick={() => setEditingTask(task)}
+                          className="text-gray-500 hover:text-gray-700 p-1"
+                          title="Edit task"
+                        >
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                            <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                          </svg>
+                        </button>
+                      )}
+
+                      {(canEditField(task, 'checklist') || task.checklist?.length > 0) && (
+                        <button
+                          onClick={() => setChecklistTask(task)}
+                          className="text-gray-500 hover:text-gray-700 p-1"
+                          title="Checklist"
+                        >
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                            <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      )}
+
+                      {canLogTime(task) && (
+                        runningTimer?.task?._id === task._id ? (
+                          <Button size="sm" variant="outline" onClick={handleStopTimer}>
+                            Stop
+                          </Button>
+                        ) : (
+                          <Button size="sm" variant="outline" onClick={() => handleStartTimer(task._id)} disabled={!!runningTimer}>
+                            Start
+                          </Button>
+                        )
+                      )}
+
+                      {canLogTime(task) && (
+                        <button
+                          onClick={() => setTimeTask(task)}
+                          className="text-gray-500 hover:text-gray-700 p-1"
+                          title="Logged time"
+                        >
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      )}
+
+                      {canComment(task) && (
+                        <button
+                          onClick={() => setCommentsTask(task)}
+                          className="text-gray-500 hover:text-gray-700 p-1"
+                          title="Comments"
+                        >
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                            <path fillRule="evenodd" d="M18 10c0 3.866-3.582 7-8 7a8.841 8.841 0 01-4.083-.98L2 17l1.338-3.123C2.493 12.767 2 11.434 2 10c0-3.866 3.582-7 8-7s8 3.134 8 7zM7 9H5v2h2V9zm8 0h-2v2h2V9zM9 9h2v2H9V9z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      )}
+
                       {canDeleteTask(task) && (
                         <button
                           onClick={() => handleDeleteTask(task._id)}
@@ -277,6 +455,16 @@ export default function TasksPage() {
                       )}
                     </div>
                   </div>
+
+                  {statusMoves[task._id] && (
+                    <StatusMovePanel
+                      move={statusMoves[task._id]}
+                      loading={movingTaskId === task._id}
+                      onCommentChange={(comment) => setStatusMove(task._id, { ...statusMoves[task._id], comment })}
+                      onSubmit={() => handleStatusUpdate(task._id, statusMoves[task._id].status, statusMoves[task._id].comment.trim())}
+                      onDismiss={() => setStatusMove(task._id, null)}
+                    />
+                  )}
                 </CardContent>
               </Card>
             ))
@@ -302,7 +490,45 @@ export default function TasksPage() {
             setShowCreateModal(false);
             fetchTasks();
           }}
-          projects={projects}
+          projects={creatableProjects}
+        />
+      )}
+
+      {/* Edit Task Modal */}
+      {editingTask && (
+        <EditTaskModal
+          task={editingTask}
+          onClose={() => setEditingTask(null)}
+          onSuccess={() => {
+            setEditingTask(null);
+            fetchTasks();
+          }}
+        />
+      )}
+
+      {/* Task Checklist Modal */}
+      {checklistTask && (
+        <TaskChecklistModal
+          task={checklistTask}
+          onClose={() => setChecklistTask(null)}
+          onChange={fetchTasks}
+        />
+      )}
+
+      {/* Task Time Modal */}
+      {timeTask && (
+        <TaskTimeModal
+          task={timeTask}
+          onClose={() => setTimeTask(null)}
+          onChange={fetchTasks}
+        />
+      )}
+
+      {/* Task Comments Modal */}
+      {commentsTask && (
+        <TaskCommentsModal
+          task={commentsTask}
+          onClose={() => setCommentsTask(null)}
         />
       )}
     </DashboardLayout>
@@ -314,20 +540,36 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
     title: '',
     description: '',
     projectId: '',
+    parentTask: '',
     assignedTo: '',
     priority: 'Medium',
-    status: 'Pending',
+    // Empty for the project's first status
+    status: '',
     dueDate: '',
     tags: '',
   });
+  const [recurrence, setRecurrence] = useState(toRecurrenceForm(null));
   const [users, setUsers] = useState([]);
+  const [parentOptions, setParentOptions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  const workflow = getWorkflow(projects.find(project => project._id === formData.projectId));
+
   useEffect(() => {
     fetchUsers();
   }, []);
 
+  // Subtasks can only go under top-level tasks of the same project
+  useEffect(() => {
+    setParentOptions([]);
+    if (!formData.projectId) return;
+
+    tasksAPI.getByProject(formData.projectId)
+      .then(response => setParentOptions(response.data.data.tasks.filter(task => !task.parentTask)))
+      .catch(error => console.error('Error fetching project tasks:', error));
+  }, [formData.projectId]);
+
   const fetchUsers = async () => {
     try {
       const response = await usersAPI.getAll();
@@ -339,7 +581,11 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      ...(name === 'projectId' && { parentTask: '', status: '' })
+    }));
     if (errors[name]) {
       setErrors(prev => ({ ...prev, [name]: '' }));
     }
@@ -351,6 +597,7 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
     if (!formData.title) newErrors.title = 'Title is required';
     if (!formData.description) newErrors.description = 'Description is required';
     if (!formData.projectId) newErrors.projectId = 'Project is required';
+    if (recurrence.frequency && !formData.dueDate) newErrors.dueDate = 'Recurring tasks need a due date';
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -369,13 +616,16 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
         tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : [],
         dueDate: formData.dueDate || undefined,
         assignedTo: formData.assignedTo || undefined,
+        parentTask: formData.parentTask || undefined,
+        status: formData.status || undefined,
+        recurrence: formData.parentTask ? null : toRecurrencePayload(recurrence),
       };
 
       await tasksAPI.create(taskData);
       onSuccess();
     } catch (error) {
       console.error('Error creating task:', error);
-      alert('Failed to create task. Please try again.');
+      alert(error.response?.data?.message || 'Failed to create task. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -458,6 +708,25 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
             </div>
           </div>
 
+          {parentOptions.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Subtask Of</label>
+              <select
+                name="parentTask"
+                value={formData.parentTask}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+              >
+                <option value="">None (top-level task)</option>
+                {parentOptions.map((task) => (
+                  <option key={task._id} value={task._id}>
+                    {task.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
@@ -477,13 +746,13 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
               <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
               <select
                 name="status"
-                value={formData.status}
+                value={formData.status || getInitialStatus(workflow)}
                 onChange={handleChange}
                 className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
               >
-                <option value="Pending">Pending</option>
-                <option value="Ongoing">Ongoing</option>
-                <option value="Done">Done</option>
+                {workflow.statuses.filter(status => status.name !== workflow.blockedStatus).map(status => (
+                  <option key={status.name} value={status.name}>{status.name}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -494,8 +763,14 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
             type="date"
             value={formData.dueDate}
             onChange={handleChange}
+            error={errors.dueDate}
           />
 
+          {/* Subtasks follow their parent and can't repeat on their own */}
+          {!formData.parentTask && (
+            <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+          )}
+
           <Input
             label="Tags"
             name="tags"
@@ -516,4 +791,199 @@ function CreateTaskModal({ onClose, onSuccess, projects }) {
       </div>
     </div>
   );
-} 
\ No newline at end of file
+} 
+
+function EditTaskModal({ task, onClose, onSuccess }) {
+  const editableFields = task.editableFields || [];
+  const canEdit = (field) => editableFields.includes(field);
+
+  const [formData, setFormData] = useState({
+    title: task.title || '',
+    description: task.description || '',
+    assignedTo: task.assignedTo?._id || task.assignedTo || '',
+    priority: task.priority || 'Medium',
+    dueDate: task.dueDate ? task.dueDate.slice(0, 10) : '',
+    estimatedHours: task.estimatedHours ?? '',
+    tags: (task.tags || []).join(', '),
+  });
+  const [recurrence, setRecurrence] = useState(toRecurrenceForm(task.recurrence));
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (editableFields.includes('assignedTo')) {
+      fetchUsers();
+    }
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const response = await usersAPI.getAll();
+      setUsers(response.data.data.users);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    // Only send the fields this user may change
+    const values = {
+      ...formData,
+      assignedTo: formData.assignedTo || null,
+      dueDate: formData.dueDate || null,
+      estimatedHours: formData.estimatedHours === '' ? undefined : Number(formData.estimatedHours),
+      tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      // Subtasks can't repeat
+      recurrence: task.parentTask ? undefined : toRecurrencePayload(recurrence),
+    };
+    const updateData = Object.fromEntries(
+      Object.entries(values).filter(([field, value]) => canEdit(field) && value !== undefined)
+    );
+
+    try {
+      await tasksAPI.update(task._id, updateData);
+      onSuccess();
+    } catch (error) {
+      console.error('Error updating task:', error);
+      setError(error.response?.data?.message || 'Failed to update task. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-gray-900">Edit Task</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {canEdit('title') && (
+            <Input
+              label="Task Title"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              required
+            />
+          )}
+
+          {canEdit('description') && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <textarea
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                rows={3}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm text-black placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {canEdit('assignedTo') && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Assign To</label>
+                <select
+                  name="assignedTo"
+                  value={formData.assignedTo}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+                >
+                  <option value="">Unassigned</option>
+                  {users.map((user) => (
+                    <option key={user._id} value={user._id}>
+                      {user.name} ({user.email})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {canEdit('priority') && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                <select
+                  name="priority"
+                  value={formData.priority}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+                >
+                  <option value="Low">Low</option>
+                  <option value="Medium">Medium</option>
+                  <option value="High">High</option>
+                </select>
+              </div>
+            )}
+
+            {canEdit('dueDate') && (
+              <Input
+                label="Due Date"
+                name="dueDate"
+                type="date"
+                value={formData.dueDate}
+                onChange={handleChange}
+              />
+            )}
+
+            {canEdit('estimatedHours') && (
+              <Input
+                label="Estimated Hours"
+                name="estimatedHours"
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.estimatedHours}
+                onChange={handleChange}
+              />
+            )}
+          </div>
+
+          {canEdit('recurrence') && !task.parentTask && (
+            <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+          )}
+
+          {canEdit('tags') && (
+            <Input
+              label="Tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              placeholder="Enter tags separated by commas"
+            />
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="outline" onClick={onClose} type="button">
+              Cancel
+            </Button>
+            <Button type="submit" loading={loading}>
+              Save Changes
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import DashboardLayout from '@/components/layout/DashboardLayout';
+import Card, { CardContent, CardHeader } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import { formatMinutes } from '@/components/tasks/TaskTimeModal';
+import { timeEntriesAPI, projectsAPI } from '@/lib/api';
+
+// Move a YYYY-MM-DD date by a number of days
+const shiftDate = (date, days) => {
+  const day = new Date(`${date}T00:00:00.000Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+const formatDay = (date) => new Date(`${date}T00:00:00.000Z`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const formatHours = (hours) => (hours == null ? '—' : `${hours}h`);
+
+export default function TimesheetsPage() {
+  const [timesheet, setTimesheet] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [week, setWeek] = useState(new Date().toISOString().slice(0, 10));
+  const [projectFilter, setProjectFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const { isAuthenticated } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      return;
+    }
+    fetchProjects();
+  }, [isAuthenticated, router]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchTimesheet();
+    }
+  }, [isAuthenticated, week, projectFilter]);
+
+  const fetchTimesheet = async () => {
+    try {
+      setLoading(true);
+      const params = { week };
+      if (projectFilter) params.projectId = projectFilter;
+
+      const response = await timeEntriesAPI.getTimesheet(params);
+      setTimesheet(response.data.data);
+    } catch (error) {
+      console.error('Error fetching timesheet:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProjects = async () => {
+    try {
+      const response = await projectsAPI.getAll();
+      setProjects(response.data.data.projects);
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    }
+  };
+
+  const weekStart = timesheet?.weekStart || week;
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Timesheets</h1>
+            <p className="text-gray-600">Time logged each day of the week, by person and project</p>
+          </div>
+        </div>
+
+        {/* Week and Filters */}
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center space-x-2">
+                <Button size="sm" variant="outline" onClick={() => setWeek(shiftDate(weekStart, -7))}>
+                  ← Previous
+                </Button>
+                <span className="text-sm font-medium text-gray-900">
+                  {timesheet ? `${timesheet.weekStart} – ${timesheet.weekEnd}` : week}
+                </span>
+                <Button size="sm" variant="outline" onClick={() => setWeek(shiftDate(weekStart, 7))}>
+                  Next →
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => setWeek(new Date().toISOString().slice(0, 10))}>
+                  This Week
+                </Button>
+              </div>
+
+              <select
+                value={projectFilter}
+                onChange={(e) => setProjectFilter(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+              >
+                <option value="">All Projects</option>
+                {projects.map((project) => (
+                  <option key={project._id} value={project._id}>
+                    {project.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </CardContent>
+        </Card>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : timesheet?.users.length > 0 ? (
+          timesheet.users.map(row => (
+            <Card key={row.user?._id || 'deleted'}>
+              <CardHeader>
+                <div className="flex justify-between items-center">
+                  <h3 className="text-lg font-semibold text-gray-900">{row.user?.name || 'Deleted user'}</h3>
+                  <span className="text-sm text-gray-600">{formatMinutes(row.totalMinutes)} this week</span>
+                </div>
+              </CardHeader>
+              <CardContent className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Project / Task</th>
+                      {timesheet.days.map(day => (
+                        <th key={day} className="py-2 px-2 font-medium text-right">{formatDay(day)}</th>
+                      ))}
+                      <th className="py-2 px-2 font-medium text-right">Week</th>
+                      <th className="py-2 px-2 font-medium text-right">Estimated</th>
+                      <th className="py-2 pl-2 font-medium text-right">Actual</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {row.projects.map(projectRow => [
+                      <tr key={projectRow.project?._id} className="border-b border-gray-100 text-gray-900">
+                        <td className="py-2 pr-4 font-medium">{projectRow.project?.name}</td>
+                        {projectRow.days.map((minutes, index) => (
+                          <td key={index} className="py-2 px-2 text-right">{minutes ? formatMinutes(minutes) : ''}</td>
+                        ))}
+                        <td className="py-2 px-2 text-right font-medium">{formatMinutes(projectRow.totalMinutes)}</td>
+                        <td className="py-2 px-2 text-right">{formatHours(projectRow.estimatedHours)}</td>
+                        <td className="py-2 pl-2 text-right">{formatHours(projectRow.actualHours)}</td>
+                      </tr>,
+                      ...projectRow.tasks.map(taskRow => {
+                        const overEstimate = taskRow.estimatedHours != null && taskRow.actualHours > taskRow.estimatedHours;
+
+                        return (
+                          <tr key={`${projectRow.project?._id}-${taskRow.task?._id}`} className="border-b border-gray-100 text-gray-600">
+                            <td className="py-1 pr-4 pl-4">{taskRow.task?.title || 'Deleted task'}</td>
+                            <td colSpan={timesheet.days.length}></td>
+                            <td className="py-1 px-2 text-right">{formatMinutes(taskRow.totalMinutes)}</td>
+                            <td className="py-1 px-2 text-right">{formatHours(taskRow.estimatedHours)}</td>
+                            <td className={`py-1 pl-2 text-right ${overEstimate ? 'text-red-600 font-medium' : ''}`}>
+                              {formatHours(taskRow.actualHours)}
+                            </td>
+                          </tr>
+                        );
+                      })
+                    ])}
+                    <tr className="text-gray-900 font-medium">
+                      <td className="py-2 pr-4">Total</td>
+                      {row.days.map((minutes, index) => (
+                        <td key={index} className="py-2 px-2 text-right">{minutes ? formatMinutes(minutes) : ''}</td>
+                      ))}
+                      <td className="py-2 px-2 text-right">{formatMinutes(row.totalMinutes)}</td>
+                      <td colSpan={2}></td>
+                    </tr>
+                  </tbody>
+                </table>
+              </CardContent>
+            </Card>
+          ))
+        ) : (
+          <div className="flex flex-col items-center justify-center py-12">
+            <div className="text-gray-400 text-6xl mb-4">⏱️</div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No time logged</h3>
+            <p className="text-gray-600 text-center">
+              Start a timer or log time on a task from My Tasks.
+            </p>
+          </div>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+}
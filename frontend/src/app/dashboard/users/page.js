@@ -1,23 +1,30 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useAuth } from '@/contexts/AuthContext';
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import Card, { CardContent, CardHeader } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
-import { usersAPI } from '@/lib/api';
+import SecurityEventList from '@/components/security/SecurityEventList';
+import { usersAPI, projectsAPI, invitationsAPI, settingsAPI, rolesAPI } from '@/lib/api';
 
 export default function UsersPage() {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [roleFilter, setRoleFilter] = useState('');
-  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [openRegistration, setOpenRegistration] = useState(true);
+  const [showInviteModal, setShowInviteModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
+  const [securityUser, setSecurityUser] = useState(null);
 
-  const { user, isAuthenticated, isAdmin } = useAuth();
+  const { user, isAuthenticated, startImpersonation } = useAuth();
+  const { loading: permissionsLoading, canUse } = usePermissions();
+  const canManageUsers = canUse('manageUsers');
   const router = useRouter();
 
   useEffect(() => {
@@ -26,13 +33,18 @@ export default function UsersPage() {
       return;
     }
     
-    if (!isAdmin()) {
+    if (permissionsLoading) return;
+
+    if (!canManageUsers) {
       router.push('/dashboard');
       return;
     }
     
     fetchUsers();
-  }, [isAuthenticated, isAdmin, router]);
+    fetchInvitations();
+    fetchSettings();
+    fetchRoles();
+  }, [isAuthenticated, permissionsLoading, canManageUsers, router]);
 
   const fetchUsers = async () => {
     try {
@@ -50,6 +62,33 @@ export default function UsersPage() {
     }
   };
 
+  const fetchInvitations = async () => {
+    try {
+      const response = await invitationsAPI.getAll({ status: 'pending' });
+      setInvitations(response.data.data.invitations);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+    }
+  };
+
+  const fetchRoles = async () => {
+    try {
+      const response = await rolesAPI.getAll();
+      setRoles(response.data.data.roles);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const response = await settingsAPI.get();
+      setOpenRegistration(response.data.data.settings.openRegistration);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+    }
+  };
+
   useEffect(() => {
     const timeoutId = setTimeout(() => {
       fetchUsers();
@@ -100,6 +139,85 @@ export default function UsersPage() {
     }
   };
 
+  const handleForceLogout = async (userItem) => {
+    if (!window.confirm(`Sign ${userItem.name} out of all devices?`)) {
+      return;
+    }
+
+    try {
+      await usersAPI.forceLogout(userItem._id);
+    } catch (error) {
+      console.error('Error forcing logout:', error);
+      alert('Failed to sign out user. Please try again.');
+    }
+  };
+
+  const handleImpersonate = async (userItem) => {
+    const reason = window.prompt(`Why do you need to view the app as ${userItem.name}? This is recorded in the audit trail.`);
+    if (reason === null) {
+      return;
+    }
+
+    const result = await startImpersonation(userItem._id, reason);
+    if (result.success) {
+      router.push('/dashboard');
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // Admins and other roles with access to every project can't be impersonated
+  const canImpersonate = (userItem) => {
+    const role = roles.find(({ name }) => name === userItem.role);
+    return userItem._id !== user._id && userItem.isActive && !role?.global;
+  };
+
+  const handleUnlockUser = async (userId) => {
+    try {
+      await usersAPI.unlock(userId);
+      fetchUsers(); // Refresh the list
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      alert('Failed to unlock user. Please try again.');
+    }
+  };
+
+  const handleResendInvitation = async (invitationId) => {
+    try {
+      await invitationsAPI.resend(invitationId);
+      fetchInvitations(); // Refresh the list
+    } catch (error) {
+      console.error('Error resending invitation:', error);
+      alert('Failed to resend invitation. Please try again.');
+    }
+  };
+
+  const handleRevokeInvitation = async (invitationId) => {
+    if (!window.confirm('Revoke this invitation? The link in the email will stop working.')) {
+      return;
+    }
+
+    try {
+      await invitationsAPI.revoke(invitationId);
+      fetchInvitations(); // Refresh the list
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      alert('Failed to revoke invitation. Please try again.');
+    }
+  };
+
+  const handleToggleRegistration = async () => {
+    try {
+      const response = await settingsAPI.update({ openRegistration: !openRegistration });
+      setOpenRegistration(response.data.data.settings.openRegistration);
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      alert('Failed to update registration setting. Please try again.');
+    }
+  };
+
+  const isLocked = (userItem) => userItem.lockedUntil && new Date(userItem.lockedUntil) > new Date();
+
   const handleEditUser = (userToEdit) => {
     setEditingUser(userToEdit);
   };
@@ -123,8 +241,8 @@ export default function UsersPage() {
             <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
             <p className="text-gray-600">Manage users, roles, and permissions</p>
           </div>
-          <Button onClick={() => setShowCreateModal(true)}>
-            Add User
+          <Button onClick={() => setShowInviteModal(true)}>
+            Invite User
           </Button>
         </div>
 
@@ -143,9 +261,9 @@ export default function UsersPage() {
                 className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
               >
                 <option value="">All Roles</option>
-                <option value="admin">Admin</option>
-                <option value="manager">Manager</option>
-                <option value="member">Member</option>
+                {roles.map((role) => (
+                  <option key={role.name} value={role.name}>{role.label}</option>
+                ))}
               </select>
             </div>
           </CardContent>
@@ -210,15 +328,23 @@ export default function UsersPage() {
                               ${userItem._id === user._id ? 'bg-gray-100 cursor-not-allowed' : ''}
                             `}
                           >
-                            <option value="member">Member</option>
-                            <option value="manager">Manager</option>
-                            <option value="admin">Admin</option>
+                            {roles.map((role) => (
+                              <option key={role.name} value={role.name}>{role.label}</option>
+                            ))}
                           </select>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${userItem.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
                             {userItem.isActive ? 'Active' : 'Inactive'}
                           </span>
+                          {isLocked(userItem) && (
+                            <span
+                              className="ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                              title={`Locked until ${new Date(userItem.lockedUntil).toLocaleString()} after ${userItem.failedLoginAttempts} failed sign-in attempts`}
+                            >
+                              Locked
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {new Date(userItem.createdAt).toLocaleDateString()}
@@ -232,6 +358,39 @@ export default function UsersPage() {
                             >
                               Edit
                             </Button>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => setSecurityUser(userItem)}
+                            >
+                              Activity
+                            </Button>
+                            {canImpersonate(userItem) && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => handleImpersonate(userItem)}
+                              >
+                                View as
+                              </Button>
+                            )}
+                            {isLocked(userItem) && (
+                              <Button
+                                variant="success"
+                                size="sm"
+                                onClick={() => handleUnlockUser(userItem._id)}
+                              >
+                                Unlock
+                              </Button>
+                            )}
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleForceLogout(userItem)}
+                              disabled={userItem._id === user._id}
+                            >
+                              Force Logout
+                            </Button>
                             <Button
                               variant="danger"
                               size="sm"
@@ -264,15 +423,76 @@ export default function UsersPage() {
             </div>
           </CardContent>
         </Card>
+
+        {/* Pending Invitations */}
+        <Card>
+          <CardHeader>
+            <div className="flex justify-between items-center">
+              <h3 className="text-lg font-medium text-gray-900">Pending Invitations ({invitations.length})</h3>
+              <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={openRegistration}
+                  onChange={handleToggleRegistration}
+                  className="mr-2"
+                />
+                Allow open registration
+              </label>
+            </div>
+          </CardHeader>
+          <CardContent className="p-0">
+            {invitations.length > 0 ? (
+              <ul className="divide-y divide-gray-200">
+                {invitations.map((invitation) => (
+                  <li key={invitation._id} className="px-6 py-4 flex items-center justify-between">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">
+                        {invitation.email}
+                        <span className={`ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getRoleBadgeColor(invitation.role)}`}>
+                          {invitation.role}
+                        </span>
+                      </div>
+                      <div className="text-sm text-gray-500">
+                        Invited by {invitation.invitedBy?.name || 'Unknown'} · Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                        {invitation.projects.length > 0 && (
+                          <> · {invitation.projects.map(entry => entry.project?.name).filter(Boolean).join(', ')}</>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleResendInvitation(invitation._id)}
+                      >
+                        Resend
+                      </Button>
+                      <Button
+                        variant="danger"
+                        size="sm"
+                        onClick={() => handleRevokeInvitation(invitation._id)}
+                      >
+                        Revoke
+                      </Button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="px-6 py-4 text-sm text-gray-500">No pending invitations.</p>
+            )}
+          </CardContent>
+        </Card>
       </div>
 
-      {/* Create User Modal */}
-      {showCreateModal && (
-        <CreateUserModal 
-          onClose={() => setShowCreateModal(false)} 
+      {/* Invite User Modal */}
+      {showInviteModal && (
+        <InviteUserModal 
+          roles={roles}
+          onClose={() => setShowInviteModal(false)} 
           onSuccess={() => {
-            setShowCreateModal(false);
-            fetchUsers();
+            setShowInviteModal(false);
+            fetchInvitations();
           }}
         />
       )}
@@ -288,20 +508,34 @@ export default function UsersPage() {
           }}
         />
       )}
+
+      {/* Security Activity Modal */}
+      {securityUser && (
+        <SecurityActivityModal
+          user={securityUser}
+          onClose={() => setSecurityUser(null)}
+        />
+      )}
     </DashboardLayout>
   );
 }
 
-function CreateUserModal({ onClose, onSuccess }) {
+function InviteUserModal({ roles, onClose, onSuccess }) {
   const [formData, setFormData] = useState({
-    name: '',
     email: '',
-    password: '',
     role: 'member',
   });
+  const [projects, setProjects] = useState([]);
+  const [selectedProjects, setSelectedProjects] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  useEffect(() => {
+    projectsAPI.getAll()
+      .then(response => setProjects(response.data.data.projects))
+      .catch(error => console.error('Error fetching projects:', error));
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
@@ -310,14 +544,19 @@ function CreateUserModal({ onClose, onSuccess }) {
     }
   };
 
+  const toggleProject = (projectId) => {
+    setSelectedProjects(prev => (
+      prev.includes(projectId)
+        ? prev.filter(id => id !== projectId)
+        : [...prev, projectId]
+    ));
+  };
+
   const validateForm = () => {
     const newErrors = {};
     
-    if (!formData.name) newErrors.name = 'Name is required';
     if (!formData.email) newErrors.email = 'Email is required';
     else if (!/\S+@\S+\.\S+/.test(formData.email)) newErrors.email = 'Please enter a valid email';
-    if (!formData.password) newErrors.password = 'Password is required';
-    else if (formData.password.length < 8) newErrors.password = 'Password must be at least 8 characters';
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -331,30 +570,16 @@ function CreateUserModal({ onClose, onSuccess }) {
     setLoading(true);
     
     try {
-      // Create user using auth register endpoint
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000'}/api/auth/register`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-        body: JSON.stringify(formData),
+      await invitationsAPI.create({
+        email: formData.email,
+        role: formData.role,
+        projects: selectedProjects,
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to create user');
-      }
-
-      // Then update the role if it's not member
-      if (formData.role !== 'member') {
-        const userData = await response.json();
-        await usersAPI.updateRole(userData.data.user._id, formData.role);
-      }
-
       onSuccess();
     } catch (error) {
-      console.error('Error creating user:', error);
-      alert('Failed to create user. Please try again.');
+      console.error('Error sending invitation:', error);
+      setErrors({ submit: error.response?.data?.message || 'Failed to send invitation. Please try again.' });
     } finally {
       setLoading(false);
     }
@@ -364,7 +589,7 @@ function CreateUserModal({ onClose, onSuccess }) {
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-xl font-bold text-gray-900">Add New User</h2>
+          <h2 className="text-xl font-bold text-gray-900">Invite User</h2>
           <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
             <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -373,15 +598,15 @@ function CreateUserModal({ onClose, onSuccess }) {
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-4">
-          <Input
-            label="Full Name"
-            name="name"
-            value={formData.name}
-            onChange={handleChange}
-            error={errors.name}
-            placeholder="Enter user's full name"
-            required
-          />
+          {errors.submit && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3">
+              <p className="text-sm text-red-600">{errors.submit}</p>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600">
+            The user receives an email with a link to set their own password.
+          </p>
 
           <Input
             label="Email Address"
@@ -394,17 +619,6 @@ function CreateUserModal({ onClose, onSuccess }) {
             required
           />
 
-          <Input
-            label="Password"
-            name="password"
-            type="password"
-            value={formData.password}
-            onChange={handleChange}
-            error={errors.password}
-            placeholder="Enter password (min 8 characters)"
-            required
-          />
-
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
             <select
@@ -413,18 +627,42 @@ function CreateUserModal({ onClose, onSuccess }) {
               onChange={handleChange}
               className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
             >
-              <option value="member">Member</option>
-              <option value="manager">Manager</option>
-              <option value="admin">Admin</option>
+              {roles.map((role) => (
+                <option key={role.name} value={role.name}>{role.label}</option>
+              ))}
             </select>
           </div>
 
+          {projects.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Add to Projects (optional)</label>
+              <div className="max-h-40 overflow-y-auto border border-gray-300 rounded-lg divide-y divide-gray-100">
+                {projects.map(project => (
+                  <label key={project._id} className="flex items-center px-3 py-2 text-sm text-gray-900 cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={selectedProjects.includes(project._id)}
+                      onChange={() => toggleProject(project._id)}
+                      className="mr-2"
+                    />
+                    {project.name}
+                  </label>
+                ))}
+              </div>
+              {formData.role === 'guest' && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Guests get read-only access to the selected projects and can&apos;t see other users&apos; emails.
+                </p>
+              )}
+            </div>
+          )}
+
           <div className="flex justify-end space-x-3 pt-4">
             <Button variant="outline" onClick={onClose} type="button">
               Cancel
             </Button>
             <Button type="submit" loading={loading}>
-              Create User
+              Send Invitation
             </Button>
           </div>
         </form>
@@ -524,4 +762,31 @@ function EditUserModal({ user: userToEdit, onClose, onSuccess }) {
       </div>
     </div>
   );
-} 
\ No newline at end of file
+} 
+
+function SecurityActivityModal({ user: selectedUser, onClose }) {
+  const fetchEvents = useCallback(
+    (params) => usersAPI.getSecurityEvents(selectedUser._id, params),
+    [selectedUser._id]
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Security Activity</h2>
+            <p className="text-sm text-gray-500">{selectedUser.name} · {selectedUser.email}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <SecurityEventList fetchEvents={fetchEvents} />
+      </div>
+    </div>
+  );
+}
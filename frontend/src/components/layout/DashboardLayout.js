@@ -3,19 +3,25 @@
 import { useState } from 'react';
 import Link from 'next/link';
 import { useRouter, usePathname } from 'next/navigation';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, usePermissions } from '@/contexts/AuthContext';
 import Button from '@/components/ui/Button';
 
+// Items without a feature are shown to everyone; the rest need that feature in GET /api/auth/me/permissions
 const navigation = [
-  { name: 'Dashboard', href: '/dashboard', icon: '📊', roles: ['admin', 'manager', 'member'] },
-  { name: 'Projects', href: '/dashboard/projects', icon: '📁', roles: ['admin', 'manager', 'member'] },
-  { name: 'My Tasks', href: '/dashboard/tasks', icon: '✅', roles: ['admin', 'manager', 'member'] },
-  { name: 'Users', href: '/dashboard/users', icon: '👥', roles: ['admin'] },
+  { name: 'Dashboard', href: '/dashboard', icon: '📊' },
+  { name: 'Projects', href: '/dashboard/projects', icon: '📁' },
+  { name: 'My Tasks', href: '/dashboard/tasks', icon: '✅' },
+  { name: 'Timesheets', href: '/dashboard/timesheets', icon: '⏱️' },
+  { name: 'Users', href: '/dashboard/users', icon: '👥', feature: 'manageUsers' },
+  { name: 'Roles', href: '/dashboard/roles', icon: '🛡️', feature: 'manageRoles' },
+  { name: 'Profile', href: '/dashboard/profile', icon: '👤' },
+  { name: 'Settings', href: '/dashboard/settings', icon: '⚙️', feature: 'manageSettings' },
 ];
 
 export default function DashboardLayout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout, isAdmin, isManager, isMember } = useAuth();
+  const { user, logout, isAdmin, isManager, impersonator, stopImpersonation } = useAuth();
+  const { canUse } = usePermissions();
   const router = useRouter();
   const pathname = usePathname();
 
@@ -24,10 +30,15 @@ export default function DashboardLayout({ children }) {
     router.push('/auth/login');
   };
 
+  const handleStopImpersonation = async () => {
+    await stopImpersonation();
+    router.push('/dashboard/users');
+  };
+
   const getUserRole = () => {
     if (isAdmin()) return 'Admin';
     if (isManager()) return 'Manager';
-    if (isMember()) return 'Member';
+    if (user?.role) return user.role.charAt(0).toUpperCase() + user.role.slice(1);
     return 'User';
   };
 
@@ -38,7 +49,7 @@ export default function DashboardLayout({ children }) {
   };
 
   const filteredNavigation = navigation.filter(item => 
-    item.roles.includes(user?.role)
+    !item.feature || canUse(item.feature)
   );
 
   return (
@@ -113,6 +124,19 @@ export default function DashboardLayout({ children }) {
 
       {/* Main content */}
       <div className="flex-1 flex flex-col overflow-hidden">
+        {/* Impersonation banner */}
+        {impersonator && (
+          <div className="bg-yellow-100 border-b border-yellow-300 px-4 py-2 flex items-center justify-between">
+            <p className="text-sm text-yellow-900">
+              You ({impersonator.name}) are viewing the app as <span className="font-medium">{user?.name}</span> ({user?.email}).
+              Deleting and role changes are disabled, and every request is recorded.
+            </p>
+            <Button variant="outline" size="sm" onClick={handleStopImpersonation} className="ml-4 whitespace-nowrap">
+              Return to my account
+            </Button>
+          </div>
+        )}
+
         {/* Top bar */}
         <header className="bg-white shadow-sm border-b border-gray-200 lg:hidden">
           <div className="flex items-center justify-between px-4 py-3">
@@ -0,0 +1,355 @@
+'use client';
+
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import { projectsAPI } from '@/lib/api';
+import { STATUS_CATEGORIES, CATEGORY_LABELS, GUARD_LABELS, GUARDED_FIELD_LABELS } from '@/lib/workflow';
+
+const selectClassName = 'px-2 py-2 border border-gray-300 rounded-lg text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+let nextKey = 0;
+
+// Editable rows for a workflow's statuses. Rows keep the name they were loaded with so
+// renamed statuses can take their tasks along, and transitions point at rows, not names.
+const toRows = (workflow) => {
+  const rows = workflow.statuses.map(status => ({
+    key: nextKey++,
+    name: status.name,
+    category: status.category,
+    originalName: status.name,
+    restricted: false,
+    to: []
+  }));
+
+  const keyOf = (name) => rows.find(row => row.name === name)?.key;
+  workflow.transitions?.forEach(transition => {
+    const row = rows.find(other => other.name === transition.from);
+    if (row) {
+      row.restricted = true;
+      row.to = transition.to.map(keyOf).filter(key => key !== undefined);
+    }
+  });
+
+  return rows;
+};
+
+// Editable rules, pointing at status rows like transitions do
+const toRules = (workflow, rows) => {
+  const keyOf = (name) => rows.find(row => row.name === name)?.key;
+
+  return (workflow.rules || [])
+    .map(rule => ({
+      key: nextKey++,
+      fromKey: rule.from ? keyOf(rule.from) : null,
+      toKey: keyOf(rule.to),
+      guard: rule.guard,
+      field: rule.field || 'actualHours'
+    }))
+    .filter(rule => rule.toKey !== undefined && rule.fromKey !== undefined);
+};
+
+/**
+ * Edit a project's task statuses, their categories and the moves allowed between them
+ * @param {Object} project - Project whose workflow is edited
+ * @param {Object} workflow - Its current workflow
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onSaved - Called with the saved workflow
+ */
+export default function WorkflowModal({ project, workflow, onClose, onSaved }) {
+  const [rows, setRows] = useState(() => toRows(workflow));
+  const [blockedKey, setBlockedKey] = useState(() => rows.find(row => row.name === workflow.blockedStatus)?.key ?? null);
+  const [rules, setRules] = useState(() => toRules(workflow, rows));
+  const [remap, setRemap] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateRow = (key, changes) => {
+    setRows(rows.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const moveRow = (index, offset) => {
+    const reordered = [...rows];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    setRows(reordered);
+  };
+
+  const removeRow = (key) => {
+    setRows(rows
+      .filter(row => row.key !== key)
+      .map(row => ({ ...row, to: row.to.filter(to => to !== key) })));
+    setRules(rules.filter(rule => rule.fromKey !== key && rule.toKey !== key));
+  };
+
+  const updateRule = (key, changes) => {
+    setRules(rules.map(rule => (rule.key === key ? { ...rule, ...changes } : rule)));
+  };
+
+  const addRule = () => {
+    const done = rows.find(row => row.category === 'done') || rows[rows.length - 1];
+    setRules([...rules, { key: nextKey++, fromKey: null, toKey: done.key, guard: 'comment', field: 'actualHours' }]);
+  };
+
+  const addRow = () => {
+    setRows([...rows, { key: nextKey++, name: '', category: 'in-progress', originalName: null, restricted: false, to: [] }]);
+  };
+
+  const toggleTransition = (row, key) => {
+    updateRow(row.key, { to: row.to.includes(key) ? row.to.filter(to => to !== key) : [...row.to, key] });
+  };
+
+  // Statuses the project had that no row carries on; their tasks need somewhere to go
+  const removedStatuses = workflow.statuses.filter(status => !rows.some(row => row.originalName === status.name));
+  const statusNames = rows.map(row => row.name.trim()).filter(Boolean);
+  const defaultRemap = (status) => (
+    rows.find(row => row.category === status.category && row.name.trim())?.name.trim() || statusNames[0] || ''
+  );
+
+  // Done statuses can't be the blocked status
+  const blockedRow = rows.find(row => row.key === blockedKey && row.category !== 'done');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const nameOf = (key) => rows.find(row => row.key === key)?.name.trim();
+    const data = {
+      statuses: rows.map(row => ({ name: row.name.trim(), category: row.category })),
+      transitions: rows
+        .filter(row => row.restricted)
+        .map(row => ({ from: row.name.trim(), to: row.to.map(nameOf) })),
+      blockedStatus: blockedRow ? blockedRow.name.trim() : null,
+      rules: rules.map(rule => ({
+        from: rule.fromKey === null ? null : nameOf(rule.fromKey),
+        to: nameOf(rule.toKey),
+        guard: rule.guard,
+        field: rule.guard === 'field' ? rule.field : null
+      })),
+      remap: Object.fromEntries([
+        ...rows
+          .filter(row => row.originalName && row.originalName !== row.name.trim())
+          .map(row => [row.originalName, row.name.trim()]),
+        ...removedStatuses.map(status => [status.name, remap[status.name] || defaultRemap(status)])
+      ])
+    };
+
+    try {
+      const response = await projectsAPI.updateWorkflow(project._id, data);
+      onSaved(response.data.data.workflow);
+    } catch (error) {
+      console.error('Error updating workflow:', error);
+      setError(error.response?.data?.message || 'Failed to update the workflow. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Workflow</h2>
+            <p className="text-sm text-gray-500">{project.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <p className="text-sm text-gray-600 mb-3">
+              Statuses in board order. Tasks in a status of the Done category count as completed.
+            </p>
+            <div className="space-y-3">
+              {rows.map((row, index) => (
+                <div key={row.key} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      value={row.name}
+                      onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                      maxLength={30}
+                      placeholder="Status name"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <select
+                      value={row.category}
+                      onChange={(e) => updateRow(row.key, { category: e.target.value })}
+                      className={selectClassName}
+                    >
+                      {STATUS_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{CATEGORY_LABELS[category]}</option>
+                      ))}
+                    </select>
+                    <Button type="button" size="sm" variant="ghost" disabled={index === 0} onClick={() => moveRow(index, -1)}>
+                      ↑
+                    </Button>
+                    <Button type="button" size="sm" variant="ghost" disabled={index === rows.length - 1} onClick={() => moveRow(index, 1)}>
+                      ↓
+                    </Button>
+                    <button
+                      type="button"
+                      onClick={() => removeRow(row.key)}
+                      disabled={rows.length <= 2}
+                      className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+
+                  <label className="flex items-center mt-2 space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={row.restricted}
+                      onChange={(e) => updateRow(row.key, { restricted: e.target.checked })}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span>Only allow moving to certain statuses</span>
+                  </label>
+                  {row.restricted && (
+                    <div className="flex flex-wrap gap-3 mt-2 ml-6">
+                      {rows.filter(other => other.key !== row.key).map(other => (
+                        <label key={other.key} className="flex items-center space-x-1 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={row.to.includes(other.key)}
+                            onChange={() => toggleTransition(row, other.key)}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                          />
+                          <span>{other.name || 'Untitled'}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+            <Button type="button" size="sm" variant="outline" className="mt-3" onClick={addRow} disabled={rows.length >= 20}>
+              Add Status
+            </Button>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Blocked Status</label>
+            <select
+              value={blockedRow ? String(blockedRow.key) : ''}
+              onChange={(e) => setBlockedKey(e.target.value === '' ? null : Number(e.target.value))}
+              className={`w-full ${selectClassName}`}
+            >
+              <option value="">None: don&apos;t block tasks automatically</option>
+              {rows.filter(row => row.category !== 'done' && row.name.trim()).map(row => (
+                <option key={row.key} value={row.key}>{row.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Tasks waiting on unfinished dependencies are moved here until they&apos;re done.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rules</label>
+            <p className="text-xs text-gray-500 mb-2">
+              Checked when someone moves a task to a status by hand.
+            </p>
+            <div className="space-y-2">
+              {rules.map(rule => (
+                <div key={rule.key} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                  <span>Moving from</span>
+                  <select
+                    value={rule.fromKey === null ? '' : rule.fromKey}
+                    onChange={(e) => updateRule(rule.key, { fromKey: e.target.value === '' ? null : Number(e.target.value) })}
+                    className={selectClassName}
+                  >
+                    <option value="">any status</option>
+                    {rows.map(row => (
+                      <option key={row.key} value={row.key}>{row.name || 'Untitled'}</option>
+                    ))}
+                  </select>
+                  <span>to</span>
+                  <select
+                    value={rule.toKey}
+                    onChange={(e) => updateRule(rule.key, { toKey: Number(e.target.value) })}
+                    className={selectClassName}
+                  >
+                    {rows.map(row => (
+                      <option key={row.key} value={row.key}>{row.name || 'Untitled'}</option>
+                    ))}
+                  </select>
+                  <span>needs</span>
+                  <select
+                    value={rule.guard}
+                    onChange={(e) => updateRule(rule.key, { guard: e.target.value })}
+                    className={selectClassName}
+                  >
+                    {Object.entries(GUARD_LABELS).map(([guard, label]) => (
+                      <option key={guard} value={guard}>{label}</option>
+                    ))}
+                  </select>
+                  {rule.guard === 'field' && (
+                    <select
+                      value={rule.field}
+                      onChange={(e) => updateRule(rule.key, { field: e.target.value })}
+                      className={selectClassName}
+                    >
+                      {Object.entries(GUARDED_FIELD_LABELS).map(([field, label]) => (
+                        <option key={field} value={field}>{label}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setRules(rules.filter(other => other.key !== rule.key))}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <Button type="button" size="sm" variant="outline" className="mt-3" onClick={addRule} disabled={rules.length >= 50}>
+              Add Rule
+            </Button>
+          </div>
+
+          {removedStatuses.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Tasks in Removed Statuses</h3>
+              <div className="space-y-2">
+                {removedStatuses.map(status => (
+                  <div key={status.name} className="flex items-center justify-between text-sm text-gray-700">
+                    <span>Move tasks in {status.name} to</span>
+                    <select
+                      value={remap[status.name] || defaultRemap(status)}
+                      onChange={(e) => setRemap({ ...remap, [status.name]: e.target.value })}
+                      className={selectClassName}
+                    >
+                      {statusNames.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={loading}>
+              Save Workflow
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Button from '@/components/ui/Button';
+
+const EVENT_LABELS = {
+  login_success: 'Signed in',
+  login_failure: 'Failed sign-in',
+  lockout: 'Account locked',
+  password_changed: 'Password changed',
+  password_reset: 'Password reset',
+  two_factor_enabled: 'Two-factor enabled',
+  two_factor_disabled: 'Two-factor disabled',
+  session_revoked: 'Session revoked',
+  all_sessions_revoked: 'Signed out everywhere',
+  refresh_token_reuse: 'Stolen session token detected',
+  access_token_created: 'Access token created',
+  access_token_revoked: 'Access token revoked',
+  account_unlocked: 'Account unlocked',
+  impersonation_started: 'Admin started viewing as this user',
+  impersonation_ended: 'Admin stopped viewing as this user',
+};
+
+// Events worth a second look
+const WARNING_EVENTS = ['login_failure', 'lockout', 'refresh_token_reuse', 'two_factor_disabled', 'impersonation_started'];
+
+const METHOD_LABELS = {
+  password: 'password',
+  '2fa': 'password + authenticator',
+  backup_code: 'password + backup code',
+  sso: 'single sign-on',
+};
+
+/**
+ * Paged list of security events
+ * @param {Function} fetchEvents - (params) => axios promise resolving to { data: { data: { events, pagination } } }
+ */
+export default function SecurityEventList({ fetchEvents }) {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [typeFilter, setTypeFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadEvents = async () => {
+      try {
+        setLoading(true);
+        const params = { page };
+        if (typeFilter) params.type = typeFilter;
+
+        const response = await fetchEvents(params);
+        setEvents(response.data.data.events);
+        setPagination(response.data.data.pagination);
+      } catch (error) {
+        console.error('Error fetching security events:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadEvents();
+  }, [fetchEvents, page, typeFilter]);
+
+  const handleFilterChange = (e) => {
+    setTypeFilter(e.target.value);
+    setPage(1);
+  };
+
+  return (
+    <div>
+      <div className="px-6 py-4 border-b border-gray-200">
+        <select
+          value={typeFilter}
+          onChange={handleFilterChange}
+          className="block w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black"
+        >
+          <option value="">All events</option>
+          {Object.entries(EVENT_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : events.length > 0 ? (
+        <ul className="divide-y divide-gray-200">
+          {events.map((event) => (
+            <li key={event._id} className="px-6 py-4 flex items-start justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  <span className={`inline-block h-2 w-2 rounded-full mr-2 ${WARNING_EVENTS.includes(event.type) ? 'bg-red-500' : 'bg-green-500'}`}></span>
+                  {EVENT_LABELS[event.type] || event.type}
+                  {event.method && (
+                    <span className="ml-1 font-normal text-gray-500">with {METHOD_LABELS[event.method] || event.method}</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {event.device || 'Unknown device'} · {event.ip || 'Unknown IP'}
+                </p>
+                {(event.reason || event.actor) && (
+                  <p className="text-xs text-gray-400">
+                    {event.reason && event.reason.replace(/_/g, ' ')}
+                    {event.reason && event.actor && ' · '}
+                    {event.actor && `by ${event.actor.name}`}
+                  </p>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 whitespace-nowrap ml-4">
+                {new Date(event.createdAt).toLocaleString()}
+              </p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="px-6 py-4 text-sm text-gray-500">No security events recorded.</p>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            Newer
+          </Button>
+          <span className="text-sm text-gray-500">Page {pagination.page} of {pagination.pages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>
+            Older
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+'use client';
+
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import { sprintsAPI } from '@/lib/api';
+
+/**
+ * Close the active sprint, choosing where its unfinished tasks go
+ * @param {Object} sprint - The active sprint
+ * @param {Array} unfinishedTasks - The sprint's tasks that aren't done
+ * @param {Array} plannedSprints - Sprints the unfinished tasks can roll over to
+ * @param {Function} onClose - Close without closing the sprint
+ * @param {Function} onClosed - Called with the server's message once the sprint is closed
+ */
+export default function CloseSprintModal({ sprint, unfinishedTasks, plannedSprints, onClose, onClosed }) {
+  // Next planned sprint by default, otherwise the backlog
+  const [rollOverTo, setRollOverTo] = useState(plannedSprints[0]?._id || '');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleClose = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await sprintsAPI.close(sprint._id, { rollOverTo: rollOverTo || null });
+      onClosed(response.data.message);
+    } catch (error) {
+      console.error('Error closing sprint:', error);
+      setError(error.response?.data?.message || 'Failed to close the sprint. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-gray-900">Close {sprint.name}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        {unfinishedTasks.length > 0 ? (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-700">
+              {unfinishedTasks.length} {unfinishedTasks.length === 1 ? 'task isn\'t' : 'tasks aren\'t'} done yet:
+            </p>
+            <ul className="max-h-40 overflow-y-auto text-sm text-gray-600 list-disc list-inside">
+              {unfinishedTasks.map(task => (
+                <li key={task._id}>{task.title}</li>
+              ))}
+            </ul>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Move them to</label>
+              <select
+                value={rollOverTo}
+                onChange={(e) => setRollOverTo(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {plannedSprints.map(other => (
+                  <option key={other._id} value={other._id}>{other.name}</option>
+                ))}
+                <option value="">Backlog</option>
+              </select>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-700">Every task in this sprint is done.</p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="button" variant="danger" loading={loading} onClick={handleClose}>
+            Close Sprint
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
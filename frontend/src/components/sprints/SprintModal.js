@@ -0,0 +1,198 @@
+'use client';
+
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import { sprintsAPI } from '@/lib/api';
+
+// Focused hours per person per working day, for suggesting a sprint's capacity
+const HOURS_PER_DAY = 6;
+const SPRINT_DAYS = 14;
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Monday to Friday from the start date up to, not including, the end date
+const countWorkingDays = (startDate, endDate) => {
+  let days = 0;
+  for (let day = new Date(startDate); day < new Date(endDate); day = addDays(day, 1)) {
+    if (day.getDay() !== 0 && day.getDay() !== 6) days++;
+  }
+  return days;
+};
+
+/**
+ * Create a sprint, or edit one that isn't closed. New sprints default to two weeks
+ * starting the day after the last sprint ends.
+ * @param {Object} project - Project the sprint belongs to
+ * @param {Object} sprint - Sprint to edit, or null to create one
+ * @param {Array} sprints - The project's sprints
+ * @param {Function} onClose - Close without saving
+ * @param {Function} onSaved - Called with the saved sprint
+ */
+export default function SprintModal({ project, sprint, sprints, onClose, onSaved }) {
+  const [formData, setFormData] = useState(() => {
+    if (sprint) {
+      return {
+        name: sprint.name,
+        goal: sprint.goal || '',
+        startDate: toDateInput(sprint.startDate),
+        endDate: toDateInput(sprint.endDate),
+        capacityHours: sprint.capacityHours ?? ''
+      };
+    }
+
+    const lastEnd = sprints.reduce((latest, other) => (
+      !latest || new Date(other.endDate) > latest ? new Date(other.endDate) : latest
+    ), null);
+    const startDate = lastEnd && lastEnd > new Date() ? lastEnd : new Date();
+
+    return {
+      name: `Sprint ${sprints.length + 1}`,
+      goal: '',
+      startDate: toDateInput(startDate),
+      endDate: toDateInput(addDays(startDate, SPRINT_DAYS)),
+      capacityHours: ''
+    };
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Everyone working on the project, not guests
+  const teamSize = project.members.filter(member => member.role !== 'guest').length;
+  const workingDays = formData.startDate && formData.endDate
+    ? countWorkingDays(formData.startDate, formData.endDate)
+    : 0;
+  const suggestedCapacity = teamSize * workingDays * HOURS_PER_DAY;
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const data = {
+      ...formData,
+      capacityHours: formData.capacityHours === '' ? null : Number(formData.capacityHours)
+    };
+
+    try {
+      const response = sprint
+        ? await sprintsAPI.update(sprint._id, data)
+        : await sprintsAPI.create({ ...data, projectId: project._id });
+      onSaved(response.data.data.sprint);
+    } catch (error) {
+      console.error('Error saving sprint:', error);
+      setError(error.response?.data?.message || 'Failed to save the sprint. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{sprint ? 'Edit Sprint' : 'New Sprint'}</h2>
+            <p className="text-sm text-gray-500">{project.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            maxLength={100}
+            required
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Goal</label>
+            <textarea
+              name="goal"
+              value={formData.goal}
+              onChange={handleChange}
+              rows={2}
+              maxLength={500}
+              placeholder="What the team means to finish in this sprint"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm text-black placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Start Date"
+              name="startDate"
+              type="date"
+              value={formData.startDate}
+              onChange={handleChange}
+              required
+            />
+            <Input
+              label="End Date"
+              name="endDate"
+              type="date"
+              value={formData.endDate}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div>
+            <Input
+              label="Team Capacity (hours)"
+              name="capacityHours"
+              type="number"
+              min="0"
+              step="0.5"
+              value={formData.capacityHours}
+              onChange={handleChange}
+              placeholder="Hours the team can spend on the sprint"
+            />
+            {suggestedCapacity > 0 && (
+              <p className="mt-1 text-xs text-gray-500">
+                {teamSize} {teamSize === 1 ? 'person' : 'people'} × {workingDays} working days × {HOURS_PER_DAY} h = {suggestedCapacity} h.{' '}
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, capacityHours: suggestedCapacity })}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Use this
+                </button>
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={loading}>
+              {sprint ? 'Save Sprint' : 'Create Sprint'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+'use client';
+
+import { getStatusTone } from '@/lib/workflow';
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 48;
+const COLUMN_GAP = 60;
+const ROW_GAP = 16;
+
+// Keyed by workflow category, or 'blocked' for the workflow's blocked status
+const STATUS_COLORS = {
+  done: { fill: '#dcfce7', stroke: '#16a34a' },
+  'in-progress': { fill: '#dbeafe', stroke: '#2563eb' },
+  todo: { fill: '#fef9c3', stroke: '#ca8a04' },
+  blocked: { fill: '#fee2e2', stroke: '#dc2626' }
+};
+
+/**
+ * Task dependency graph, one column per level with prerequisites on the left
+ * @param {Object} workflow - Project workflow, for the status colours
+ * @param {Array} nodes - Tasks with a level, from GET /api/tasks/project/:id/dependency-graph
+ * @param {Array} edges - { from, to } pairs pointing from prerequisite to dependent
+ */
+export default function DependencyGraph({ workflow, nodes, edges }) {
+  // Only tasks that take part in a dependency are drawn
+  const linked = new Set(edges.flatMap(edge => [String(edge.from), String(edge.to)]));
+  const columns = [];
+  nodes.filter(node => linked.has(String(node._id))).forEach(node => {
+    columns[node.level] = [...(columns[node.level] || []), node];
+  });
+
+  const positions = new Map();
+  columns.forEach((column, level) => {
+    column.forEach((node, row) => {
+      positions.set(String(node._id), {
+        x: level * (NODE_WIDTH + COLUMN_GAP),
+        y: row * (NODE_HEIGHT + ROW_GAP)
+      });
+    });
+  });
+
+  if (positions.size === 0) {
+    return <p className="text-sm text-gray-500">No task depends on another yet.</p>;
+  }
+
+  const width = columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const height = Math.max(...columns.map(column => column.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+  return (
+    <div className="overflow-x-auto">
+      <svg width={width + 2} height={height + 2} className="text-xs">
+        <defs>
+          <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+          </marker>
+        </defs>
+
+        {edges.map(edge => {
+          const from = positions.get(String(edge.from));
+          const to = positions.get(String(edge.to));
+          const startX = from.x + NODE_WIDTH + 1;
+          const startY = from.y + NODE_HEIGHT / 2 + 1;
+          const endX = to.x + 1;
+          const endY = to.y + NODE_HEIGHT / 2 + 1;
+          const bend = (endX - startX) / 2;
+
+          return (
+            <path
+              key={`${edge.from}-${edge.to}`}
+              d={`M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`}
+              fill="none"
+              stroke="#9ca3af"
+              strokeWidth="1.5"
+              markerEnd="url(#dependency-arrow)"
+            />
+          );
+        })}
+
+        {nodes.filter(node => positions.has(String(node._id))).map(node => {
+          const { x, y } = positions.get(String(node._id));
+          const colors = STATUS_COLORS[getStatusTone(workflow, node.status)] || { fill: '#f3f4f6', stroke: '#6b7280' };
+
+          return (
+            <g key={node._id} transform={`translate(${x + 1}, ${y + 1})`}>
+              <title>{node.title}</title>
+              <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="6" fill={colors.fill} stroke={colors.stroke} />
+              <text x="10" y="20" fill="#111827" fontWeight="500">
+                {node.title.length > 24 ? `${node.title.slice(0, 23)}…` : node.title}
+              </text>
+              <text x="10" y="36" fill="#4b5563">
+                {node.status}{node.assignedTo?.name ? ` · ${node.assignedTo.name}` : ''}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
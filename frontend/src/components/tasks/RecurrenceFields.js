@@ -0,0 +1,163 @@
+'use client';
+
+import Input from '@/components/ui/Input';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+const selectClassName = 'block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black';
+
+// Form state for a task's stored rule (or for no rule)
+export const toRecurrenceForm = (recurrence) => ({
+  frequency: recurrence?.frequency || '',
+  interval: recurrence?.interval || 1,
+  weekdays: recurrence?.weekdays || [],
+  monthDay: recurrence?.monthDay || '',
+  until: recurrence?.until ? recurrence.until.slice(0, 10) : '',
+  // Only set through RRULE COUNT; kept so editing the rule doesn't drop it
+  count: recurrence?.count || null,
+  rrule: ''
+});
+
+// Request body value for the form: a rule, an RRULE string, or null to not repeat
+export const toRecurrencePayload = (form) => {
+  if (!form.frequency) return null;
+  if (form.frequency === 'rrule') return form.rrule.trim();
+
+  return {
+    frequency: form.frequency,
+    interval: Number(form.interval) || 1,
+    weekdays: form.frequency === 'weekly' ? form.weekdays : [],
+    monthDay: form.frequency === 'monthly' && form.monthDay ? Number(form.monthDay) : null,
+    until: form.until || null,
+    count: form.count || null
+  };
+};
+
+// "Every 2 weeks on Mon, Thu until 12/31/2026"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+
+  const unit = UNITS[recurrence.frequency];
+  let text = recurrence.interval > 1 ? `Every ${recurrence.interval} ${unit}s` : `Every ${unit}`;
+
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays?.length > 0) {
+    text += ` on ${recurrence.weekdays.map(day => WEEKDAYS[day]).join(', ')}`;
+  }
+  if (recurrence.frequency === 'monthly' && recurrence.monthDay) {
+    text += ` on day ${recurrence.monthDay}`;
+  }
+  if (recurrence.until) {
+    text += ` until ${new Date(recurrence.until).toLocaleDateString()}`;
+  }
+  if (recurrence.count) {
+    text += `, ${recurrence.count} times`;
+  }
+
+  return text;
+};
+
+/**
+ * Controls for a task's repeat rule
+ * @param {Object} value - Form state from toRecurrenceForm
+ * @param {Function} onChange - Called with the new form state
+ */
+export default function RecurrenceFields({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    update({
+      weekdays: value.weekdays.includes(day)
+        ? value.weekdays.filter(weekday => weekday !== day)
+        : [...value.weekdays, day].sort((a, b) => a - b)
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+          <select
+            value={value.frequency}
+            onChange={(e) => update({ frequency: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+            <option value="rrule">Custom (RRULE)</option>
+          </select>
+        </div>
+
+        {UNITS[value.frequency] && (
+          <Input
+            label={`Every how many ${UNITS[value.frequency]}s`}
+            type="number"
+            min="1"
+            max="365"
+            value={value.interval}
+            onChange={(e) => update({ interval: e.target.value })}
+          />
+        )}
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">On</label>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map((label, day) => (
+              <label key={label} className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={value.weekdays.includes(day)}
+                  onChange={() => toggleWeekday(day)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Leave empty to repeat on the due date&apos;s weekday.</p>
+        </div>
+      )}
+
+      {value.frequency === 'monthly' && (
+        <Input
+          label="Day of Month"
+          type="number"
+          min="1"
+          max="31"
+          value={value.monthDay}
+          onChange={(e) => update({ monthDay: e.target.value })}
+          placeholder="Same day as the due date"
+        />
+      )}
+
+      {value.frequency === 'rrule' && (
+        <Input
+          label="RRULE"
+          value={value.rrule}
+          onChange={(e) => update({ rrule: e.target.value })}
+          placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10"
+        />
+      )}
+
+      {UNITS[value.frequency] && (
+        <Input
+          label="Repeat Until"
+          type="date"
+          value={value.until}
+          onChange={(e) => update({ until: e.target.value })}
+        />
+      )}
+
+      {value.frequency && (
+        <p className="text-xs text-gray-500">
+          The next occurrence is created when this one is done or falls due.
+        </p>
+      )}
+    </div>
+  );
+}
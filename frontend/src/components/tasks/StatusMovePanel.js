@@ -0,0 +1,60 @@
+'use client';
+
+import Button from '@/components/ui/Button';
+
+/**
+ * Inline outcome of changing a task's status: what stopped the move, warnings it was
+ * saved with, or the comment the project's workflow asks for before it's made
+ * @param {Object} move - { status, needsComment, comment, errors, warnings }
+ * @param {boolean} loading - Whether the move is being saved
+ * @param {Function} onCommentChange - Called with the comment text
+ * @param {Function} onSubmit - Retry the move with the comment
+ * @param {Function} onDismiss - Forget the move
+ */
+export default function StatusMovePanel({ move, loading, onCommentChange, onSubmit, onDismiss }) {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit();
+  };
+
+  return (
+    <div className="mt-4 p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-2">
+      <div className="flex justify-between items-start">
+        <div className="space-y-1">
+          {move.errors?.map(error => (
+            <p key={error} className="text-sm text-red-600">{error}</p>
+          ))}
+          {move.warnings?.map(warning => (
+            <p key={warning} className="text-sm text-yellow-800">{warning}</p>
+          ))}
+          {move.needsComment && !move.errors?.length && (
+            <p className="text-sm text-gray-700">Moving this task to {move.status} needs a comment.</p>
+          )}
+        </div>
+        <button onClick={onDismiss} className="text-gray-400 hover:text-gray-600" title="Dismiss">
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {move.needsComment && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <textarea
+            value={move.comment}
+            onChange={(e) => onCommentChange(e.target.value)}
+            rows={2}
+            maxLength={500}
+            placeholder={`Why is this task moving to ${move.status}?`}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" loading={loading} disabled={!move.comment.trim()}>
+              Move to {move.status}
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
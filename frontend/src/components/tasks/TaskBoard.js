@@ -0,0 +1,232 @@
+'use client';
+
+import { useState } from 'react';
+import StatusMovePanel from '@/components/tasks/StatusMovePanel';
+import { tasksAPI } from '@/lib/api';
+import {
+  getStatusNames, getStatusCategory, getStatusTone, getAvailableStatuses, getTransitionRules
+} from '@/lib/workflow';
+
+const COLUMN_COLORS = {
+  todo: 'border-yellow-300',
+  'in-progress': 'border-blue-300',
+  blocked: 'border-red-300',
+  done: 'border-green-300'
+};
+
+// Local stand-in for the rank the server will assign, so the card lands in place right away
+const rankBetween = (before, after) => {
+  if (before == null && after == null) return 0;
+  if (before == null) return after - 1024;
+  if (after == null) return before + 1024;
+  return (before + after) / 2;
+};
+
+/**
+ * Board of a project's tasks with a column per workflow status. Dropping a card moves it
+ * within or between columns, optimistically, and puts it back if the server refuses.
+ * @param {Object} workflow - Project workflow, whose statuses are the columns
+ * @param {Array} tasks - Project tasks in board order (by rank)
+ * @param {Function} setTasks - State setter for tasks
+ * @param {boolean} canMove - Whether the user may try to move cards at all
+ * @param {Function} onMoved - Called after a move is saved, to refresh derived data
+ */
+export default function TaskBoard({ workflow, tasks, setTasks, canMove, onMoved }) {
+  const [draggedId, setDraggedId] = useState(null);
+  // { status, index } where the dragged card would land
+  const [dropTarget, setDropTarget] = useState(null);
+  const [message, setMessage] = useState(null);
+  // A move held back until the comment the workflow requires for it is written
+  const [pendingMove, setPendingMove] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const getColumnTasks = (status) => tasks
+    .filter(task => task.status === status)
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+
+  const parentTitle = (task) => tasks.find(other => other._id === task.parentTask)?.title;
+
+  // Columns the workflow doesn't let the dragged card move to don't accept it
+  const canDropIn = (status) => {
+    const task = tasks.find(other => other._id === draggedId);
+    return !!task && getAvailableStatuses(workflow, task.status).includes(status);
+  };
+
+  const handleCardDragOver = (e, status, index) => {
+    if (!canDropIn(status)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Drop above the card over its top half, below it over its bottom half
+    const { top, height } = e.currentTarget.getBoundingClientRect();
+    const targetIndex = e.clientY < top + height / 2 ? index : index + 1;
+    if (dropTarget?.status !== status || dropTarget?.index !== targetIndex) {
+      setDropTarget({ status, index: targetIndex });
+    }
+  };
+
+  const handleColumnDragOver = (e, status) => {
+    if (!canDropIn(status)) return;
+    e.preventDefault();
+
+    // Empty space below the cards means the end of the column
+    if (dropTarget?.status !== status) {
+      setDropTarget({ status, index: getColumnTasks(status).length });
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const task = tasks.find(other => other._id === draggedId);
+    const target = dropTarget;
+    handleDragEnd();
+    if (!task || !target) return;
+
+    // The drop index counts the dragged card if it started in this column
+    const targetColumn = getColumnTasks(target.status);
+    const draggedIndex = targetColumn.findIndex(other => other._id === task._id);
+    const index = draggedIndex !== -1 && draggedIndex < target.index ? target.index - 1 : target.index;
+
+    // Dropped back where it was
+    if (draggedIndex !== -1 && index === draggedIndex) return;
+
+    const column = targetColumn.filter(other => other._id !== task._id);
+    const move = { task, status: target.status, before: column[index - 1] || null, after: column[index] || null };
+
+    setMessage(null);
+    const needsComment = target.status !== task.status &&
+      getTransitionRules(workflow, task.status, target.status).some(rule => rule.guard === 'comment');
+
+    if (needsComment) {
+      setPendingMove({ ...move, needsComment, comment: '' });
+      return;
+    }
+
+    setPendingMove(null);
+    saveMove(move);
+  };
+
+  const saveMove = async ({ task, status, before, after }, comment) => {
+    const previousTasks = tasks;
+    setMessage(null);
+    setTasks(tasks.map(other => (
+      other._id === task._id
+        ? {
+          ...other,
+          status,
+          statusCategory: getStatusCategory(workflow, status),
+          rank: rankBetween(before?.rank, after?.rank)
+        }
+        : other
+    )));
+
+    setSaving(true);
+    try {
+      const response = await tasksAPI.update(task._id, {
+        ...(status !== task.status && { status }),
+        ...(comment && { comment }),
+        position: { beforeId: before?._id || null, afterId: after?._id || null }
+      });
+
+      setPendingMove(null);
+
+      // Projects that only warn about unfinished dependencies still accept the move
+      if (response.data.warnings) {
+        setMessage({ type: 'warning', text: response.data.warnings.join(' ') });
+      }
+      onMoved();
+    } catch (error) {
+      console.error('Error moving task:', error);
+      setTasks(previousTasks);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to move the task. Please try again.'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {pendingMove && (
+        <div className="mb-4">
+          <StatusMovePanel
+            move={pendingMove}
+            loading={saving}
+            onCommentChange={(comment) => setPendingMove({ ...pendingMove, comment })}
+            onSubmit={() => saveMove(pendingMove, pendingMove.comment.trim())}
+            onDismiss={() => setPendingMove(null)}
+          />
+        </div>
+      )}
+
+      <div className="flex gap-4 overflow-x-auto pb-2">
+        {getStatusNames(workflow).map(status => {
+          const columnTasks = getColumnTasks(status);
+          const isTarget = dropTarget?.status === status;
+
+          return (
+            <div
+              key={status}
+              onDragOver={(e) => handleColumnDragOver(e, status)}
+              onDrop={handleDrop}
+              className={`w-64 flex-shrink-0 rounded-lg bg-gray-50 border-t-4 ${COLUMN_COLORS[getStatusTone(workflow, status)]} p-3 min-h-[12rem] ${isTarget ? 'ring-2 ring-blue-300' : ''}`}
+            >
+              <div className="flex justify-between items-center mb-3">
+                <h4 className="text-sm font-semibold text-gray-700">{status}</h4>
+                <span className="text-xs text-gray-500">{columnTasks.length}</span>
+              </div>
+
+              <div className="space-y-2">
+                {columnTasks.map((task, index) => (
+                  <div key={task._id}>
+                    {isTarget && dropTarget.index === index && (
+                      <div className="h-1 mb-2 rounded bg-blue-400"></div>
+                    )}
+                    <div
+                      draggable={canMove}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggedId(task._id);
+                      }}
+                      onDragEnd={handleDragEnd}
+                      onDragOver={(e) => handleCardDragOver(e, status, index)}
+                      className={`bg-white border border-gray-200 rounded-md p-3 shadow-sm hover:border-gray-300 ${canMove ? 'cursor-grab' : ''} ${task._id === draggedId ? 'opacity-50' : ''}`}
+                    >
+                      <p className="text-sm font-medium text-gray-900">{task.title}</p>
+                      {task.parentTask && parentTitle(task) && (
+                        <p className="text-xs text-gray-500">↳ {parentTitle(task)}</p>
+                      )}
+                      <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                        <span>{task.assignedTo?.name || 'Unassigned'}</span>
+                        <span>{task.priority}</span>
+                      </div>
+                      {task.dueDate && (
+                        <p className="mt-1 text-xs text-gray-500">Due: {new Date(task.dueDate).toLocaleDateString()}</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {isTarget && dropTarget.index === columnTasks.length && (
+                  <div className="h-1 rounded bg-blue-400"></div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import Button from '@/components/ui/Button';
+import { tasksAPI, projectsAPI } from '@/lib/api';
+
+/**
+ * Checklist of a task: tick items off, and add, assign, reorder or remove them
+ * @param {Object} task - Task whose checklist is shown
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onChange - Called after the checklist changes, so progress can be refreshed
+ */
+export default function TaskChecklistModal({ task, onClose, onChange }) {
+  const { user } = useAuth();
+  const [checklist, setChecklist] = useState(task.checklist || []);
+  const [members, setMembers] = useState([]);
+  const [newItem, setNewItem] = useState({ text: '', assignedTo: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const canEdit = task.editableFields?.includes('checklist');
+  const projectId = task.projectId?._id || task.projectId;
+
+  useEffect(() => {
+    if (!canEdit) return;
+
+    // People who can be given an item: the project's creator and non-guest members
+    projectsAPI.getById(projectId)
+      .then(response => {
+        const { createdBy, members: projectMembers } = response.data.data.project;
+        setMembers([
+          createdBy,
+          ...projectMembers.filter(member => member.role !== 'guest' && member.user).map(member => member.user)
+        ].filter((member, index, all) => member && all.findIndex(other => other._id === member._id) === index));
+      })
+      .catch(error => console.error('Error fetching project members:', error));
+  }, [canEdit, projectId]);
+
+  const runChange = async (change) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await change();
+      setChecklist(response.data.data.task.checklist);
+      onChange();
+      return true;
+    } catch (error) {
+      console.error('Error updating checklist:', error);
+      setError(error.response?.data?.message || 'Failed to update the checklist. Please try again.');
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.text.trim()) return;
+
+    const added = await runChange(() => tasksAPI.addChecklistItem(task._id, {
+      text: newItem.text.trim(),
+      assignedTo: newItem.assignedTo || null
+    }));
+    if (added) {
+      setNewItem({ text: '', assignedTo: '' });
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const itemIds = checklist.map(item => item._id);
+    [itemIds[index], itemIds[index + offset]] = [itemIds[index + offset], itemIds[index]];
+    runChange(() => tasksAPI.reorderChecklist(task._id, itemIds));
+  };
+
+  const doneCount = checklist.filter(item => item.done).length;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Checklist</h2>
+            <p className="text-sm text-gray-500">
+              {task.title} · {doneCount}/{checklist.length} done
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        {checklist.length > 0 ? (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg mb-4">
+            {checklist.map((item, index) => {
+              // Whoever an item is assigned to can tick it off even without checklist access
+              const canTick = canEdit || (item.assignedTo?._id || item.assignedTo) === user?._id;
+
+              return (
+                <li key={item._id} className="flex items-center px-3 py-2 space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    disabled={!canTick || loading}
+                    onChange={(e) => runChange(() => tasksAPI.updateChecklistItem(task._id, item._id, { done: e.target.checked }))}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm ${item.done ? 'text-gray-400 line-through' : 'text-gray-900'}`}>{item.text}</p>
+                    {item.assignedTo?.name && (
+                      <p className="text-xs text-gray-500">{item.assignedTo.name}</p>
+                    )}
+                  </div>
+                  {canEdit && (
+                    <div className="flex items-center space-x-1 text-gray-400">
+                      <button
+                        onClick={() => handleMove(index, -1)}
+                        disabled={index === 0 || loading}
+                        className="p-1 hover:text-gray-600 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => handleMove(index, 1)}
+                        disabled={index === checklist.length - 1 || loading}
+                        className="p-1 hover:text-gray-600 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        onClick={() => runChange(() => tasksAPI.deleteChecklistItem(task._id, item._id))}
+                        disabled={loading}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title="Remove item"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">This task has no checklist yet.</p>
+        )}
+
+        {canEdit && (
+          <form onSubmit={handleAdd} className="space-y-2">
+            <input
+              type="text"
+              value={newItem.text}
+              onChange={(e) => setNewItem(prev => ({ ...prev, text: e.target.value }))}
+              maxLength={200}
+              placeholder="Add a step"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-black placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <div className="flex space-x-2">
+              <select
+                value={newItem.assignedTo}
+                onChange={(e) => setNewItem(prev => ({ ...prev, assignedTo: e.target.value }))}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">No assignee</option>
+                {members.map(member => (
+                  <option key={member._id} value={member._id}>{member.name}</option>
+                ))}
+              </select>
+              <Button type="submit" size="sm" loading={loading} disabled={!newItem.text.trim()}>
+                Add
+              </Button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
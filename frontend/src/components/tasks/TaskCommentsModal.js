@@ -0,0 +1,270 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Button from '@/components/ui/Button';
+import { tasksAPI } from '@/lib/api';
+
+// Same shape the API uses to find @mentions
+const MENTION_PATTERN = /((?<![\w.+-])@[\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Comment thread for a task, with replies and @mentions of project members
+ * @param {Object} task - Task to show comments for
+ * @param {Function} onClose - Close the modal
+ */
+export default function TaskCommentsModal({ task, onClose }) {
+  const [comments, setComments] = useState([]);
+  const [mentionable, setMentionable] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Comment being replied to or edited: { mode: 'reply' | 'edit', id }
+  const [activeForm, setActiveForm] = useState(null);
+
+  const loadComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getComments(task._id, { page });
+      setComments(response.data.data.comments);
+      setMentionable(response.data.data.mentionable);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      setError(error.response?.data?.message || 'Failed to load comments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id, page]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+      setActiveForm(null);
+      loadComments();
+    } catch (error) {
+      console.error('Error saving comment:', error);
+      setError(error.response?.data?.message || 'Failed to save comment. Please try again.');
+    }
+  };
+
+  const handleAdd = (content) => runAction(async () => {
+    await tasksAPI.addComment(task._id, { content });
+    // New threads go at the end, so jump to the last page to show it
+    setPage(Math.ceil((pagination.total + 1) / pagination.limit) || 1);
+  });
+
+  const handleReply = (parentId, content) => runAction(() => tasksAPI.addComment(task._id, { content, parentId }));
+
+  const handleEdit = (commentId, content) => runAction(() => tasksAPI.updateComment(task._id, commentId, { content }));
+
+  const handleDelete = (comment) => {
+    const warning = comment.replies?.length
+      ? 'Delete this comment and its replies?'
+      : 'Delete this comment?';
+    if (!window.confirm(warning)) {
+      return;
+    }
+    runAction(() => tasksAPI.deleteComment(task._id, comment._id));
+  };
+
+  const renderComment = (comment, isReply = false) => (
+    <div key={comment._id} className={isReply ? 'ml-10 mt-3' : ''}>
+      <div className="flex items-start space-x-3">
+        <div className="w-8 h-8 bg-blue-500 rounded-full flex-shrink-0 flex items-center justify-center text-white text-sm font-medium">
+          {(comment.user?.name || 'U').charAt(0).toUpperCase()}
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm">
+            <span className="font-medium text-gray-900">{comment.user?.name || 'Deleted user'}</span>
+            <span className="ml-2 text-xs text-gray-500">
+              {new Date(comment.createdAt).toLocaleString()}
+              {comment.editedAt && ' (edited)'}
+            </span>
+          </p>
+
+          {activeForm?.mode === 'edit' && activeForm.id === comment._id ? (
+            <CommentForm
+              initialValue={comment.content}
+              mentionable={mentionable}
+              submitLabel="Save"
+              onSubmit={(content) => handleEdit(comment._id, content)}
+              onCancel={() => setActiveForm(null)}
+            />
+          ) : (
+            <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+              <CommentContent content={comment.content} mentionable={mentionable} />
+            </p>
+          )}
+
+          <div className="flex space-x-3 mt-1 text-xs">
+            {!isReply && (
+              <button onClick={() => setActiveForm({ mode: 'reply', id: comment._id })} className="text-gray-500 hover:text-gray-700">
+                Reply
+              </button>
+            )}
+            {comment.canEdit && (
+              <button onClick={() => setActiveForm({ mode: 'edit', id: comment._id })} className="text-gray-500 hover:text-gray-700">
+                Edit
+              </button>
+            )}
+            {comment.canDelete && (
+              <button onClick={() => handleDelete(comment)} className="text-red-600 hover:text-red-800">
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {comment.replies?.map(reply => renderComment(reply, true))}
+
+      {activeForm?.mode === 'reply' && activeForm.id === comment._id && (
+        <div className="ml-10 mt-3">
+          <CommentForm
+            mentionable={mentionable}
+            submitLabel="Reply"
+            onSubmit={(content) => handleReply(comment._id, content)}
+            onCancel={() => setActiveForm(null)}
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Comments</h2>
+            <p className="text-sm text-gray-500">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : comments.length > 0 ? (
+          <div className="space-y-5">
+            {comments.map(comment => renderComment(comment))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 py-4">No comments yet. Start the discussion below.</p>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="mt-4 flex items-center justify-between">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+              Earlier
+            </Button>
+            <span className="text-sm text-gray-500">Page {pagination.page} of {pagination.pages}</span>
+            <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>
+              Later
+            </Button>
+          </div>
+        )}
+
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <CommentForm mentionable={mentionable} submitLabel="Comment" onSubmit={handleAdd} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Highlight @mentions of project members
+function CommentContent({ content, mentionable }) {
+  const handles = mentionable.map(member => member.handle);
+
+  return content.split(MENTION_PATTERN).map((part, index) => (
+    part.startsWith('@') && handles.includes(part.slice(1).replace(/\.+$/, '').toLowerCase())
+      ? <span key={index} className="text-blue-600 font-medium">{part}</span>
+      : part
+  ));
+}
+
+// Textarea with @mention suggestions for the word being typed
+function CommentForm({ initialValue = '', mentionable, submitLabel, onSubmit, onCancel }) {
+  const [content, setContent] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const partialMention = content.match(/(?:^|\s)@([\w.+-]*)$/)?.[1]?.toLowerCase();
+  const suggestions = partialMention === undefined
+    ? []
+    : mentionable
+      .filter(member => member.handle.startsWith(partialMention) || member.name.toLowerCase().startsWith(partialMention))
+      .slice(0, 5);
+
+  const insertMention = (member) => {
+    setContent(prev => prev.replace(/@([\w.+-]*)$/, `@${member.handle} `));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSaving(true);
+    await onSubmit(content.trim());
+    setSaving(false);
+    setContent('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-1">
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        placeholder="Write a comment. Type @ to mention a project member."
+        className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm text-sm text-black placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      {suggestions.length > 0 && (
+        <ul className="mt-1 border border-gray-200 rounded-lg divide-y divide-gray-100 bg-white shadow-sm">
+          {suggestions.map(member => (
+            <li key={member._id}>
+              <button
+                type="button"
+                onClick={() => insertMention(member)}
+                className="w-full text-left px-3 py-1 text-sm hover:bg-gray-50"
+              >
+                <span className="text-gray-900">{member.name}</span>
+                <span className="ml-2 text-gray-500">@{member.handle}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center justify-between mt-2">
+        <span className="text-xs text-gray-400">{content.length}/{MAX_COMMENT_LENGTH}</span>
+        <div className="flex space-x-2">
+          {onCancel && (
+            <Button variant="outline" size="sm" type="button" onClick={onCancel}>
+              Cancel
+            </Button>
+          )}
+          <Button size="sm" type="submit" loading={saving} disabled={!content.trim()}>
+            {submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+}
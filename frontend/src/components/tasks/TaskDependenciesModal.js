@@ -0,0 +1,119 @@
+'use client';
+
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import { tasksAPI } from '@/lib/api';
+
+/**
+ * Add and remove the tasks a task depends on
+ * @param {Object} task - Task whose dependencies are edited
+ * @param {Array} projectTasks - Every task in the same project
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onChange - Called after dependencies change, so statuses can be refreshed
+ */
+export default function TaskDependenciesModal({ task, projectTasks, onClose, onChange }) {
+  const [dependencyIds, setDependencyIds] = useState((task.dependencies || []).map(dependency => dependency._id || dependency));
+  const [selectedId, setSelectedId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const tasksById = new Map(projectTasks.map(projectTask => [projectTask._id, projectTask]));
+  const candidates = projectTasks.filter(projectTask => (
+    projectTask._id !== task._id && !dependencyIds.includes(projectTask._id)
+  ));
+
+  const runChange = async (change) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await change();
+      setDependencyIds(response.data.data.task.dependencies.map(dependency => dependency._id));
+      setSelectedId('');
+      onChange();
+    } catch (error) {
+      console.error('Error updating dependencies:', error);
+      setError(error.response?.data?.message || 'Failed to update dependencies. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!selectedId) return;
+    runChange(() => tasksAPI.addDependency(task._id, selectedId));
+  };
+
+  const handleRemove = (dependencyId) => {
+    runChange(() => tasksAPI.removeDependency(task._id, dependencyId));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Dependencies</h2>
+            <p className="text-sm text-gray-500">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        <p className="text-sm text-gray-600 mb-3">
+          This task can&apos;t start or be finished until these tasks are done. It is moved to the project&apos;s blocked status while it waits.
+        </p>
+
+        {dependencyIds.length > 0 ? (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg mb-4">
+            {dependencyIds.map(dependencyId => {
+              const dependency = tasksById.get(dependencyId);
+              return (
+                <li key={dependencyId} className="flex items-center justify-between px-3 py-2">
+                  <div>
+                    <p className="text-sm text-gray-900">{dependency?.title || 'Unknown task'}</p>
+                    <p className="text-xs text-gray-500">{dependency?.status}</p>
+                  </div>
+                  <button
+                    onClick={() => handleRemove(dependencyId)}
+                    disabled={loading}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">This task doesn&apos;t depend on any other task.</p>
+        )}
+
+        <form onSubmit={handleAdd} className="flex space-x-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Select a task</option>
+            {candidates.map(candidate => (
+              <option key={candidate._id} value={candidate._id}>
+                {candidate.title} ({candidate.status})
+              </option>
+            ))}
+          </select>
+          <Button type="submit" size="sm" loading={loading} disabled={!selectedId}>
+            Add
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import { tasksAPI, timeEntriesAPI } from '@/lib/api';
+
+// 95 -> "1h 35m"
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+/**
+ * Time logged on a task, with a form to log time by hand
+ * @param {Object} task - Task to show time for
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onChange - Called after time is logged, edited or deleted
+ */
+export default function TaskTimeModal({ task, onClose, onChange }) {
+  const [entries, setEntries] = useState([]);
+  const [totalMinutes, setTotalMinutes] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    hours: '',
+    minutes: '',
+    date: new Date().toISOString().slice(0, 10),
+    note: ''
+  });
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getTimeEntries(task._id);
+      setEntries(response.data.data.timeEntries);
+      setTotalMinutes(response.data.data.totalMinutes);
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+      setError(error.response?.data?.message || 'Failed to load logged time.');
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const durationMinutes = (Number(formData.hours) || 0) * 60 + (Number(formData.minutes) || 0);
+    if (durationMinutes <= 0) {
+      setError('Enter how long you worked.');
+      return;
+    }
+
+    // Entries logged for today end now; earlier days start at 09:00
+    const isToday = formData.date === new Date().toISOString().slice(0, 10);
+    const startedAt = isToday ? undefined : new Date(`${formData.date}T09:00:00`).toISOString();
+
+    setSaving(true);
+    try {
+      await tasksAPI.addTimeEntry(task._id, { durationMinutes, startedAt, note: formData.note });
+      setFormData(prev => ({ ...prev, hours: '', minutes: '', note: '' }));
+      fetchEntries();
+      onChange();
+    } catch (error) {
+      console.error('Error logging time:', error);
+      setError(error.response?.data?.message || 'Failed to log time. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    if (!window.confirm('Delete this time entry?')) {
+      return;
+    }
+
+    try {
+      await timeEntriesAPI.delete(entryId);
+      fetchEntries();
+      onChange();
+    } catch (error) {
+      console.error('Error deleting time entry:', error);
+      setError(error.response?.data?.message || 'Failed to delete time entry. Please try again.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Time</h2>
+            <p className="text-sm text-gray-500">
+              {task.title} · {formatMinutes(totalMinutes)} logged
+              {task.estimatedHours != null && ` of ${task.estimatedHours}h estimated`}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3 mb-6">
+          <div className="grid grid-cols-3 gap-3">
+            <Input label="Hours" name="hours" type="number" min="0" max="24" value={formData.hours} onChange={handleChange} />
+            <Input label="Minutes" name="minutes" type="number" min="0" max="59" value={formData.minutes} onChange={handleChange} />
+            <Input
+              label="Date"
+              name="date"
+              type="date"
+              max={new Date().toISOString().slice(0, 10)}
+              value={formData.date}
+              onChange={handleChange}
+            />
+          </div>
+          <Input label="Note" name="note" value={formData.note} onChange={handleChange} placeholder="What did you work on?" />
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" loading={saving}>Log Time</Button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : entries.length > 0 ? (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {entries.map(entry => (
+              <li key={entry._id} className="flex items-start justify-between px-3 py-2">
+                <div>
+                  <p className="text-sm text-gray-900">
+                    <span className="font-medium">{entry.user?.name}</span>
+                    <span className="ml-2">{entry.isRunning ? 'Timer running' : formatMinutes(entry.durationMinutes)}</span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      {new Date(entry.startedAt).toLocaleString()} · {entry.source === 'timer' ? 'Timer' : 'Manual'}
+                    </span>
+                  </p>
+                  {entry.note && <p className="text-sm text-gray-600">{entry.note}</p>}
+                </div>
+                {entry.canEdit && !entry.isRunning && (
+                  <button onClick={() => handleDelete(entry._id)} className="ml-4 text-sm text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No time logged yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
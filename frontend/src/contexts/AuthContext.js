@@ -1,7 +1,7 @@
 'use client';
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '@/lib/api';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { authAPI, invitationsAPI, usersAPI } from '@/lib/api';
 
 const AuthContext = createContext({});
 
@@ -13,51 +13,199 @@ export const useAuth = () => {
   return context;
 };
 
+// What the current user may do, from GET /api/auth/me/permissions. Pass a project id
+// (or a list of them) to also load permissions inside those projects.
+export const usePermissions = (projectId) => {
+  const { permissions, projectPermissions, loadProjectPermissions } = useAuth();
+  const projectIds = (Array.isArray(projectId) ? projectId : [projectId]).filter(Boolean);
+  const projectKey = projectIds.join(',');
+  const defaultProjectId = Array.isArray(projectId) ? null : projectId;
+
+  const permissionsLoaded = !!permissions;
+  const hasEveryProject = !!permissions?.everyProject;
+
+  useEffect(() => {
+    // Global roles have the same access in every project, so there is nothing to fetch
+    if (!permissionsLoaded || hasEveryProject) return;
+    projectKey.split(',').filter(Boolean).forEach(loadProjectPermissions);
+  }, [projectKey, permissionsLoaded, hasEveryProject, loadProjectPermissions]);
+
+  const getProjectAccess = (id) => projectPermissions[id] || permissions?.everyProject || null;
+
+  // Check an action globally, or within a project (defaults to the project passed to the hook)
+  const can = (resource, action, inProjectId = defaultProjectId) => {
+    const scope = inProjectId ? getProjectAccess(inProjectId) : permissions;
+    return !!scope?.permissions?.[resource]?.includes(action);
+  };
+
+  // Check a role-gated admin screen such as manageUsers or manageSettings
+  const canUse = (feature) => !!permissions?.features?.[feature];
+
+  const project = defaultProjectId ? getProjectAccess(defaultProjectId) : null;
+
+  return {
+    loading: !permissions || projectIds.some(id => !getProjectAccess(id)),
+    can,
+    canUse,
+    projectRole: project?.projectRole ?? null,
+    taskEditableFields: project?.taskEditableFields || [],
+  };
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(null);
+  // The admin's own user while they view the app as someone else
+  const [impersonator, setImpersonator] = useState(null);
+  const [permissions, setPermissions] = useState(null);
+  const [projectPermissions, setProjectPermissions] = useState({});
+  const requestedProjects = useRef(new Set());
 
   useEffect(() => {
     // Check for stored auth data on mount
     const storedToken = localStorage.getItem('token');
     const storedUser = localStorage.getItem('user');
+    const storedImpersonator = localStorage.getItem('impersonator');
     
     if (storedToken && storedUser) {
       setToken(storedToken);
       setUser(JSON.parse(storedUser));
     }
+    if (storedImpersonator) {
+      setImpersonator(JSON.parse(storedImpersonator).user);
+    }
     setLoading(false);
   }, []);
 
+  const refreshPermissions = useCallback(async () => {
+    requestedProjects.current.clear();
+    setPermissions(null);
+    setProjectPermissions({});
+
+    try {
+      const response = await authAPI.getPermissions();
+      setPermissions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching permissions:', error);
+    }
+  }, []);
+
+  // Reload whenever a different user signs in or the role changes
+  useEffect(() => {
+    if (!user) {
+      setPermissions(null);
+      setProjectPermissions({});
+      requestedProjects.current.clear();
+      return;
+    }
+    refreshPermissions();
+  }, [user?._id, user?.role, refreshPermissions]);
+
+  // Fetch permissions inside a project, once per project
+  const loadProjectPermissions = useCallback(async (projectId) => {
+    if (requestedProjects.current.has(projectId)) return;
+    requestedProjects.current.add(projectId);
+
+    try {
+      const response = await authAPI.getPermissions({ projectId });
+      setProjectPermissions(prev => ({ ...prev, [projectId]: response.data.data.project }));
+    } catch (error) {
+      requestedProjects.current.delete(projectId);
+      console.error('Error fetching project permissions:', error);
+    }
+  }, []);
+
+  const storeSession = (userData, userToken, refreshToken) => {
+    setUser(userData);
+    setToken(userToken);
+
+    localStorage.setItem('token', userToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login({ email, password });
-      const { user: userData, token: userToken } = response.data.data;
+      const { user: userData, token: userToken, refreshToken, twoFactorRequired, challengeToken, twoFactorSetupRequired } = response.data.data;
       
-      setUser(userData);
-      setToken(userToken);
+      // Password accepted, but a TOTP code is still needed
+      if (twoFactorRequired) {
+        return { success: true, twoFactorRequired, challengeToken };
+      }
       
-      localStorage.setItem('token', userToken);
-      localStorage.setItem('user', JSON.stringify(userData));
+      storeSession(userData, userToken, refreshToken);
       
-      return { success: true, user: userData };
+      return { success: true, user: userData, twoFactorSetupRequired };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       return { success: false, error: message };
     }
   };
 
+  // Send the browser to the identity provider; the state is checked again on return
+  const startSsoLogin = async () => {
+    try {
+      const response = await authAPI.startOidcLogin();
+      const { authorizationUrl, state } = response.data.data;
+
+      sessionStorage.setItem('oidcState', state);
+      window.location.assign(authorizationUrl);
+
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on is unavailable';
+      return { success: false, error: message };
+    }
+  };
+
+  const completeSsoLogin = async (code, state) => {
+    const expectedState = sessionStorage.getItem('oidcState');
+    sessionStorage.removeItem('oidcState');
+
+    // Reject callbacks this browser didn't start (login CSRF)
+    if (!expectedState || expectedState !== state) {
+      return { success: false, error: 'Sign-in request did not match. Please try again.' };
+    }
+
+    try {
+      const response = await authAPI.completeOidcLogin({ code, state });
+      const { user: userData, token: userToken, refreshToken, twoFactorRequired, challengeToken, twoFactorSetupRequired } = response.data.data;
+
+      if (twoFactorRequired) {
+        return { success: true, twoFactorRequired, challengeToken };
+      }
+
+      storeSession(userData, userToken, refreshToken);
+
+      return { success: true, user: userData, twoFactorSetupRequired };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on failed';
+      return { success: false, error: message };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, { code, backupCode }) => {
+    try {
+      const response = await authAPI.verifyTwoFactor({ challengeToken, code, backupCode });
+      const { user: userData, token: userToken, refreshToken, backupCodesRemaining } = response.data.data;
+
+      storeSession(userData, userToken, refreshToken);
+
+      return { success: true, user: userData, backupCodesRemaining };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      return { success: false, error: message };
+    }
+  };
+
   const register = async (name, email, password) => {
     try {
       const response = await authAPI.register({ name, email, password });
-      const { user: userData, token: userToken } = response.data.data;
-      
-      setUser(userData);
-      setToken(userToken);
+      const { user: userData, token: userToken, refreshToken } = response.data.data;
       
-      localStorage.setItem('token', userToken);
-      localStorage.setItem('user', JSON.stringify(userData));
+      storeSession(userData, userToken, refreshToken);
       
       return { success: true, user: userData };
     } catch (error) {
@@ -66,10 +214,85 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const acceptInvitation = async (token, name, password) => {
+    try {
+      const response = await invitationsAPI.accept({ token, name, password });
+      const { user: userData, token: userToken, refreshToken } = response.data.data;
+
+      storeSession(userData, userToken, refreshToken);
+
+      return { success: true, user: userData };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to accept invitation';
+      return { success: false, error: message, errors: error.response?.data?.errors || [] };
+    }
+  };
+
+  // View the app as another user. The admin's own session is kept aside until they return.
+  const startImpersonation = async (userId, reason) => {
+    try {
+      const response = await usersAPI.impersonate(userId, { reason });
+      const { user: userData, token: impersonationToken } = response.data.data;
+
+      const adminSession = {
+        user,
+        token: localStorage.getItem('token'),
+        refreshToken: localStorage.getItem('refreshToken'),
+      };
+      localStorage.setItem('impersonator', JSON.stringify(adminSession));
+      localStorage.removeItem('refreshToken');
+      localStorage.setItem('token', impersonationToken);
+      localStorage.setItem('user', JSON.stringify(userData));
+
+      setImpersonator(user);
+      setToken(impersonationToken);
+      setUser(userData);
+
+      return { success: true, user: userData };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not view as this user';
+      return { success: false, error: message };
+    }
+  };
+
+  const stopImpersonation = async () => {
+    const adminSession = JSON.parse(localStorage.getItem('impersonator') || 'null');
+    if (!adminSession) return;
+
+    // Ending it server-side is best effort; the token expires on its own anyway
+    await authAPI.endImpersonation(localStorage.getItem('token')).catch((error) => {
+      console.error('Error ending impersonation:', error);
+    });
+
+    localStorage.removeItem('impersonator');
+    setImpersonator(null);
+    storeSession(adminSession.user, adminSession.token, adminSession.refreshToken);
+  };
+
   const logout = () => {
+    // Signing out while impersonating ends the impersonation and the admin's own session
+    const adminSession = JSON.parse(localStorage.getItem('impersonator') || 'null');
+    if (adminSession) {
+      authAPI.endImpersonation(localStorage.getItem('token')).catch((error) => {
+        console.error('Error ending impersonation:', error);
+      });
+      localStorage.setItem('refreshToken', adminSession.refreshToken);
+      localStorage.removeItem('impersonator');
+      setImpersonator(null);
+    }
+
+    // Revoke the server-side session; local state is cleared either way
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch((error) => {
+        console.error('Error revoking session:', error);
+      });
+    }
+
     setUser(null);
     setToken(null);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   };
 
@@ -90,7 +313,10 @@ export const AuthProvider = ({ children }) => {
 
   const changePassword = async (currentPassword, newPassword) => {
     try {
-      await authAPI.changePassword({ currentPassword, newPassword });
+      const response = await authAPI.changePassword({ currentPassword, newPassword });
+      // Other sessions were revoked; keep this device signed in with the new tokens
+      const { token: userToken, refreshToken } = response.data.data;
+      storeSession(user, userToken, refreshToken);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Password change failed';
@@ -98,16 +324,81 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const forgotPassword = async (email) => {
+    try {
+      const response = await authAPI.forgotPassword({ email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Password reset request failed';
+      return { success: false, error: message };
+    }
+  };
+
+  const resetPassword = async (token, password) => {
+    try {
+      const response = await authAPI.resetPassword({ token, password });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Password reset failed';
+      const errors = error.response?.data?.errors || [];
+      return { success: false, error: message, errors };
+    }
+  };
+
+  const updateStoredUser = (userData) => {
+    setUser(userData);
+    localStorage.setItem('user', JSON.stringify(userData));
+  };
+
+  const setupTwoFactor = async () => {
+    try {
+      const response = await authAPI.setupTwoFactor();
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Two-factor setup failed';
+      return { success: false, error: message };
+    }
+  };
+
+  const enableTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.enableTwoFactor(code);
+      const { user: userData, backupCodes } = response.data.data;
+      updateStoredUser(userData);
+      return { success: true, backupCodes };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not enable two-factor authentication';
+      return { success: false, error: message };
+    }
+  };
+
+  const disableTwoFactor = async (password, code) => {
+    try {
+      const response = await authAPI.disableTwoFactor({ password, code });
+      updateStoredUser(response.data.data.user);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not disable two-factor authentication';
+      return { success: false, error: message };
+    }
+  };
+
+  const regenerateBackupCodes = async (code) => {
+    try {
+      const response = await authAPI.regenerateBackupCodes(code);
+      return { success: true, backupCodes: response.data.data.backupCodes };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not regenerate backup codes';
+      return { success: false, error: message };
+    }
+  };
+
   const setupAdmin = async (name, email, password) => {
     try {
       const response = await authAPI.setupAdmin({ name, email, password });
-      const { user: userData, token: userToken } = response.data.data;
-      
-      setUser(userData);
-      setToken(userToken);
+      const { user: userData, token: userToken, refreshToken } = response.data.data;
       
-      localStorage.setItem('token', userToken);
-      localStorage.setItem('user', JSON.stringify(userData));
+      storeSession(userData, userToken, refreshToken);
       
       return { success: true, user: userData };
     } catch (error) {
@@ -130,16 +421,34 @@ export const AuthProvider = ({ children }) => {
     token,
     loading,
     login,
+    startSsoLogin,
+    completeSsoLogin,
+    verifyTwoFactor,
     register,
+    acceptInvitation,
     logout,
     updateProfile,
     changePassword,
+    forgotPassword,
+    resetPassword,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
     setupAdmin,
     isAdmin,
     isManager,
     isMember,
     hasRole,
     isAuthenticated: !!user,
+    impersonator,
+    isImpersonating: !!impersonator,
+    startImpersonation,
+    stopImpersonation,
+    permissions,
+    projectPermissions,
+    loadProjectPermissions,
+    refreshPermissions,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -19,7 +19,7 @@ const api = axios.create({
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token');
-    if (token) {
+    if (token && !config.headers.Authorization) {
       config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
@@ -29,17 +29,96 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const AUTH_ENDPOINTS = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/setup-admin',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+  '/api/auth/2fa/verify',
+  '/api/auth/oidc/callback',
+];
+
+const clearAuthAndRedirect = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  localStorage.removeItem('impersonator');
+  window.location.href = '/auth/login';
+};
+
+// Impersonation tokens can't be refreshed; once one expires, go back to the admin's own session
+const returnToImpersonator = () => {
+  const { user, token, refreshToken } = JSON.parse(localStorage.getItem('impersonator'));
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+  localStorage.removeItem('impersonator');
+  window.location.href = '/dashboard/users';
+};
+
+// Exchange the stored refresh token for a new token pair
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  // Plain axios so this call bypasses the interceptors below
+  const response = await axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken });
+  const { user, token, refreshToken: newRefreshToken } = response.data.data;
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', newRefreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+
+  return token;
+};
+
+// Requests that fail together share a single refresh call
+let refreshPromise = null;
+
+// Response interceptor to refresh expired access tokens and retry
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/auth/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some(endpoint => originalRequest?.url?.startsWith(endpoint));
+
+    // Roles that require 2FA must enroll before using the rest of the API
+    if (error.response?.status === 403 && error.response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+      window.location.href = '/auth/two-factor/setup';
+      return Promise.reject(error);
+    }
+
+    if (error.response?.status !== 401 || !originalRequest || originalRequest._retry || isAuthEndpoint) {
+      return Promise.reject(error);
+    }
+
+    if (localStorage.getItem('impersonator')) {
+      returnToImpersonator();
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    try {
+      if (!refreshPromise) {
+        refreshPromise = refreshAccessToken().finally(() => {
+          refreshPromise = null;
+        });
+      }
+      const token = await refreshPromise;
+
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      // Refresh token expired or revoked
+      clearAuthAndRedirect();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -47,10 +126,31 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/api/auth/register', data),
   login: (data) => api.post('/api/auth/login', data),
+  logout: (refreshToken) => api.post('/api/auth/logout', { refreshToken }),
   getProfile: () => api.get('/api/auth/me'),
   updateProfile: (data) => api.put('/api/auth/me', data),
   changePassword: (data) => api.put('/api/auth/change-password', data),
   setupAdmin: (data) => api.post('/api/auth/setup-admin', data),
+  forgotPassword: (data) => api.post('/api/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/api/auth/reset-password', data),
+  getSessions: () => api.get('/api/auth/sessions'),
+  getSecurityEvents: (params) => api.get('/api/auth/me/security-events', { params }),
+  getPermissions: (params) => api.get('/api/auth/me/permissions', { params }),
+  // Sent with the impersonation token explicitly, since the stored one may already be swapped back or cleared
+  endImpersonation: (token) => api.post('/api/auth/impersonation/end', null, { headers: { Authorization: `Bearer ${token}` } }),
+  revokeSession: (id) => api.delete(`/api/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/api/auth/sessions'),
+  verifyTwoFactor: (data) => api.post('/api/auth/2fa/verify', data),
+  setupTwoFactor: () => api.post('/api/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/api/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/api/auth/2fa/disable', data),
+  regenerateBackupCodes: (code) => api.post('/api/auth/2fa/backup-codes', { code }),
+  getAccessTokens: () => api.get('/api/auth/tokens'),
+  createAccessToken: (data) => api.post('/api/auth/tokens', data),
+  revokeAccessToken: (id) => api.delete(`/api/auth/tokens/${id}`),
+  getOidcConfig: () => api.get('/api/auth/oidc/config'),
+  startOidcLogin: () => api.post('/api/auth/oidc/login'),
+  completeOidcLogin: (data) => api.post('/api/auth/oidc/callback', data),
 };
 
 // Users API
@@ -60,7 +160,39 @@ export const usersAPI = {
   update: (id, data) => api.put(`/api/users/${id}`, data),
   delete: (id) => api.delete(`/api/users/${id}`),
   updateRole: (id, role) => api.put(`/api/users/${id}/role`, { role }),
+  forceLogout: (id) => api.post(`/api/users/${id}/force-logout`),
+  unlock: (id) => api.post(`/api/users/${id}/unlock`),
   getStats: () => api.get('/api/users/stats'),
+  getSecurityEvents: (id, params) => api.get(`/api/users/${id}/security-events`, { params }),
+  impersonate: (id, data) => api.post(`/api/users/${id}/impersonate`, data),
+  getImpersonations: (params) => api.get('/api/users/impersonations', { params }),
+  getImpersonationRequests: (id, params) => api.get(`/api/users/impersonations/${id}/requests`, { params }),
+};
+
+// Invitations API
+export const invitationsAPI = {
+  getAll: (params) => api.get('/api/invitations', { params }),
+  create: (data) => api.post('/api/invitations', data),
+  resend: (id) => api.post(`/api/invitations/${id}/resend`),
+  revoke: (id) => api.delete(`/api/invitations/${id}`),
+  getByToken: (token) => api.get(`/api/invitations/accept/${token}`),
+  accept: (data) => api.post('/api/invitations/accept', data),
+};
+
+// Settings API
+export const settingsAPI = {
+  getPublic: () => api.get('/api/settings/public'),
+  get: () => api.get('/api/settings'),
+  update: (data) => api.put('/api/settings', data),
+};
+
+// Roles API
+export const rolesAPI = {
+  getAll: () => api.get('/api/roles'),
+  create: (roleData) => api.post('/api/roles', roleData),
+  clone: (id, roleData) => api.post(`/api/roles/${id}/clone`, roleData),
+  update: (id, roleData) => api.put(`/api/roles/${id}`, roleData),
+  delete: (id) => api.delete(`/api/roles/${id}`),
 };
 
 // Projects API
@@ -72,6 +204,7 @@ export const projectsAPI = {
   delete: (id) => api.delete(`/api/projects/${id}`),
   addMember: (id, data) => api.post(`/api/projects/${id}/members`, data),
   removeMember: (id, userId) => api.delete(`/api/projects/${id}/members/${userId}`),
+  updateWorkflow: (id, data) => api.put(`/api/projects/${id}/workflow`, data),
 };
 
 // Tasks API
@@ -83,6 +216,39 @@ export const tasksAPI = {
   create: (data) => api.post('/api/tasks', data),
   update: (id, data) => api.put(`/api/tasks/${id}`, data),
   delete: (id) => api.delete(`/api/tasks/${id}`),
+  getComments: (id, params) => api.get(`/api/tasks/${id}/comments`, { params }),
+  addComment: (id, data) => api.post(`/api/tasks/${id}/comments`, data),
+  updateComment: (id, commentId, data) => api.put(`/api/tasks/${id}/comments/${commentId}`, data),
+  deleteComment: (id, commentId) => api.delete(`/api/tasks/${id}/comments/${commentId}`),
+  addDependency: (id, dependencyId) => api.post(`/api/tasks/${id}/dependencies`, { dependencyId }),
+  removeDependency: (id, dependencyId) => api.delete(`/api/tasks/${id}/dependencies/${dependencyId}`),
+  getDependencyGraph: (projectId) => api.get(`/api/tasks/project/${projectId}/dependency-graph`),
+  addChecklistItem: (id, data) => api.post(`/api/tasks/${id}/checklist`, data),
+  updateChecklistItem: (id, itemId, data) => api.put(`/api/tasks/${id}/checklist/${itemId}`, data),
+  deleteChecklistItem: (id, itemId) => api.delete(`/api/tasks/${id}/checklist/${itemId}`),
+  reorderChecklist: (id, itemIds) => api.put(`/api/tasks/${id}/checklist/order`, { itemIds }),
+  getTimeEntries: (id) => api.get(`/api/tasks/${id}/time-entries`),
+  addTimeEntry: (id, data) => api.post(`/api/tasks/${id}/time-entries`, data),
+  startTimer: (id, data) => api.post(`/api/tasks/${id}/timer`, data),
+};
+
+// Sprints API
+export const sprintsAPI = {
+  getByProject: (projectId) => api.get(`/api/sprints/project/${projectId}`),
+  create: (data) => api.post('/api/sprints', data),
+  update: (id, data) => api.put(`/api/sprints/${id}`, data),
+  delete: (id) => api.delete(`/api/sprints/${id}`),
+  start: (id) => api.post(`/api/sprints/${id}/start`),
+  close: (id, data) => api.post(`/api/sprints/${id}/close`, data),
+};
+
+// Time tracking API
+export const timeEntriesAPI = {
+  getRunningTimer: () => api.get('/api/time-entries/timer'),
+  stopTimer: (data) => api.post('/api/time-entries/timer/stop', data),
+  getTimesheet: (params) => api.get('/api/time-entries/timesheet', { params }),
+  update: (id, data) => api.put(`/api/time-entries/${id}`, data),
+  delete: (id) => api.delete(`/api/time-entries/${id}`),
 };
 
 // Health check
@@ -0,0 +1,87 @@
+// Task workflow helpers, matching the API's rules (backend/config/workflow.js)
+
+export const STATUS_CATEGORIES = ['todo', 'in-progress', 'done'];
+
+export const CATEGORY_LABELS = {
+  todo: 'To Do',
+  'in-progress': 'In Progress',
+  done: 'Done'
+};
+
+// What a workflow rule can require of a move to its status ("Moving to Done needs ...")
+export const GUARD_LABELS = {
+  'assignee-or-manager': 'the assignee or a manager to make it',
+  comment: 'a comment',
+  field: 'a field filled in'
+};
+
+// Fields a 'field' rule can require
+export const GUARDED_FIELD_LABELS = {
+  actualHours: 'Logged time',
+  estimatedHours: 'Estimated hours',
+  dueDate: 'Due date',
+  startDate: 'Start date',
+  description: 'Description',
+  tags: 'Tags'
+};
+
+// Workflow of projects that haven't defined their own
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: 'Pending', category: 'todo' },
+    { name: 'Ongoing', category: 'in-progress' },
+    { name: 'Blocked', category: 'todo' },
+    { name: 'Done', category: 'done' }
+  ],
+  transitions: [],
+  blockedStatus: 'Blocked',
+  rules: []
+};
+
+export const getWorkflow = (project) => (
+  project?.workflow?.statuses?.length > 0 ? project.workflow : DEFAULT_WORKFLOW
+);
+
+export const getStatusNames = (workflow) => workflow.statuses.map(status => status.name);
+
+export const getStatusCategory = (workflow, status) => (
+  workflow.statuses.find(entry => entry.name === status)?.category ?? null
+);
+
+// Status new tasks start in: the first 'todo' status
+export const getInitialStatus = (workflow) => (
+  (workflow.statuses.find(status => status.category === 'todo') || workflow.statuses[0]).name
+);
+
+// Statuses a task in the given status can be set to, itself included, in workflow order
+export const getAvailableStatuses = (workflow, from) => {
+  const rule = workflow.transitions?.find(transition => transition.from === from);
+  return getStatusNames(workflow).filter(name => !rule || name === from || rule.to.includes(name));
+};
+
+// Colour group of a status: the workflow's blocked status, otherwise its category
+export const getStatusTone = (workflow, status) => (
+  status === workflow.blockedStatus ? 'blocked' : getStatusCategory(workflow, status)
+);
+
+const BADGE_CLASSES = {
+  done: 'bg-green-100 text-green-800',
+  'in-progress': 'bg-blue-100 text-blue-800',
+  todo: 'bg-yellow-100 text-yellow-800',
+  blocked: 'bg-red-100 text-red-800'
+};
+
+export const getStatusBadgeClass = (workflow, status) => (
+  BADGE_CLASSES[getStatusTone(workflow, status)] || 'bg-gray-100 text-gray-800'
+);
+
+// The workflow's rules for moving a task from one status to another
+export const getTransitionRules = (workflow, from, to) => (
+  (workflow.rules || []).filter(rule => rule.to === to && (!rule.from || rule.from === from))
+);
+
+// "Moving from Review to Done needs logged time"
+export const describeRule = (rule) => {
+  const requirement = rule.guard === 'field' ? GUARDED_FIELD_LABELS[rule.field].toLowerCase() : GUARD_LABELS[rule.guard];
+  return `Moving ${rule.from ? `from ${rule.from} ` : ''}to ${rule.to} needs ${requirement}`;
+};